@@ -0,0 +1,301 @@
+/**
+ * Admin Commands for Max-Pixels
+ * Operator commands for a running GameServer. The stdin console and admin
+ * players over WebSocket both go through execute(), so they share one syntax:
+ * a command name followed by space-separated arguments.
+ */
+
+import { isIP } from 'net';
+import { NETWORK } from '../../src/constants.js';
+import { logger } from '../logging/Logger.js';
+
+const log = logger.child('admin');
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60000;
+
+// Width of the usage column in help
+const USAGE_WIDTH = 42;
+
+// Who ran a command when it came from the server's own terminal
+export const CONSOLE_ISSUER = 'console';
+
+const parseMinutes = (value) => {
+    const minutes = Number(value);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+        throw new Error(`"${value}" is not a number of minutes`);
+    }
+    return minutes * MS_PER_MINUTE;
+};
+
+const parseCoordinate = (value) => {
+    const coordinate = Number(value);
+    if (!Number.isFinite(coordinate)) {
+        throw new Error(`"${value}" is not a coordinate`);
+    }
+    return coordinate;
+};
+
+const formatExpiry = (expiresAt) => (expiresAt ? `until ${new Date(expiresAt).toISOString()}` : 'permanently');
+
+export class AdminCommands {
+    /**
+     * @param {GameServer} server - The server the commands act on
+     */
+    constructor(server) {
+        this.server = server;
+
+        this.commands = {
+            help: {
+                usage: 'help',
+                description: 'List commands',
+                run: () => this.help()
+            },
+            stats: {
+                usage: 'stats',
+                description: 'Show server statistics',
+                run: () => JSON.stringify({ ...this.server.getServerStats(), memoryUsage: undefined }, null, 2)
+            },
+            players: {
+                usage: 'players',
+                description: 'List connected players',
+                run: () => this.listPlayers()
+            },
+            kick: {
+                usage: 'kick <playerId> [reason]',
+                minArgs: 1,
+                description: 'Disconnect a player',
+                run: ([playerId, ...reason]) => this.kick(playerId, reason.join(' '))
+            },
+            ban: {
+                usage: 'ban <playerId|ip> [minutes] [reason]',
+                minArgs: 1,
+                description: 'Ban a player or address, for good unless minutes are given',
+                run: (args, issuer) => this.ban(args, issuer)
+            },
+            unban: {
+                usage: 'unban <playerId|ip>',
+                minArgs: 1,
+                description: 'Lift a ban',
+                run: ([target]) => this.unban(target)
+            },
+            bans: {
+                usage: 'bans',
+                description: 'List active bans',
+                run: () => this.listBans()
+            },
+            mute: {
+                usage: 'mute <playerId> [minutes]',
+                minArgs: 1,
+                description: 'Stop a player from chatting',
+                run: ([playerId, minutes]) => this.mute(playerId, minutes)
+            },
+            unmute: {
+                usage: 'unmute <playerId>',
+                minArgs: 1,
+                description: 'Let a player chat again',
+                run: ([playerId]) => this.unmute(playerId)
+            },
+            announce: {
+                usage: 'announce <message>',
+                minArgs: 1,
+                description: 'Send a message to every player',
+                run: (words, issuer) => this.announce(words.join(' '), issuer)
+            },
+            teleport: {
+                usage: 'teleport <playerId> <x> <y> [sectorId]',
+                minArgs: 3,
+                description: 'Move a ship, optionally into another sector',
+                run: ([playerId, x, y, sectorId]) => this.teleport(playerId, x, y, sectorId)
+            },
+            sector: {
+                usage: 'sector [sectorId]',
+                description: 'Inspect a sector, or list them all',
+                run: ([sectorId]) => (sectorId ? this.inspectSector(sectorId) : this.listSectors())
+            },
+            restart: {
+                usage: 'restart [seconds]',
+                consoleOnly: true,
+                description: 'Save the world and stop, telling players how long until it is back',
+                run: ([seconds]) => this.restart(seconds)
+            },
+            admin: {
+                usage: 'admin <grant|revoke> <username>',
+                minArgs: 2,
+                consoleOnly: true,
+                description: 'Give or take an account\'s admin rights',
+                run: ([action, username]) => this.setAdmin(action, username)
+            }
+        };
+    }
+
+    /**
+     * Run one command line
+     * @param {string} line - Command and arguments
+     * @param {string} issuer - CONSOLE_ISSUER or the admin's player ID
+     * @returns {Object} - {ok, output}
+     */
+    execute(line, issuer = CONSOLE_ISSUER) {
+        const [name, ...args] = String(line).trim().split(/\s+/);
+        if (!name) return { ok: true, output: '' };
+
+        const command = this.commands[name.toLowerCase()];
+        try {
+            if (!command) {
+                throw new Error(`Unknown command "${name}", try help`);
+            }
+            if (command.consoleOnly && issuer !== CONSOLE_ISSUER) {
+                throw new Error(`${name} can only be used from the server console`);
+            }
+            if (args.length < (command.minArgs || 0)) {
+                throw new Error(`Usage: ${command.usage}`);
+            }
+
+            const output = command.run(args, issuer);
+            if (issuer !== CONSOLE_ISSUER) {
+                log.info('Admin command', { issuer, command: line.trim() });
+            }
+            return { ok: true, output };
+        } catch (error) {
+            return { ok: false, output: error.message };
+        }
+    }
+
+    help() {
+        return Object.values(this.commands)
+            .map(command => `${command.usage.padEnd(USAGE_WIDTH)} ${command.description}`)
+            .join('\n');
+    }
+
+    listPlayers() {
+        const players = Array.from(this.server.gameState.players.values());
+        if (players.length === 0) return 'No players online';
+
+        return players.map(player => {
+            const ws = this.server.clients.get(player.id);
+            const flags = [
+                ws?.authenticated ? 'account' : 'guest',
+                this.server.isMuted(player.id) ? 'muted' : null,
+                player.isAlive === false ? 'dead' : null
+            ].filter(Boolean).join(',');
+            const position = `(${Math.round(player.position.x)}, ${Math.round(player.position.y)})`;
+            return `${player.id}  ${player.sectorId} ${position}  ${ws?.ip || '-'}  ${flags}`;
+        }).join('\n');
+    }
+
+    kick(playerId, reason) {
+        if (!this.server.kickPlayer(playerId, NETWORK.ERROR_CODES.KICKED, reason || 'Kicked by an admin')) {
+            throw new Error(`No player ${playerId}`);
+        }
+        return `Kicked ${playerId}`;
+    }
+
+    ban([target, ...rest], issuer) {
+        let duration = null;
+        if (rest.length > 0 && /^\d+(\.\d+)?$/.test(rest[0])) {
+            duration = parseMinutes(rest.shift());
+        }
+
+        const reason = rest.join(' ') || null;
+        const ban = this.server.banTarget(target, { reason, duration, bannedBy: issuer });
+        return `Banned ${isIP(target) ? 'address' : 'player'} ${target} ${formatExpiry(ban.expiresAt)}`;
+    }
+
+    unban(target) {
+        if (!this.server.unbanTarget(target)) {
+            throw new Error(`${target} is not banned`);
+        }
+        return `Unbanned ${target}`;
+    }
+
+    listBans() {
+        const bans = this.server.bans.list();
+        if (bans.length === 0) return 'No active bans';
+
+        return bans
+            .map(ban => `${ban.type} ${ban.target}  ${formatExpiry(ban.expiresAt)}  by ${ban.bannedBy || '-'}${ban.reason ? `: ${ban.reason}` : ''}`)
+            .join('\n');
+    }
+
+    mute(playerId, minutes) {
+        const until = minutes ? Date.now() + parseMinutes(minutes) : Infinity;
+        this.server.mutes.set(playerId, until);
+        return `Muted ${playerId} ${formatExpiry(Number.isFinite(until) ? until : null)}`;
+    }
+
+    unmute(playerId) {
+        if (!this.server.mutes.delete(playerId)) {
+            throw new Error(`${playerId} is not muted`);
+        }
+        return `Unmuted ${playerId}`;
+    }
+
+    announce(message, issuer) {
+        if (message.length > NETWORK.MAX_CHAT_MESSAGE_LENGTH) {
+            throw new Error(`Announcements are limited to ${NETWORK.MAX_CHAT_MESSAGE_LENGTH} characters`);
+        }
+
+        this.server.broadcast(NETWORK.MESSAGE_TYPES.ANNOUNCEMENT, {
+            message: message,
+            from: issuer,
+            timestamp: Date.now()
+        });
+        return `Announced to ${this.server.clients.size} players`;
+    }
+
+    teleport(playerId, x, y, sectorId) {
+        const position = { x: parseCoordinate(x), y: parseCoordinate(y) };
+        const player = this.server.teleportPlayer(playerId, position, sectorId);
+        return `Teleported ${playerId} to ${player.sectorId} (${Math.round(player.position.x)}, ${Math.round(player.position.y)})`;
+    }
+
+    listSectors() {
+        return this.server.navigation.getAllSectors()
+            .map(sector => `${sector.id}  ${this.server.rooms.get(sector.id)?.size || 0}/${this.server.config.maxRoomPlayers} players  ${sector.pvpEnabled ? 'pvp' : 'safe'}`)
+            .join('\n');
+    }
+
+    inspectSector(sectorId) {
+        const navigation = this.server.navigation;
+        if (!navigation.isValidSector(sectorId)) {
+            throw new Error(`No sector ${sectorId}`);
+        }
+
+        const sector = navigation.getSectorData(sectorId);
+        const players = Array.from(this.server.rooms.get(sectorId) || []);
+        const objects = this.server.getSectorObjects(sectorId);
+        const respawning = Array.from(this.server.asteroidRespawns.values())
+            .filter(({ asteroid }) => asteroid.sectorId === sectorId).length;
+
+        return [
+            `${sector.name} (${sector.id}), ${sector.bounds.width}x${sector.bounds.height}, ${sector.pvpEnabled ? 'PvP enabled' : 'safe sector'}`,
+            `Players (${players.length}/${this.server.config.maxRoomPlayers}): ${players.join(', ') || 'none'}`,
+            `Objects: ${objects.length}, asteroids respawning: ${respawning}`,
+            `Stations: ${(sector.stations || []).map(station => station.name).join(', ') || 'none'}`,
+            `Jump gates to: ${(sector.jumpGates || []).map(gate => gate.destination).join(', ') || 'none'}`
+        ].join('\n');
+    }
+
+    /**
+     * Whatever supervises the server starts it again; players are told to
+     * wait the given downtime (RESTART_DOWNTIME by default) before reconnecting
+     */
+    restart(seconds) {
+        const downtime = seconds === undefined ? NETWORK.RESTART_DOWNTIME : Number(seconds) * MS_PER_SECOND;
+        if (!Number.isFinite(downtime) || downtime < 0) {
+            throw new Error(`"${seconds}" is not a number of seconds`);
+        }
+
+        this.server.shutdown(downtime).catch(error => log.error('Restart failed', { error }));
+        return `Restarting, players will reconnect in ${Math.round((NETWORK.DRAIN_PERIOD + downtime) / MS_PER_SECOND)}s`;
+    }
+
+    setAdmin(action, username) {
+        if (action !== 'grant' && action !== 'revoke') {
+            throw new Error(`Usage: ${this.commands.admin.usage}`);
+        }
+
+        this.server.accounts.setAdmin(username, action === 'grant');
+        return `${action === 'grant' ? 'Granted' : 'Revoked'} admin rights ${action === 'grant' ? 'to' : 'from'} ${username}`;
+    }
+}
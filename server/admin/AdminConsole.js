@@ -0,0 +1,57 @@
+/**
+ * Admin Console for Max-Pixels
+ * Reads admin commands from the server's terminal
+ */
+
+import { createInterface } from 'readline';
+import { CONSOLE_ISSUER } from './AdminCommands.js';
+import { logger } from '../logging/Logger.js';
+
+const log = logger.child('admin');
+
+export class AdminConsole {
+    /**
+     * @param {AdminCommands} commands - What the typed lines run
+     */
+    constructor(commands) {
+        this.commands = commands;
+        this.readline = null;
+    }
+
+    /**
+     * Start reading lines. Without a terminal (e.g. stdin redirected) the
+     * console reads whatever is piped in and stops at its end.
+     */
+    start(input = process.stdin, output = process.stdout) {
+        const interactive = Boolean(input.isTTY);
+        this.readline = createInterface({ input, output, prompt: 'max-pixels> ', terminal: interactive });
+        const prompt = () => interactive && this.readline?.prompt();
+
+        this.readline.on('line', (line) => {
+            const result = this.commands.execute(line, CONSOLE_ISSUER);
+            if (result.output) {
+                output.write(`${result.ok ? '' : 'Error: '}${result.output}\n`);
+            }
+            prompt();
+        });
+
+        // The terminal's Ctrl+C reaches readline, not the process; pass it on so the server shuts down
+        this.readline.on('SIGINT', () => {
+            this.stop();
+            process.kill(process.pid, 'SIGINT');
+        });
+
+        this.readline.on('close', () => {
+            this.readline = null;
+        });
+
+        if (interactive) {
+            log.info('Admin console ready, type help for commands');
+        }
+        prompt();
+    }
+
+    stop() {
+        this.readline?.close();
+    }
+}
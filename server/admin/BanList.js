@@ -0,0 +1,78 @@
+/**
+ * Ban List for Max-Pixels
+ * Player ID and IP bans, kept in the server store so they outlive restarts
+ */
+
+import { isIP } from 'net';
+
+export class BanList {
+    /**
+     * @param {MemoryStore} store - Holds the 'bans' collection
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Bans are keyed by what they match, so banning twice replaces the first
+     */
+    static keyOf(target) {
+        return `${isIP(target) ? 'ip' : 'id'}:${target}`;
+    }
+
+    /**
+     * @param {string} target - Player ID or IP address
+     * @param {Object} options - {reason, bannedBy, duration}; no duration bans for good
+     * @returns {Object} - The stored ban
+     */
+    add(target, { reason = null, bannedBy = null, duration = null } = {}) {
+        const now = Date.now();
+        const ban = {
+            type: isIP(target) ? 'ip' : 'id',
+            target: target,
+            reason: reason,
+            bannedBy: bannedBy,
+            createdAt: now,
+            expiresAt: duration ? now + duration : null
+        };
+        this.store.set('bans', BanList.keyOf(target), ban);
+        return ban;
+    }
+
+    /**
+     * @returns {boolean} - Whether there was a ban to lift
+     */
+    remove(target) {
+        const key = BanList.keyOf(target);
+        const existed = Boolean(this.store.get('bans', key));
+        this.store.delete('bans', key);
+        return existed;
+    }
+
+    /**
+     * The ban that keeps a player or address out, if any. Expired bans are dropped.
+     * @param {string|null} playerId - Player ID
+     * @param {string|null} ip - Remote address
+     * @returns {Object|null} - The matching ban
+     */
+    find(playerId, ip) {
+        const candidates = [playerId && `id:${playerId}`, ip && `ip:${ip}`].filter(Boolean);
+
+        for (const key of candidates) {
+            const ban = this.store.get('bans', key);
+            if (!ban) continue;
+
+            if (ban.expiresAt && ban.expiresAt <= Date.now()) {
+                this.store.delete('bans', key);
+                continue;
+            }
+            return ban;
+        }
+        return null;
+    }
+
+    list() {
+        const now = Date.now();
+        return this.store.values('bans').filter(ban => !ban.expiresAt || ban.expiresAt > now);
+    }
+}
@@ -0,0 +1,305 @@
+/**
+ * Account Service for Max-Pixels
+ * Registration, login and tokens for the game server. Passwords are kept as
+ * salted scrypt hashes; access tokens are short-lived and HMAC-signed, and
+ * refresh tokens are single-use and stored hashed.
+ */
+
+import { createHash, createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { AUTH } from '../../src/constants.js';
+import { AuthService } from '../../src/auth/AuthService.js';
+import { logger } from '../logging/Logger.js';
+
+const log = logger.child('auth');
+
+const scryptAsync = promisify(scrypt);
+
+const HTTP_STATUS = {
+    BAD_REQUEST: 400,
+    UNAUTHORIZED: 401,
+    CONFLICT: 409,
+    LOCKED: 423
+};
+
+/**
+ * A refused auth request, with the code and HTTP status sent to the client
+ */
+export class AuthError extends Error {
+    constructor(code, message, status) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const invalidCredentials = () =>
+    new AuthError(AUTH.ERROR_CODES.INVALID_CREDENTIALS, 'Invalid username or password', HTTP_STATUS.UNAUTHORIZED);
+
+const invalidToken = () =>
+    new AuthError(AUTH.ERROR_CODES.INVALID_TOKEN, 'Session expired, please log in again', HTTP_STATUS.UNAUTHORIZED);
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+export class AccountService {
+    /**
+     * @param {MemoryStore} store - Holds the 'accounts' and 'refreshTokens' collections
+     * @param {string|null} secret - Token signing key; generated and stored when not given
+     */
+    constructor(store, secret = null) {
+        this.store = store;
+        this.secret = secret || this.loadSecret();
+
+        // A hash to check unknown usernames against, so they take as long as wrong passwords
+        this.decoyHash = null;
+    }
+
+    /**
+     * Keep the generated signing key in the store so tokens outlive restarts
+     */
+    loadSecret() {
+        const saved = this.store.get('server', 'authSecret');
+        if (saved) return saved;
+
+        const secret = randomBytes(AUTH.SECRET_BYTES).toString('hex');
+        this.store.set('server', 'authSecret', secret);
+        return secret;
+    }
+
+    /**
+     * Accounts created before logins existed only hold progress, and can be claimed
+     */
+    isRegistered(username) {
+        return Boolean(this.store.get('accounts', username)?.passwordHash);
+    }
+
+    isAdmin(username) {
+        return this.store.get('accounts', username)?.role === 'admin';
+    }
+
+    setAdmin(username, admin) {
+        const account = this.store.get('accounts', username);
+        if (!account?.passwordHash) {
+            throw new Error(`No account ${username}`);
+        }
+
+        account.role = admin ? 'admin' : 'player';
+        this.store.set('accounts', username, account);
+    }
+
+    async register(username, email, password) {
+        try {
+            AuthService.validateRegistrationData(username, email, password);
+        } catch (error) {
+            throw new AuthError(AUTH.ERROR_CODES.INVALID_REQUEST, error.message, HTTP_STATUS.BAD_REQUEST);
+        }
+        if (password.length > AUTH.MAX_PASSWORD_LENGTH) {
+            throw new AuthError(AUTH.ERROR_CODES.INVALID_REQUEST, `Password must be at most ${AUTH.MAX_PASSWORD_LENGTH} characters long`, HTTP_STATUS.BAD_REQUEST);
+        }
+
+        this.checkAvailable(username, email);
+        const passwordHash = await AccountService.hashPassword(password);
+
+        // Another registration may have taken the name while the password was hashing
+        this.checkAvailable(username, email);
+
+        const now = Date.now();
+        const existing = this.store.get('accounts', username);
+        const account = {
+            ...existing,
+            id: username,
+            username: username,
+            email: email,
+            passwordHash: passwordHash,
+            createdAt: existing?.createdAt || now,
+            lastSeenAt: now,
+            failedLogins: 0,
+            lockedUntil: 0
+        };
+        this.store.set('accounts', username, account);
+        log.info('Registered account', { username });
+
+        return this.createSession(account);
+    }
+
+    checkAvailable(username, email) {
+        const emailTaken = this.store.values('accounts').some(account => account.email === email && account.passwordHash);
+        if (this.isRegistered(username) || emailTaken) {
+            throw new AuthError(AUTH.ERROR_CODES.ACCOUNT_EXISTS, 'Username or email already exists', HTTP_STATUS.CONFLICT);
+        }
+    }
+
+    /**
+     * Check a password. Every failure counts; MAX_LOGIN_ATTEMPTS in a row lock
+     * the account for LOCKOUT_DURATION, even against the right password.
+     */
+    async login(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string' || password.length > AUTH.MAX_PASSWORD_LENGTH) {
+            throw invalidCredentials();
+        }
+
+        const account = this.store.get('accounts', username);
+        if (!account?.passwordHash) {
+            this.decoyHash = this.decoyHash || await AccountService.hashPassword(randomBytes(AUTH.PASSWORD_SALT_BYTES).toString('hex'));
+            await AccountService.verifyPassword(password, this.decoyHash);
+            throw invalidCredentials();
+        }
+
+        const now = Date.now();
+        if (account.lockedUntil > now) {
+            throw new AuthError(AUTH.ERROR_CODES.ACCOUNT_LOCKED, 'Too many failed logins, try again later', HTTP_STATUS.LOCKED);
+        }
+
+        // The attempt counts as failed before the slow hash check, so guesses
+        // sent in parallel cannot all get past the lock; a match clears it
+        const failedLogins = (account.failedLogins || 0) + 1;
+        const locking = failedLogins >= AUTH.MAX_LOGIN_ATTEMPTS;
+        this.store.set('accounts', username, {
+            ...account,
+            failedLogins: locking ? 0 : failedLogins,
+            lockedUntil: locking ? now + AUTH.LOCKOUT_DURATION : account.lockedUntil
+        });
+
+        if (!await AccountService.verifyPassword(password, account.passwordHash)) {
+            if (locking) {
+                log.warn('Locked account after failed logins', { username, attempts: AUTH.MAX_LOGIN_ATTEMPTS });
+            }
+            throw invalidCredentials();
+        }
+
+        const verified = {
+            ...this.store.get('accounts', username),
+            failedLogins: 0,
+            lockedUntil: 0,
+            lastSeenAt: Date.now()
+        };
+        this.store.set('accounts', username, verified);
+
+        return this.createSession(verified);
+    }
+
+    /**
+     * Trade a refresh token for a new session. The old token is spent, so a
+     * stolen copy stops working once either party uses it.
+     */
+    refresh(refreshToken) {
+        const key = typeof refreshToken === 'string' ? AccountService.hashToken(refreshToken) : null;
+        const record = key && this.store.get('refreshTokens', key);
+        if (!record) throw invalidToken();
+
+        this.store.delete('refreshTokens', key);
+
+        const account = this.store.get('accounts', record.username);
+        if (record.expiresAt <= Date.now() || !account?.passwordHash) throw invalidToken();
+
+        return this.createSession(account);
+    }
+
+    logout(refreshToken) {
+        if (typeof refreshToken === 'string') {
+            this.store.delete('refreshTokens', AccountService.hashToken(refreshToken));
+        }
+    }
+
+    /**
+     * @returns {Object} - {user, accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt}
+     */
+    createSession(account) {
+        const now = Date.now();
+        const accessTokenExpiresAt = now + AUTH.ACCESS_TOKEN_DURATION;
+        const refreshTokenExpiresAt = now + AUTH.REFRESH_TOKEN_DURATION;
+        const refreshToken = randomBytes(AUTH.REFRESH_TOKEN_BYTES).toString('hex');
+
+        this.store.set('refreshTokens', AccountService.hashToken(refreshToken), {
+            username: account.username,
+            expiresAt: refreshTokenExpiresAt
+        });
+
+        return {
+            user: AccountService.sanitizeAccount(account),
+            accessToken: this.signToken({ sub: account.username, iat: now, exp: accessTokenExpiresAt }),
+            accessTokenExpiresAt: accessTokenExpiresAt,
+            refreshToken: refreshToken,
+            refreshTokenExpiresAt: refreshTokenExpiresAt
+        };
+    }
+
+    /**
+     * Drop refresh tokens nobody can use any more
+     */
+    pruneRefreshTokens(now = Date.now()) {
+        this.store.getCollection('refreshTokens').forEach((record, key) => {
+            if (record.expiresAt <= now) {
+                this.store.delete('refreshTokens', key);
+            }
+        });
+    }
+
+    // === Access Tokens ===
+
+    signToken(payload) {
+        const body = base64url(JSON.stringify(payload));
+        return `${body}.${this.sign(body)}`;
+    }
+
+    /**
+     * @param {string} token - Access token from a client
+     * @returns {string|null} - The username it was issued to, or null when forged or expired
+     */
+    verifyAccessToken(token) {
+        if (typeof token !== 'string') return null;
+
+        const [body, signature] = token.split('.');
+        if (!body || !signature) return null;
+
+        const expected = Buffer.from(this.sign(body));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+        try {
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            if (!(payload.exp > Date.now()) || !this.isRegistered(payload.sub)) return null;
+            return payload.sub;
+        } catch {
+            return null;
+        }
+    }
+
+    sign(body) {
+        return createHmac('sha256', this.secret).update(body).digest('base64url');
+    }
+
+    // === Passwords ===
+
+    static async hashPassword(password) {
+        const salt = randomBytes(AUTH.PASSWORD_SALT_BYTES);
+        const hash = await scryptAsync(password, salt, AUTH.PASSWORD_HASH_BYTES);
+        return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+    }
+
+    static async verifyPassword(password, stored) {
+        const [scheme, salt, hash] = stored.split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = await scryptAsync(password, Buffer.from(salt, 'hex'), expected.length);
+        return timingSafeEqual(expected, actual);
+    }
+
+    static hashToken(token) {
+        return createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * What a client may see of an account
+     */
+    static sanitizeAccount(account) {
+        return {
+            id: account.id,
+            username: account.username,
+            email: account.email,
+            createdAt: account.createdAt
+        };
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Auth API for Max-Pixels
+ * JSON endpoints under /api/auth on the game server's HTTP port:
+ * register, login, refresh and logout. Every request is a POST with a JSON
+ * body; every answer is {success, ...} like the client AuthService returns.
+ */
+
+import { AUTH } from '../../src/constants.js';
+import { AuthError } from './AccountService.js';
+import { logger } from '../logging/Logger.js';
+
+const log = logger.child('auth');
+
+const ROUTE_PREFIX = '/api/auth/';
+
+const HTTP_STATUS = {
+    OK: 200,
+    NO_CONTENT: 204,
+    BAD_REQUEST: 400,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    PAYLOAD_TOO_LARGE: 413,
+    SERVER_ERROR: 500
+};
+
+// The game page is served from another origin; tokens travel in bodies, never cookies
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+export class AuthApi {
+    /**
+     * @param {AccountService} accounts - Does the actual work
+     */
+    constructor(accounts) {
+        this.accounts = accounts;
+        this.routes = {
+            register: (body) => this.accounts.register(body.username, body.email, body.password),
+            login: (body) => this.accounts.login(body.username, body.password),
+            refresh: (body) => this.accounts.refresh(body.refreshToken),
+            logout: (body) => this.accounts.logout(body.refreshToken)
+        };
+    }
+
+    /**
+     * Answer a request if it is for the auth API
+     * @returns {boolean} - False when the request belongs to someone else
+     */
+    handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (!pathname.startsWith(ROUTE_PREFIX)) return false;
+
+        const route = this.routes[pathname.slice(ROUTE_PREFIX.length)];
+        if (!route) {
+            this.send(res, HTTP_STATUS.NOT_FOUND, { success: false, message: 'Unknown auth endpoint' });
+        } else if (req.method === 'OPTIONS') {
+            res.writeHead(HTTP_STATUS.NO_CONTENT, CORS_HEADERS);
+            res.end();
+        } else if (req.method !== 'POST') {
+            this.send(res, HTTP_STATUS.METHOD_NOT_ALLOWED, { success: false, message: 'Use POST' });
+        } else {
+            this.run(route, req, res);
+        }
+        return true;
+    }
+
+    async run(route, req, res) {
+        try {
+            const body = await AuthApi.readBody(req);
+            const result = await route(body);
+            this.send(res, HTTP_STATUS.OK, { success: true, ...result });
+        } catch (error) {
+            if (error instanceof AuthError) {
+                this.send(res, error.status, { success: false, code: error.code, message: error.message });
+                return;
+            }
+
+            log.error('Auth request failed', { url: req.url, error });
+            this.send(res, HTTP_STATUS.SERVER_ERROR, { success: false, message: 'Server error' });
+        }
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Read a small JSON object body
+     */
+    static readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            const collect = (chunk) => {
+                size += chunk.length;
+                if (size > AUTH.MAX_REQUEST_BYTES) {
+                    // Stop keeping the body but let it drain, so the answer still reaches the client
+                    req.off('data', collect);
+                    req.resume();
+                    reject(new AuthError(AUTH.ERROR_CODES.INVALID_REQUEST, 'Request too large', HTTP_STATUS.PAYLOAD_TOO_LARGE));
+                    return;
+                }
+                chunks.push(chunk);
+            };
+            req.on('data', collect);
+
+            req.on('end', () => {
+                try {
+                    const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+                    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+                    resolve(body);
+                } catch {
+                    reject(new AuthError(AUTH.ERROR_CODES.INVALID_REQUEST, 'Request body must be a JSON object', HTTP_STATUS.BAD_REQUEST));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+}
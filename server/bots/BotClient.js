@@ -0,0 +1,204 @@
+/**
+ * Bot Client for Max-Pixels
+ * A headless pilot for load tests. It talks through the game's own
+ * NetworkManager, so the server sees what a browser would send: a join,
+ * one input per physics step in batches, shots, chat and heartbeats.
+ */
+
+import { NETWORK, PLAYER } from '../../src/constants.js';
+import { NetworkManager } from '../../src/network/NetworkManager.js';
+import { ShipPhysics } from '../../src/movement/ShipPhysics.js';
+import { byteLength } from '../metrics/ServerMetrics.js';
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60000;
+
+// How long a bot holds a course before picking another, in milliseconds
+const MIN_COURSE_TIME = 500;
+const MAX_COURSE_TIME = 4000;
+
+// Share of courses flown with the boost on, or in reverse
+const BOOST_CHANCE = 0.1;
+const REVERSE_CHANCE = 0.1;
+
+const TURNS = [-1, 0, 1];
+
+const CHAT_LINES = [
+    'Anyone trading ore in this sector?',
+    'Heading for the jump gate',
+    'Nice shot!',
+    'Watch out for the asteroids',
+    'gg'
+];
+
+/**
+ * Time until the next event of a Poisson process, so bots do not fire in lockstep
+ * @param {number} interval - Mean milliseconds between events
+ */
+const randomDelay = (interval) => -Math.log(1 - Math.random()) * interval;
+
+/**
+ * NetworkManager that counts what crosses the wire
+ */
+class BotNetwork extends NetworkManager {
+    constructor(stats) {
+        super();
+        this.stats = stats;
+
+        // A dropped bot stays dropped, so the report shows every lost connection
+        this.maxReconnectAttempts = 0;
+    }
+
+    sendMessage(type, data = {}) {
+        const sent = super.sendMessage(type, data);
+        if (sent) {
+            this.stats.recordSent(type);
+        }
+        return sent;
+    }
+
+    handleMessage(messageData) {
+        this.stats.recordBytesReceived(byteLength(messageData));
+        super.handleMessage(messageData);
+    }
+
+    dispatchMessage(type, data, message) {
+        this.stats.recordReceived(type);
+        super.dispatchMessage(type, data, message);
+    }
+}
+
+export class BotClient {
+    /**
+     * @param {string} playerId - Guest name the bot joins under
+     * @param {Object} options - {fireRate: shots per second, chatRate: messages per minute}
+     * @param {LoadStats} stats - Where the bot's measurements go
+     */
+    constructor(playerId, options, stats) {
+        this.playerId = playerId;
+        this.options = options;
+        this.stats = stats;
+        this.network = new BotNetwork(stats);
+
+        this.sectorId = null;
+        this.ship = null; // latest server state of our own ship
+        this.input = { thrust: 0, rotation: 0, boost: false };
+        this.stepTime = 0;
+        this.lastUpdate = null;
+        this.nextCourseAt = 0;
+        this.nextFireAt = 0;
+        this.nextChatAt = 0;
+
+        this.connected = false;
+        this.stopping = false;
+
+        this.registerHandlers();
+    }
+
+    registerHandlers() {
+        const types = NETWORK.MESSAGE_TYPES;
+
+        this.network.on(types.HEARTBEAT, (data) => {
+            if (Number.isFinite(data?.clientTime)) {
+                this.stats.recordRtt(Date.now() - data.clientTime);
+            }
+        });
+
+        this.network.on(types.ROOM_JOIN, (data) => {
+            this.sectorId = data.roomId;
+        });
+
+        this.network.on(types.GAME_STATE, (data) => {
+            const own = (data.players || []).find(player => player.id === this.playerId);
+            if (own) {
+                this.ship = own;
+            }
+        });
+
+        this.network.on(types.PLAYER_KILLED, (data) => {
+            if (data.victimId === this.playerId) {
+                setTimeout(() => this.network.sendPlayerRespawn(), PLAYER.DEATH_RESPAWN_DELAY);
+            }
+        });
+
+        this.network.on(types.ERROR, (data) => {
+            this.stats.recordError(data.code);
+        });
+
+        this.network.onConnection('disconnected', (event) => {
+            if (this.connected && !this.stopping) {
+                this.stats.recordDrop(event.code);
+            }
+            this.connected = false;
+        });
+    }
+
+    async start(url) {
+        try {
+            await this.network.connect(url, this.playerId);
+            this.connected = true;
+            this.stats.recordConnected();
+        } catch {
+            this.stats.recordConnectFailure();
+        }
+    }
+
+    /**
+     * Fly, shoot and chat for the time since the last update. Called for
+     * every bot at the client's input send rate.
+     */
+    update(now) {
+        if (!this.network.isConnected) return;
+
+        // One input per fixed physics step, as the game loop records them
+        if (this.lastUpdate !== null) {
+            this.stepTime += (now - this.lastUpdate) / MS_PER_SECOND;
+            while (this.stepTime >= PLAYER.DELTA_TIME) {
+                this.network.recordInput(this.input);
+                this.stepTime -= PLAYER.DELTA_TIME;
+            }
+        }
+        this.lastUpdate = now;
+
+        if (!this.sectorId) return;
+        this.network.sendPlayerInput(this.sectorId);
+
+        if (now >= this.nextCourseAt) {
+            this.changeCourse();
+            this.nextCourseAt = now + MIN_COURSE_TIME + Math.random() * (MAX_COURSE_TIME - MIN_COURSE_TIME);
+        }
+
+        if (this.options.fireRate > 0 && now >= this.nextFireAt) {
+            this.fire();
+            this.nextFireAt = now + randomDelay(MS_PER_SECOND / this.options.fireRate);
+        }
+
+        if (this.options.chatRate > 0 && now >= this.nextChatAt) {
+            if (this.nextChatAt > 0) {
+                this.network.sendChatMessage(CHAT_LINES[Math.floor(Math.random() * CHAT_LINES.length)]);
+            }
+            this.nextChatAt = now + randomDelay(MS_PER_MINUTE / this.options.chatRate);
+        }
+    }
+
+    /**
+     * Pick a random heading change and throttle: a random path made of arcs
+     */
+    changeCourse() {
+        this.input = {
+            thrust: Math.random() < REVERSE_CHANCE ? -1 : 1,
+            rotation: TURNS[Math.floor(Math.random() * TURNS.length)],
+            boost: Math.random() < BOOST_CHANCE
+        };
+    }
+
+    fire() {
+        if (!this.ship) return;
+        this.network.sendPlayerFire(this.ship.position, ShipPhysics.toDisplayRotation(this.ship.rotation));
+    }
+
+    stop() {
+        this.stopping = true;
+        this.network.disconnect();
+    }
+}
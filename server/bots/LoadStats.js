@@ -0,0 +1,158 @@
+/**
+ * Load Stats for Max-Pixels
+ * What a load test measured across all its bots: round trips, message
+ * throughput and the connections that failed or dropped.
+ */
+
+const MS_PER_SECOND = 1000;
+const BYTES_PER_KIB = 1024;
+const PERCENT = 100;
+
+// Round-trip percentiles reported
+const MEDIAN = 50;
+const P90 = 90;
+const P99 = 99;
+const PERCENTILES = [MEDIAN, P90, P99];
+
+// Most frequent message types listed in the report
+const TOP_TYPES = 8;
+
+const increment = (counts, key, amount = 1) => {
+    counts.set(key, (counts.get(key) || 0) + amount);
+};
+
+export class LoadStats {
+    constructor(startedAt = Date.now()) {
+        this.startedAt = startedAt;
+        this.rttSamples = [];
+        this.sent = new Map();
+        this.received = new Map();
+        this.bytesReceived = 0;
+        this.errors = new Map();
+        this.connected = 0;
+        this.connectFailures = 0;
+        this.drops = new Map();
+    }
+
+    recordRtt(rtt) {
+        this.rttSamples.push(rtt);
+    }
+
+    recordSent(type) {
+        increment(this.sent, type);
+    }
+
+    recordReceived(type) {
+        increment(this.received, type);
+    }
+
+    recordBytesReceived(bytes) {
+        this.bytesReceived += bytes;
+    }
+
+    recordError(code) {
+        increment(this.errors, code);
+    }
+
+    recordConnected() {
+        this.connected++;
+    }
+
+    recordConnectFailure() {
+        this.connectFailures++;
+    }
+
+    /**
+     * A bot that lost its connection without asking to
+     * @param {number} code - WebSocket close code
+     */
+    recordDrop(code) {
+        this.connected--;
+        increment(this.drops, code);
+    }
+
+    /**
+     * @param {number} percentile - 0 to 100
+     * @returns {number|null} - Round trip in milliseconds, null before any sample
+     */
+    getRttPercentile(percentile) {
+        if (this.rttSamples.length === 0) return null;
+
+        const sorted = [...this.rttSamples].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.ceil(percentile / PERCENT * sorted.length) - 1);
+        return sorted[Math.max(0, index)];
+    }
+
+    getSummary(now = Date.now()) {
+        const seconds = Math.max(1, (now - this.startedAt) / MS_PER_SECOND);
+        const total = (counts) => Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+        const drops = total(this.drops);
+
+        return {
+            duration: seconds,
+            connected: this.connected,
+            connectFailures: this.connectFailures,
+            dropped: drops,
+            dropsByCode: Object.fromEntries(this.drops),
+            rtt: {
+                samples: this.rttSamples.length,
+                ...Object.fromEntries(PERCENTILES.map(percentile => [`p${percentile}`, this.getRttPercentile(percentile)])),
+                max: this.rttSamples.length > 0 ? Math.max(...this.rttSamples) : null
+            },
+            sentPerSecond: total(this.sent) / seconds,
+            receivedPerSecond: total(this.received) / seconds,
+            receivedBytesPerSecond: this.bytesReceived / seconds,
+            sent: Object.fromEntries(this.sent),
+            received: Object.fromEntries(this.received),
+            errors: Object.fromEntries(this.errors)
+        };
+    }
+
+    /**
+     * One line for progress output while the test runs
+     */
+    formatProgress(bots, now = Date.now()) {
+        const summary = this.getSummary(now);
+        return `[${Math.round(summary.duration)}s] bots ${summary.connected}/${bots}` +
+            `  rtt p50 ${LoadStats.formatMs(summary.rtt.p50)} p99 ${LoadStats.formatMs(summary.rtt.p99)}` +
+            `  msgs/s out ${summary.sentPerSecond.toFixed(1)} in ${summary.receivedPerSecond.toFixed(1)}` +
+            `  dropped ${summary.dropped}`;
+    }
+
+    /**
+     * The end-of-test report
+     * @param {Object|null} serverStats - The server's /stats, when it could be fetched
+     */
+    formatReport(bots, serverStats = null, now = Date.now()) {
+        const summary = this.getSummary(now);
+        const topTypes = (counts) => Object.entries(counts)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, TOP_TYPES)
+            .map(([type, count]) => `${type} ${(count / summary.duration).toFixed(1)}/s`)
+            .join(', ') || 'none';
+        const byCode = (counts) => Object.entries(counts).map(([code, count]) => `${code} x${count}`).join(', ') || 'none';
+
+        const lines = [
+            `Load test: ${bots} bots for ${summary.duration.toFixed(1)}s`,
+            `  Connected at end   ${summary.connected}/${bots}`,
+            `  Failed to connect  ${summary.connectFailures}`,
+            `  Dropped            ${summary.dropped} (${byCode(summary.dropsByCode)})`,
+            `  RTT (${summary.rtt.samples} samples)  ${PERCENTILES.map(p => `p${p} ${LoadStats.formatMs(summary.rtt[`p${p}`])}`).join('  ')}  max ${LoadStats.formatMs(summary.rtt.max)}`,
+            `  Sent               ${summary.sentPerSecond.toFixed(1)} msgs/s: ${topTypes(summary.sent)}`,
+            `  Received           ${summary.receivedPerSecond.toFixed(1)} msgs/s, ${(summary.receivedBytesPerSecond / BYTES_PER_KIB).toFixed(1)} KiB/s: ${topTypes(summary.received)}`,
+            `  Server errors      ${byCode(summary.errors)}`
+        ];
+
+        if (serverStats?.traffic) {
+            const tick = serverStats.traffic.tickDuration;
+            lines.push(`  Server ticks       avg ${LoadStats.formatMs(tick.average)}  max ${LoadStats.formatMs(tick.max)}`);
+            lines.push(`  Server players     ${serverStats.connectedPlayers}, rooms ${JSON.stringify(serverStats.rooms)}`);
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    static formatMs(value) {
+        return value === null || value === undefined ? '-' : `${value.toFixed(1)}ms`;
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * Load Test for Max-Pixels
+ * Connects a crowd of bot players to a game server, flies them around for a
+ * while and reports round trips, message rates, dropped connections and
+ * the server's own tick timings.
+ *
+ *   npm run loadtest -- --url ws://localhost:8080 --bots 50 --duration 60
+ */
+
+import { WebSocket } from 'ws';
+import { NETWORK } from '../../src/constants.js';
+import { ServerConfig } from '../config/ServerConfig.js';
+import { BotClient } from './BotClient.js';
+import { LoadStats } from './LoadStats.js';
+
+const MS_PER_SECOND = 1000;
+
+// Column width in the --help listing
+const FLAG_WIDTH = 16;
+
+const OPTIONS = {
+    url: { type: 'string', default: NETWORK.DEFAULT_SERVER_URL, description: 'Game server to load' },
+    bots: { type: 'integer', min: 1, default: 10, description: 'Bots to connect' },
+    ramp: { type: 'number', min: 0, default: 100, description: 'Milliseconds between bot connections' },
+    duration: { type: 'number', min: 1, default: 30, description: 'Seconds to run, ramp-up included' },
+    fireRate: { type: 'number', min: 0, default: 0.5, description: 'Shots per second per bot' },
+    chatRate: { type: 'number', min: 0, default: 1, description: 'Chat messages per minute per bot' },
+    report: { type: 'number', min: 0, default: 5, description: 'Seconds between progress lines; 0 for none' },
+    prefix: { type: 'string', default: 'bot', description: 'Player ID prefix, numbered per bot' },
+    metricsToken: { type: 'string', default: null, description: 'Bearer token for the server\'s /stats' },
+    format: { type: 'enum', values: ['text', 'json'], default: 'text', description: 'Report format' }
+};
+
+const kebabCase = (key) => key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+// The game client chats on the console; stdout is kept for the report, while
+// errors still go to stderr
+console.log = console.warn = () => {};
+
+// NetworkManager uses the browser's WebSocket
+globalThis.WebSocket = WebSocket;
+
+const usage = () => [
+    'Usage: node server/bots/loadTest.js [--option value ...]',
+    '',
+    ...Object.entries(OPTIONS).map(([key, option]) => {
+        const values = option.values ? ` (${option.values.join('|')})` : '';
+        const fallback = option.default === null ? '' : ` [${option.default}]`;
+        return `  --${kebabCase(key).padEnd(FLAG_WIDTH)} ${option.description}${values}${fallback}`;
+    }),
+    ''
+].join('\n');
+
+/**
+ * Read the flags into options, or exit with every problem found
+ */
+const parseOptions = (argv) => {
+    const problems = [];
+    const flags = ServerConfig.parseArgs(argv, problems);
+    const options = {};
+
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        const name = kebabCase(key);
+        if (!(name in flags)) {
+            options[key] = option.default;
+            continue;
+        }
+
+        const raw = flags[name];
+        delete flags[name];
+        if (option.type === 'string') {
+            options[key] = raw;
+        } else if (option.type === 'enum') {
+            if (!option.values.includes(raw)) {
+                problems.push(`--${name} must be one of ${option.values.join(', ')}`);
+            }
+            options[key] = raw;
+        } else {
+            const value = Number(raw);
+            if (!Number.isFinite(value) || value < option.min || (option.type === 'integer' && !Number.isInteger(value))) {
+                problems.push(`--${name} must be ${option.type === 'integer' ? 'an integer' : 'a number'} of at least ${option.min}`);
+            }
+            options[key] = value;
+        }
+    }
+
+    problems.push(...Object.keys(flags).map(name => `Unknown option --${name}`));
+    if (problems.length > 0) {
+        process.stderr.write(`Invalid options:\n${problems.map(problem => `  - ${problem}`).join('\n')}\n`);
+        process.exit(1);
+    }
+    return options;
+};
+
+/**
+ * The server's /stats, from the HTTP side of the WebSocket address
+ * @returns {Promise<Object|null>} - Null when the server does not answer
+ */
+const fetchServerStats = async (url, token) => {
+    try {
+        const statsUrl = new URL('/stats', url.replace(/^ws/, 'http'));
+        const response = await fetch(statsUrl, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+            signal: AbortSignal.timeout(NETWORK.CONNECTION_TIMEOUT)
+        });
+        return response.ok ? await response.json() : null;
+    } catch {
+        return null;
+    }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const run = async (options) => {
+    const stats = new LoadStats();
+    const bots = [];
+    let finished = false;
+
+    // One loop drives every bot, at the rate the browser sends its inputs
+    const updateLoop = setInterval(() => {
+        const now = Date.now();
+        bots.forEach(bot => bot.update(now));
+    }, MS_PER_SECOND / NETWORK.MOVEMENT_UPDATE_RATE);
+
+    const progressLoop = options.report > 0 && options.format === 'text'
+        ? setInterval(() => process.stdout.write(`${stats.formatProgress(options.bots)}\n`), options.report * MS_PER_SECOND)
+        : null;
+
+    const finish = async () => {
+        if (finished) return;
+        finished = true;
+
+        clearInterval(updateLoop);
+        clearInterval(progressLoop);
+
+        // Asked before the bots leave, so the server still counts them
+        const serverStats = await fetchServerStats(options.url, options.metricsToken);
+        const now = Date.now();
+        bots.forEach(bot => bot.stop());
+
+        if (options.format === 'json') {
+            process.stdout.write(`${JSON.stringify({ bots: options.bots, ...stats.getSummary(now), server: serverStats }, null, 2)}\n`);
+        } else {
+            process.stdout.write(stats.formatReport(options.bots, serverStats, now));
+        }
+
+        // A test where bots could not connect or were dropped fails, for use in CI
+        process.exit(stats.connectFailures > 0 || stats.drops.size > 0 ? 1 : 0);
+    };
+
+    process.on('SIGINT', finish);
+    process.on('SIGTERM', finish);
+
+    for (let i = 0; i < options.bots && !finished; i++) {
+        const bot = new BotClient(`${options.prefix}${i + 1}`, options, stats);
+        bots.push(bot);
+        bot.start(options.url);
+
+        if (i === 0) {
+            setTimeout(finish, options.duration * MS_PER_SECOND);
+        }
+        await sleep(options.ramp);
+    }
+};
+
+if (process.argv.includes('--help')) {
+    process.stdout.write(usage());
+    process.exit(0);
+}
+
+run(parseOptions(process.argv.slice(2)));
@@ -0,0 +1,242 @@
+/**
+ * Server Config for Max-Pixels
+ * Settings for the game server, read from (later wins):
+ *   1. the defaults below
+ *   2. a JSON file, given with --config or MAX_PIXELS_CONFIG
+ *   3. environment variables, MAX_PIXELS_<OPTION> (e.g. MAX_PIXELS_TICK_RATE)
+ *   4. command line flags, --<option> (e.g. --tick-rate 30)
+ * Everything is checked at startup and every problem is reported at once.
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, isAbsolute, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { NETWORK } from '../../src/constants.js';
+import { SpaceNavigation } from '../../src/navigation/SpaceNavigation.js';
+import { Logger } from '../logging/Logger.js';
+
+const MS_PER_SECOND = 1000;
+const MAX_PORT = 65535;
+const MAX_TICK_RATE = 240;
+
+const ENV_PREFIX = 'MAX_PIXELS_';
+
+// Column widths in the --help listing
+const FLAG_WIDTH = 20;
+const ENV_WIDTH = 30;
+
+export const PVP_MODES = {
+    SECTOR: 'sector', // each sector's own pvpEnabled flag
+    ALL: 'all',
+    NONE: 'none'
+};
+
+const SECTOR_IDS = Array.from(new SpaceNavigation().sectors.keys());
+
+/**
+ * Every option: its type, default and limits. Env and flag names derive
+ * from the key unless given. Relative paths in the config file start from
+ * the file's own directory.
+ */
+const OPTIONS = {
+    port: { type: 'integer', min: 1, max: MAX_PORT, default: 8080, description: 'HTTP and WebSocket port' },
+    host: { type: 'string', default: null, description: 'Address to listen on; all interfaces when unset' },
+    tickRate: { type: 'number', min: 1, max: MAX_TICK_RATE, default: NETWORK.SERVER_TICK_RATE, description: 'Simulation ticks per second' },
+    broadcastRate: { type: 'number', min: 1, max: NETWORK.SERVER_TICK_RATE, default: MS_PER_SECOND / NETWORK.DELTA_STATE_SYNC_INTERVAL, description: 'World state updates sent per second' },
+    maxPlayers: { type: 'integer', min: 1, default: null, description: 'Players on the whole server; only sector capacity when unset' },
+    maxRoomPlayers: { type: 'integer', min: 1, default: NETWORK.MAX_ROOM_PLAYERS, description: 'Players per sector' },
+    sectors: { type: 'list', values: SECTOR_IDS, default: null, description: 'Sectors to host, the first being where new players start; all when unset' },
+    pvp: { type: 'enum', values: Object.values(PVP_MODES), default: PVP_MODES.SECTOR, description: 'Where ships can damage each other: per sector, everywhere or nowhere' },
+    inactivityTimeout: { type: 'integer', min: 1, default: NETWORK.CONNECTION_TIMEOUT, description: 'Milliseconds without messages before a player is removed' },
+    flushInterval: { type: 'integer', min: 1, default: NETWORK.STORE_FLUSH_INTERVAL, description: 'Milliseconds between writes of the data file' },
+    dataFile: { type: 'string', path: true, default: fileURLToPath(new URL('../data/max-pixels.json', import.meta.url)), description: 'Where accounts and progress are kept' },
+    logLevel: { type: 'enum', values: Logger.LEVEL_NAMES, env: 'LOG_LEVEL', default: 'info', description: 'Lowest level of log entries written' },
+    authSecret: { type: 'string', default: null, description: 'Token signing key; generated and kept in the data file when unset' },
+    metricsToken: { type: 'string', default: null, description: 'Bearer token for /metrics and /stats; open when unset' }
+};
+
+const kebabCase = (key) => key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+const envName = (key) => OPTIONS[key].env || `${ENV_PREFIX}${kebabCase(key).replace(/-/g, '_').toUpperCase()}`;
+
+/**
+ * A configuration that cannot be used, with every problem found
+ */
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid server configuration:\n  ${problems.join('\n  ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+export class ServerConfig {
+    static defaults() {
+        return Object.fromEntries(Object.entries(OPTIONS).map(([key, option]) => [key, option.default]));
+    }
+
+    /**
+     * Read and check the configuration
+     * @param {Object} sources - {argv, env, readFile}; the process's own by default
+     * @returns {Object} - Frozen settings, one entry per option
+     * @throws {ConfigError} - When anything is missing, unknown or out of range
+     */
+    static load({ argv = process.argv.slice(2), env = process.env, readFile = (path) => readFileSync(path, 'utf8') } = {}) {
+        const problems = [];
+        const flags = ServerConfig.parseArgs(argv, problems);
+
+        // Later sources override earlier ones: [key, raw value, where it came from]
+        const entries = [];
+
+        const configPath = flags.config ?? env[`${ENV_PREFIX}CONFIG`];
+        if (configPath) {
+            entries.push(...ServerConfig.readFileEntries(configPath, readFile, problems));
+        }
+
+        Object.keys(OPTIONS).forEach(key => {
+            if (env[envName(key)] !== undefined) {
+                entries.push([key, env[envName(key)], envName(key)]);
+            }
+        });
+
+        Object.entries(flags).forEach(([flag, value]) => {
+            if (flag === 'config') return;
+            const key = Object.keys(OPTIONS).find(candidate => kebabCase(candidate) === flag);
+            if (!key) {
+                problems.push(`Unknown flag --${flag}`);
+                return;
+            }
+            entries.push([key, value, `--${flag}`]);
+        });
+
+        const config = ServerConfig.defaults();
+        entries.forEach(([key, raw, source]) => {
+            try {
+                config[key] = ServerConfig.parseValue(key, raw);
+            } catch (error) {
+                problems.push(`${key} from ${source} ${error.message}`);
+            }
+        });
+
+        if (problems.length > 0) {
+            throw new ConfigError(problems);
+        }
+        return Object.freeze(config);
+    }
+
+    /**
+     * @returns {Object} - Flag name -> value, for --name value and --name=value
+     */
+    static parseArgs(argv, problems) {
+        const flags = {};
+        for (let i = 0; i < argv.length; i++) {
+            const match = /^--([a-z][a-z-]*)(?:=(.*))?$/.exec(argv[i]);
+            if (!match) {
+                problems.push(`Unexpected argument "${argv[i]}"`);
+                continue;
+            }
+
+            const [, name, inlineValue] = match;
+            if (inlineValue !== undefined) {
+                flags[name] = inlineValue;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                flags[name] = argv[++i];
+            } else {
+                problems.push(`--${name} needs a value`);
+            }
+        }
+        return flags;
+    }
+
+    static readFileEntries(path, readFile, problems) {
+        let data;
+        try {
+            data = JSON.parse(readFile(path));
+        } catch (error) {
+            problems.push(`Could not read config file ${path}: ${error.message}`);
+            return [];
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            problems.push(`Config file ${path} must hold a JSON object`);
+            return [];
+        }
+
+        return Object.entries(data).filter(([key]) => {
+            if (OPTIONS[key]) return true;
+            problems.push(`Unknown option "${key}" in ${path}`);
+            return false;
+        }).map(([key, value]) => {
+            const relative = OPTIONS[key].path && typeof value === 'string' && value !== '' && !isAbsolute(value);
+            return [key, relative ? resolve(dirname(path), value) : value, path];
+        });
+    }
+
+    /**
+     * Turn a raw value into the option's type. Strings from the environment
+     * and flags are converted; JSON values must already have the right type.
+     * Null resets an option whose default is unset.
+     * @throws {Error} - Describing what was wrong, to follow "<key> from <source>"
+     */
+    static parseValue(key, raw) {
+        const option = OPTIONS[key];
+        if (raw === null && option.default === null) return null;
+
+        switch (option.type) {
+        case 'integer':
+        case 'number': {
+            const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            const valid = typeof value === 'number' && Number.isFinite(value) &&
+                (option.type === 'number' || Number.isInteger(value)) &&
+                value >= option.min && (option.max === undefined || value <= option.max);
+            if (!valid) {
+                const range = option.max === undefined ? `at least ${option.min}` : `between ${option.min} and ${option.max}`;
+                throw new Error(`must be ${option.type === 'integer' ? 'an integer' : 'a number'} ${range}, got ${JSON.stringify(raw)}`);
+            }
+            return value;
+        }
+        case 'string':
+            if (typeof raw !== 'string' || raw === '') {
+                throw new Error(`must be a non-empty string, got ${JSON.stringify(raw)}`);
+            }
+            return raw;
+        case 'enum':
+            if (!option.values.includes(raw)) {
+                throw new Error(`must be one of ${option.values.join(', ')}, got ${JSON.stringify(raw)}`);
+            }
+            return raw;
+        case 'list': {
+            const values = typeof raw === 'string' ? raw.split(',').map(value => value.trim()).filter(Boolean) : raw;
+            if (!Array.isArray(values) || values.length === 0) {
+                throw new Error(`must be a non-empty list, got ${JSON.stringify(raw)}`);
+            }
+            const unknown = values.filter(value => !option.values.includes(value));
+            if (unknown.length > 0) {
+                throw new Error(`has unknown entries ${unknown.join(', ')}; known: ${option.values.join(', ')}`);
+            }
+            return Array.from(new Set(values));
+        }
+        }
+        throw new Error(`has unsupported type ${option.type}`);
+    }
+
+    /**
+     * Help text for --help
+     */
+    static usage() {
+        const lines = Object.entries(OPTIONS).map(([key, option]) => {
+            const values = option.values ? ` (${option.values.join('|')})` : '';
+            const fallback = option.default === null ? '' : ` [${option.default}]`;
+            return `  --${kebabCase(key).padEnd(FLAG_WIDTH)} ${envName(key).padEnd(ENV_WIDTH)} ${option.description}${values}${fallback}`;
+        });
+
+        return [
+            'Usage: node server/gameServer.js [--option value ...]',
+            '',
+            `  --${'config'.padEnd(FLAG_WIDTH)} ${`${ENV_PREFIX}CONFIG`.padEnd(ENV_WIDTH)} JSON file with any of the options below`,
+            ...lines,
+            '',
+            'Flags override environment variables, which override the config file.',
+            ''
+        ].join('\n');
+    }
+}
@@ -3,68 +3,236 @@
  * Basic multiplayer server for testing network functionality
  */
 
+import { randomBytes } from 'crypto';
+import { createServer } from 'http';
+import { performance } from 'perf_hooks';
 import { WebSocketServer, WebSocket } from 'ws';
+import { NETWORK, PLAYER, WEAPONS, ASTEROID_FIELD, NAVIGATION, TRADING, CARGO } from '../src/constants.js';
+import { ShipPhysics } from '../src/movement/ShipPhysics.js';
+import { Player } from '../src/player/Player.js';
+import { CargoHold } from '../src/player/CargoHold.js';
+import { TradingSystem } from '../src/trading/TradingSystem.js';
+import { SpaceNavigation } from '../src/navigation/SpaceNavigation.js';
+import { StateDelta } from '../src/network/StateDelta.js';
+import { MessageCodec } from '../src/network/MessageCodec.js';
+import { MessageValidator } from '../src/network/MessageValidator.js';
+import { TokenBucket } from '../src/network/TokenBucket.js';
+import { LagCompensation } from '../src/network/LagCompensation.js';
+import { AsteroidField } from '../src/world/AsteroidField.js';
+import { MemoryStore } from './storage/MemoryStore.js';
+import { JsonFileStore } from './storage/JsonFileStore.js';
+import { AccountService } from './auth/AccountService.js';
+import { AuthApi } from './auth/AuthApi.js';
+import { BanList } from './admin/BanList.js';
+import { AdminCommands } from './admin/AdminCommands.js';
+import { AdminConsole } from './admin/AdminConsole.js';
+import { ServerMetrics, byteLength } from './metrics/ServerMetrics.js';
+import { MetricsApi } from './metrics/MetricsApi.js';
+import { logger } from './logging/Logger.js';
+import { ServerConfig, ConfigError, PVP_MODES } from './config/ServerConfig.js';
 
-class GameServer {
-    constructor(port = 8080) {
-        this.port = port;
+const log = logger.child('game');
+
+// Layout of the restart snapshot in the store's 'server' collection
+const HANDOFF_VERSION = 1;
+
+export class GameServer {
+    /**
+     * @param {Object} config - Settings from ServerConfig.load()
+     * @param {MemoryStore} store - Where accounts and player progress are kept
+     */
+    constructor(config = ServerConfig.defaults(), store = new MemoryStore()) {
+        this.config = config;
+        this.port = config.port;
         this.clients = new Map();
+        
+        // Persistent records: 'accounts' and 'players' collections keyed by player ID
+        this.store = store.load();
+        
+        // Logins over HTTP; their access tokens admit account players to the game
+        this.accounts = new AccountService(this.store, config.authSecret);
+        this.authApi = new AuthApi(this.accounts);
+        
+        // Moderation: bans live in the store, mutes (playerId -> muted until) last until restart
+        this.bans = new BanList(this.store);
+        this.mutes = new Map();
+        this.adminCommands = new AdminCommands(this);
+        
+        // Traffic and tick timing for the monitoring endpoints
+        this.metrics = new ServerMetrics();
+        this.metricsApi = new MetricsApi(this, config.metricsToken);
         this.gameState = {
             players: new Map(),
             gameObjects: [],
             lastUpdate: Date.now()
         };
         
-        this.MessageTypes = {
-            PLAYER_JOIN: 'player_join',
-            PLAYER_LEAVE: 'player_leave',
-            PLAYER_MOVE: 'player_move',
-            PLAYER_FIRE: 'player_fire',
-            GAME_STATE: 'game_state',
-            CHAT_MESSAGE: 'chat_message',
-            HEARTBEAT: 'heartbeat',
-            ERROR: 'error'
+        // Sector layout is shared with the client so bounds and spawns agree
+        this.navigation = new SpaceNavigation();
+        this.configureSectors();
+        
+        // Item prices for checking progress reports; the markets themselves run on the client
+        this.trading = new TradingSystem([]);
+        
+        // The server owns every sector's asteroids so all players mine the same rocks
+        this.navigation.getAllSectors().forEach(sector => {
+            this.gameState.gameObjects.push(...AsteroidField.generate(sector.id, sector.asteroids, sector.bounds));
+        });
+        
+        // Destroyed asteroids waiting to reappear: asteroid ID -> {asteroid, respawnAt}
+        this.asteroidRespawns = new Map();
+        
+        // One room per sector: sectorId -> Set of player IDs
+        this.rooms = new Map();
+        
+        // Players whose connection dropped, kept for a grace period: resumeToken -> player
+        this.suspendedSessions = new Map();
+        
+        // Set while shutting down: joins are refused and clients are told when to come back
+        this.draining = false;
+        this.restartAt = null;
+        
+        // Sessions and asteroids left by a server that restarted
+        this.restoreHandoff();
+        
+        // Fixed-timestep simulation bookkeeping
+        this.lastTickTime = Date.now();
+        this.tickAccumulator = 0;
+        
+        // Recent ship positions for rewinding shots to what the shooter saw
+        this.lagCompensation = new LagCompensation();
+        
+        // Abuse counters since startup
+        this.securityStats = {
+            invalidMessages: 0,
+            rateLimitedMessages: 0,
+            disconnectedOffenders: 0
         };
         
-        this.init();
+        // Message types - use constants from NETWORK
+        this.MessageTypes = NETWORK.MESSAGE_TYPES;
     }
     
     init() {
-        this.wss = new WebSocketServer({ port: this.port }, () => {
-            console.log(`Max-Pixels Game Server started on port ${this.port}`);
+        // One port for everything: auth and monitoring over HTTP, the game over WebSocket upgrades
+        this.httpServer = createServer((req, res) => {
+            if (!this.authApi.handle(req, res) && !this.metricsApi.handle(req, res)) {
+                res.writeHead(404);
+                res.end();
+            }
         });
-        
-        this.wss.on('connection', (ws) => {
-            console.log('New client connected');
-            
-            ws.on('message', (data) => {
-                this.handleMessage(ws, data);
-            });
-            
-            ws.on('close', () => {
-                this.handleDisconnect(ws);
-            });
-            
-            ws.on('error', (error) => {
-                console.error('WebSocket error:', error);
-            });
-            
-            // Send welcome message
-            this.sendToClient(ws, 'welcome', {
-                message: 'Connected to Max-Pixels Game Server',
-                timestamp: Date.now()
+        this.wss = new WebSocketServer({ server: this.httpServer });
+        this.httpServer.listen(this.port, this.config.host || undefined, () => {
+            log.info('Max-Pixels Game Server started', {
+                host: this.config.host,
+                port: this.port,
+                tickRate: this.config.tickRate,
+                broadcastRate: this.config.broadcastRate,
+                sectors: this.navigation.getAllSectors().map(sector => sector.id),
+                pvp: this.config.pvp
             });
         });
         
+        this.wss.on('connection', (ws, req) => {
+            this.acceptConnection(ws, (req.socket.remoteAddress || '').replace(/^::ffff:/, ''));
+        });
+        
         // Start game loop for state updates
         this.startGameLoop();
     }
     
+    /**
+     * Set up a new socket: refuse banned addresses, give it its limits and
+     * send the welcome
+     */
+    acceptConnection(ws, ip) {
+        // Everyone speaks JSON until the client picks a codec from the welcome
+        ws.codec = MessageCodec.JSON;
+        ws.features = new Set();
+        ws.ip = ip;
+        log.debug('New client connected', { ip: ws.ip });
+        
+        const ban = this.bans.find(null, ws.ip);
+        if (ban) {
+            this.rejectBanned(ws, ban);
+            return;
+        }
+        
+        // Per-connection limits; violations drain their own bucket and empty it means disconnect
+        ws.messageLimit = new TokenBucket(NETWORK.MESSAGE_RATE_LIMIT);
+        ws.chatLimit = new TokenBucket(NETWORK.CHAT_RATE_LIMIT);
+        ws.fireLimit = new TokenBucket(1000 / WEAPONS.LASER_FIRE_RATE, NETWORK.FIRE_BURST_LIMIT);
+        ws.violations = new TokenBucket(NETWORK.VIOLATION_FORGIVENESS_RATE, NETWORK.MAX_VIOLATIONS);
+        
+        ws.on('message', (data, isBinary) => {
+            this.handleMessage(ws, isBinary ? data : data.toString());
+        });
+        
+        ws.on('close', () => {
+            this.handleDisconnect(ws);
+        });
+        
+        ws.on('error', (error) => {
+            log.error('WebSocket error', { playerId: ws.playerId, error });
+        });
+        
+        // Send welcome message with the protocol and codecs this server speaks
+        this.sendToClient(ws, this.MessageTypes.WELCOME, {
+            message: 'Connected to Max-Pixels Game Server',
+            protocolVersion: NETWORK.PROTOCOL_VERSION,
+            minProtocolVersion: NETWORK.MIN_PROTOCOL_VERSION,
+            serverBuild: NETWORK.CLIENT_BUILD,
+            features: Object.values(NETWORK.FEATURES),
+            codecs: MessageCodec.SUPPORTED,
+            timestamp: Date.now()
+        });
+    }
+    
     handleMessage(ws, data) {
+        // Frames still arriving from a socket being closed are dropped
+        if (ws.readyState !== WebSocket.OPEN) return;
+        
+        this.metrics.recordBytesIn(byteLength(data));
+        
+        if (!ws.messageLimit.take()) {
+            this.recordViolation(ws, 'rateLimitedMessages', NETWORK.ERROR_CODES.RATE_LIMITED, 'Too many messages');
+            return;
+        }
+        
+        let message;
+        try {
+            message = MessageCodec.decode(data);
+        } catch (error) {
+            this.recordViolation(ws, 'invalidMessages', NETWORK.ERROR_CODES.INVALID_MESSAGE, 'Invalid message format');
+            return;
+        }
+        
+        const problem = MessageValidator.validate(message);
+        if (problem) {
+            this.recordViolation(ws, 'invalidMessages', NETWORK.ERROR_CODES.INVALID_MESSAGE, `Invalid message: ${problem}`);
+            return;
+        }
+        
+        // Identity comes from the socket; before joining a client can only set up the session
+        const setupTypes = [this.MessageTypes.CODEC_SELECT, this.MessageTypes.PLAYER_JOIN, this.MessageTypes.HEARTBEAT];
+        if (!ws.playerId && !setupTypes.includes(message.type)) {
+            this.recordViolation(ws, 'invalidMessages', NETWORK.ERROR_CODES.INVALID_MESSAGE, `${message.type} sent before joining`);
+            return;
+        }
+        
+        if (message.type === this.MessageTypes.CHAT_MESSAGE && !ws.chatLimit.take()) {
+            this.recordViolation(ws, 'rateLimitedMessages', NETWORK.ERROR_CODES.RATE_LIMITED, 'Too many chat messages');
+            return;
+        }
+        
+        this.metrics.recordMessageIn(message.type);
+        
         try {
-            const message = JSON.parse(data);
-            
             switch (message.type) {
+                case this.MessageTypes.CODEC_SELECT:
+                    this.handleCodecSelect(ws, message);
+                    break;
+                    
                 case this.MessageTypes.PLAYER_JOIN:
                     this.handlePlayerJoin(ws, message);
                     break;
@@ -81,135 +249,965 @@ class GameServer {
                     this.handlePlayerFire(ws, message);
                     break;
                     
+                case this.MessageTypes.PLAYER_RESPAWN:
+                    this.handlePlayerRespawn(ws, message);
+                    break;
+                    
                 case this.MessageTypes.CHAT_MESSAGE:
                     this.handleChatMessage(ws, message);
                     break;
                     
+                case this.MessageTypes.PLAYER_PROGRESS:
+                    this.handlePlayerProgress(ws, message);
+                    break;
+                    
+                case this.MessageTypes.ADMIN_COMMAND:
+                    this.handleAdminCommand(ws, message);
+                    break;
+                    
                 case this.MessageTypes.HEARTBEAT:
                     this.handleHeartbeat(ws, message);
                     break;
                     
+                case this.MessageTypes.STATE_ACK:
+                    this.handleStateAck(ws, message);
+                    break;
+                    
                 default:
-                    console.log('Unknown message type:', message.type);
+                    log.warn('Unknown message type', { type: message.type });
             }
             
         } catch (error) {
-            console.error('Error handling message:', error);
-            this.sendToClient(ws, this.MessageTypes.ERROR, {
-                error: 'Invalid message format'
-            });
+            log.error('Error handling message', { type: message.type, playerId: ws.playerId, error });
+        }
+    }
+    
+    /**
+     * Count a bad or excessive message against a connection and tell the client.
+     * Repeat offenders are disconnected.
+     */
+    recordViolation(ws, counter, code, error) {
+        this.securityStats[counter]++;
+        this.metrics.recordRejectedMessage(code);
+        
+        if (ws.violations.take()) {
+            this.sendToClient(ws, this.MessageTypes.ERROR, { code: code, error: error });
+            return;
+        }
+        
+        this.securityStats.disconnectedOffenders++;
+        log.warn('Disconnecting client for too many violations', { playerId: ws.playerId, ip: ws.ip, lastViolation: error });
+        this.rejectClient(ws, NETWORK.ERROR_CODES.POLICY_VIOLATION, 'Too many invalid or rate-limited messages');
+    }
+    
+    /**
+     * Switch a client to the codec it picked from the welcome message
+     */
+    handleCodecSelect(ws, message) {
+        const codec = message.data?.codec;
+        if (!MessageCodec.SUPPORTED.includes(codec)) {
+            log.warn('Client asked for an unsupported codec', { codec, current: ws.codec });
+            return;
         }
+        
+        ws.codec = codec;
     }
     
     handlePlayerJoin(ws, message) {
-        const playerId = message.playerId;
+        const { playerId, protocolVersion, clientBuild, features, resumeToken, authToken } = message.data;
+        
+        // A socket flies one pilot for its whole life
+        if (ws.playerId && ws.playerId !== playerId) {
+            this.recordViolation(ws, 'invalidMessages', NETWORK.ERROR_CODES.INVALID_MESSAGE, 'Already joined as another player');
+            return;
+        }
+        
+        // Mismatched deployments must fail loudly instead of misreading each other
+        if (!Number.isInteger(protocolVersion) ||
+            protocolVersion < NETWORK.MIN_PROTOCOL_VERSION ||
+            protocolVersion > NETWORK.PROTOCOL_VERSION) {
+            log.warn('Rejected player with an unsupported protocol', { playerId, protocolVersion, clientBuild });
+            this.rejectClient(ws, NETWORK.ERROR_CODES.PROTOCOL_MISMATCH, 'Client version is not supported by this server', {
+                protocolVersion: NETWORK.PROTOCOL_VERSION,
+                minProtocolVersion: NETWORK.MIN_PROTOCOL_VERSION
+            });
+            return;
+        }
+        
+        if (this.draining) {
+            this.rejectClient(ws, NETWORK.ERROR_CODES.SERVER_RESTARTING, 'Server is restarting', {
+                retryAfter: Math.max(0, this.restartAt - Date.now())
+            }, NETWORK.SERVICE_RESTART_CLOSE_CODE);
+            return;
+        }
+        
+        // Account names need a valid access token; guests may use any name nobody registered
+        const persistent = Boolean(authToken);
+        if (persistent && this.accounts.verifyAccessToken(authToken) !== playerId) {
+            log.warn('Rejected player with an invalid or expired access token', { playerId, ip: ws.ip });
+            this.rejectClient(ws, NETWORK.ERROR_CODES.AUTH_FAILED, 'Login expired, please log in again');
+            return;
+        }
+        if (!persistent && this.accounts.isRegistered(playerId)) {
+            log.warn('Rejected player using an account name without logging in', { playerId, ip: ws.ip });
+            this.rejectClient(ws, NETWORK.ERROR_CODES.AUTH_REQUIRED, 'This pilot name belongs to an account, please log in');
+            return;
+        }
+        
+        const ban = this.bans.find(playerId, ws.ip);
+        if (ban) {
+            log.warn('Rejected banned player', { playerId, ip: ws.ip });
+            this.rejectBanned(ws, ban);
+            return;
+        }
+        
+        // A reconnecting player replaces their previous session, whose socket stops speaking for them,
+        // but only by proving the session is theirs: its resume token or the account's access token
+        const previous = this.clients.get(playerId);
+        const ownsSession = persistent || (resumeToken && this.gameState.players.get(playerId)?.resumeToken === resumeToken);
+        if (previous && previous !== ws && !ownsSession) {
+            log.warn('Rejected player already connected on another socket', { playerId, ip: ws.ip });
+            this.rejectClient(ws, NETWORK.ERROR_CODES.ALREADY_CONNECTED, 'This pilot is already connected');
+            return;
+        }
+        if (previous && previous !== ws) {
+            previous.playerId = null;
+            previous.close(NETWORK.CONNECTION_REJECTED_CLOSE_CODE, 'Replaced by a new session');
+        }
+        if (this.gameState.players.has(playerId)) {
+            // The old connection may be dead without us knowing; its token still takes the ship over
+            if (resumeToken && this.gameState.players.get(playerId).resumeToken === resumeToken) {
+                this.suspendPlayer(playerId);
+            } else {
+                this.removePlayer(playerId);
+            }
+        }
+        
+        // A client holding a live resume token picks up where it dropped, room permitting
+        const suspended = this.suspendedSessions.get(resumeToken);
+        const resuming = suspended && suspended.id === playerId && Date.now() < suspended.suspendedUntil;
+        
+        // Account players continue from their saved progress, in the sector they left
+        const saved = !resuming && persistent ? this.loadProfile(playerId) : null;
+        const homeSectorId = this.navigation.isValidSector(saved?.profile.lastSector)
+            ? saved.profile.lastSector
+            : this.navigation.currentSector;
+        
+        const sectorId = resuming && !this.isRoomFull(suspended.sectorId)
+            ? suspended.sectorId
+            : this.findRoomWithSpace(homeSectorId);
+        if (!sectorId || this.isServerFull()) {
+            log.warn('Rejected player, the server is full', { playerId });
+            this.rejectClient(ws, NETWORK.ERROR_CODES.SERVER_FULL, 'Server is full');
+            return;
+        }
         
         // Store client connection
         this.clients.set(playerId, ws);
         ws.playerId = playerId;
+        ws.authenticated = persistent;
+        ws.stateSync = this.createStateSync();
+        ws.features = new Set((Array.isArray(features) ? features : [])
+            .filter(feature => Object.values(NETWORK.FEATURES).includes(feature)));
+        
+        // A fresh join discards whatever was left of an earlier session
+        this.dropSuspendedSessions(playerId);
         
         // Add player to game state
-        this.gameState.players.set(playerId, {
-            id: playerId,
-            position: { x: 960, y: 540 },
-            velocity: { x: 0, y: 0 },
-            rotation: 0,
-            lastUpdate: Date.now(),
-            connected: true
+        const player = resuming
+            ? this.resumePlayer(suspended, sectorId)
+            : this.createPlayer(playerId, sectorId, saved?.profile);
+        player.resumeToken = randomBytes(NETWORK.RESUME_TOKEN_BYTES).toString('hex');
+        this.gameState.players.set(playerId, player);
+        this.joinRoom(playerId, sectorId);
+        
+        log.info(resuming ? 'Player resumed' : 'Player joined', { playerId, sectorId, protocolVersion, clientBuild, authenticated: ws.authenticated });
+        
+        this.sendToClient(ws, this.MessageTypes.SESSION, {
+            playerId: playerId,
+            resumeToken: player.resumeToken,
+            resumed: Boolean(resuming),
+            gracePeriod: NETWORK.SESSION_GRACE_PERIOD
         });
         
-        console.log(`Player ${playerId} joined the game`);
+        if (saved) {
+            this.sendToClient(ws, this.MessageTypes.PLAYER_PROFILE, {
+                profile: player.profile,
+                created: saved.created
+            });
+        }
         
         // Send current game state to new player
         this.sendToClient(ws, this.MessageTypes.GAME_STATE, {
-            players: Array.from(this.gameState.players.values()),
-            gameObjects: this.gameState.gameObjects
+            players: this.getPlayerSnapshots(sectorId),
+            gameObjects: this.getSectorObjects(sectorId)
         });
+        this.sendRoomState(ws, sectorId);
         
-        // Broadcast player join to all other clients
-        this.broadcast(this.MessageTypes.PLAYER_JOIN, {
+        // Broadcast player join to the rest of the sector
+        this.broadcastToRoom(sectorId, this.MessageTypes.PLAYER_JOIN, {
             playerId: playerId,
-            player: this.gameState.players.get(playerId)
+            player: this.serializePlayer(this.gameState.players.get(playerId))
         }, playerId);
     }
     
+    /**
+     * @param {Object|null} profile - Save data of an account player, null for guests
+     */
+    createPlayer(playerId, sectorId, profile = null) {
+        const spawn = sectorId === this.navigation.currentSector
+            ? { x: PLAYER.SPAWN_X, y: PLAYER.SPAWN_Y }
+            : this.navigation.getPlayerSpawnPosition(sectorId);
+        
+        const player = {
+            ...ShipPhysics.createState(spawn.x, spawn.y),
+            ...Player.createDefenses(profile?.upgrades),
+            id: playerId,
+            sectorId: sectorId,
+            profile: profile,
+            inputQueue: [],
+            lastReceivedInput: 0,
+            lastProcessedInput: 0,
+            lastUpdate: Date.now(),
+            connected: true
+        };
+        this.recordVisit(player);
+        
+        return player;
+    }
+    
+    /**
+     * Read an account player's saved progress
+     * @returns {Object} - {profile, created}, created when this is their first game
+     */
+    loadProfile(playerId) {
+        const account = this.store.get('accounts', playerId);
+        this.store.set('accounts', playerId, { ...account, lastSeenAt: Date.now() });
+        
+        const saved = this.store.get('players', playerId);
+        if (!saved) {
+            log.info('Created profile', { playerId });
+        }
+        
+        return {
+            profile: Player.normalizeSaveData(saved),
+            created: !saved
+        };
+    }
+    
+    /**
+     * Write an account player's progress to the store; guests are skipped
+     */
+    saveProfile(player) {
+        if (!player.profile) return;
+        
+        player.profile.lastSector = player.sectorId;
+        this.store.set('players', player.id, player.profile);
+    }
+    
+    /**
+     * Save everyone in the game or holding a session, then write the store
+     */
+    async persistAll() {
+        this.gameState.players.forEach(player => this.saveProfile(player));
+        this.suspendedSessions.forEach(player => this.saveProfile(player));
+        this.accounts.pruneRefreshTokens();
+        
+        try {
+            await this.store.flush();
+        } catch (error) {
+            log.error('Failed to save game data', { error });
+        }
+    }
+    
+    /**
+     * Credits and cargo are still simulated by the client, so its reports are
+     * held to what a ship could have: known goods in whole units, no more than
+     * the ship's hold takes, and a balance that only grows by selling. Cargo
+     * that does not fit is refused and the last accepted load kept. The client
+     * reports after every trade and pickup, so goods sold show up as cargo that
+     * left the hold since the last report; a gain larger than they fetch at the
+     * best price any station pays was never earned, so the whole report is
+     * refused and the saved profile sent back.
+     */
+    handlePlayerProgress(ws, message) {
+        const player = this.gameState.players.get(ws.playerId);
+        if (!player?.profile) return;
+        
+        const { credits, cargo } = message.data;
+        const profile = player.profile;
+        
+        const hold = new CargoHold(profile.upgrades.cargoCapacity);
+        hold.load(Object.fromEntries(Object.entries(cargo)
+            .filter(([itemId, quantity]) => CARGO.ITEMS[itemId] && Number.isInteger(quantity) && quantity > 0)));
+        if (hold.isOverloaded()) {
+            log.warn('Refused reported cargo that overfills the hold', { playerId: player.id, load: hold.describeLoad() });
+        }
+        const nextCargo = hold.isOverloaded() ? profile.cargo : hold.getContents();
+        
+        const balance = Math.min(Math.max(credits, 0), TRADING.MAX_PLAYER_CREDITS);
+        const earned = this.getSaleValue(profile.cargo, nextCargo);
+        if (balance - profile.credits > earned) {
+            log.warn('Refused reported credits that no sale explains', { playerId: player.id, credits: balance, previous: profile.credits, earned });
+            this.sendToClient(ws, this.MessageTypes.PLAYER_PROFILE, { profile, created: false });
+            return;
+        }
+        
+        profile.credits = balance;
+        profile.cargo = nextCargo;
+        this.saveProfile(player);
+    }
+    
+    /**
+     * @returns {number} - Most the goods that left the hold could have been sold for
+     */
+    getSaleValue(before, after) {
+        return Object.entries(before).reduce((value, [itemId, quantity]) => {
+            const sold = Math.max(0, quantity - (after[itemId] || 0));
+            return value + sold * this.trading.getHighestBuyPrice(itemId);
+        }, 0);
+    }
+    
+    /**
+     * Count the player's sector in their statistics
+     */
+    recordVisit(player) {
+        const visited = player.profile?.stats.systemsVisited;
+        if (visited && !visited.includes(player.sectorId)) {
+            visited.push(player.sectorId);
+        }
+    }
+    
+    /**
+     * Bring a suspended player back. Inputs lost with the old connection are
+     * skipped; a ship whose sector filled up meanwhile goes to another one.
+     */
+    resumePlayer(player, sectorId) {
+        player.inputQueue = [];
+        player.lastProcessedInput = player.lastReceivedInput;
+        player.lastUpdate = Date.now();
+        player.connected = true;
+        delete player.suspendedUntil;
+        
+        if (sectorId !== player.sectorId) {
+            player.sectorId = sectorId;
+            this.placePlayer(player, this.navigation.getPlayerSpawnPosition(sectorId));
+        }
+        
+        return player;
+    }
+    
+    /**
+     * Take a dropped player out of the world but keep their state for
+     * the grace period, so the client can resume with its token
+     * @param {number} from - When the grace period starts; a restart starts it once the server is back
+     */
+    suspendPlayer(playerId, from = Date.now()) {
+        const player = this.gameState.players.get(playerId);
+        if (!player) return;
+        
+        this.removePlayer(playerId);
+        
+        player.connected = false;
+        player.inputQueue = [];
+        player.suspendedUntil = from + NETWORK.SESSION_GRACE_PERIOD;
+        this.suspendedSessions.set(player.resumeToken, player);
+    }
+    
+    dropSuspendedSessions(playerId) {
+        this.suspendedSessions.forEach((player, token) => {
+            if (player.id === playerId) {
+                this.suspendedSessions.delete(token);
+            }
+        });
+    }
+    
+    rejectBanned(ws, ban) {
+        this.rejectClient(ws, NETWORK.ERROR_CODES.BANNED, ban.reason ? `Banned: ${ban.reason}` : 'Banned from this server', {
+            expiresAt: ban.expiresAt
+        });
+    }
+    
+    /**
+     * Refuse a session with a typed error, then hang up.
+     * The default close code tells the client not to reconnect.
+     */
+    rejectClient(ws, code, error, details = {}, closeCode = NETWORK.CONNECTION_REJECTED_CLOSE_CODE) {
+        this.metrics.recordRejectedConnection(code);
+        this.sendToClient(ws, this.MessageTypes.ERROR, {
+            code: code,
+            error: error,
+            ...details
+        });
+        ws.close(closeCode, error);
+    }
+    
     handlePlayerLeave(ws, message) {
-        const playerId = message.playerId || ws.playerId;
+        const playerId = ws.playerId;
         
-        if (playerId && this.gameState.players.has(playerId)) {
-            this.gameState.players.delete(playerId);
-            this.clients.delete(playerId);
-            
-            console.log(`Player ${playerId} left the game`);
-            
-            // Broadcast player leave to all clients
-            this.broadcast(this.MessageTypes.PLAYER_LEAVE, {
-                playerId: playerId
-            });
+        if (playerId && this.clients.get(playerId) === ws) {
+            this.removePlayer(playerId);
+            log.info('Player left', { playerId });
         }
     }
     
+    /**
+     * Drop a player from the game and tell their sector
+     */
+    removePlayer(playerId) {
+        const player = this.gameState.players.get(playerId);
+        if (!player) return;
+        
+        this.saveProfile(player);
+        this.gameState.players.delete(playerId);
+        this.clients.delete(playerId);
+        this.lagCompensation.remove(playerId);
+        this.leaveRoom(playerId, player.sectorId);
+        
+        this.broadcastToRoom(player.sectorId, this.MessageTypes.PLAYER_LEAVE, {
+            playerId: playerId
+        });
+    }
+    
+    /**
+     * Queue movement input for the simulation. Clients send intents
+     * (one per fixed physics step, numbered by seq), never positions.
+     */
     handlePlayerMove(ws, message) {
-        const playerId = message.playerId;
+        const playerId = ws.playerId;
         
         if (this.gameState.players.has(playerId)) {
             const player = this.gameState.players.get(playerId);
+            // Duplicate or out-of-order inputs are ignored
+            message.data.inputs.forEach(input => {
+                if (input.seq <= player.lastReceivedInput) return;
+                
+                player.inputQueue.push({ seq: input.seq, ...ShipPhysics.normalizeInput(input) });
+                player.lastReceivedInput = input.seq;
+            });
             
-            // Update player state
-            if (message.data.position) {
-                player.position = message.data.position;
+            // A client running ahead of the simulation loses its oldest inputs
+            if (player.inputQueue.length > NETWORK.MAX_QUEUED_INPUTS) {
+                player.inputQueue.splice(0, player.inputQueue.length - NETWORK.MAX_QUEUED_INPUTS);
             }
-            if (message.data.velocity) {
-                player.velocity = message.data.velocity;
-            }
-            if (message.data.rotation !== undefined) {
-                player.rotation = message.data.rotation;
+            
+            // Jumping sectors teleports the ship; inputs flown before the jump are dropped
+            const sectorId = message.data.sectorId;
+            if (this.navigation.isValidSector(sectorId) && sectorId !== player.sectorId) {
+                if (this.isAtGateTo(player, sectorId)) {
+                    this.changePlayerSector(ws, player, sectorId);
+                } else {
+                    log.warn('Refused a jump away from any gate', { playerId, from: player.sectorId, to: sectorId, position: player.position });
+                    this.sendToClient(ws, this.MessageTypes.ERROR, {
+                        code: NETWORK.ERROR_CODES.INVALID_JUMP,
+                        error: 'No jump gate to that sector in range',
+                        sectorId: sectorId
+                    });
+                    this.sendRoomState(ws, player.sectorId);
+                }
             }
             
             player.lastUpdate = Date.now();
             
-            // Broadcast movement to other players
-            this.broadcast(this.MessageTypes.PLAYER_MOVE, {
+            // Let the sender reconcile its prediction against the simulation
+            this.sendToClient(ws, this.MessageTypes.PLAYER_STATE, this.serializePlayerState(player));
+            
+            // Broadcast authoritative movement to the rest of the sector
+            this.broadcastToRoom(player.sectorId, this.MessageTypes.PLAYER_MOVE, {
                 playerId: playerId,
                 position: player.position,
                 velocity: player.velocity,
                 rotation: player.rotation,
-                timestamp: message.data.timestamp
+                boosting: player.boosting,
+                timestamp: Date.now()
             }, playerId);
         }
     }
     
+    handlePlayerRespawn(ws, message) {
+        // Only a dead ship comes back; for a living one this would be a free repair and teleport
+        const player = this.gameState.players.get(ws.playerId);
+        if (!player || player.isAlive) return;
+        
+        this.placePlayer(player, { x: PLAYER.SPAWN_X, y: PLAYER.SPAWN_Y });
+        Object.assign(player, Player.createDefenses(player.profile?.upgrades));
+        player.invincibilityEndTime = Date.now() + PLAYER.INVINCIBILITY_DURATION;
+        player.energy = WEAPONS.MAX_ENERGY;
+        player.lastUpdate = Date.now();
+        
+        log.debug('Player respawned', { playerId: ws.playerId });
+    }
+    
+    /**
+     * Move a player through a jump gate into another sector's room.
+     * A full room keeps the player where they are.
+     */
+    changePlayerSector(ws, player, sectorId) {
+        if (this.isRoomFull(sectorId)) {
+            log.info('Player cannot enter a full sector', { playerId: player.id, sectorId });
+            this.sendToClient(ws, this.MessageTypes.ERROR, {
+                code: NETWORK.ERROR_CODES.ROOM_FULL,
+                error: 'Sector is full',
+                sectorId: sectorId
+            });
+            this.sendRoomState(ws, player.sectorId);
+            return;
+        }
+        
+        const previousSectorId = player.sectorId;
+        this.leaveRoom(player.id, previousSectorId);
+        this.broadcastToRoom(previousSectorId, this.MessageTypes.PLAYER_LEAVE, {
+            playerId: player.id
+        });
+        
+        player.sectorId = sectorId;
+        this.placePlayer(player, this.navigation.getPlayerSpawnPosition(sectorId));
+        this.joinRoom(player.id, sectorId);
+        this.recordVisit(player);
+        
+        this.broadcastToRoom(sectorId, this.MessageTypes.PLAYER_JOIN, {
+            playerId: player.id,
+            player: this.serializePlayer(player)
+        }, player.id);
+        this.sendRoomState(ws, sectorId);
+    }
+    
+    /**
+     * Whether the ship is at a gate in its sector that leads to the destination.
+     * The client may use the gate from its interaction range, and the
+     * simulated position may trail the client's by the correction threshold.
+     */
+    isAtGateTo(player, sectorId) {
+        const gate = this.navigation.getGateTo(player.sectorId, sectorId);
+        if (!gate) return false;
+        
+        const reach = Math.max(gate.radius, NAVIGATION.PROXIMITY_CHECK_RANGE) + NETWORK.POSITION_CORRECTION_THRESHOLD;
+        return Math.hypot(player.position.x - gate.x, player.position.y - gate.y) <= reach;
+    }
+    
+    joinRoom(playerId, sectorId) {
+        if (!this.rooms.has(sectorId)) {
+            this.rooms.set(sectorId, new Set());
+        }
+        this.rooms.get(sectorId).add(playerId);
+    }
+    
+    leaveRoom(playerId, sectorId) {
+        const room = this.rooms.get(sectorId);
+        if (!room) return;
+        
+        room.delete(playerId);
+        if (room.size === 0) {
+            this.rooms.delete(sectorId);
+        }
+    }
+    
+    isRoomFull(sectorId) {
+        const room = this.rooms.get(sectorId);
+        return room ? room.size >= this.config.maxRoomPlayers : false;
+    }
+    
+    isServerFull() {
+        return this.config.maxPlayers !== null && this.clients.size >= this.config.maxPlayers;
+    }
+    
+    /**
+     * Host only the configured sectors, with the configured PvP rules.
+     * Jump gates into sectors this server does not host are closed, and the
+     * first configured sector is where new players start.
+     */
+    configureSectors() {
+        const { sectors, pvp } = this.config;
+        
+        if (sectors) {
+            Array.from(this.navigation.sectors.keys())
+                .filter(sectorId => !sectors.includes(sectorId))
+                .forEach(sectorId => this.navigation.sectors.delete(sectorId));
+            
+            this.navigation.getAllSectors().forEach(sector => {
+                sector.jumpGates = sector.jumpGates.filter(gate => sectors.includes(gate.destination));
+            });
+            this.navigation.jumpGates.clear();
+            this.navigation.buildJumpGateMap();
+            this.navigation.currentSector = sectors[0];
+        }
+        
+        if (pvp !== PVP_MODES.SECTOR) {
+            this.navigation.getAllSectors().forEach(sector => {
+                sector.pvpEnabled = pvp === PVP_MODES.ALL;
+            });
+        }
+    }
+    
+    /**
+     * Pick the preferred sector, or the first other sector with space
+     * @returns {string|null} - Sector ID, or null when every room is full
+     */
+    findRoomWithSpace(preferredSectorId) {
+        if (!this.isRoomFull(preferredSectorId)) {
+            return preferredSectorId;
+        }
+        
+        const sector = this.navigation.getAllSectors().find(candidate => !this.isRoomFull(candidate.id));
+        return sector ? sector.id : null;
+    }
+    
+    /**
+     * Tell a client which room it is in and who else is there
+     */
+    sendRoomState(ws, sectorId) {
+        this.sendToClient(ws, this.MessageTypes.ROOM_JOIN, {
+            roomId: sectorId,
+            players: this.getPlayerSnapshots(sectorId),
+            gameObjects: this.getSectorObjects(sectorId)
+        });
+    }
+    
+    /**
+     * Teleport a player, discarding momentum and any queued input.
+     * Everything received so far counts as processed so the client's
+     * prediction restarts from the new position.
+     */
+    placePlayer(player, position) {
+        ShipPhysics.reset(player, position.x, position.y);
+        player.inputQueue = [];
+        player.lastProcessedInput = player.lastReceivedInput;
+        
+        // Nobody can have seen the ship anywhere between its old and new position
+        this.lagCompensation.remove(player.id);
+    }
+    
     handlePlayerFire(ws, message) {
-        const playerId = message.playerId;
+        const playerId = ws.playerId;
+        
+        log.debug('Player fired weapon', { playerId });
         
-        console.log(`Player ${playerId} fired weapon`);
+        const player = this.gameState.players.get(playerId);
+        if (!player || !player.isAlive) return;
+        
+        // The server's copy of the ship pays for each shot, like the client's
+        if (player.energy < WEAPONS.ENERGY_COST) {
+            log.debug('Dropped a shot without enough energy', { playerId, energy: player.energy });
+            return;
+        }
         
-        // Broadcast firing event to all players
-        this.broadcast(this.MessageTypes.PLAYER_FIRE, {
+        // Shots faster than the weapon can cycle never happened
+        if (!ws.fireLimit.take()) return;
+        player.energy -= WEAPONS.ENERGY_COST;
+        
+        // Broadcast firing event to the rest of the sector
+        this.broadcastToRoom(player.sectorId, this.MessageTypes.PLAYER_FIRE, {
             playerId: playerId,
             position: message.data.position,
             rotation: message.data.rotation,
             weaponType: message.data.weaponType,
             timestamp: message.data.timestamp
         });
+        
+        this.resolveLaserHit(player, message.data);
+    }
+    
+    /**
+     * Decide what a laser shot hit, with every other ship rewound to where
+     * the shooter saw it. The first ship or asteroid along the beam takes
+     * the hit and the whole sector hears about it.
+     */
+    resolveLaserHit(shooter, shot) {
+        const now = Date.now();
+        const rewindTime = LagCompensation.getRewindTime(shot.viewTime, now);
+        
+        // The shooter's own ship runs ahead of the server by its unprocessed inputs,
+        // so their claimed muzzle position is trusted while it stays close
+        const dx = shot.position.x - shooter.position.x;
+        const dy = shot.position.y - shooter.position.y;
+        const origin = dx * dx + dy * dy <= NETWORK.POSITION_CORRECTION_THRESHOLD * NETWORK.POSITION_CORRECTION_THRESHOLD
+            ? shot.position
+            : shooter.position;
+        const segment = LagCompensation.getLaserSegment(origin, shot.rotation);
+        
+        // In safe sectors the beam passes through other ships
+        const targets = [];
+        if (this.navigation.isPvpEnabled(shooter.sectorId)) {
+            this.rooms.get(shooter.sectorId)?.forEach(targetId => {
+                const target = this.gameState.players.get(targetId);
+                if (targetId === shooter.id || !target.isAlive) return;
+                
+                const position = this.lagCompensation.getPosition(targetId, rewindTime) || target.position;
+                targets.push({ type: 'player', id: targetId, x: position.x, y: position.y, radius: PLAYER.RADIUS });
+            });
+        }
+        
+        // Asteroids do not move, so they need no rewinding
+        this.gameState.gameObjects.forEach(object => {
+            if (object.type === 'asteroid' && object.sectorId === shooter.sectorId) {
+                targets.push({ type: 'asteroid', id: object.id, x: object.x, y: object.y, radius: object.size });
+            }
+        });
+        
+        const hit = LagCompensation.findFirstHit(segment, targets);
+        if (!hit) return;
+        
+        if (hit.type === 'player') {
+            this.damagePlayer(this.gameState.players.get(hit.id), shooter, WEAPONS.LASER_DAMAGE, {
+                position: { x: hit.x, y: hit.y },
+                weaponType: shot.weaponType || 'laser'
+            });
+            return;
+        }
+        
+        this.damageAsteroid(this.gameState.gameObjects.find(object => object.id === hit.id), shooter, WEAPONS.LASER_DAMAGE);
+    }
+    
+    /**
+     * Chip an asteroid and tell its sector. The player who breaks it
+     * collects the resources; it reappears elsewhere after RESPAWN_DELAY.
+     */
+    damageAsteroid(asteroid, attacker, amount) {
+        const now = Date.now();
+        
+        if (!AsteroidField.damage(asteroid, amount)) {
+            this.broadcastToRoom(asteroid.sectorId, this.MessageTypes.OBJECT_DAMAGED, {
+                objectId: asteroid.id,
+                objectType: asteroid.type,
+                attackerId: attacker.id,
+                health: asteroid.health,
+                maxHealth: asteroid.maxHealth,
+                timestamp: now
+            });
+            return;
+        }
+        
+        this.gameState.gameObjects = this.gameState.gameObjects.filter(object => object !== asteroid);
+        if (attacker.profile) {
+            attacker.profile.stats.asteroidsDestroyed++;
+        }
+        this.asteroidRespawns.set(asteroid.id, { asteroid, respawnAt: now + ASTEROID_FIELD.RESPAWN_DELAY });
+        
+        this.broadcastToRoom(asteroid.sectorId, this.MessageTypes.OBJECT_DESTROYED, {
+            objectId: asteroid.id,
+            objectType: asteroid.type,
+            destroyedBy: attacker.id,
+            timestamp: now
+        });
+    }
+    
+    respawnAsteroids() {
+        const now = Date.now();
+        
+        this.asteroidRespawns.forEach(({ asteroid, respawnAt }, asteroidId) => {
+            if (now < respawnAt) return;
+            
+            this.asteroidRespawns.delete(asteroidId);
+            AsteroidField.respawn(asteroid, this.navigation.getSectorBounds(asteroid.sectorId));
+            this.gameState.gameObjects.push(asteroid);
+            
+            this.broadcastToRoom(asteroid.sectorId, this.MessageTypes.OBJECT_SPAWNED, {
+                object: asteroid,
+                timestamp: now
+            });
+        });
+    }
+    
+    /**
+     * Shared objects of one sector, as sent to its players
+     */
+    getSectorObjects(sectorId) {
+        return this.gameState.gameObjects.filter(object => object.sectorId === sectorId);
+    }
+    
+    /**
+     * Apply weapon damage with the shared shield and armor rules, then tell
+     * the sector what it did. A ship brought to zero health is dead until
+     * its client respawns it.
+     */
+    damagePlayer(target, attacker, amount, hit) {
+        const now = Date.now();
+        const result = Player.applyDamage(target, amount, false, now);
+        if (!result) return;
+        
+        this.broadcastToRoom(target.sectorId, this.MessageTypes.PLAYER_DAMAGE, {
+            playerId: target.id,
+            attackerId: attacker.id,
+            damage: result.healthDamage,
+            shieldDamage: result.shieldDamage,
+            health: Math.max(0, target.health),
+            shield: target.shield,
+            position: hit.position,
+            timestamp: now
+        });
+        
+        if (target.health > 0) return;
+        
+        target.health = 0;
+        target.isAlive = false;
+        if (target.profile) {
+            target.profile.stats.deathCount++;
+        }
+        log.info('Player destroyed', { playerId: target.id, attackerId: attacker.id, sectorId: target.sectorId });
+        
+        this.broadcastToRoom(target.sectorId, this.MessageTypes.PLAYER_KILLED, {
+            victimId: target.id,
+            killerId: attacker.id,
+            weaponType: hit.weaponType,
+            sectorId: target.sectorId,
+            timestamp: now
+        });
     }
     
     handleChatMessage(ws, message) {
-        const playerId = message.playerId;
+        const playerId = ws.playerId;
+        
+        const player = this.gameState.players.get(playerId);
+        if (!player) return;
+        
+        if (this.isMuted(playerId)) {
+            this.sendToClient(ws, this.MessageTypes.ERROR, {
+                code: NETWORK.ERROR_CODES.MUTED,
+                error: 'You are muted'
+            });
+            return;
+        }
         
-        console.log(`Chat from ${playerId}: ${message.data.message}`);
+        // Only the length: what players say to each other stays out of the logs
+        log.debug('Chat message', { playerId, length: message.data.message.length });
         
-        // Broadcast chat message to all players
-        this.broadcast(this.MessageTypes.CHAT_MESSAGE, {
+        // Broadcast chat message to everyone in the sector
+        this.broadcastToRoom(player.sectorId, this.MessageTypes.CHAT_MESSAGE, {
             playerId: playerId,
             message: message.data.message,
             timestamp: message.data.timestamp
         });
     }
     
+    isMuted(playerId) {
+        const until = this.mutes.get(playerId);
+        if (until === undefined) return false;
+        
+        if (until <= Date.now()) {
+            this.mutes.delete(playerId);
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Run an admin command for a logged-in admin and send back its output
+     */
+    handleAdminCommand(ws, message) {
+        if (!ws.authenticated || !this.accounts.isAdmin(ws.playerId)) {
+            log.warn('Admin command without admin rights', { playerId: ws.playerId });
+            this.sendToClient(ws, this.MessageTypes.ERROR, {
+                code: NETWORK.ERROR_CODES.FORBIDDEN,
+                error: 'Admin rights required'
+            });
+            return;
+        }
+        
+        const result = this.adminCommands.execute(message.data.command, ws.playerId);
+        this.sendToClient(ws, this.MessageTypes.ADMIN_RESULT, {
+            command: message.data.command,
+            ok: result.ok,
+            output: result.output
+        });
+    }
+    
+    /**
+     * Throw a player out without a resumable session
+     * @returns {boolean} - False when nobody by that ID was in the game
+     */
+    kickPlayer(playerId, code, reason) {
+        const ws = this.clients.get(playerId);
+        const inGame = this.gameState.players.has(playerId);
+        const suspended = Array.from(this.suspendedSessions.values()).some(player => player.id === playerId);
+        
+        this.removePlayer(playerId);
+        this.dropSuspendedSessions(playerId);
+        if (ws) {
+            ws.playerId = null;
+            this.rejectClient(ws, code, reason);
+        }
+        
+        if (inGame || suspended) {
+            log.info('Player removed', { playerId, code, reason });
+        }
+        return inGame || suspended;
+    }
+    
+    /**
+     * Ban a player ID or IP address and throw out whoever it matches
+     */
+    banTarget(target, options) {
+        const ban = this.bans.add(target, options);
+        const reason = ban.reason ? `Banned: ${ban.reason}` : 'Banned from this server';
+        
+        if (ban.type === 'ip') {
+            this.wss.clients.forEach(ws => {
+                if (ws.ip !== target) return;
+                if (ws.playerId) {
+                    this.kickPlayer(ws.playerId, NETWORK.ERROR_CODES.BANNED, reason);
+                } else {
+                    this.rejectBanned(ws, ban);
+                }
+            });
+        } else {
+            this.kickPlayer(target, NETWORK.ERROR_CODES.BANNED, reason);
+        }
+        
+        this.flushStore();
+        return ban;
+    }
+    
+    unbanTarget(target) {
+        const lifted = this.bans.remove(target);
+        this.flushStore();
+        return lifted;
+    }
+    
+    /**
+     * Move a player's ship, into another sector if one is given
+     * @returns {Object} - The player
+     */
+    teleportPlayer(playerId, position, sectorId = null) {
+        const player = this.gameState.players.get(playerId);
+        if (!player) {
+            throw new Error(`No player ${playerId}`);
+        }
+        
+        if (sectorId && sectorId !== player.sectorId) {
+            if (!this.navigation.isValidSector(sectorId)) {
+                throw new Error(`No sector ${sectorId}`);
+            }
+            if (this.isRoomFull(sectorId)) {
+                throw new Error(`Sector ${sectorId} is full`);
+            }
+            this.changePlayerSector(this.clients.get(playerId), player, sectorId);
+        }
+        
+        this.placePlayer(player, position);
+        ShipPhysics.clampToBounds(player, this.navigation.getSectorBounds(player.sectorId));
+        return player;
+    }
+    
+    /**
+     * Write the store now instead of waiting for the next periodic flush
+     */
+    flushStore() {
+        this.store.flush().catch(error => {
+            log.error('Failed to save game data', { error });
+        });
+    }
+    
     handleHeartbeat(ws, message) {
-        // Respond to heartbeat
+        // Idle pilots still count as active while their connection is alive
+        const player = this.gameState.players.get(ws.playerId);
+        if (player) {
+            player.lastUpdate = Date.now();
+        }
+        
+        // Echo the client's send time so it can time the round trip and align clocks
         this.sendToClient(ws, this.MessageTypes.HEARTBEAT, {
+            clientTime: message.data?.timestamp,
+            serverTime: Date.now(),
             timestamp: Date.now()
         });
     }
@@ -217,20 +1215,10 @@ class GameServer {
     handleDisconnect(ws) {
         const playerId = ws.playerId;
         
-        if (playerId) {
-            console.log(`Player ${playerId} disconnected`);
-            
-            // Remove from game state
-            if (this.gameState.players.has(playerId)) {
-                this.gameState.players.delete(playerId);
-            }
-            
-            this.clients.delete(playerId);
-            
-            // Broadcast disconnect to remaining clients
-            this.broadcast(this.MessageTypes.PLAYER_LEAVE, {
-                playerId: playerId
-            });
+        // A socket replaced by a reconnect no longer owns the player
+        if (playerId && this.clients.get(playerId) === ws) {
+            log.info('Player disconnected, holding their session', { playerId, gracePeriod: NETWORK.SESSION_GRACE_PERIOD });
+            this.suspendPlayer(playerId);
         }
     }
     
@@ -243,9 +1231,9 @@ class GameServer {
             };
             
             try {
-                ws.send(JSON.stringify(message));
+                this.sendEncoded(ws, type, MessageCodec.encode(message, ws.codec));
             } catch (error) {
-                console.error('Error sending message to client:', error);
+                log.error('Error sending message to client', { type, playerId: ws.playerId, error });
             }
         }
     }
@@ -257,94 +1245,423 @@ class GameServer {
             data: data
         };
         
-        const messageStr = JSON.stringify(message);
+        const encoded = this.createEncodingCache(message);
         
         this.clients.forEach((ws, playerId) => {
             if (playerId !== excludePlayerId && ws.readyState === WebSocket.OPEN) {
                 try {
-                    ws.send(messageStr);
+                    this.sendEncoded(ws, type, encoded(ws.codec));
                 } catch (error) {
-                    console.error(`Error broadcasting to player ${playerId}:`, error);
+                    log.error('Error broadcasting to player', { type, playerId, error });
+                }
+            }
+        });
+    }
+    
+    /**
+     * Every outgoing frame goes through here so the traffic metrics see it
+     */
+    sendEncoded(ws, type, encoded) {
+        ws.send(encoded);
+        this.metrics.recordMessageOut(type, byteLength(encoded));
+    }
+    
+    /**
+     * Encode a broadcast message at most once per codec
+     */
+    createEncodingCache(message) {
+        const encodings = new Map();
+        return (codec) => {
+            if (!encodings.has(codec)) {
+                encodings.set(codec, MessageCodec.encode(message, codec));
+            }
+            return encodings.get(codec);
+        };
+    }
+    
+    /**
+     * Send a message to every player in a sector
+     */
+    broadcastToRoom(sectorId, type, data, excludePlayerId = null) {
+        const room = this.rooms.get(sectorId);
+        if (!room) return;
+        
+        const encoded = this.createEncodingCache({
+            type: type,
+            timestamp: Date.now(),
+            data: data
+        });
+        
+        room.forEach(playerId => {
+            const ws = this.clients.get(playerId);
+            if (playerId !== excludePlayerId && ws && ws.readyState === WebSocket.OPEN) {
+                try {
+                    this.sendEncoded(ws, type, encoded(ws.codec));
+                } catch (error) {
+                    log.error('Error broadcasting to player', { type, playerId, error });
                 }
             }
         });
     }
     
     startGameLoop() {
-        // Simple game loop - send periodic updates
+        // Fixed-timestep physics simulation
+        this.lastTickTime = Date.now();
         setInterval(() => {
+            this.tick();
+        }, 1000 / this.config.tickRate);
+        
+        // World state sync: keyframes plus deltas against them
+        setInterval(() => {
+            // Clean up disconnected players and expired sessions
+            this.cleanupDisconnectedPlayers();
+            this.respawnAsteroids();
+            
             if (this.gameState.players.size > 0) {
-                // Clean up disconnected players
-                this.cleanupDisconnectedPlayers();
+                this.syncWorldState();
+            }
+        }, 1000 / this.config.broadcastRate);
+        
+        // Player progress reaches the disk in batches
+        setInterval(() => {
+            this.persistAll();
+        }, this.config.flushInterval);
+    }
+    
+    /**
+     * Per-client bookkeeping for delta-compressed state sync
+     */
+    createStateSync() {
+        return {
+            nextKeyframeId: 1,
+            keyframes: new Map(),
+            ackedKeyframeId: null,
+            lastKeyframeTime: 0
+        };
+    }
+    
+    /**
+     * Send every client a keyframe when one is due, otherwise a delta
+     * against the last keyframe that client acknowledged
+     */
+    syncWorldState() {
+        const now = Date.now();
+        
+        // Clients only hear about ships in their own sector
+        const roomSnapshots = new Map();
+        this.rooms.forEach((room, sectorId) => {
+            const snapshot = new Map();
+            room.forEach(playerId => {
+                snapshot.set(playerId, StateDelta.encodePlayer(this.gameState.players.get(playerId)));
+            });
+            roomSnapshots.set(sectorId, snapshot);
+        });
+        
+        this.clients.forEach((ws, playerId) => {
+            const player = this.gameState.players.get(playerId);
+            if (!ws.stateSync || !player) return;
+            
+            const snapshot = roomSnapshots.get(player.sectorId);
+            
+            // Clients without delta support get the whole sector every time
+            if (!ws.features.has(NETWORK.FEATURES.DELTA_STATE)) {
+                this.sendToClient(ws, this.MessageTypes.GAME_STATE, {
+                    players: Array.from(snapshot.values()).map(record => StateDelta.decodePlayer(record)),
+                    timestamp: now
+                });
+                return;
+            }
+            
+            const sync = ws.stateSync;
+            if (now - sync.lastKeyframeTime >= NETWORK.FULL_STATE_SYNC_INTERVAL) {
+                const keyframeId = sync.nextKeyframeId++;
+                sync.keyframes.set(keyframeId, snapshot);
+                sync.lastKeyframeTime = now;
+                
+                // A client that stops acknowledging keeps only its newest keyframes
+                if (sync.keyframes.size > NETWORK.MAX_PENDING_KEYFRAMES) {
+                    sync.keyframes.delete(sync.keyframes.keys().next().value);
+                }
                 
-                // Send periodic game state updates
-                this.broadcast(this.MessageTypes.GAME_STATE, {
-                    players: Array.from(this.gameState.players.values()),
-                    gameObjects: this.gameState.gameObjects,
-                    timestamp: Date.now()
+                this.sendToClient(ws, this.MessageTypes.STATE_KEYFRAME, {
+                    keyframeId: keyframeId,
+                    players: Array.from(snapshot.values()),
+                    timestamp: now
                 });
+                return;
             }
-        }, 1000); // Update every second
+            
+            // Until a keyframe is acknowledged there is nothing to diff against
+            const baseline = sync.keyframes.get(sync.ackedKeyframeId);
+            if (!baseline) return;
+            
+            this.sendToClient(ws, this.MessageTypes.STATE_DELTA, {
+                baseKeyframeId: sync.ackedKeyframeId,
+                ...StateDelta.diff(baseline, snapshot),
+                timestamp: now
+            });
+        });
     }
     
-    cleanupDisconnectedPlayers() {
+    handleStateAck(ws, message) {
+        const sync = ws.stateSync;
+        const keyframeId = message.data?.keyframeId;
+        if (!sync || !sync.keyframes.has(keyframeId) || keyframeId <= sync.ackedKeyframeId) return;
+        
+        sync.ackedKeyframeId = keyframeId;
+        
+        // Deltas are only ever built against the newest acknowledged keyframe
+        for (const id of sync.keyframes.keys()) {
+            if (id < keyframeId) {
+                sync.keyframes.delete(id);
+            }
+        }
+    }
+    
+    /**
+     * Advance the simulation by however many fixed steps have elapsed
+     */
+    tick() {
+        const startedAt = performance.now();
         const now = Date.now();
-        const timeout = 30000; // 30 seconds
+        const elapsed = (now - this.lastTickTime) / 1000;
+        this.tickAccumulator += elapsed;
+        this.lastTickTime = now;
         
+        while (this.tickAccumulator >= PLAYER.DELTA_TIME) {
+            this.gameState.players.forEach(player => {
+                this.stepPlayer(player, PLAYER.DELTA_TIME);
+            });
+            this.tickAccumulator -= PLAYER.DELTA_TIME;
+        }
+        
+        this.gameState.players.forEach(player => {
+            Player.restoreHealth(player, elapsed, now);
+            Player.restoreShield(player, elapsed, now);
+            if (player.profile) {
+                player.profile.stats.timePlayed += elapsed;
+            }
+            this.lagCompensation.record(player.id, player.position, now);
+        });
+        
+        this.gameState.lastUpdate = now;
+        this.metrics.recordTick(performance.now() - startedAt);
+    }
+    
+    /**
+     * Run one physics step for a player using the next queued input.
+     * Ships without input wait, so the server only ever simulates steps
+     * the client has also predicted.
+     */
+    stepPlayer(player, deltaTime) {
+        if (player.inputQueue.length === 0) return;
+        
+        const input = player.inputQueue.shift();
+        player.lastProcessedInput = input.seq;
+        
+        const { x, y } = player.position;
+        ShipPhysics.step(player, input, deltaTime, this.navigation.getSectorBounds(player.sectorId));
+        if (player.profile) {
+            player.profile.stats.totalDistanceTraveled += Math.hypot(player.position.x - x, player.position.y - y);
+        }
+        
+        player.energy = Math.min(WEAPONS.MAX_ENERGY, player.energy + WEAPONS.ENERGY_REGEN_RATE * deltaTime);
+    }
+    
+    /**
+     * Public view of a player, without simulation internals
+     */
+    serializePlayer(player) {
+        return {
+            id: player.id,
+            sectorId: player.sectorId,
+            position: player.position,
+            velocity: player.velocity,
+            rotation: player.rotation,
+            boosting: player.boosting,
+            lastUpdate: player.lastUpdate,
+            connected: player.connected
+        };
+    }
+    
+    /**
+     * Full simulation state of a player's own ship, for reconciliation
+     */
+    serializePlayerState(player) {
+        return {
+            ...this.serializePlayer(player),
+            rotationSpeed: player.rotationSpeed,
+            thrust: player.thrust,
+            controls: { ...player.controls },
+            lastProcessedInput: player.lastProcessedInput
+        };
+    }
+    
+    /**
+     * Public view of every player, or only those in one sector
+     */
+    getPlayerSnapshots(sectorId = null) {
+        return Array.from(this.gameState.players.values())
+            .filter(player => !sectorId || player.sectorId === sectorId)
+            .map(player => this.serializePlayer(player));
+    }
+    
+    cleanupDisconnectedPlayers() {
+        const now = Date.now();
         for (const [playerId, player] of this.gameState.players.entries()) {
-            if (now - player.lastUpdate > timeout) {
-                console.log(`Cleaning up inactive player: ${playerId}`);
-                this.gameState.players.delete(playerId);
-                this.clients.delete(playerId);
-                
-                this.broadcast(this.MessageTypes.PLAYER_LEAVE, {
-                    playerId: playerId
-                });
+            if (now - player.lastUpdate > this.config.inactivityTimeout) {
+                log.info('Cleaning up inactive player', { playerId });
+                this.removePlayer(playerId);
             }
         }
+        
+        this.suspendedSessions.forEach((player, token) => {
+            if (now >= player.suspendedUntil) {
+                log.info('Session expired', { playerId: player.id });
+                this.suspendedSessions.delete(token);
+            }
+        });
     }
     
     getServerStats() {
         return {
             connectedPlayers: this.clients.size,
+            suspendedSessions: this.suspendedSessions.size,
+            rooms: Object.fromEntries(Array.from(this.rooms.entries()).map(([sectorId, room]) => [sectorId, room.size])),
             gameObjects: this.gameState.gameObjects.length,
             uptime: process.uptime(),
             memoryUsage: process.memoryUsage(),
+            security: { ...this.securityStats },
+            traffic: this.metrics.getStats(),
             lastUpdate: this.gameState.lastUpdate
         };
     }
     
-    shutdown() {
-        console.log('Shutting down game server...');
+    /**
+     * Stop taking players and hand the world to the next server start.
+     * Clients hear how long to stay away and get DRAIN_PERIOD to send their
+     * last progress; then every player becomes a suspended session that the
+     * restarted server restores, so their resume tokens keep working.
+     * @param {number} expectedDowntime - Milliseconds clients should wait once disconnected
+     */
+    async drain(expectedDowntime = NETWORK.RESTART_DOWNTIME) {
+        this.draining = true;
+        this.restartAt = Date.now() + NETWORK.DRAIN_PERIOD + expectedDowntime;
+        log.info('Draining for restart', { players: this.clients.size, expectedDowntime });
         
-        // Notify all clients
-        this.broadcast('server_shutdown', {
-            message: 'Server is shutting down',
+        this.broadcast(this.MessageTypes.SERVER_SHUTDOWN, {
+            message: 'Server is restarting',
+            expectedDowntime: NETWORK.DRAIN_PERIOD + expectedDowntime,
             timestamp: Date.now()
         });
         
-        // Close all connections
-        this.wss.close(() => {
-            console.log('Game server stopped');
+        await new Promise(resolve => setTimeout(resolve, NETWORK.DRAIN_PERIOD));
+        
+        // Suspending removes each player from the clients map, so the closes below find nobody to suspend again
+        const sockets = Array.from(this.clients.values());
+        Array.from(this.clients.keys()).forEach(playerId => this.suspendPlayer(playerId, this.restartAt));
+        sockets.forEach(ws => ws.close(NETWORK.SERVICE_RESTART_CLOSE_CODE, 'Server restarting'));
+        
+        this.saveHandoff();
+        await this.persistAll();
+    }
+    
+    /**
+     * Snapshot what a restart would otherwise lose: suspended sessions and
+     * the state of every asteroid. Saved profiles are already in the store.
+     */
+    saveHandoff() {
+        this.store.set('server', 'handoff', {
+            version: HANDOFF_VERSION,
+            savedAt: Date.now(),
+            sessions: Array.from(this.suspendedSessions.values()),
+            gameObjects: this.gameState.gameObjects,
+            asteroidRespawns: Array.from(this.asteroidRespawns.values())
+        });
+        log.info('Saved restart handoff', { sessions: this.suspendedSessions.size });
+    }
+    
+    /**
+     * Pick up a handoff left by the previous run. It is used once; sessions
+     * past their grace period and sectors that no longer exist are skipped,
+     * and sectors the snapshot does not cover keep their fresh asteroids.
+     */
+    restoreHandoff() {
+        const handoff = this.store.get('server', 'handoff');
+        if (!handoff) return;
+        
+        this.store.delete('server', 'handoff');
+        if (handoff.version !== HANDOFF_VERSION) {
+            log.warn('Ignored restart handoff with an unknown version', { version: handoff.version });
+            return;
+        }
+        
+        const now = Date.now();
+        const inWorld = (sectorId) => this.navigation.isValidSector(sectorId);
+        
+        handoff.sessions
+            .filter(player => player.suspendedUntil > now && inWorld(player.sectorId))
+            .forEach(player => this.suspendedSessions.set(player.resumeToken, player));
+        
+        const objects = handoff.gameObjects.filter(object => inWorld(object.sectorId));
+        const respawns = handoff.asteroidRespawns.filter(({ asteroid }) => inWorld(asteroid.sectorId));
+        const restoredSectors = new Set([...objects, ...respawns.map(({ asteroid }) => asteroid)].map(object => object.sectorId));
+        
+        this.gameState.gameObjects = this.gameState.gameObjects
+            .filter(object => !restoredSectors.has(object.sectorId))
+            .concat(objects);
+        respawns.forEach(entry => this.asteroidRespawns.set(entry.asteroid.id, entry));
+        
+        log.info('Restored restart handoff', {
+            savedAt: new Date(handoff.savedAt).toISOString(),
+            sessions: this.suspendedSessions.size,
+            sectors: restoredSectors.size
+        });
+    }
+    
+    /**
+     * Drain, save and exit. Whatever supervises the process starts it again.
+     */
+    async shutdown(expectedDowntime = NETWORK.RESTART_DOWNTIME) {
+        if (this.draining) return;
+        log.info('Shutting down game server');
+        
+        await this.drain(expectedDowntime);
+        
+        this.wss.close();
+        this.httpServer.close(() => {
+            log.info('Game server stopped');
             process.exit(0);
         });
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-    if (gameServer) {
-        gameServer.shutdown();
+// Run as a program; importing the module only provides the class
+if (import.meta.url === `file://${process.argv[1]}`) {
+    if (process.argv.includes('--help')) {
+        process.stdout.write(ServerConfig.usage());
+        process.exit(0);
     }
-});
-
-process.on('SIGINT', () => {
-    if (gameServer) {
-        gameServer.shutdown();
+    
+    // A bad setting stops the server before it touches the data file or the port
+    let config;
+    try {
+        config = ServerConfig.load();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        process.stderr.write(`${error.message}\n`);
+        process.exit(1);
     }
-});
-
-// Start the server
-const gameServer = new GameServer(8080);
+    logger.setLevel(config.logLevel);
+    
+    // Start the server, with an admin console on the terminal that launched it
+    const gameServer = new GameServer(config, new JsonFileStore(config.dataFile));
+    gameServer.init();
+    new AdminConsole(gameServer.adminCommands).start();
+    
+    // Handle graceful shutdown
+    process.on('SIGTERM', () => gameServer.shutdown());
+    process.on('SIGINT', () => gameServer.shutdown());
+}
 
-export default GameServer;
\ No newline at end of file
+export default GameServer;
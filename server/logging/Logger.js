@@ -0,0 +1,109 @@
+/**
+ * Logger for Max-Pixels
+ * Leveled, structured logs for the game server: one JSON object per line,
+ * ready for whatever collects them. The level is debug, info, warn or error;
+ * it starts from LOG_LEVEL and the server config can change it.
+ */
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+const DEFAULT_LEVEL = 'info';
+
+export class Logger {
+    /**
+     * @param {string} component - Part of the server the entries come from
+     * @param {Object} options - {level, output, fields}; fields are added to every entry
+     * @param {Object|null} settings - Level and output shared with the logger this is a child of
+     */
+    constructor(component, { level = process.env.LOG_LEVEL, output = process.stdout, fields = {} } = {}, settings = null) {
+        this.component = component;
+        this.fields = fields;
+        this.settings = settings || {
+            level: LEVELS[level] ? level : DEFAULT_LEVEL,
+            output: output
+        };
+    }
+
+    get level() {
+        return this.settings.level;
+    }
+
+    /**
+     * Change the level of this logger and every logger it shares settings with
+     */
+    setLevel(level) {
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown log level "${level}"`);
+        }
+        this.settings.level = level;
+    }
+
+    /**
+     * A logger for a part of this one's component, sharing its level and output
+     */
+    child(component, fields = {}) {
+        return new Logger(component, { fields: { ...this.fields, ...fields } }, this.settings);
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.settings.level];
+    }
+
+    /**
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - What happened, without the details
+     * @param {Object} fields - The details: IDs, counts, errors
+     */
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            component: this.component,
+            msg: message,
+            ...this.fields,
+            ...Logger.serialize(fields)
+        };
+        this.settings.output.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * Errors do not survive JSON.stringify on their own
+     */
+    static serialize(fields) {
+        const serialized = {};
+        Object.entries(fields).forEach(([key, value]) => {
+            serialized[key] = value instanceof Error
+                ? { name: value.name, message: value.message, stack: value.stack }
+                : value;
+        });
+        return serialized;
+    }
+}
+
+Logger.LEVEL_NAMES = Object.keys(LEVELS);
+
+// Root logger; modules take a child named after themselves
+export const logger = new Logger('server');
@@ -0,0 +1,80 @@
+/**
+ * Metrics API for Max-Pixels
+ * Monitoring endpoints on the game server's HTTP port:
+ *   GET /health  - liveness, always open
+ *   GET /metrics - Prometheus text
+ *   GET /stats   - JSON server statistics
+ * When a token is configured, /metrics and /stats want it as a bearer token.
+ */
+
+import { timingSafeEqual } from 'crypto';
+
+const HTTP_STATUS = {
+    OK: 200,
+    UNAUTHORIZED: 401,
+    METHOD_NOT_ALLOWED: 405
+};
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export class MetricsApi {
+    /**
+     * @param {GameServer} server - Source of the stats and metrics
+     * @param {string|null} token - Bearer token for /metrics and /stats; null leaves them open
+     */
+    constructor(server, token = null) {
+        this.server = server;
+        this.token = token;
+        this.routes = {
+            '/health': {
+                open: true,
+                run: (res) => this.send(res, 'application/json', JSON.stringify({
+                    status: 'ok',
+                    uptime: process.uptime(),
+                    players: this.server.clients.size
+                }))
+            },
+            '/metrics': {
+                run: (res) => this.send(res, PROMETHEUS_CONTENT_TYPE,
+                    this.server.metrics.toPrometheus(this.server.getServerStats()))
+            },
+            '/stats': {
+                run: (res) => this.send(res, 'application/json', JSON.stringify(this.server.getServerStats()))
+            }
+        };
+    }
+
+    /**
+     * Answer a request if it is for a monitoring endpoint
+     * @returns {boolean} - False when the request belongs to someone else
+     */
+    handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const route = this.routes[pathname];
+        if (!route) return false;
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(HTTP_STATUS.METHOD_NOT_ALLOWED, { Allow: 'GET, HEAD' });
+            res.end();
+        } else if (!route.open && !this.isAuthorized(req)) {
+            res.writeHead(HTTP_STATUS.UNAUTHORIZED, { 'WWW-Authenticate': 'Bearer' });
+            res.end();
+        } else {
+            route.run(res);
+        }
+        return true;
+    }
+
+    isAuthorized(req) {
+        if (!this.token) return true;
+
+        const expected = Buffer.from(`Bearer ${this.token}`);
+        const actual = Buffer.from(req.headers.authorization || '');
+        return expected.length === actual.length && timingSafeEqual(expected, actual);
+    }
+
+    send(res, contentType, body) {
+        res.writeHead(HTTP_STATUS.OK, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+        res.end(body);
+    }
+}
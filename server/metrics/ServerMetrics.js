@@ -0,0 +1,195 @@
+/**
+ * Server Metrics for Max-Pixels
+ * Counters for what the game server does: messages and bytes by direction,
+ * refused messages and connections, and how long simulation ticks take.
+ * Rendered as Prometheus text or as a JSON summary.
+ */
+
+import { NETWORK } from '../../src/constants.js';
+
+const MS_PER_SECOND = 1000;
+
+const PREFIX = 'max_pixels';
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const increment = (counts, key, amount = 1) => {
+    counts.set(key, (counts.get(key) || 0) + amount);
+};
+
+/**
+ * @param {string|ArrayBuffer|ArrayBufferView} data - A frame as sent or received
+ * @returns {number} - Its size on the wire, before WebSocket framing
+ */
+export const byteLength = (data) => (typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength);
+
+export class ServerMetrics {
+    constructor() {
+        this.messagesIn = new Map();
+        this.messagesOut = new Map();
+        this.bytesIn = 0;
+        this.bytesOut = 0;
+        this.rejectedMessages = new Map();
+        this.rejectedConnections = new Map();
+
+        // One slot per bound in NETWORK.TICK_DURATION_BUCKETS, plus one for slower ticks
+        this.tickBuckets = new Array(NETWORK.TICK_DURATION_BUCKETS.length + 1).fill(0);
+        this.tickCount = 0;
+        this.tickTotal = 0;
+        this.tickMax = 0;
+
+        // Per-second message counts for the last METRICS_RATE_WINDOW seconds: second -> {in, out}
+        this.recentMessages = new Map();
+    }
+
+    // === Recording ===
+
+    recordBytesIn(bytes) {
+        this.bytesIn += bytes;
+    }
+
+    /**
+     * Count a received message once it is known to be valid, so the type
+     * labels are only ever real message types
+     */
+    recordMessageIn(type, now = Date.now()) {
+        increment(this.messagesIn, type);
+        increment(this.getRecentCounts(now).in, type);
+    }
+
+    recordMessageOut(type, bytes, now = Date.now()) {
+        this.bytesOut += bytes;
+        increment(this.messagesOut, type);
+        increment(this.getRecentCounts(now).out, type);
+    }
+
+    recordRejectedMessage(code) {
+        increment(this.rejectedMessages, code);
+    }
+
+    recordRejectedConnection(code) {
+        increment(this.rejectedConnections, code);
+    }
+
+    /**
+     * @param {number} duration - Milliseconds the tick took
+     */
+    recordTick(duration) {
+        const bucket = NETWORK.TICK_DURATION_BUCKETS.findIndex(bound => duration <= bound);
+        this.tickBuckets[bucket === -1 ? NETWORK.TICK_DURATION_BUCKETS.length : bucket]++;
+        this.tickCount++;
+        this.tickTotal += duration;
+        this.tickMax = Math.max(this.tickMax, duration);
+    }
+
+    getRecentCounts(now) {
+        const second = Math.floor(now / MS_PER_SECOND);
+        if (!this.recentMessages.has(second)) {
+            this.recentMessages.set(second, { in: new Map(), out: new Map() });
+            this.recentMessages.forEach((_counts, key) => {
+                if (key <= second - NETWORK.METRICS_RATE_WINDOW) {
+                    this.recentMessages.delete(key);
+                }
+            });
+        }
+        return this.recentMessages.get(second);
+    }
+
+    // === Reporting ===
+
+    /**
+     * Messages per second by type, averaged over the last full METRICS_RATE_WINDOW
+     * seconds; the second in progress is left out so rates do not dip as it starts
+     * @returns {Object} - {in: {type: rate}, out: {type: rate}}
+     */
+    getMessageRates(now = Date.now()) {
+        const current = Math.floor(now / MS_PER_SECOND);
+        const totals = { in: new Map(), out: new Map() };
+
+        this.recentMessages.forEach((counts, second) => {
+            if (second >= current || second < current - NETWORK.METRICS_RATE_WINDOW) return;
+            ['in', 'out'].forEach(direction => {
+                counts[direction].forEach((count, type) => increment(totals[direction], type, count));
+            });
+        });
+
+        const toRates = (counts) => Object.fromEntries(
+            Array.from(counts.entries()).map(([type, count]) => [type, count / NETWORK.METRICS_RATE_WINDOW])
+        );
+        return { in: toRates(totals.in), out: toRates(totals.out) };
+    }
+
+    /**
+     * Summary for the JSON stats endpoint and the admin console
+     */
+    getStats(now = Date.now()) {
+        return {
+            messagesIn: Object.fromEntries(this.messagesIn),
+            messagesOut: Object.fromEntries(this.messagesOut),
+            messageRates: this.getMessageRates(now),
+            bytesIn: this.bytesIn,
+            bytesOut: this.bytesOut,
+            rejectedMessages: Object.fromEntries(this.rejectedMessages),
+            rejectedConnections: Object.fromEntries(this.rejectedConnections),
+            tickDuration: {
+                count: this.tickCount,
+                average: this.tickCount > 0 ? this.tickTotal / this.tickCount : 0,
+                max: this.tickMax
+            }
+        };
+    }
+
+    /**
+     * Render everything in the Prometheus text exposition format
+     * @param {Object} serverStats - GameServer.getServerStats(), for the gauges
+     * @returns {string}
+     */
+    toPrometheus(serverStats, now = Date.now()) {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`);
+            samples.forEach(([labels, value, suffix = '']) => {
+                const labelText = Object.entries(labels)
+                    .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+                    .join(',');
+                lines.push(`${PREFIX}_${name}${suffix}${labelText ? `{${labelText}}` : ''} ${value}`);
+            });
+        };
+        const byLabel = (label, counts) => Array.from(counts.entries()).map(([key, value]) => [{ [label]: key }, value]);
+
+        const rates = this.getMessageRates(now);
+
+        metric('connected_players', 'gauge', 'Players connected, by sector',
+            Object.entries(serverStats.rooms).map(([sector, players]) => [{ sector }, players]));
+        metric('suspended_sessions', 'gauge', 'Disconnected players whose session is being held',
+            [[{}, serverStats.suspendedSessions]]);
+        metric('game_objects', 'gauge', 'Objects in the world, across all sectors', [[{}, serverStats.gameObjects]]);
+        metric('uptime_seconds', 'gauge', 'Seconds since the server started', [[{}, serverStats.uptime]]);
+        metric('messages_received_total', 'counter', 'Valid messages received, by type', byLabel('type', this.messagesIn));
+        metric('messages_sent_total', 'counter', 'Messages sent, by type', byLabel('type', this.messagesOut));
+        metric('message_rate', 'gauge', `Messages per second by direction and type, over the last ${NETWORK.METRICS_RATE_WINDOW} seconds`, [
+            ...Object.entries(rates.in).map(([type, rate]) => [{ direction: 'in', type }, rate]),
+            ...Object.entries(rates.out).map(([type, rate]) => [{ direction: 'out', type }, rate])
+        ]);
+        metric('received_bytes_total', 'counter', 'Bytes of WebSocket messages received', [[{}, this.bytesIn]]);
+        metric('sent_bytes_total', 'counter', 'Bytes of WebSocket messages sent', [[{}, this.bytesOut]]);
+        metric('rejected_messages_total', 'counter', 'Messages refused as invalid or over a rate limit, by error code',
+            byLabel('code', this.rejectedMessages));
+        metric('rejected_connections_total', 'counter', 'Connections closed by the server, by error code',
+            byLabel('code', this.rejectedConnections));
+
+        let cumulative = 0;
+        const buckets = NETWORK.TICK_DURATION_BUCKETS.map((bound, index) => {
+            cumulative += this.tickBuckets[index];
+            return [{ le: bound / MS_PER_SECOND }, cumulative, '_bucket'];
+        });
+        metric('tick_duration_seconds', 'histogram', 'Time spent running a simulation tick', [
+            ...buckets,
+            [{ le: '+Inf' }, this.tickCount, '_bucket'],
+            [{}, this.tickTotal / MS_PER_SECOND, '_sum'],
+            [{}, this.tickCount, '_count']
+        ]);
+
+        return `${lines.join('\n')}\n`;
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * JSON File Store for Max-Pixels
+ * Keeps server records in a single JSON file, so a server survives restarts
+ * without a database. Writes go to a temporary file first and replace the
+ * old one in one rename, so a crash mid-write never leaves half a file.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync } from 'fs';
+import { writeFile, rename } from 'fs/promises';
+import { dirname } from 'path';
+import { MemoryStore } from './MemoryStore.js';
+import { logger } from '../logging/Logger.js';
+
+const log = logger.child('store');
+
+export class JsonFileStore extends MemoryStore {
+    /**
+     * @param {string} filePath - Where the records live
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.flushing = null;
+    }
+
+    /**
+     * Read the file once at startup. A missing file is an empty store; an
+     * unreadable one is moved aside so the next flush does not destroy it.
+     */
+    load() {
+        if (!existsSync(this.filePath)) {
+            log.info('No data file, starting empty', { file: this.filePath });
+            return this;
+        }
+
+        try {
+            const data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+            Object.entries(data.collections || {}).forEach(([name, records]) => {
+                this.collections.set(name, new Map(Object.entries(records)));
+            });
+            log.info('Loaded data', { file: this.filePath });
+        } catch (error) {
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            renameSync(this.filePath, backupPath);
+            log.warn('Could not read data file, moved it aside', { file: this.filePath, backup: backupPath, error });
+        }
+
+        return this;
+    }
+
+    serialize() {
+        const collections = {};
+        this.collections.forEach((records, name) => {
+            collections[name] = Object.fromEntries(records);
+        });
+        return JSON.stringify({ savedAt: Date.now(), collections });
+    }
+
+    /**
+     * Write the whole store if anything changed. Overlapping calls wait for
+     * the write in progress instead of racing it.
+     */
+    async flush() {
+        if (this.flushing) {
+            await this.flushing;
+        }
+        if (!this.dirty) return false;
+
+        this.dirty = false;
+        const temporaryPath = `${this.filePath}.tmp`;
+        this.flushing = (async () => {
+            mkdirSync(dirname(this.filePath), { recursive: true });
+            await writeFile(temporaryPath, this.serialize());
+            await rename(temporaryPath, this.filePath);
+        })();
+
+        try {
+            await this.flushing;
+            return true;
+        } catch (error) {
+            // Keep the changes pending so the next flush retries them
+            this.dirty = true;
+            throw error;
+        } finally {
+            this.flushing = null;
+        }
+    }
+}
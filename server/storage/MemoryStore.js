@@ -0,0 +1,56 @@
+/**
+ * Memory Store for Max-Pixels
+ * Keeps server records in named collections for the life of the process.
+ * Base class of the persistent stores, and handy when nothing should be kept.
+ */
+
+export class MemoryStore {
+    constructor() {
+        // collection name -> Map of key -> record
+        this.collections = new Map();
+        this.dirty = false;
+    }
+
+    /**
+     * Read stored records. Nothing is stored in memory between runs.
+     */
+    load() {
+        return this;
+    }
+
+    getCollection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+
+    get(collection, key) {
+        return this.getCollection(collection).get(key) || null;
+    }
+
+    set(collection, key, record) {
+        this.getCollection(collection).set(key, record);
+        this.dirty = true;
+    }
+
+    delete(collection, key) {
+        if (this.getCollection(collection).delete(key)) {
+            this.dirty = true;
+        }
+    }
+
+    values(collection) {
+        return Array.from(this.getCollection(collection).values());
+    }
+
+    /**
+     * Write changes since the last flush
+     * @returns {Promise<boolean>} - Whether anything was written
+     */
+    async flush() {
+        const written = this.dirty;
+        this.dirty = false;
+        return written;
+    }
+}
@@ -1,32 +1,33 @@
 /**
  * Authentication Service for Max-Pixels
- * Handles user registration, login, and session management
+ * Handles user registration, login, and session management.
+ * Accounts live on the game server; guests are only ever local.
  */
 
+import { AUTH } from '../constants.js';
+
 // Authentication constants
 const AUTH_CONSTANTS = {
-    USERNAME_MIN_LENGTH: 3,
-    USERNAME_MAX_LENGTH: 20,
-    PASSWORD_MIN_LENGTH: 6,
     RANDOM_STRING_BASE: 36,
-    RANDOM_STRING_LENGTH: 9,
-    TOKEN_EXPIRY_HOURS: 24,
-    MINUTES_PER_HOUR: 60,
-    SECONDS_PER_MINUTE: 60,
-    MILLISECONDS_PER_SECOND: 1000,
-    HASH_BIT_SHIFT: 5
+    RANDOM_STRING_LENGTH: 9
 };
 
 export class AuthService {
-    constructor() {
+    constructor(apiBase = AUTH.API_URL) {
         this.currentUser = null;
-        this.token = this.getStorageItem('maxPixelsToken');
-        this.apiBase = '/api/auth'; // Future server endpoint
+        this.apiBase = apiBase;
         
-        // For now, simulate with localStorage until server is implemented
-        this.users = JSON.parse(this.getStorageItem('maxPixelsUsers') || '{}');
+        // Tokens from the game server: {accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt, user}
+        this.session = null;
+        this.refreshing = null;
         
-        if (this.token) {
+        const storedSession = this.getStorageItem('maxPixelsSession');
+        if (storedSession) {
+            try {
+                this.session = JSON.parse(storedSession);
+            } catch {
+                this.removeStorageItem('maxPixelsSession');
+            }
             this.validateToken();
         }
     }
@@ -60,38 +61,43 @@ export class AuthService {
         }
     }
     
+    /**
+     * Send a request to the game server's auth API
+     * @returns {Promise<Object>} - The server's answer when it succeeded
+     */
+    async request(endpoint, body) {
+        let response;
+        try {
+            response = await fetch(`${this.apiBase}/${endpoint}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch {
+            throw new Error('Could not reach the game server');
+        }
+        
+        const result = await response.json().catch(() => ({ success: false, message: 'Unexpected server response' }));
+        if (!result.success) {
+            const error = new Error(result.message || 'Request failed');
+            error.code = result.code;
+            throw error;
+        }
+        return result;
+    }
+    
     async register(username, email, password) {
         try {
-            // Validate input
-            this.validateRegistrationData(username, email, password);
-            
-            // Check if user already exists
-            if (this.users[username] || this.findUserByEmail(email)) {
-                throw new Error('Username or email already exists');
-            }
-            
-            // Create user account
-            const user = {
-                id: this.generateUserId(),
-                username,
-                email,
-                passwordHash: this.hashPassword(password),
-                createdAt: new Date().toISOString(),
-                level: 1,
-                experience: 0,
-                credits: 1000
-            };
-            
-            this.users[username] = user;
-            this.setStorageItem('maxPixelsUsers', JSON.stringify(this.users));
+            // Validate input before bothering the server
+            AuthService.validateRegistrationData(username, email, password);
             
-            // Auto-login after registration
-            await this.login(username, password);
+            const result = await this.request('register', { username, email, password });
+            this.startSession(result);
             
             return {
                 success: true,
                 message: 'Registration successful',
-                user: this.sanitizeUser(user)
+                user: this.getCurrentUser()
             };
             
         } catch (error) {
@@ -104,42 +110,33 @@ export class AuthService {
     
     async login(username, password) {
         try {
-            const user = this.users[username];
-            
-            if (!user) {
-                throw new Error('Invalid username or password');
-            }
-            
-            if (!this.verifyPassword(password, user.passwordHash)) {
-                throw new Error('Invalid username or password');
-            }
-            
-            // Generate session token
-            const token = this.generateToken(user);
-            this.token = token;
-            this.currentUser = user;
-            
-            this.setStorageItem('maxPixelsToken', token);
+            const result = await this.request('login', { username, password });
+            this.startSession(result);
             
             return {
                 success: true,
                 message: 'Login successful',
-                user: this.sanitizeUser(user),
-                token
+                user: this.getCurrentUser(),
+                token: result.accessToken
             };
             
         } catch (error) {
             return {
                 success: false,
+                code: error.code,
                 message: error.message
             };
         }
     }
     
     logout() {
-        this.currentUser = null;
-        this.token = null;
-        this.removeStorageItem('maxPixelsToken');
+        // Revoke the refresh token on the server; nothing waits for the answer
+        const refreshToken = this.session?.refreshToken;
+        if (refreshToken) {
+            this.request('logout', { refreshToken }).catch(() => {});
+        }
+        
+        this.endSession();
         
         return {
             success: true,
@@ -147,31 +144,83 @@ export class AuthService {
         };
     }
     
+    /**
+     * Keep the tokens of a login, refresh or registration
+     */
+    startSession(result) {
+        this.session = {
+            accessToken: result.accessToken,
+            accessTokenExpiresAt: result.accessTokenExpiresAt,
+            refreshToken: result.refreshToken,
+            refreshTokenExpiresAt: result.refreshTokenExpiresAt,
+            user: result.user
+        };
+        this.setStorageItem('maxPixelsSession', JSON.stringify(this.session));
+        
+        // Game fields the server does not track on the account itself
+        this.currentUser = {
+            level: 1,
+            experience: 0,
+            ...result.user
+        };
+    }
+    
+    endSession() {
+        this.currentUser = null;
+        this.session = null;
+        this.removeStorageItem('maxPixelsSession');
+    }
+    
+    /**
+     * Restore the stored session while its refresh token is still good.
+     * The server has the final word the next time a token is used.
+     */
     validateToken() {
-        if (!this.token) return false;
+        if (!this.session || !(this.session.refreshTokenExpiresAt > Date.now()) || !this.session.user) {
+            this.endSession();
+            return false;
+        }
         
+        this.currentUser = {
+            level: 1,
+            experience: 0,
+            ...this.session.user
+        };
+        return true;
+    }
+    
+    /**
+     * Access token for joining the game server, refreshed when about to expire
+     * @returns {Promise<string|null>} - Null for guests and expired logins
+     */
+    async getValidAccessToken() {
+        if (!this.session || this.isGuest()) return null;
+        
+        if (this.session.accessTokenExpiresAt - AUTH.TOKEN_REFRESH_MARGIN > Date.now()) {
+            return this.session.accessToken;
+        }
+        
+        if (!this.refreshing) {
+            this.refreshing = this.refreshSession().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+    
+    async refreshSession() {
         try {
-            const decoded = JSON.parse(atob(this.token.split('.')[1]));
-            
-            // Check if token is expired
-            if (decoded.exp < Date.now()) {
-                this.logout();
-                return false;
-            }
+            const result = await this.request('refresh', { refreshToken: this.session.refreshToken });
+            this.startSession(result);
+            return result.accessToken;
+        } catch (error) {
+            console.warn('Could not refresh login:', error.message);
             
-            // Find user
-            const user = this.users[decoded.username];
-            if (!user) {
-                this.logout();
-                return false;
+            // A refused token will never work again; an unreachable server might come back
+            if (error.code) {
+                this.endSession();
             }
-            
-            this.currentUser = user;
-            return true;
-            
-        } catch {
-            this.logout();
-            return false;
+            return null;
         }
     }
     
@@ -206,22 +255,17 @@ export class AuthService {
                 createdAt: new Date().toISOString(),
                 level: 1,
                 experience: 0,
-                credits: 1000,
                 isGuest: true
             };
             
-            // Don't store guest users permanently
+            // Don't store guest users permanently; they have no server session either
+            this.endSession();
             this.currentUser = guestUser;
             
-            // Generate a temporary token for the guest
-            const token = this.generateToken(guestUser);
-            this.token = token;
-            
             return {
                 success: true,
                 message: 'Guest login successful',
-                user: this.sanitizeUser(guestUser),
-                token
+                user: this.sanitizeUser(guestUser)
             };
             
         } catch (error) {
@@ -232,66 +276,28 @@ export class AuthService {
         }
     }
     
-    // Validation helpers
-    validateRegistrationData(username, email, password) {
-        if (!username || username.length < AUTH_CONSTANTS.USERNAME_MIN_LENGTH || username.length > AUTH_CONSTANTS.USERNAME_MAX_LENGTH) {
-            throw new Error(`Username must be between ${AUTH_CONSTANTS.USERNAME_MIN_LENGTH} and ${AUTH_CONSTANTS.USERNAME_MAX_LENGTH} characters`);
+    // Validation helpers, shared with the game server
+    static validateRegistrationData(username, email, password) {
+        if (!username || username.length < AUTH.MIN_USERNAME_LENGTH || username.length > AUTH.MAX_USERNAME_LENGTH) {
+            throw new Error(`Username must be between ${AUTH.MIN_USERNAME_LENGTH} and ${AUTH.MAX_USERNAME_LENGTH} characters`);
         }
         
         if (!/^[a-zA-Z0-9_]+$/.test(username)) {
             throw new Error('Username can only contain letters, numbers, and underscores');
         }
         
-        if (!email || !this.isValidEmail(email)) {
+        if (!email || !AuthService.isValidEmail(email)) {
             throw new Error('Please enter a valid email address');
         }
         
-        if (!password || password.length < AUTH_CONSTANTS.PASSWORD_MIN_LENGTH) {
-            throw new Error(`Password must be at least ${AUTH_CONSTANTS.PASSWORD_MIN_LENGTH} characters long`);
+        if (!password || password.length < AUTH.MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${AUTH.MIN_PASSWORD_LENGTH} characters long`);
         }
     }
     
-    isValidEmail(email) {
+    static isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
-    }
-    
-    // Utility functions
-    generateUserId() {
-        return 'user_' + Date.now() + '_' + Math.random().toString(AUTH_CONSTANTS.RANDOM_STRING_BASE).substr(2, AUTH_CONSTANTS.RANDOM_STRING_LENGTH);
-    }
-    
-    generateToken(user) {
-        const header = btoa(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
-        const payload = btoa(JSON.stringify({
-            username: user.username,
-            userId: user.id,
-            exp: Date.now() + (AUTH_CONSTANTS.TOKEN_EXPIRY_HOURS * AUTH_CONSTANTS.MINUTES_PER_HOUR * AUTH_CONSTANTS.SECONDS_PER_MINUTE * AUTH_CONSTANTS.MILLISECONDS_PER_SECOND) // 24 hours
-        }));
-        
-        // Simple signature (in real app, this would be server-side with secret key)
-        const signature = btoa('maxpixels_' + user.username);
-        
-        return `${header}.${payload}.${signature}`;
-    }
-    
-    hashPassword(password) {
-        // Simple hash for demo (in real app, use proper bcrypt or similar)
-        let hash = 0;
-        for (let i = 0; i < password.length; i++) {
-            const char = password.charCodeAt(i);
-            hash = ((hash << AUTH_CONSTANTS.HASH_BIT_SHIFT) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return hash.toString();
-    }
-    
-    verifyPassword(password, hash) {
-        return this.hashPassword(password) === hash;
-    }
-    
-    findUserByEmail(email) {
-        return Object.values(this.users).find(user => user.email === email);
+        return typeof email === 'string' && emailRegex.test(email);
     }
     
     sanitizeUser(user) {
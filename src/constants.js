@@ -85,6 +85,7 @@ export const PLAYER = {
     
     // Movement
     DELTA_TIME: 1/60,
+    MAX_PHYSICS_STEPS_PER_FRAME: 5, // Catch-up limit after a stalled frame
     BOUNDARY_MARGIN: 25,
     ROTATION_SMOOTHING: 0.15,
     ROTATION_SPEED: 3.0, // radians per second
@@ -93,6 +94,7 @@ export const PLAYER = {
     ROTATION_CONTROL_SMOOTHING: 0.2, // Smoothing factor for rotation control
     REVERSE_THRUST_MULTIPLIER: 0.6, // Reverse thrust power multiplier
     BOOST_CAPABILITY_CHECK_TIME: 0.1, // Time window for boost capability check
+    DRAG: 0.98, // Velocity retained per physics step (space friction for gameplay)
     
     // Health System
     MAX_HEALTH: 100,
@@ -122,7 +124,8 @@ export const PLAYER = {
     HEALTH_UPGRADE_MULTIPLIER: 1.15,
     SHIELD_UPGRADE_MULTIPLIER: 1.2,
     CARGO_UPGRADE_MULTIPLIER: 1.3,
-    ENERGY_UPGRADE_MULTIPLIER: 1.15
+    ENERGY_UPGRADE_MULTIPLIER: 1.15,
+    CARGO_CAPACITY: 100 // cubic metres of cargo a new ship can carry
 };
 
 // Graphics Constants
@@ -582,7 +585,19 @@ export const GRAPHICS = {
     TRADE_ROUTE_ARROW_SIZE: 8,
     TRADE_ROUTE_ARROW_SPACING: 100,
     TRADE_ROUTE_ARROW_STAGGER_DELAY: 0.2,
-    RADIANS_TO_DEGREES: 180 / Math.PI
+    RADIANS_TO_DEGREES: 180 / Math.PI,
+    
+    // Market price charts
+    PRICE_CHART_WIDTH: 240,
+    PRICE_CHART_HEIGHT: 64,
+    PRICE_CHART_PADDING: 10,
+    PRICE_CHART_LINE_WIDTH: 1.5,
+    PRICE_CHART_LINE_COLOR: '#4a90e2',
+    PRICE_CHART_AVERAGE_COLOR: '#888888',
+    PRICE_CHART_PURCHASE_COLOR: '#ffff00',
+    PRICE_CHART_BACKGROUND: '#0a0a1a',
+    PRICE_CHART_LABEL_SIZE: 9,
+    PRICE_CHART_POINT_RADIUS: 2.5
 };
 
 // UI Constants
@@ -598,7 +613,9 @@ export const UI = {
     PROXIMITY_PULSE_MIN: 0.3,
     PROXIMITY_PULSE_MAX: 0.8,
     PROXIMITY_PULSE_DURATION: '1.5s',
-    PROXIMITY_FILTER_ID: 'proximityGlow'
+    PROXIMITY_FILTER_ID: 'proximityGlow',
+    KILL_FEED_SIZE: 5, // kill feed entries shown at once
+    KILL_FEED_DURATION: 6000 // milliseconds each kill stays in the feed
 };
 
 // Trading Constants
@@ -612,11 +629,39 @@ export const TRADING = {
     PRICE_BOUNDS_MIN_BUY: 0.3,
     PRICE_BOUNDS_MAX_SELL: 2.0,
     PRICE_BOUNDS_MAX_BUY: 1.5,
+    MARKET_SPREAD: 0.2, // stations buy this much under and sell this much over their price
+    ECONOMY_TICK_INTERVAL: 10000, // milliseconds between station production and price updates
+    MAX_ECONOMY_CATCH_UP: 360, // most ticks run at once after time away
+    STOCK_RECOVERY: 0.05, // share of the gap to target stock restored per tick
+    SCARCITY_WEIGHT: 0.5, // price change for stock fully short of (or double) the target
+    MIN_SCARCITY: 0.5,
+    MIN_REFERENCE_STOCK: 20, // goods a station keeps none of are compared against this
+    PRICE_JITTER: 0.05, // random price wobble per tick, scaled by item volatility
+    PRICE_HISTORY_LENGTH: 120,
+    PRICE_PRECISION: 100, // prices are kept to the hundredth of a credit
+    PRICE_CHART_TICKS: 60, // ticks shown in a market's price chart
+    ROUTE_SUGGESTIONS: 5, // trade routes listed by the planner
     DEFAULT_PLAYER_CREDITS: 1000,
+    MAX_PLAYER_CREDITS: 1000000000, // highest balance the server accepts in a progress report
     MESSAGE_DURATION: 3000,
     FADE_OUT_DELAY: 300
 };
 
+// Cargo Constants
+export const CARGO = {
+    // Space (cubic metres) and mass (tonnes) taken by one unit of each item
+    ITEMS: {
+        'ore-iron': { volume: 1, mass: 2.5 },
+        'ore-copper': { volume: 1, mass: 3 },
+        'fuel-hydrogen': { volume: 2, mass: 0.5 },
+        'food-rations': { volume: 1, mass: 0.4 },
+        'tech-processors': { volume: 0.5, mass: 0.1 },
+        'med-supplies': { volume: 1, mass: 0.3 }
+    },
+    DEFAULT_ITEM: { volume: 1, mass: 1 }, // anything not listed above
+    MASS_PRECISION: 10 // masses are shown to the tenth of a tonne
+};
+
 // Navigation Constants
 export const NAVIGATION = {
     JUMP_COOLDOWN: 1000,
@@ -636,7 +681,29 @@ export const AUTH = {
     TOKEN_LENGTH: 36,
     TOKEN_CHARSET_LENGTH: 9,
     SESSION_DURATION: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
-    MAX_LOGIN_ATTEMPTS: 5
+    MAX_LOGIN_ATTEMPTS: 5,
+    MAX_PASSWORD_LENGTH: 128,
+    
+    // Game server accounts
+    API_URL: 'http://localhost:8080/api/auth',
+    ACCESS_TOKEN_DURATION: 15 * 60 * 1000, // 15 minutes
+    REFRESH_TOKEN_DURATION: 30 * 24 * 60 * 60 * 1000, // 30 days
+    TOKEN_REFRESH_MARGIN: 60 * 1000, // refresh access tokens this long before they expire
+    LOCKOUT_DURATION: 15 * 60 * 1000, // 15 minutes after MAX_LOGIN_ATTEMPTS failures
+    PASSWORD_SALT_BYTES: 16,
+    PASSWORD_HASH_BYTES: 64,
+    REFRESH_TOKEN_BYTES: 32,
+    SECRET_BYTES: 32,
+    MAX_REQUEST_BYTES: 4096,
+    
+    // Codes carried by failed auth responses
+    ERROR_CODES: {
+        INVALID_REQUEST: 'invalid_request',
+        INVALID_CREDENTIALS: 'invalid_credentials',
+        ACCOUNT_EXISTS: 'account_exists',
+        ACCOUNT_LOCKED: 'account_locked',
+        INVALID_TOKEN: 'invalid_token'
+    }
 };
 
 // Animation Constants
@@ -814,6 +881,12 @@ export const RESOURCES = {
     ASTEROID_RESOURCE_TYPES: ['ore-iron', 'ore-copper']
 };
 
+// Server-owned asteroid field constants
+export const ASTEROID_FIELD = {
+    HEALTH_PER_SIZE: 2, // asteroid health per pixel of radius
+    RESPAWN_DELAY: 30000 // milliseconds before a destroyed asteroid reappears
+};
+
 // Asteroid Damage Indicator Constants
 export const ASTEROID_DAMAGE = {
     // Damage ring appearance
@@ -848,16 +921,43 @@ export const NETWORK = {
     // WebSocket connection settings
     DEFAULT_SERVER_URL: 'ws://localhost:8080',
     WEBSOCKET_NORMAL_CLOSE_CODE: 1000,
+    CONNECTION_REJECTED_CLOSE_CODE: 4000, // server refused the session; reconnecting will not help
+    SERVICE_RESTART_CLOSE_CODE: 1012, // server restarting; reconnect after the announced downtime
     MAX_RECONNECT_ATTEMPTS: 5,
     INITIAL_RECONNECT_DELAY: 1000, // 1 second
     MAX_RECONNECT_DELAY: 30000, // 30 seconds
     RECONNECT_BACKOFF_MULTIPLIER: 2,
     
+    // Protocol handshake
+    PROTOCOL_VERSION: 2, // bump on every incompatible wire change
+    MIN_PROTOCOL_VERSION: 2, // oldest client protocol the server still accepts
+    CLIENT_BUILD: '0.1.0',
+    FEATURES: {
+        DELTA_STATE: 'delta_state' // keyframe + delta world state instead of full GAME_STATE
+    },
+    
     // Heartbeat and keep-alive
     HEARTBEAT_INTERVAL: 5000, // 5 seconds
     HEARTBEAT_TIMEOUT: 10000, // 10 seconds
     CONNECTION_TIMEOUT: 30000, // 30 seconds
     
+    // Session resumption
+    SESSION_GRACE_PERIOD: 60000, // milliseconds a dropped player's state is kept
+    RESTART_DOWNTIME: 15000, // milliseconds clients are told to wait while the server restarts
+    DRAIN_PERIOD: 2000, // milliseconds between announcing a restart and closing connections
+    RESUME_TOKEN_BYTES: 16,
+    
+    // Persistence
+    PROGRESS_SYNC_INTERVAL: 10000, // milliseconds between client progress reports
+    STORE_FLUSH_INTERVAL: 30000, // milliseconds between writes of the server store
+    MAX_CARGO_ENTRIES: 64, // distinct items a progress report may carry
+    MAX_AUTH_TOKEN_LENGTH: 512,
+    MAX_ADMIN_COMMAND_LENGTH: 512,
+    
+    // Server metrics
+    METRICS_RATE_WINDOW: 10, // seconds of traffic averaged into messages-per-second rates
+    TICK_DURATION_BUCKETS: [1, 2, 5, 10, 25, 50], // histogram bounds in milliseconds
+    
     // Player identification
     PLAYER_ID_SUBSTR_START: 2,
     PLAYER_ID_SUBSTR_LENGTH: 9,
@@ -865,18 +965,31 @@ export const NETWORK = {
     
     // Message rate limiting
     MESSAGE_RATE_LIMIT: 50, // messages per second
+    MAX_VIOLATIONS: 10, // invalid or rate-limited messages tolerated before disconnecting
+    VIOLATION_FORGIVENESS_RATE: 0.2, // violations forgiven per second
+    MAX_IDENTIFIER_LENGTH: 64, // player, sector, codec and build names
+    MAX_FEATURES: 16, // feature names a client may advertise
+    FIRE_BURST_LIMIT: 2, // shots accepted back to back when the network bunches them
     MOVEMENT_UPDATE_RATE: 20, // updates per second
     POSITION_SYNC_INTERVAL: 100, // milliseconds
     
+    // Server-authoritative simulation
+    SERVER_TICK_RATE: 60, // fixed physics steps per second
+    MAX_QUEUED_INPUTS: 30, // input steps buffered per player before dropping
+    POSITION_CORRECTION_THRESHOLD: 100, // pixels before the client snaps to the server
+    
     // Latency compensation
     INTERPOLATION_DELAY: 100, // milliseconds
+    MAX_EXTRAPOLATION_TIME: 250, // milliseconds remote ships keep moving without updates
     PREDICTION_TIME: 50, // milliseconds
     LAG_COMPENSATION_THRESHOLD: 200, // milliseconds
+    CLOCK_SYNC_SAMPLES: 8, // heartbeat round trips kept for the clock estimate
     
     // Game state synchronization
     FULL_STATE_SYNC_INTERVAL: 5000, // 5 seconds
     DELTA_STATE_SYNC_INTERVAL: 100, // 100 milliseconds
     SNAPSHOT_BUFFER_SIZE: 64,
+    MAX_PENDING_KEYFRAMES: 4, // unacknowledged keyframes kept per client
     
     // Chat and communication
     MAX_CHAT_MESSAGE_LENGTH: 256,
@@ -895,12 +1008,30 @@ export const NETWORK = {
     
     // Message types
     MESSAGE_TYPES: {
+        WELCOME: 'welcome',
+        CODEC_SELECT: 'codec_select',
+        SESSION: 'session',
         PLAYER_JOIN: 'player_join',
         PLAYER_LEAVE: 'player_leave',
         PLAYER_MOVE: 'player_move',
         PLAYER_FIRE: 'player_fire',
+        PLAYER_RESPAWN: 'player_respawn',
+        PLAYER_STATE: 'player_state',
         PLAYER_DAMAGE: 'player_damage',
+        OBJECT_DESTROYED: 'object_destroyed',
+        PLAYER_KILLED: 'player_killed',
+        OBJECT_DAMAGED: 'object_damaged',
+        OBJECT_SPAWNED: 'object_spawned',
+        PLAYER_PROFILE: 'player_profile',
+        PLAYER_PROGRESS: 'player_progress',
+        ADMIN_COMMAND: 'admin_command',
+        ADMIN_RESULT: 'admin_result',
+        ANNOUNCEMENT: 'announcement',
+        SERVER_SHUTDOWN: 'server_shutdown',
         GAME_STATE: 'game_state',
+        STATE_KEYFRAME: 'state_keyframe',
+        STATE_DELTA: 'state_delta',
+        STATE_ACK: 'state_ack',
         CHAT_MESSAGE: 'chat_message',
         HEARTBEAT: 'heartbeat',
         PING: 'ping',
@@ -912,6 +1043,25 @@ export const NETWORK = {
         ERROR: 'error'
     },
     
+    // Codes carried by ERROR messages
+    ERROR_CODES: {
+        INVALID_MESSAGE: 'invalid_message',
+        PROTOCOL_MISMATCH: 'protocol_mismatch',
+        SERVER_FULL: 'server_full',
+        ALREADY_CONNECTED: 'already_connected',
+        ROOM_FULL: 'room_full',
+        INVALID_JUMP: 'invalid_jump',
+        RATE_LIMITED: 'rate_limited',
+        POLICY_VIOLATION: 'policy_violation',
+        AUTH_FAILED: 'auth_failed',
+        AUTH_REQUIRED: 'auth_required',
+        KICKED: 'kicked',
+        BANNED: 'banned',
+        MUTED: 'muted',
+        FORBIDDEN: 'forbidden',
+        SERVER_RESTARTING: 'server_restarting'
+    },
+    
     // Connection states
     CONNECTION_STATES: {
         DISCONNECTED: 'disconnected',
@@ -3366,4 +3366,111 @@ export class GraphicsEngine {
 
         return tradeRoute;
     }
+
+    /**
+     * Create a sparkline of prices over time, with their average and an
+     * optional reference price (such as what the player paid) as dashed lines
+     * @param {Array<number>} prices - Prices, oldest first
+     * @param {number} width - Chart width
+     * @param {number} height - Chart height
+     * @param {Object} options - Configuration options
+     * @param {string} [options.id] - Unique identifier for the chart
+     * @param {number} [options.referencePrice] - Price to mark across the chart
+     * @param {string} [options.lineColor] - Sparkline color
+     * @returns {SVGElement} Price chart SVG group
+     */
+    createPriceChart(prices, width = GRAPHICS.PRICE_CHART_WIDTH, height = GRAPHICS.PRICE_CHART_HEIGHT, options = {}) {
+        // Validate inputs
+        if (!Array.isArray(prices) || prices.length === 0 || !prices.every(Number.isFinite)) {
+            throw new Error('GraphicsEngine.createPriceChart: prices must be a non-empty array of finite numbers');
+        }
+        if (!Number.isFinite(width) || width <= 0) {
+            throw new Error('GraphicsEngine.createPriceChart: width must be a positive finite number');
+        }
+        if (!Number.isFinite(height) || height <= 0) {
+            throw new Error('GraphicsEngine.createPriceChart: height must be a positive finite number');
+        }
+        if (typeof options !== 'object' || options === null) {
+            throw new Error('GraphicsEngine.createPriceChart: options must be an object');
+        }
+
+        const {
+            id = this.generateId('price-chart'),
+            referencePrice = null,
+            lineColor = GRAPHICS.PRICE_CHART_LINE_COLOR
+        } = options;
+
+        const min = Math.min(...prices);
+        const max = Math.max(...prices);
+        const average = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+        const hasReference = Number.isFinite(referencePrice);
+
+        // Scale to the prices and the reference together, so both stay in view
+        const low = hasReference ? Math.min(min, referencePrice) : min;
+        const high = hasReference ? Math.max(max, referencePrice) : max;
+        const range = high - low || 1;
+        const padding = GRAPHICS.PRICE_CHART_PADDING;
+        const toX = (index) => (prices.length === 1 ? width / 2 : padding + index * (width - padding * 2) / (prices.length - 1));
+        const toY = (price) => padding + (high - price) / range * (height - padding * 2);
+
+        const chart = this.createGroup({
+            id,
+            class: 'price-chart'
+        });
+
+        chart.appendChild(this.createRect(0, 0, width, height, {
+            fill: GRAPHICS.PRICE_CHART_BACKGROUND,
+            class: 'price-chart-background'
+        }));
+
+        chart.appendChild(this.createLine(padding, toY(average), width - padding, toY(average), {
+            id: `${id}_average`,
+            stroke: GRAPHICS.PRICE_CHART_AVERAGE_COLOR,
+            'stroke-width': 1,
+            'stroke-dasharray': '2,2',
+            class: 'price-chart-average'
+        }));
+
+        if (hasReference) {
+            chart.appendChild(this.createLine(padding, toY(referencePrice), width - padding, toY(referencePrice), {
+                id: `${id}_reference`,
+                stroke: GRAPHICS.PRICE_CHART_PURCHASE_COLOR,
+                'stroke-width': 1,
+                'stroke-dasharray': '4,2',
+                class: 'price-chart-reference'
+            }));
+        }
+
+        const points = prices.map((price, index) => `${toX(index).toFixed(1)},${toY(price).toFixed(1)}`);
+        chart.appendChild(this.createPath(`M ${points.join(' L ')}`, {
+            id: `${id}_line`,
+            stroke: lineColor,
+            'stroke-width': GRAPHICS.PRICE_CHART_LINE_WIDTH,
+            fill: 'none',
+            class: 'price-chart-line'
+        }));
+
+        // Mark the current price at the end of the line
+        const last = prices.length - 1;
+        chart.appendChild(this.createCircle(toX(last), toY(prices[last]), GRAPHICS.PRICE_CHART_POINT_RADIUS, {
+            fill: lineColor,
+            class: 'price-chart-current'
+        }));
+
+        const labelAttributes = {
+            fill: GRAPHICS.PRICE_CHART_AVERAGE_COLOR,
+            'font-size': GRAPHICS.PRICE_CHART_LABEL_SIZE,
+            'font-family': 'monospace'
+        };
+        chart.appendChild(this.createText(max.toFixed(2), 2, GRAPHICS.PRICE_CHART_LABEL_SIZE, {
+            ...labelAttributes,
+            class: 'price-chart-max'
+        }));
+        chart.appendChild(this.createText(min.toFixed(2), 2, height - 2, {
+            ...labelAttributes,
+            class: 'price-chart-min'
+        }));
+
+        return chart;
+    }
 }
\ No newline at end of file
@@ -12,10 +12,19 @@ import { AuthService } from './auth/AuthService.js';
 import { AuthUI } from './ui/AuthUI.js';
 import { TradingSystem } from './trading/TradingSystem.js';
 import { TradingUI } from './ui/TradingUI.js';
+import { JettisonPrompt } from './ui/JettisonPrompt.js';
+import { CargoHold } from './player/CargoHold.js';
+import { Wallet } from './player/Wallet.js';
+import { Player } from './player/Player.js';
+import { TradeRoutePlanner } from './trading/TradeRoutePlanner.js';
 import { SpaceNavigation } from './navigation/SpaceNavigation.js';
 import { NetworkManager } from './network/NetworkManager.js';
+import { SnapshotBuffer } from './network/SnapshotBuffer.js';
 import { playerList } from './social/PlayerList.js';
-import { RESOURCES, WEAPONS, PLAYER, UI, GRAPHICS } from './constants.js';
+import { ShipPhysics } from './movement/ShipPhysics.js';
+import { RESOURCES, WEAPONS, PLAYER, UI, GRAPHICS, NETWORK } from './constants.js';
+
+const NEUTRAL_INPUT = Object.freeze({ thrust: 0, rotation: 0, boost: false });
 
 class MaxPixelsGame {
     constructor() {
@@ -28,9 +37,22 @@ class MaxPixelsGame {
         this.audio = new AudioManager();
         this.auth = new AuthService();
         this.authUI = null;
-        this.trading = new TradingSystem();
-        this.tradingUI = new TradingUI(this.trading, this.auth);
+        this.cargo = new CargoHold(); // the one hold and wallet; trading, mining and saves all share them
+        this.wallet = new Wallet();
+        this.pilot = new Player(null, undefined, { cargo: this.cargo, wallet: this.wallet }); // saved upgrades; loading or buying one resizes the hold
+        this.trading = new TradingSystem(TradingSystem.getSectorStations(), this.cargo, this.wallet);
         this.navigation = new SpaceNavigation();
+        this.routePlanner = new TradeRoutePlanner(this.trading, this.navigation);
+        this.tradingUI = new TradingUI(this.trading, this.routePlanner, this.graphics);
+        this.tradingUI.onRoutePlotted = (route) => this.plotTradeRoute(route);
+        this.tradingUI.onTrade = () => this.sendPlayerProgress(true);
+        this.jettisonPrompt = new JettisonPrompt(this.cargo, this.trading);
+        this.jettisonPrompt.onCargoChanged = () => {
+            this.tradingUI.refreshInterface();
+            this.sendPlayerProgress(true);
+        };
+        this.plottedRoute = null;
+        this.routeOrigin = null; // fixed start of the route's first leg: the station it was plotted at, or the sector's arrival point
         this.network = new NetworkManager();
         this.initializePlayerInventory();
         this.initializeNetworking();
@@ -64,6 +86,17 @@ class MaxPixelsGame {
             lastShieldRechargeSound: 0
         };
         
+        // Ship simulation shared with the game server, which replays our inputs
+        this.ship = ShipPhysics.createState(this.player.x, this.player.y);
+        this.player.velocity = this.ship.velocity;
+        this.movementInput = NEUTRAL_INPUT;
+        this.lastInputSendTime = 0;
+        this.lastProgressSendTime = 0;
+        this.physicsAccumulator = 0;
+        // Visual offset left over from server reconciliation, blended away over time
+        this.predictionError = { x: 0, y: 0 };
+        this.lastPhysicsTime = null;
+        
         this.asteroids = [];
         
         this.stations = [];
@@ -164,7 +197,7 @@ class MaxPixelsGame {
     async initializeUI() {
         console.log('Initializing UI system...');
         this.createHUD();
-        this.authUI = new AuthUI(this.auth, this.uiContainer);
+        this.authUI = new AuthUI(this.auth, this.uiContainer, this.wallet);
     }
     
     initializeAudio() {
@@ -245,8 +278,10 @@ class MaxPixelsGame {
             this.graphics.addToLayer('background', debrisField);
         }
         
-        // Load asteroids
-        this.createAsteroids(sector.asteroids, sector.bounds);
+        // Load asteroids; online, the server sends the sector's shared field
+        if (!this.network.isConnected) {
+            this.createAsteroids(sector.asteroids, sector.bounds);
+        }
         
         // Load planets
         sector.planets.forEach(planet => {
@@ -281,6 +316,40 @@ class MaxPixelsGame {
             );
             this.graphics.addToLayer('game', gateElement);
         });
+        
+        this.drawPlottedRoute();
+    }
+    
+    /**
+     * Show a trade route on the map, or clear it with null
+     */
+    plotTradeRoute(route) {
+        const station = this.tradingUI.currentStation;
+        this.plottedRoute = route;
+        this.routeOrigin = station ? { x: station.x, y: station.y } : { x: this.player.x, y: this.player.y };
+        this.drawPlottedRoute();
+    }
+    
+    /**
+     * Draw the legs of the plotted route that lie in the current sector
+     */
+    drawPlottedRoute() {
+        const gameLayer = this.graphics.getLayer('game');
+        gameLayer.querySelectorAll('.trade-route').forEach(element => element.remove());
+        if (!this.plottedRoute) return;
+        
+        const legs = this.routePlanner.getRouteLegs(
+            this.plottedRoute, this.navigation.currentSector, this.routeOrigin
+        );
+        legs.forEach((leg, index) => {
+            const routeElement = this.graphics.createTradeRoute(leg.start.x, leg.start.y, leg.end.x, leg.end.y, {
+                id: `plotted-route-${index}`,
+                routeType: leg.routeType
+            });
+            
+            // Under the ships and stations, so it never hides what it points at
+            gameLayer.insertBefore(routeElement, gameLayer.firstChild);
+        });
     }
     
     clearSector() {
@@ -418,9 +487,8 @@ class MaxPixelsGame {
     interactWithStation(station) {
         console.log(`Interacting with ${station.name}!`);
         
-        if (station.type === 'trading') {
-            this.openTradingInterface(station);
-        }
+        // Every station has a market, stocked for its type
+        this.openTradingInterface(station);
     }
     
     openTradingInterface(station) {
@@ -515,10 +583,8 @@ class MaxPixelsGame {
     onSectorChanged(sectorId, sectorData) {
         // Update player position to spawn point
         const spawnPos = this.navigation.getPlayerSpawnPosition(sectorId);
-        this.player.x = spawnPos.x;
-        this.player.y = spawnPos.y;
-        this.player.velocity.x = 0;
-        this.player.velocity.y = 0;
+        this.placePlayerShip(spawnPos.x, spawnPos.y);
+        this.routeOrigin = { x: spawnPos.x, y: spawnPos.y };
         
         // Update player bounds for new sector
         this.updatePlayerBounds();
@@ -563,7 +629,9 @@ class MaxPixelsGame {
             return;
         }
         
-        this.updatePlayer();
+        this.updatePlayer(timestamp);
+        this.updateOtherPlayers();
+        this.updateEconomy();
         this.updateEnergy();
         this.updateHeat();
         this.updateHealth();
@@ -594,14 +662,7 @@ class MaxPixelsGame {
             return;
         }
         
-        const movement = this.input.getMovementVector();
-        this.player.velocity.x = movement.x;
-        this.player.velocity.y = movement.y;
-        
-        if (this.input.isPressed('boost')) {
-            this.player.velocity.x *= 2;
-            this.player.velocity.y *= 2;
-        }
+        this.movementInput = this.readMovementInput();
         
         if (this.input.justPressed('KeyQ')) {
             this.camera.zoomOut();
@@ -629,35 +690,54 @@ class MaxPixelsGame {
         }
     }
     
-    updatePlayer() {
-        const deltaTime = PLAYER.DELTA_TIME;
+    /**
+     * Read the movement intent for this frame: W/S thrust, A/D rotate
+     * @returns {Object} - Input {thrust, rotation, boost}
+     */
+    readMovementInput() {
+        const axis = (positive, negative) =>
+            (this.input.isPressed(positive) ? 1 : 0) - (this.input.isPressed(negative) ? 1 : 0);
         
-        // Update rotation based on movement direction
-        if (this.player.velocity.x !== 0 || this.player.velocity.y !== 0) {
-            const targetRotation = Math.atan2(this.player.velocity.x, -this.player.velocity.y) * 180 / Math.PI;
-            
-            // Smooth rotation interpolation
-            let angleDiff = targetRotation - this.player.rotation;
-            
-            // Handle angle wrapping (-180 to 180)
-            if (angleDiff > 180) angleDiff -= 360;
-            if (angleDiff < -180) angleDiff += 360;
-            
-            // Apply rotation smoothing
-            this.player.rotation += angleDiff * PLAYER.ROTATION_SMOOTHING;
-            
-            // Keep rotation within -180 to 180 range
-            if (this.player.rotation > 180) this.player.rotation -= 360;
-            if (this.player.rotation < -180) this.player.rotation += 360;
+        return {
+            thrust: axis('move_up', 'move_down'),
+            rotation: axis('move_right', 'move_left'),
+            boost: this.input.isPressed('boost')
+        };
+    }
+    
+    updatePlayer(timestamp) {
+        const stepDuration = PLAYER.DELTA_TIME * 1000;
+        if (this.lastPhysicsTime === null) {
+            this.lastPhysicsTime = timestamp;
         }
         
-        this.player.x += this.player.velocity.x * this.player.speed * deltaTime;
-        this.player.y += this.player.velocity.y * this.player.speed * deltaTime;
+        const frameTime = timestamp - this.lastPhysicsTime;
+        this.lastPhysicsTime = timestamp;
         
-        // Use current sector bounds
+        // Step at the server's fixed rate so both simulations see the same inputs
+        this.physicsAccumulator = Math.min(
+            this.physicsAccumulator + frameTime,
+            stepDuration * PLAYER.MAX_PHYSICS_STEPS_PER_FRAME
+        );
+        
+        const input = this.player.isDead ? NEUTRAL_INPUT : this.movementInput;
         const bounds = this.navigation.getSectorBounds();
-        this.player.x = Math.max(25, Math.min(bounds.width - 25, this.player.x));
-        this.player.y = Math.max(25, Math.min(bounds.height - 25, this.player.y));
+        
+        this.ship.energy = this.player.energy;
+        while (this.physicsAccumulator >= stepDuration) {
+            ShipPhysics.step(this.ship, input, PLAYER.DELTA_TIME, bounds);
+            if (this.network.isConnected) {
+                this.network.recordInput(input);
+            }
+            this.physicsAccumulator -= stepDuration;
+        }
+        this.player.energy = this.ship.energy;
+        
+        const errorDecay = Math.exp(-frameTime / NETWORK.PREDICTION_TIME);
+        this.predictionError.x *= errorDecay;
+        this.predictionError.y *= errorDecay;
+        
+        this.syncPlayerFromShip();
         
         this.playerShip.setAttribute('transform', 
             `translate(${this.player.x}, ${this.player.y}) rotate(${this.player.rotation})`);
@@ -682,13 +762,50 @@ class MaxPixelsGame {
             
         // Send position updates to multiplayer server
         this.sendPlayerUpdate();
+        this.sendPlayerProgress();
     }
     
     updatePlayerBounds() {
         // Called when sector changes to update bounds
-        const bounds = this.navigation.getSectorBounds();
-        this.player.x = Math.max(25, Math.min(bounds.width - 25, this.player.x));
-        this.player.y = Math.max(25, Math.min(bounds.height - 25, this.player.y));
+        ShipPhysics.clampToBounds(this.ship, this.navigation.getSectorBounds());
+        this.syncPlayerFromShip();
+    }
+    
+    /**
+     * Copy the simulated ship onto the player used for rendering and gameplay
+     */
+    syncPlayerFromShip() {
+        this.player.x = this.ship.position.x + this.predictionError.x;
+        this.player.y = this.ship.position.y + this.predictionError.y;
+        this.player.rotation = ShipPhysics.toDisplayRotation(this.ship.rotation);
+    }
+    
+    /**
+     * Teleport the ship, dropping momentum and the inputs flown before it
+     * @param {number} x - New X coordinate
+     * @param {number} y - New Y coordinate
+     */
+    placePlayerShip(x, y) {
+        // The server drops these too, so they count as processed from here on
+        if (this.network.isConnected) {
+            this.network.sendPlayerInput(this.navigation.currentSector);
+        }
+        this.network.resetPrediction();
+        
+        ShipPhysics.reset(this.ship, x, y);
+        this.predictionError.x = 0;
+        this.predictionError.y = 0;
+        this.syncPlayerFromShip();
+    }
+    
+    /**
+     * Let station markets produce, consume and reprice; an open market
+     * shows the new stock and prices straight away
+     */
+    updateEconomy() {
+        if (this.trading.updateEconomy() > 0 && this.tradingUI.isOpen) {
+            this.tradingUI.updateMarketPrices();
+        }
     }
     
     updateEnergy() {
@@ -991,11 +1108,11 @@ class MaxPixelsGame {
         this.player.isDead = false;
         this.player.shield = PLAYER.MAX_SHIELD;
         this.player.shieldsActive = false;
-        this.player.x = PLAYER.SPAWN_X;
-        this.player.y = PLAYER.SPAWN_Y;
-        this.player.velocity.x = 0;
-        this.player.velocity.y = 0;
-        this.player.rotation = 0;
+        this.placePlayerShip(PLAYER.SPAWN_X, PLAYER.SPAWN_Y);
+        
+        if (this.network.isConnected) {
+            this.network.sendPlayerRespawn();
+        }
         
         // Grant spawn invincibility
         this.player.isInvincible = true;
@@ -1151,39 +1268,38 @@ class MaxPixelsGame {
     }
     
     updateThrusterEffects() {
-        const movement = this.input.getMovementVector();
-        const boost = this.input.isPressed('boost');
-        const isMoving = movement.x !== 0 || movement.y !== 0;
+        const input = this.player.isDead ? NEUTRAL_INPUT : this.movementInput;
+        const boost = this.ship.boosting;
+        const isMoving = input.thrust !== 0 || input.rotation !== 0;
         
-        // Update visual thruster effects
-        this.graphics.updateSpaceshipThrusters(this.playerShip, movement, boost);
+        // Main thruster pushes forward, side thrusters turn the ship
+        this.graphics.updateSpaceshipThrusters(this.playerShip, { x: input.rotation, y: Math.max(0, input.thrust) }, boost);
         
         // Create thruster particle trail effects
         if (isMoving) {
             const intensity = boost ? 1.0 : 0.6;
+            const heading = this.ship.rotation;
             
-            // Main thruster (backward movement - forward thrust)
-            if (movement.y > 0) {
-                const thrusterX = this.player.x;
-                const thrusterY = this.player.y + 30; // Behind the ship
-                const thrusterAngle = this.player.rotation * Math.PI / 180;
-                this.particles.createThrusterTrail(thrusterX, thrusterY, thrusterAngle, intensity);
+            // Main thruster (forward thrust)
+            if (input.thrust > 0) {
+                const thrusterX = this.player.x - Math.cos(heading) * 30; // Behind the ship
+                const thrusterY = this.player.y - Math.sin(heading) * 30;
+                this.particles.createThrusterTrail(thrusterX, thrusterY, heading, intensity);
             }
             
-            // Side thrusters for lateral movement
-            if (movement.x !== 0) {
+            // Side thrusters for rotation
+            if (input.rotation !== 0) {
                 const sideIntensity = intensity * 0.7;
-                const thrusterAngle = this.player.rotation * Math.PI / 180;
                 
-                if (movement.x > 0) { // Moving right, left thruster fires
-                    const thrusterX = this.player.x - Math.cos(thrusterAngle + Math.PI/2) * 20;
-                    const thrusterY = this.player.y - Math.sin(thrusterAngle + Math.PI/2) * 20;
-                    this.particles.createThrusterTrail(thrusterX, thrusterY, thrusterAngle - Math.PI/2, sideIntensity);
+                if (input.rotation > 0) { // Turning right, left thruster fires
+                    const thrusterX = this.player.x - Math.cos(heading + Math.PI/2) * 20;
+                    const thrusterY = this.player.y - Math.sin(heading + Math.PI/2) * 20;
+                    this.particles.createThrusterTrail(thrusterX, thrusterY, heading - Math.PI/2, sideIntensity);
                 }
-                if (movement.x < 0) { // Moving left, right thruster fires
-                    const thrusterX = this.player.x + Math.cos(thrusterAngle + Math.PI/2) * 20;
-                    const thrusterY = this.player.y + Math.sin(thrusterAngle + Math.PI/2) * 20;
-                    this.particles.createThrusterTrail(thrusterX, thrusterY, thrusterAngle + Math.PI/2, sideIntensity);
+                if (input.rotation < 0) { // Turning left, right thruster fires
+                    const thrusterX = this.player.x + Math.cos(heading + Math.PI/2) * 20;
+                    const thrusterY = this.player.y + Math.sin(heading + Math.PI/2) * 20;
+                    this.particles.createThrusterTrail(thrusterX, thrusterY, heading + Math.PI/2, sideIntensity);
                 }
             }
         }
@@ -1257,14 +1373,19 @@ class MaxPixelsGame {
                     <h3>Inventory</h3>
                     <div>Iron: <span id="inventory-iron">0</span></div>
                     <div>Copper: <span id="inventory-copper">0</span></div>
+                    <div>Cargo: <span id="inventory-cargo">0</span></div>
                 </div>
                 <div class="hud-section navigation">
                     <h3>Navigation</h3>
                     <div>Sector: <span id="current-sector">Unknown</span></div>
                 </div>
+                <div class="hud-section network">
+                    <h3>Network</h3>
+                    <div>Ping: <span id="network-ping">--</span></div>
+                </div>
                 <div class="hud-section controls">
                     <h3>Controls</h3>
-                    <div>WASD / Arrow Keys: Move</div>
+                    <div>W/S: Thrust | A/D: Rotate</div>
                     <div>Shift: Boost</div>
                     <div>Space: Fire Laser</div>
                     <div>G: Toggle Shields</div>
@@ -1476,7 +1597,7 @@ class MaxPixelsGame {
         
         const speed = Math.sqrt(
             this.player.velocity.x ** 2 + this.player.velocity.y ** 2
-        ) * this.player.speed;
+        );
         document.getElementById('player-speed').textContent = Math.round(speed);
         
         // Update health display
@@ -1576,6 +1697,12 @@ class MaxPixelsGame {
         
         document.getElementById('camera-zoom').textContent = this.camera.zoom.toFixed(1);
         
+        // Update ping indicator
+        const rtt = this.network.isConnected ? this.network.getRTT() : null;
+        document.getElementById('network-ping').textContent = rtt === null
+            ? '--'
+            : `${Math.round(rtt)} ms ±${Math.round(this.network.getJitter())}`;
+        
         // Update particle system debug info
         const particleDebug = this.particles.getDebugInfo();
         document.getElementById('particle-count').textContent = particleDebug.activeParticles;
@@ -1585,6 +1712,7 @@ class MaxPixelsGame {
         const copperQuantity = this.trading.getPlayerItemQuantity('ore-copper');
         document.getElementById('inventory-iron').textContent = ironQuantity;
         document.getElementById('inventory-copper').textContent = copperQuantity;
+        document.getElementById('inventory-cargo').textContent = this.cargo.describeLoad();
         
         // Update navigation display
         const currentSector = this.navigation.getCurrentSector();
@@ -1724,6 +1852,11 @@ class MaxPixelsGame {
                 });
                 this.graphics.addToLayer('game', damageIndicator);
                 
+                // Online, the server decides whether the asteroid breaks
+                if (this.network.isConnected) {
+                    break;
+                }
+                
                 // Create explosion particle effect
                 this.particles.createExplosionEffect(asteroid.x, asteroid.y, {
                     particleCount: WEAPONS.HIT_PARTICLE_COUNT,
@@ -1813,13 +1946,17 @@ class MaxPixelsGame {
         // Calculate resource quantity based on asteroid size
         const resourceQuantity = Math.floor(asteroid.size / RESOURCES.RESOURCE_SIZE_DIVIDER) + RESOURCES.RESOURCE_BASE_QUANTITY;
         
-        // Add resources to player inventory
-        this.trading.addPlayerItem(resourceType, resourceQuantity);
-        
-        // Create visual resource pickup effect
-        this.showResourcePickup(asteroid.x, asteroid.y, resourceType, resourceQuantity);
+        // Add what fits to the hold; the player decides what to jettison for the rest
+        const loaded = this.cargo.add(resourceType, resourceQuantity);
+        if (loaded > 0) {
+            this.showResourcePickup(asteroid.x, asteroid.y, resourceType, loaded);
+            this.sendPlayerProgress(true);
+        }
+        if (loaded < resourceQuantity) {
+            this.jettisonPrompt.open(resourceType, resourceQuantity - loaded);
+        }
         
-        console.log(`Collected ${resourceQuantity}x ${resourceType} from asteroid`);
+        console.log(`Collected ${loaded}x ${resourceType} from asteroid`);
     }
     
     showResourcePickup(x, y, resourceType, quantity) {
@@ -1867,8 +2004,8 @@ class MaxPixelsGame {
     
     initializePlayerInventory() {
         // Give the player some starting items for testing
-        this.trading.addPlayerItem('ore-iron', 10);
-        this.trading.addPlayerItem('food-rations', 5);
+        this.cargo.add('ore-iron', 10);
+        this.cargo.add('food-rations', 5);
     }
     
     hideLoadingScreen() {
@@ -1889,9 +2026,14 @@ class MaxPixelsGame {
             playerList.setLocalPlayer(this.network.playerId);
         });
         
-        this.network.onConnection('disconnected', () => {
+        this.network.onConnection('disconnected', (event) => {
             console.log('Disconnected from multiplayer server');
-            this.showNetworkStatus('Disconnected', 'warning');
+            
+            // A refused session or a restart already explained itself through its message
+            const explained = [NETWORK.CONNECTION_REJECTED_CLOSE_CODE, NETWORK.SERVICE_RESTART_CLOSE_CODE];
+            if (!explained.includes(event?.code)) {
+                this.showNetworkStatus('Disconnected', 'warning');
+            }
         });
         
         this.network.onConnection('error', (error) => {
@@ -1920,10 +2062,39 @@ class MaxPixelsGame {
             playerList.handleNetworkMessage('player_move', data);
         });
         
+        this.network.on(this.network.MessageTypes.ROOM_JOIN, (data) => {
+            this.handleRoomJoin(data);
+            playerList.handleNetworkMessage('game_state', data);
+        });
+        
+        this.network.on(this.network.MessageTypes.PLAYER_STATE, (data) => {
+            this.reconcileLocalPlayer(data);
+        });
+        
         this.network.on(this.network.MessageTypes.PLAYER_FIRE, (data) => {
             this.handlePlayerFire(data);
         });
         
+        this.network.on(this.network.MessageTypes.PLAYER_DAMAGE, (data) => {
+            this.handlePlayerDamage(data);
+        });
+        
+        this.network.on(this.network.MessageTypes.OBJECT_DAMAGED, (data) => {
+            this.handleObjectDamaged(data);
+        });
+        
+        this.network.on(this.network.MessageTypes.OBJECT_DESTROYED, (data) => {
+            this.handleObjectDestroyed(data);
+        });
+        
+        this.network.on(this.network.MessageTypes.OBJECT_SPAWNED, (data) => {
+            this.handleObjectSpawned(data);
+        });
+        
+        this.network.on(this.network.MessageTypes.PLAYER_KILLED, (data) => {
+            this.handlePlayerKilled(data);
+        });
+        
         this.network.on(this.network.MessageTypes.CHAT_MESSAGE, (data) => {
             this.handleChatMessage(data);
         });
@@ -1932,11 +2103,102 @@ class MaxPixelsGame {
             this.handleGameState(data);
             playerList.handleNetworkMessage('game_state', data);
         });
+        
+        this.network.on(this.network.MessageTypes.SESSION, (data) => {
+            if (data.resumed) {
+                console.log('Resumed previous multiplayer session');
+                this.showNetworkStatus('Session Resumed', 'success');
+            }
+        });
+        
+        this.network.on(this.network.MessageTypes.PLAYER_PROFILE, (data) => {
+            this.handlePlayerProfile(data);
+        });
+        
+        this.network.on(this.network.MessageTypes.ANNOUNCEMENT, (data) => {
+            console.log(`Server announcement: ${data.message}`);
+            this.displayChatMessage('[Server]', data.message);
+        });
+        
+        this.network.on(this.network.MessageTypes.SERVER_SHUTDOWN, (data) => {
+            this.handleServerShutdown(data);
+        });
+        
+        this.network.on(this.network.MessageTypes.ADMIN_RESULT, (data) => {
+            (data.ok ? console.log : console.warn)(`> ${data.command}\n${data.output}`);
+        });
+        
+        this.network.on(this.network.MessageTypes.ERROR, (data) => {
+            this.handleServerError(data);
+        });
+    }
+    
+    handleServerError(data) {
+        console.warn('Server error:', data.code, data.error);
+        
+        const codes = NETWORK.ERROR_CODES;
+        switch (data.code) {
+            case codes.PROTOCOL_MISMATCH:
+                this.showNetworkStatus('Update Required: client is incompatible with this server', 'error');
+                break;
+            case codes.SERVER_FULL:
+                this.showNetworkStatus('Server Full', 'error');
+                break;
+            case codes.ALREADY_CONNECTED:
+                this.showNetworkStatus('Already Connected: this pilot is flying in another window', 'error');
+                break;
+            case codes.ROOM_FULL:
+                this.showNetworkStatus('Sector Full', 'warning');
+                break;
+            case codes.INVALID_JUMP:
+                this.showNetworkStatus('Jump Refused: no gate in range', 'warning');
+                break;
+            case codes.RATE_LIMITED:
+                this.showNetworkStatus('Slow Down: too many messages', 'warning');
+                break;
+            case codes.POLICY_VIOLATION:
+                this.showNetworkStatus('Disconnected: too many invalid messages', 'error');
+                break;
+            case codes.AUTH_FAILED:
+                this.showNetworkStatus('Login Expired: please log in again', 'error');
+                break;
+            case codes.AUTH_REQUIRED:
+                this.showNetworkStatus('Log In Required: that pilot name belongs to an account', 'error');
+                break;
+            case codes.KICKED:
+                this.showNetworkStatus(`Kicked: ${data.error}`, 'error');
+                break;
+            case codes.BANNED:
+                this.showNetworkStatus(data.error, 'error');
+                break;
+            case codes.MUTED:
+                this.showNetworkStatus('Muted: chat is disabled for you', 'warning');
+                break;
+            case codes.SERVER_RESTARTING:
+                this.showNetworkStatus('Server Restarting: reconnecting shortly', 'warning');
+                break;
+            default:
+                this.showNetworkStatus(`Server Error: ${data.error || 'unknown'}`, 'warning');
+        }
+    }
+    
+    /**
+     * The server is restarting and keeps our ship for when we reconnect.
+     * Progress since the last report is sent now so the restart does not lose it.
+     */
+    handleServerShutdown(data) {
+        const seconds = Math.ceil((data.expectedDowntime || 0) / 1000);
+        console.log(`Server restarting, expected back in ${seconds}s`);
+        this.displayChatMessage('[Server]', `${data.message}, back in about ${seconds} seconds`);
+        this.showNetworkStatus(`Server Restarting: reconnecting in ${seconds}s`, 'warning');
+        this.sendPlayerProgress(true);
     }
     
     async connectToMultiplayer(serverUrl = 'ws://localhost:8080') {
         try {
             const playerId = this.auth.getCurrentUser()?.username || null;
+            // Only accounts get their progress saved; guests start fresh every time
+            this.network.authTokenProvider = () => this.auth.getValidAccessToken();
             await this.network.connect(serverUrl, playerId);
             return true;
         } catch (error) {
@@ -1950,13 +2212,65 @@ class MaxPixelsGame {
         this.network.disconnect();
     }
     
+    /**
+     * Admin commands from the browser console, e.g. maxPixelsGame.runAdminCommand('players').
+     * The output is logged when the server answers.
+     */
+    runAdminCommand(command) {
+        if (!this.network.isConnected) {
+            console.warn('Not connected to a server');
+            return false;
+        }
+        return this.network.sendAdminCommand(command);
+    }
+    
     sendPlayerUpdate() {
+        const now = Date.now();
+        if (now - this.lastInputSendTime < 1000 / NETWORK.MOVEMENT_UPDATE_RATE) {
+            return;
+        }
+        this.lastInputSendTime = now;
+        
         if (this.network.isConnected) {
-            this.network.sendPlayerMovement(
-                { x: this.player.x, y: this.player.y },
-                this.player.velocity,
-                this.player.rotation
-            );
+            this.network.sendPlayerInput(this.navigation.currentSector);
+        }
+    }
+    
+    /**
+     * Report credits and cargo so the server can save them for account players.
+     * Trades and pickups report at once: the server only accepts credits that
+     * goods leaving the hold since the last report could have earned.
+     */
+    sendPlayerProgress(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastProgressSendTime < NETWORK.PROGRESS_SYNC_INTERVAL) {
+            return;
+        }
+        this.lastProgressSendTime = now;
+        
+        if (this.network.isConnected && this.network.authenticated) {
+            this.network.sendPlayerProgress(this.wallet.credits, this.cargo.getContents());
+        }
+    }
+    
+    /**
+     * Saved progress from the server. A brand new account keeps what this
+     * device already has and hands it to the server instead.
+     */
+    handlePlayerProfile(data) {
+        if (data.created) {
+            console.log('Created server profile from local progress');
+            this.sendPlayerProgress(true);
+            return;
+        }
+        
+        this.pilot.loadSaveData(data.profile);
+        
+        console.log(`Loaded server profile: ${this.wallet.credits} credits, ${this.cargo.items.size} cargo types, ${this.cargo.capacity} m³ hold`);
+        this.showNetworkStatus('Progress Loaded', 'success');
+        
+        if (this.cargo.isOverloaded()) {
+            this.jettisonPrompt.open();
         }
     }
     
@@ -1979,14 +2293,18 @@ class MaxPixelsGame {
         const playerColor = playerColors[colorIndex];
         
         // Create player data
+        const state = data.player || data;
         const playerData = {
             id: data.playerId,
-            x: data.position?.x || 500,
-            y: data.position?.y || 500,
-            rotation: data.rotation || 0,
+            x: state.position?.x || 500,
+            y: state.position?.y || 500,
+            rotation: typeof state.rotation === 'number' ? ShipPhysics.toDisplayRotation(state.rotation) : 0,
             color: playerColor,
-            lastUpdate: Date.now()
+            lastUpdate: Date.now(),
+            snapshots: new SnapshotBuffer(),
+            element: null
         };
+        this.bufferPlayerSnapshot(playerData, state);
         
         // Create visual representation
         const playerShip = this.graphics.createOtherPlayerShip(
@@ -1998,6 +2316,7 @@ class MaxPixelsGame {
         
         // Add to game layer
         this.graphics.addToLayer('game', playerShip);
+        playerData.element = playerShip;
         
         // Store player data
         this.otherPlayers.set(data.playerId, playerData);
@@ -2005,6 +2324,27 @@ class MaxPixelsGame {
         console.log(`Added visual representation for player ${data.playerId}`);
     }
     
+    /**
+     * The server put us in a sector room. Follow it if it is not the sector
+     * we are flying in (e.g. the sector we jumped to was full).
+     * @param {Object} data - Room state {roomId, players}
+     */
+    handleRoomJoin(data) {
+        if (data.roomId !== this.navigation.currentSector && this.navigation.isValidSector(data.roomId)) {
+            console.warn(`Server placed ship in ${data.roomId}`);
+            this.navigation.currentSector = data.roomId;
+            this.onSectorChanged(data.roomId, this.navigation.getSectorData(data.roomId));
+        }
+        
+        if (Array.isArray(data.players)) {
+            this.updateOtherPlayersFromState(data.players);
+        }
+        
+        if (Array.isArray(data.gameObjects)) {
+            this.updateGameObjectsFromState(data.gameObjects);
+        }
+    }
+    
     handlePlayerLeave(data) {
         console.log(`Player ${data.playerId} left the game`);
         
@@ -2023,20 +2363,54 @@ class MaxPixelsGame {
         const player = this.otherPlayers.get(data.playerId);
         if (!player) return; // Player not tracked yet
         
-        // Update player data
-        player.x = data.position.x;
-        player.y = data.position.y;
-        player.rotation = data.rotation || player.rotation;
+        // Rendering catches up in updateOtherPlayers()
+        this.bufferPlayerSnapshot(player, data);
+    }
+    
+    /**
+     * Store a server state for a remote ship
+     * @param {Object} player - Tracked remote player
+     * @param {Object} state - Server state {position, velocity, rotation, boosting, timestamp}
+     */
+    bufferPlayerSnapshot(player, state) {
+        if (!state.position) return;
+        
+        // Server headings are radians with 0 along +x
+        const speedMultiplier = state.boosting ? PLAYER.BOOST_MULTIPLIER : 1;
+        player.snapshots.push({
+            // Snapshots are ordered on the server clock, when the server stamped them
+            time: typeof state.timestamp === 'number' ? state.timestamp : this.network.getServerTime(),
+            x: state.position.x,
+            y: state.position.y,
+            rotation: typeof state.rotation === 'number' ? state.rotation : ShipPhysics.SPAWN_HEADING,
+            velocity: {
+                x: (state.velocity?.x || 0) * speedMultiplier,
+                y: (state.velocity?.y || 0) * speedMultiplier
+            }
+        });
         player.lastUpdate = Date.now();
+    }
+    
+    /**
+     * Render remote ships INTERPOLATION_DELAY in the past, between received snapshots.
+     * Shots carry the same view time so the server can rewind to it.
+     */
+    updateOtherPlayers() {
+        const renderTime = this.network.getViewTime();
         
-        // Update visual position
-        const playerElement = this.graphics.svg.querySelector(`#otherPlayer_${data.playerId}`);
-        if (playerElement) {
-            playerElement.setAttribute('transform', 
-                `translate(${player.x}, ${player.y}) rotate(${player.rotation})`);
-        }
-        
-        console.log(`Updated player ${data.playerId} position to (${player.x}, ${player.y})`);
+        this.otherPlayers.forEach(player => {
+            const state = player.snapshots.sample(renderTime);
+            if (!state) return;
+            
+            player.x = state.x;
+            player.y = state.y;
+            player.rotation = ShipPhysics.toDisplayRotation(state.rotation);
+            
+            if (player.element) {
+                player.element.setAttribute('transform', 
+                    `translate(${player.x}, ${player.y}) rotate(${player.rotation})`);
+            }
+        });
     }
     
     handlePlayerFire(data) {
@@ -2071,6 +2445,173 @@ class MaxPixelsGame {
         this.audio.playLaser(0.2);
     }
     
+    /**
+     * Server-resolved laser hit on a ship
+     */
+    handlePlayerDamage(data) {
+        const impact = this.graphics.createLaserImpact(data.position.x, data.position.y, {
+            size: WEAPONS.IMPACT_SIZE,
+            color: WEAPONS.IMPACT_COLOR,
+            ringColor: WEAPONS.IMPACT_RING_COLOR,
+            duration: WEAPONS.IMPACT_DURATION
+        });
+        this.graphics.addToLayer('game', impact);
+        
+        if (data.playerId === this.network.playerId) {
+            this.applyServerDamage(data);
+        }
+    }
+    
+    /**
+     * Mirror a server-resolved hit on our own ship. The server applied the
+     * shield and armor rules, so its health and shield values win.
+     */
+    applyServerDamage(data) {
+        if (this.player.isDead) return;
+        
+        this.player.health = data.health;
+        this.player.shield = data.shield;
+        this.player.lastDamageTime = Date.now();
+        
+        if (this.player.shield <= 0 && this.player.shieldsActive) {
+            this.player.shieldsActive = false;
+            this.player.lastShieldBreakTime = Date.now();
+            this.hideShields();
+            this.showShieldBreakEffect();
+        }
+        
+        if (data.shieldDamage > 0) {
+            this.showShieldDamageEffect();
+        }
+        if (data.damage > 0) {
+            this.showDamageEffect();
+        }
+        this.camera.shake(15, 400);
+        this.audio.playCollision(0.9);
+        
+        console.log(`Hit by ${data.attackerId}. Shield: ${Math.round(this.player.shield)}/${PLAYER.MAX_SHIELD}, Health: ${Math.round(this.player.health)}/${PLAYER.MAX_HEALTH}`);
+        
+        if (this.player.health <= 0) {
+            this.playerDeath();
+        }
+    }
+    
+    handlePlayerKilled(data) {
+        const victim = this.otherPlayers.get(data.victimId);
+        if (victim) {
+            this.particles.createExplosionEffect(victim.x, victim.y, {
+                particleCount: 50,
+                colors: ['#ff0000', '#ff4444', '#ffaa00', '#ffffff', '#ff8800'],
+                velocity: { min: 100, max: 200 }
+            });
+        }
+        
+        this.displayKillFeedEntry(data.killerId, data.victimId);
+    }
+    
+    displayKillFeedEntry(killerId, victimId) {
+        let killFeed = document.getElementById('kill-feed');
+        if (!killFeed) {
+            killFeed = document.createElement('div');
+            killFeed.id = 'kill-feed';
+            killFeed.style.cssText = `
+                position: fixed;
+                top: 50px;
+                right: 10px;
+                display: flex;
+                flex-direction: column;
+                align-items: flex-end;
+                gap: 4px;
+                font-size: 12px;
+                font-family: monospace;
+                z-index: 1000;
+                pointer-events: none;
+            `;
+            document.body.appendChild(killFeed);
+        }
+        
+        const ownId = this.network.playerId;
+        const entry = document.createElement('div');
+        entry.style.cssText = `
+            padding: 4px 8px;
+            border-radius: 4px;
+            background: rgba(0, 0, 0, 0.6);
+            color: ${killerId === ownId || victimId === ownId ? '#ffd700' : '#ffffff'};
+            transition: opacity 1s ease;
+        `;
+        entry.textContent = `${killerId === ownId ? 'You' : killerId} destroyed ${victimId === ownId ? 'you' : victimId}`;
+        killFeed.appendChild(entry);
+        
+        while (killFeed.children.length > UI.KILL_FEED_SIZE) {
+            killFeed.firstChild.remove();
+        }
+        
+        setTimeout(() => {
+            entry.style.opacity = '0';
+            setTimeout(() => entry.remove(), 1000);
+        }, UI.KILL_FEED_DURATION);
+    }
+    
+    /**
+     * Server-resolved hit on a shared asteroid that did not break it.
+     * The shooter already drew the impact when firing.
+     */
+    handleObjectDamaged(data) {
+        if (data.objectType !== 'asteroid') return;
+        
+        const asteroid = this.asteroids.find(candidate => candidate.id === data.objectId);
+        if (!asteroid) return;
+        
+        asteroid.health = data.health;
+        asteroid.maxHealth = data.maxHealth;
+        
+        if (data.attackerId !== this.network.playerId) {
+            const damageIndicator = this.graphics.createAsteroidDamageIndicator(asteroid.x, asteroid.y, asteroid.size, {
+                ringColor: '#ff6644',
+                ringOpacity: 0.9,
+                duration: '2.0s',
+                ringWidth: 2
+            });
+            this.graphics.addToLayer('game', damageIndicator);
+        }
+    }
+    
+    /**
+     * Server-resolved destruction of a shared asteroid. Only the player
+     * who broke it gets the resources.
+     */
+    handleObjectDestroyed(data) {
+        if (data.objectType !== 'asteroid') return;
+        
+        const asteroid = this.asteroids.find(candidate => candidate.id === data.objectId);
+        if (!asteroid) return;
+        
+        this.particles.createExplosionEffect(asteroid.x, asteroid.y, {
+            particleCount: WEAPONS.HIT_PARTICLE_COUNT,
+            colors: ['#ff8800', '#ffff00', '#ff4444', '#ffffff', '#ffcc00', '#ff6600'],
+            velocity: { min: WEAPONS.HIT_VELOCITY_MIN, max: WEAPONS.HIT_VELOCITY_MAX }
+        });
+        this.particles.createDebrisField(asteroid.x, asteroid.y, asteroid.size);
+        
+        if (data.destroyedBy === this.network.playerId) {
+            this.dropAsteroidResources(asteroid);
+        }
+        
+        this.destroyAsteroid(asteroid.id);
+    }
+    
+    /**
+     * A destroyed asteroid reappeared somewhere in the sector
+     */
+    handleObjectSpawned(data) {
+        const object = data.object;
+        if (!object || object.type !== 'asteroid' || object.sectorId !== this.navigation.currentSector) return;
+        
+        if (!this.asteroids.some(asteroid => asteroid.id === object.id)) {
+            this.addAsteroid(object);
+        }
+    }
+    
     handleChatMessage(data) {
         console.log(`Chat from ${data.playerId}: ${data.message}`);
         this.displayChatMessage(data.playerId, data.message);
@@ -2187,11 +2728,9 @@ class MaxPixelsGame {
             return;
         }
         
-        console.log('Received game state update:', data);
-        
         // Update other players if provided
         if (data.players && typeof data.players === 'object') {
-            this.updateOtherPlayersFromState(data.players);
+            this.updateOtherPlayersFromState(data.players, data.timestamp);
         }
         
         // Update game objects (asteroids, stations, etc.) if provided
@@ -2206,11 +2745,14 @@ class MaxPixelsGame {
         }
     }
     
-    updateOtherPlayersFromState(serverPlayers) {
+    updateOtherPlayersFromState(serverPlayers, timestamp) {
         // Convert server players object/map to usable format
         let players;
         if (serverPlayers instanceof Map) {
             players = serverPlayers;
+        } else if (Array.isArray(serverPlayers)) {
+            // Server snapshots are a list of players keyed by id
+            players = new Map(serverPlayers.map(player => [player.id, player]));
         } else if (typeof serverPlayers === 'object') {
             // Handle plain object format
             players = new Map(Object.entries(serverPlayers));
@@ -2239,19 +2781,55 @@ class MaxPixelsGame {
                 this.handlePlayerMove({
                     playerId,
                     position: serverPlayer.position || { x: serverPlayer.x, y: serverPlayer.y },
-                    rotation: serverPlayer.rotation || 0
+                    velocity: serverPlayer.velocity,
+                    rotation: serverPlayer.rotation,
+                    boosting: serverPlayer.boosting,
+                    timestamp
                 });
             } else {
                 // Add new player
                 this.handlePlayerJoin({
                     playerId,
                     position: serverPlayer.position || { x: serverPlayer.x, y: serverPlayer.y },
-                    rotation: serverPlayer.rotation || 0
+                    velocity: serverPlayer.velocity,
+                    rotation: serverPlayer.rotation,
+                    boosting: serverPlayer.boosting,
+                    timestamp
                 });
             }
         }
     }
     
+    /**
+     * Replay unacknowledged inputs on top of the server's state for our ship.
+     * Small corrections are blended out; large ones snap.
+     * @param {Object} serverState - Authoritative state with lastProcessedInput
+     */
+    reconcileLocalPlayer(serverState) {
+        if (serverState.sectorId !== this.navigation.currentSector) {
+            return;
+        }
+        
+        const previousX = this.ship.position.x;
+        const previousY = this.ship.position.y;
+        if (!this.network.reconcile(serverState, this.ship, this.navigation.getSectorBounds())) {
+            return;
+        }
+        
+        const errorX = previousX - this.ship.position.x + this.predictionError.x;
+        const errorY = previousY - this.ship.position.y + this.predictionError.y;
+        if (Math.sqrt(errorX * errorX + errorY * errorY) > NETWORK.POSITION_CORRECTION_THRESHOLD) {
+            console.warn('Ship position corrected by server');
+            this.predictionError.x = 0;
+            this.predictionError.y = 0;
+        } else {
+            this.predictionError.x = errorX;
+            this.predictionError.y = errorY;
+        }
+        
+        this.syncPlayerFromShip();
+    }
+    
     updateGameObjectsFromState(gameObjects) {
         console.log(`Received ${gameObjects.length} game objects from server:`, gameObjects);
         
@@ -2267,8 +2845,10 @@ class MaxPixelsGame {
         // Synchronize asteroids
         this.synchronizeAsteroids(receivedAsteroids);
         
-        // Synchronize stations
-        this.synchronizeStations(receivedStations);
+        // Stations come from the shared sector layout unless the server sends its own
+        if (receivedStations.length > 0) {
+            this.synchronizeStations(receivedStations);
+        }
     }
 
     synchronizeAsteroids(serverAsteroids) {
@@ -2314,21 +2894,24 @@ class MaxPixelsGame {
                     }
                 }
             } else {
-                // Add new asteroid
-                this.asteroids.push({ ...serverAsteroid });
-                
-                // Create visual element
-                const asteroidElement = this.graphics.createAsteroid(
-                    serverAsteroid.x, 
-                    serverAsteroid.y, 
-                    serverAsteroid.size, 
-                    { id: serverAsteroid.id }
-                );
-                this.graphics.addToLayer('background', asteroidElement);
+                this.addAsteroid(serverAsteroid);
                 console.log(`Added new asteroid ${serverAsteroid.id} from server`);
             }
         });
     }
+    
+    addAsteroid(asteroid) {
+        this.asteroids.push({ ...asteroid });
+        
+        // Create visual element
+        const asteroidElement = this.graphics.createAsteroid(
+            asteroid.x, 
+            asteroid.y, 
+            asteroid.size, 
+            { id: asteroid.id }
+        );
+        this.graphics.addToLayer('background', asteroidElement);
+    }
 
     synchronizeStations(serverStations) {
         const gameLayer = this.graphics.getLayer('game');
@@ -2455,7 +3038,8 @@ class MaxPixelsGame {
                 <div class="pause-menu-section">
                     <h3>Controls</h3>
                     <div class="controls-list">
-                        <div><span class="key">WASD / Arrow Keys</span> Move</div>
+                        <div><span class="key">W/S</span> Thrust</div>
+                        <div><span class="key">A/D</span> Rotate</div>
                         <div><span class="key">Shift</span> Boost</div>
                         <div><span class="key">Space</span> Fire Laser</div>
                         <div><span class="key">F</span> Interact / Dock / Jump</div>
@@ -0,0 +1,182 @@
+/**
+ * Ship Physics for Max-Pixels
+ * Deterministic ship simulation shared by the client and the game server
+ *
+ * Follows the rules of Player.updateMovement and ShipMovement so that a ship
+ * stepped on the server with the same inputs ends up where the client put it.
+ */
+
+import { PLAYER, WEAPONS, GRAPHICS } from '../constants.js';
+
+// Ship graphics point up at rotate(0) while a heading of 0 points along +x
+const DISPLAY_ROTATION_OFFSET = 90;
+
+export class ShipPhysics {
+    // Heading that matches an unrotated ship graphic (nose up)
+    static SPAWN_HEADING = -Math.PI / 2;
+
+    /**
+     * Create a fresh simulation state
+     * @param {number} x - Spawn X coordinate
+     * @param {number} y - Spawn Y coordinate
+     * @param {number} rotation - Initial heading in radians
+     * @returns {Object} - Ship state
+     */
+    static createState(x = PLAYER.SPAWN_X, y = PLAYER.SPAWN_Y, rotation = ShipPhysics.SPAWN_HEADING) {
+        return {
+            position: { x, y },
+            velocity: { x: 0, y: 0 },
+            rotation: rotation,
+            rotationSpeed: 0,
+            thrust: 0,
+            boosting: false,
+            energy: WEAPONS.MAX_ENERGY,
+            speed: PLAYER.SPEED,
+            thrusterEfficiency: 1.0,
+            controls: {
+                thrustLevel: 0,
+                rotationDirection: 0
+            }
+        };
+    }
+
+    /**
+     * Teleport the ship, discarding momentum and control smoothing
+     * @param {Object} state - Ship state
+     * @param {number} x - New X coordinate
+     * @param {number} y - New Y coordinate
+     * @param {number} rotation - New heading in radians
+     */
+    static reset(state, x, y, rotation = ShipPhysics.SPAWN_HEADING) {
+        state.position.x = x;
+        state.position.y = y;
+        state.velocity.x = 0;
+        state.velocity.y = 0;
+        state.rotation = rotation;
+        state.rotationSpeed = 0;
+        state.thrust = 0;
+        state.boosting = false;
+        state.controls.thrustLevel = 0;
+        state.controls.rotationDirection = 0;
+    }
+
+    /**
+     * Sanitize an input intent received from an untrusted source
+     * @param {Object} input - Raw input {thrust, rotation, boost}
+     * @returns {Object} - Input with thrust and rotation in -1..1 and boolean boost
+     */
+    static normalizeInput(input = {}) {
+        const clampAxis = (value) => {
+            const number = Number(value);
+            return Number.isFinite(number) ? Math.max(-1, Math.min(1, number)) : 0;
+        };
+
+        return {
+            thrust: clampAxis(input.thrust),
+            rotation: clampAxis(input.rotation),
+            boost: input.boost === true
+        };
+    }
+
+    /**
+     * Apply control input to the ship (ShipMovement rules)
+     * @param {Object} state - Ship state
+     * @param {Object} input - Normalized input {thrust, rotation, boost}
+     * @param {number} deltaTime - Step duration in seconds
+     */
+    static applyInput(state, input, deltaTime) {
+        const controls = state.controls;
+
+        // Smooth rotation for better feel
+        controls.rotationDirection += (input.rotation - controls.rotationDirection) * PLAYER.ROTATION_CONTROL_SMOOTHING;
+        state.rotationSpeed = controls.rotationDirection * PLAYER.ROTATION_SPEED;
+
+        // Reverse thrust runs at reduced power
+        let targetThrust = 0;
+        if (input.thrust > 0) {
+            targetThrust = PLAYER.THRUST_POWER * input.thrust;
+        } else if (input.thrust < 0) {
+            targetThrust = PLAYER.THRUST_POWER * PLAYER.REVERSE_THRUST_MULTIPLIER * input.thrust;
+        }
+        controls.thrustLevel += (targetThrust - controls.thrustLevel) * PLAYER.THRUST_SMOOTHING;
+        state.thrust = Math.max(-1, Math.min(1, controls.thrustLevel));
+
+        // Boosting only while thrusting and while energy lasts
+        const boostCost = WEAPONS.BOOST_ENERGY_COST * deltaTime;
+        if (input.boost && input.thrust !== 0 && state.energy >= boostCost) {
+            state.energy -= boostCost;
+            state.boosting = true;
+        } else {
+            state.boosting = false;
+        }
+    }
+
+    /**
+     * Integrate rotation, thrust, boost and drag (Player.updateMovement rules)
+     * @param {Object} state - Ship state
+     * @param {number} deltaTime - Step duration in seconds
+     */
+    static integrate(state, deltaTime) {
+        state.rotation += state.rotationSpeed * deltaTime;
+
+        if (state.thrust !== 0) {
+            const thrustForce = state.thrust * state.speed * state.thrusterEfficiency * deltaTime;
+            state.velocity.x += Math.cos(state.rotation) * thrustForce;
+            state.velocity.y += Math.sin(state.rotation) * thrustForce;
+        }
+
+        const speedMultiplier = state.boosting ? PLAYER.BOOST_MULTIPLIER : 1;
+        state.position.x += state.velocity.x * speedMultiplier * deltaTime;
+        state.position.y += state.velocity.y * speedMultiplier * deltaTime;
+
+        // Space friction for gameplay
+        state.velocity.x *= PLAYER.DRAG;
+        state.velocity.y *= PLAYER.DRAG;
+    }
+
+    /**
+     * Keep the ship inside the sector, stopping it against the edge
+     * @param {Object} state - Ship state
+     * @param {Object} bounds - Sector bounds {width, height}
+     */
+    static clampToBounds(state, bounds) {
+        const margin = PLAYER.BOUNDARY_MARGIN;
+        const x = Math.max(margin, Math.min(bounds.width - margin, state.position.x));
+        const y = Math.max(margin, Math.min(bounds.height - margin, state.position.y));
+
+        if (x !== state.position.x) {
+            state.velocity.x = 0;
+        }
+        if (y !== state.position.y) {
+            state.velocity.y = 0;
+        }
+
+        state.position.x = x;
+        state.position.y = y;
+    }
+
+    /**
+     * Advance the ship by one fixed step
+     * @param {Object} state - Ship state
+     * @param {Object} input - Normalized input {thrust, rotation, boost}
+     * @param {number} deltaTime - Step duration in seconds
+     * @param {Object} bounds - Sector bounds {width, height}
+     */
+    static step(state, input, deltaTime = PLAYER.DELTA_TIME, bounds = null) {
+        ShipPhysics.applyInput(state, input, deltaTime);
+        ShipPhysics.integrate(state, deltaTime);
+
+        if (bounds) {
+            ShipPhysics.clampToBounds(state, bounds);
+        }
+    }
+
+    /**
+     * Convert a simulation heading into the SVG rotation used by ship graphics
+     * @param {number} rotation - Heading in radians
+     * @returns {number} - Rotation in degrees
+     */
+    static toDisplayRotation(rotation) {
+        return rotation * GRAPHICS.RADIANS_TO_DEGREES + DISPLAY_ROTATION_OFFSET;
+    }
+}
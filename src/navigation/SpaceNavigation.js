@@ -29,6 +29,7 @@ export class SpaceNavigation {
             nebulaTypes: ['blue', 'purple'],
             dustDensity: 1.0,
             debrisDensity: 0.3, // Light debris in peaceful sector
+            pvpEnabled: false, // Safe zone: lasers pass through other ships
             stations: [
                 {
                     id: 'tradingStation',
@@ -72,6 +73,7 @@ export class SpaceNavigation {
             nebulaTypes: ['red', 'purple'],
             dustDensity: 1.5,
             debrisDensity: 1.2, // Heavy debris in dangerous mining sector
+            pvpEnabled: true,
             stations: [
                 {
                     id: 'miningStation',
@@ -123,6 +125,7 @@ export class SpaceNavigation {
             nebulaTypes: ['green', 'blue'],
             dustDensity: 0.7,
             debrisDensity: 0.8, // Moderate debris in frontier sector
+            pvpEnabled: true,
             stations: [
                 {
                     id: 'researchStation',
@@ -313,6 +316,42 @@ export class SpaceNavigation {
         return this.jumpGates.get(gateId);
     }
     
+    /**
+     * Shortest chain of jumps between two sectors
+     * @param {string} fromSectorId - Starting sector
+     * @param {string} toSectorId - Destination sector
+     * @returns {Array<string>|null} - Sector IDs from start to destination inclusive, null if unreachable
+     */
+    findJumpPath(fromSectorId, toSectorId) {
+        if (!this.sectors.has(fromSectorId) || !this.sectors.has(toSectorId)) return null;
+        
+        const previous = new Map([[fromSectorId, null]]);
+        const queue = [fromSectorId];
+        while (queue.length > 0 && !previous.has(toSectorId)) {
+            const sectorId = queue.shift();
+            this.sectors.get(sectorId).jumpGates.forEach(gate => {
+                if (!previous.has(gate.destination) && this.sectors.has(gate.destination)) {
+                    previous.set(gate.destination, sectorId);
+                    queue.push(gate.destination);
+                }
+            });
+        }
+        if (!previous.has(toSectorId)) return null;
+        
+        const path = [];
+        for (let sectorId = toSectorId; sectorId !== null; sectorId = previous.get(sectorId)) {
+            path.unshift(sectorId);
+        }
+        return path;
+    }
+    
+    /**
+     * @returns {Object|undefined} - The gate in a sector that leads to a neighbouring sector
+     */
+    getGateTo(sectorId, destinationSectorId) {
+        return this.sectors.get(sectorId)?.jumpGates.find(gate => gate.destination === destinationSectorId);
+    }
+    
     isValidSector(sectorId) {
         return this.sectors.has(sectorId);
     }
@@ -322,6 +361,16 @@ export class SpaceNavigation {
         return sector ? sector.bounds : { width: 1920, height: 1080 };
     }
     
+    /**
+     * Check whether ships in a sector can damage each other
+     * @param {string} sectorId - Sector ID, defaults to the current sector
+     * @returns {boolean} - False in safe sectors and unknown ones
+     */
+    isPvpEnabled(sectorId = null) {
+        const sector = sectorId ? this.sectors.get(sectorId) : this.getCurrentSector();
+        return sector ? sector.pvpEnabled === true : false;
+    }
+    
     getSectorDescription(sectorId = null) {
         const sector = sectorId ? this.sectors.get(sectorId) : this.getCurrentSector();
         return sector ? `${sector.name}: ${sector.description}` : 'Unknown sector';
@@ -0,0 +1,69 @@
+/**
+ * Clock Sync for Max-Pixels
+ * NTP-style estimate of the server clock offset, round-trip time and jitter,
+ * fed by heartbeat round trips
+ */
+
+import { NETWORK } from '../constants.js';
+
+// RFC 3550 smoothing for interarrival jitter
+const JITTER_SMOOTHING = 16;
+
+export class ClockSync {
+    constructor(sampleCount = NETWORK.CLOCK_SYNC_SAMPLES) {
+        this.sampleCount = sampleCount;
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+        this.offset = 0;
+        this.rtt = null;
+        this.jitter = 0;
+    }
+
+    /**
+     * Add one heartbeat round trip
+     * @param {number} clientSendTime - Client clock when the heartbeat left
+     * @param {number} serverTime - Server clock when it answered
+     * @param {number} clientReceiveTime - Client clock when the answer arrived
+     * @returns {boolean} - False when the sample is unusable
+     */
+    addSample(clientSendTime, serverTime, clientReceiveTime) {
+        const rtt = clientReceiveTime - clientSendTime;
+        if (!Number.isFinite(rtt) || rtt < 0 || !Number.isFinite(serverTime)) {
+            return false;
+        }
+
+        // Assume the answer was sent halfway through the round trip
+        const offset = serverTime - (clientSendTime + clientReceiveTime) / 2;
+
+        const previous = this.samples[this.samples.length - 1];
+        if (previous) {
+            this.jitter += (Math.abs(rtt - previous.rtt) - this.jitter) / JITTER_SMOOTHING;
+        }
+
+        this.samples.push({ rtt, offset });
+        if (this.samples.length > this.sampleCount) {
+            this.samples.shift();
+        }
+
+        // The quickest round trip queued the least, so its offset is the most trustworthy
+        const best = this.samples.reduce((fastest, sample) => (sample.rtt < fastest.rtt ? sample : fastest));
+        this.offset = best.offset;
+
+        const sorted = this.samples.map(sample => sample.rtt).sort((a, b) => a - b);
+        this.rtt = sorted[Math.floor(sorted.length / 2)];
+
+        return true;
+    }
+
+    /**
+     * Estimate the server clock
+     * @param {number} now - Local clock in milliseconds
+     * @returns {number} - Server clock in milliseconds
+     */
+    getServerTime(now = Date.now()) {
+        return now + this.offset;
+    }
+}
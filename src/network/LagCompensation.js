@@ -0,0 +1,130 @@
+/**
+ * Lag Compensation for Max-Pixels
+ * Short position history of every ship, so the game server can rewind the
+ * world to the moment a shooter saw it and resolve hits the way they aimed
+ */
+
+import { NETWORK, PLAYER, WEAPONS, GRAPHICS } from '../constants.js';
+
+export class LagCompensation {
+    /**
+     * @param {number} historyDuration - Milliseconds of positions kept per entity
+     */
+    constructor(historyDuration = NETWORK.LAG_COMPENSATION_THRESHOLD + NETWORK.DELTA_STATE_SYNC_INTERVAL) {
+        this.historyDuration = historyDuration;
+        this.histories = new Map();
+    }
+
+    /**
+     * Remember where an entity is now
+     * @param {string} id - Entity ID
+     * @param {Object} position - Position {x, y}
+     * @param {number} now - Server time in milliseconds
+     */
+    record(id, position, now = Date.now()) {
+        if (!this.histories.has(id)) {
+            this.histories.set(id, []);
+        }
+
+        const history = this.histories.get(id);
+        history.push({ time: now, x: position.x, y: position.y });
+
+        // Keep one sample older than the window so its start can still be interpolated
+        while (history.length > 1 && history[1].time <= now - this.historyDuration) {
+            history.shift();
+        }
+    }
+
+    /**
+     * Forget an entity's history, e.g. when it leaves or teleports
+     */
+    remove(id) {
+        this.histories.delete(id);
+    }
+
+    /**
+     * Where an entity was at a past moment
+     * @param {string} id - Entity ID
+     * @param {number} time - Server time in milliseconds
+     * @returns {Object|null} - Position {x, y}, or null for an unknown entity
+     */
+    getPosition(id, time) {
+        const history = this.histories.get(id);
+        if (!history || history.length === 0) return null;
+
+        const first = history[0];
+        const last = history[history.length - 1];
+        if (time <= first.time) return { x: first.x, y: first.y };
+        if (time >= last.time) return { x: last.x, y: last.y };
+
+        let index = history.length - 1;
+        while (history[index - 1].time > time) index--;
+
+        const from = history[index - 1];
+        const to = history[index];
+        const t = (time - from.time) / (to.time - from.time);
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t
+        };
+    }
+
+    /**
+     * Clamp the moment a shooter claims to have seen, so nobody can be hit
+     * further back than LAG_COMPENSATION_THRESHOLD or in the future
+     * @param {number} viewTime - Shooter's render time on the server clock
+     * @param {number} now - Server time in milliseconds
+     * @returns {number} - Time to rewind to
+     */
+    static getRewindTime(viewTime, now = Date.now()) {
+        if (!Number.isFinite(viewTime)) return now;
+        return Math.min(now, Math.max(now - NETWORK.LAG_COMPENSATION_THRESHOLD, viewTime));
+    }
+
+    /**
+     * Laser beam from a ship's nose, matching Game.fireLaser
+     * @param {Object} position - Ship position {x, y}
+     * @param {number} rotation - Display rotation in degrees
+     * @returns {Object} - Segment {startX, startY, endX, endY}
+     */
+    static getLaserSegment(position, rotation) {
+        const rotationRad = rotation / GRAPHICS.RADIANS_TO_DEGREES;
+        return {
+            startX: position.x + Math.sin(rotationRad) * PLAYER.RADIUS,
+            startY: position.y - Math.cos(rotationRad) * PLAYER.RADIUS,
+            endX: position.x + Math.sin(rotationRad) * WEAPONS.LASER_RANGE,
+            endY: position.y - Math.cos(rotationRad) * WEAPONS.LASER_RANGE
+        };
+    }
+
+    /**
+     * Find the first circle a segment passes through
+     * @param {Object} segment - Segment {startX, startY, endX, endY}
+     * @param {Array} targets - Circles {x, y, radius, ...}
+     * @returns {Object|null} - The target nearest the segment start, or null on a miss
+     */
+    static findFirstHit(segment, targets) {
+        const dx = segment.endX - segment.startX;
+        const dy = segment.endY - segment.startY;
+        const lengthSquared = dx * dx + dy * dy;
+
+        let closest = null;
+        let closestT = Infinity;
+
+        targets.forEach(target => {
+            // Parameter of the point on the segment nearest the target's center
+            const t = lengthSquared === 0
+                ? 0
+                : Math.max(0, Math.min(1, ((target.x - segment.startX) * dx + (target.y - segment.startY) * dy) / lengthSquared));
+            const px = target.x - (segment.startX + t * dx);
+            const py = target.y - (segment.startY + t * dy);
+
+            if (px * px + py * py < target.radius * target.radius && t < closestT) {
+                closest = target;
+                closestT = t;
+            }
+        });
+
+        return closest;
+    }
+}
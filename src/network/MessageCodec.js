@@ -0,0 +1,436 @@
+/**
+ * Message Codec for Max-Pixels
+ * Versioned binary encoding for the hot WebSocket messages (movement, fire
+ * and state sync), shared by NetworkManager and the game server.
+ * Every other message, and every peer that has not negotiated binary, uses JSON.
+ *
+ * Binary layout (little-endian):
+ *   u8 version | u8 type ID | f64 timestamp | string playerId | payload
+ * Strings are a u8 byte length followed by UTF-8 bytes.
+ */
+
+import { NETWORK } from '../constants.js';
+
+const BINARY_VERSION = 1;
+const INITIAL_BUFFER_SIZE = 256;
+const MAX_STRING_BYTES = 255;
+const DECIMAL_BASE = 10;
+const WORD_BYTES = 4;
+const DOUBLE_BYTES = 8;
+
+// Numeric type IDs; PLAYER_MOVE has one layout per direction
+const TYPE_IDS = {
+    PLAYER_INPUT: 1,
+    PLAYER_MOVE: 2,
+    PLAYER_FIRE: 3,
+    PLAYER_STATE: 4,
+    STATE_KEYFRAME: 5,
+    STATE_DELTA: 6
+};
+
+// Presence bits for the optional fields of a delta record
+const DELTA_FIELDS = {
+    s: 1,
+    x: 2,
+    y: 4,
+    vx: 8,
+    vy: 16,
+    r: 32,
+    b: 64
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Growable little-endian writer
+ */
+class BinaryWriter {
+    constructor() {
+        this.buffer = new ArrayBuffer(INITIAL_BUFFER_SIZE);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + bytes) size *= 2;
+
+        const buffer = new ArrayBuffer(size);
+        new Uint8Array(buffer).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+    }
+
+    u8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    i16(value) { this.ensure(2); this.view.setInt16(this.offset, value, true); this.offset += 2; }
+    u16(value) { this.ensure(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+    i32(value) { this.ensure(WORD_BYTES); this.view.setInt32(this.offset, value, true); this.offset += WORD_BYTES; }
+    u32(value) { this.ensure(WORD_BYTES); this.view.setUint32(this.offset, value, true); this.offset += WORD_BYTES; }
+    f32(value) { this.ensure(WORD_BYTES); this.view.setFloat32(this.offset, value, true); this.offset += WORD_BYTES; }
+    f64(value) { this.ensure(DOUBLE_BYTES); this.view.setFloat64(this.offset, value, true); this.offset += DOUBLE_BYTES; }
+
+    string(value = '') {
+        const bytes = textEncoder.encode(String(value));
+        if (bytes.length > MAX_STRING_BYTES) {
+            throw new Error('String too long for binary encoding');
+        }
+        this.u8(bytes.length);
+        this.ensure(bytes.length);
+        new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+        this.offset += bytes.length;
+    }
+
+    toArrayBuffer() {
+        return this.buffer.slice(0, this.offset);
+    }
+}
+
+/**
+ * Little-endian reader over an ArrayBuffer or typed array view
+ */
+class BinaryReader {
+    constructor(data) {
+        this.view = ArrayBuffer.isView(data)
+            ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+            : new DataView(data);
+        this.offset = 0;
+    }
+
+    u8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+    i16() { const value = this.view.getInt16(this.offset, true); this.offset += 2; return value; }
+    u16() { const value = this.view.getUint16(this.offset, true); this.offset += 2; return value; }
+    i32() { const value = this.view.getInt32(this.offset, true); this.offset += WORD_BYTES; return value; }
+    u32() { const value = this.view.getUint32(this.offset, true); this.offset += WORD_BYTES; return value; }
+    f32() { const value = this.view.getFloat32(this.offset, true); this.offset += WORD_BYTES; return value; }
+    f64() { const value = this.view.getFloat64(this.offset, true); this.offset += DOUBLE_BYTES; return value; }
+
+    string() {
+        const length = this.u8();
+        const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+        this.offset += length;
+        return textDecoder.decode(bytes);
+    }
+}
+
+// Optional numbers travel as NaN
+const optionalNumber = (value) => (typeof value === 'number' ? value : NaN);
+const fromOptional = (value) => (Number.isNaN(value) ? undefined : value);
+
+// Quantized state records are sent as fixed-point integers
+const fixedPoint = (precision) => Math.pow(DECIMAL_BASE, precision);
+
+export class MessageCodec {
+    static JSON = 'json';
+    static BINARY = `binary-v${BINARY_VERSION}`;
+
+    // Codecs this build can speak, most preferred first
+    static SUPPORTED = [MessageCodec.BINARY, MessageCodec.JSON];
+
+    /**
+     * Pick the codec to use with a peer
+     * @param {Array<string>} offered - Codecs the peer supports
+     * @returns {string} - Most preferred codec both sides support
+     */
+    static negotiate(offered = []) {
+        return MessageCodec.SUPPORTED.find(codec => offered.includes(codec)) || MessageCodec.JSON;
+    }
+
+    /**
+     * Encode a message for the wire
+     * @param {Object} message - Message {type, playerId, timestamp, data}
+     * @param {string} codec - Negotiated codec
+     * @returns {string|ArrayBuffer} - Binary for hot types under the binary codec, JSON otherwise
+     */
+    static encode(message, codec = MessageCodec.JSON) {
+        if (codec === MessageCodec.BINARY) {
+            const typeId = MessageCodec.getTypeId(message);
+            if (typeId) {
+                try {
+                    return MessageCodec.encodeBinary(typeId, message);
+                } catch (error) {
+                    console.warn('Falling back to JSON for message:', message.type, error.message);
+                }
+            }
+        }
+
+        return JSON.stringify(message);
+    }
+
+    /**
+     * Decode a message from the wire
+     * @param {string|ArrayBuffer|ArrayBufferView} data - Raw message
+     * @returns {Object} - Message {type, playerId, timestamp, data}
+     */
+    static decode(data) {
+        if (typeof data === 'string') {
+            return JSON.parse(data);
+        }
+
+        const reader = new BinaryReader(data);
+        const version = reader.u8();
+        if (version !== BINARY_VERSION) {
+            throw new Error(`Unsupported binary message version ${version}`);
+        }
+
+        const typeId = reader.u8();
+        const timestamp = fromOptional(reader.f64());
+        const playerId = reader.string() || undefined;
+
+        const decoders = {
+            [TYPE_IDS.PLAYER_INPUT]: () => [NETWORK.MESSAGE_TYPES.PLAYER_MOVE, MessageCodec.readInputs(reader)],
+            [TYPE_IDS.PLAYER_MOVE]: () => [NETWORK.MESSAGE_TYPES.PLAYER_MOVE, MessageCodec.readMove(reader)],
+            [TYPE_IDS.PLAYER_FIRE]: () => [NETWORK.MESSAGE_TYPES.PLAYER_FIRE, MessageCodec.readFire(reader)],
+            [TYPE_IDS.PLAYER_STATE]: () => [NETWORK.MESSAGE_TYPES.PLAYER_STATE, MessageCodec.readPlayerState(reader)],
+            [TYPE_IDS.STATE_KEYFRAME]: () => [NETWORK.MESSAGE_TYPES.STATE_KEYFRAME, MessageCodec.readKeyframe(reader)],
+            [TYPE_IDS.STATE_DELTA]: () => [NETWORK.MESSAGE_TYPES.STATE_DELTA, MessageCodec.readDelta(reader)]
+        };
+        if (!decoders[typeId]) {
+            throw new Error(`Unknown binary message type ${typeId}`);
+        }
+
+        const [type, payload] = decoders[typeId]();
+        return { type, playerId, timestamp, data: payload };
+    }
+
+    /**
+     * Binary type ID for a message, or null when it always goes as JSON
+     */
+    static getTypeId(message) {
+        const types = NETWORK.MESSAGE_TYPES;
+        const data = message.data || {};
+
+        switch (message.type) {
+        case types.PLAYER_MOVE:
+            return Array.isArray(data.inputs) ? TYPE_IDS.PLAYER_INPUT : TYPE_IDS.PLAYER_MOVE;
+        case types.PLAYER_FIRE:
+            return TYPE_IDS.PLAYER_FIRE;
+        case types.PLAYER_STATE:
+            return TYPE_IDS.PLAYER_STATE;
+        case types.STATE_KEYFRAME:
+            return TYPE_IDS.STATE_KEYFRAME;
+        case types.STATE_DELTA:
+            return TYPE_IDS.STATE_DELTA;
+        default:
+            return null;
+        }
+    }
+
+    static encodeBinary(typeId, message) {
+        const writer = new BinaryWriter();
+        const data = message.data || {};
+
+        writer.u8(BINARY_VERSION);
+        writer.u8(typeId);
+        writer.f64(optionalNumber(message.timestamp));
+        writer.string(message.playerId || '');
+
+        switch (typeId) {
+        case TYPE_IDS.PLAYER_INPUT: MessageCodec.writeInputs(writer, data); break;
+        case TYPE_IDS.PLAYER_MOVE: MessageCodec.writeMove(writer, data); break;
+        case TYPE_IDS.PLAYER_FIRE: MessageCodec.writeFire(writer, data); break;
+        case TYPE_IDS.PLAYER_STATE: MessageCodec.writePlayerState(writer, data); break;
+        case TYPE_IDS.STATE_KEYFRAME: MessageCodec.writeKeyframe(writer, data); break;
+        case TYPE_IDS.STATE_DELTA: MessageCodec.writeDelta(writer, data); break;
+        }
+
+        return writer.toArrayBuffer();
+    }
+
+    // Client input batch: inputs must replay exactly, so axes stay 32-bit floats
+    static writeInputs(writer, data) {
+        writer.string(data.sectorId || '');
+        writer.f64(optionalNumber(data.timestamp));
+        writer.u16(data.inputs.length);
+        data.inputs.forEach(input => {
+            writer.u32(input.seq);
+            writer.f32(input.thrust);
+            writer.f32(input.rotation);
+            writer.u8(input.boost ? 1 : 0);
+        });
+    }
+
+    static readInputs(reader) {
+        const sectorId = reader.string() || undefined;
+        const timestamp = fromOptional(reader.f64());
+        const inputs = [];
+        for (let count = reader.u16(); count > 0; count--) {
+            inputs.push({
+                seq: reader.u32(),
+                thrust: reader.f32(),
+                rotation: reader.f32(),
+                boost: reader.u8() === 1
+            });
+        }
+        return { inputs, sectorId, timestamp };
+    }
+
+    // Remote ship movement, only used for interpolation
+    static writeMove(writer, data) {
+        writer.string(data.playerId || '');
+        writer.f32(data.position.x);
+        writer.f32(data.position.y);
+        writer.f32(data.velocity ? data.velocity.x : 0);
+        writer.f32(data.velocity ? data.velocity.y : 0);
+        writer.f32(data.rotation);
+        writer.u8(data.boosting ? 1 : 0);
+        writer.f64(optionalNumber(data.timestamp));
+    }
+
+    static readMove(reader) {
+        return {
+            playerId: reader.string(),
+            position: { x: reader.f32(), y: reader.f32() },
+            velocity: { x: reader.f32(), y: reader.f32() },
+            rotation: reader.f32(),
+            boosting: reader.u8() === 1,
+            timestamp: fromOptional(reader.f64())
+        };
+    }
+
+    static writeFire(writer, data) {
+        writer.string(data.playerId || '');
+        writer.f32(data.position.x);
+        writer.f32(data.position.y);
+        writer.f32(data.rotation);
+        writer.string(data.weaponType || '');
+        writer.f64(optionalNumber(data.viewTime));
+        writer.f64(optionalNumber(data.timestamp));
+    }
+
+    static readFire(reader) {
+        const playerId = reader.string() || undefined;
+        const fire = {
+            position: { x: reader.f32(), y: reader.f32() },
+            rotation: reader.f32(),
+            weaponType: reader.string(),
+            viewTime: fromOptional(reader.f64()),
+            timestamp: fromOptional(reader.f64())
+        };
+        return playerId ? { playerId, ...fire } : fire;
+    }
+
+    // Own ship state is replayed on, so everything stays 64-bit
+    static writePlayerState(writer, data) {
+        writer.string(data.id);
+        writer.string(data.sectorId || '');
+        writer.f64(data.position.x);
+        writer.f64(data.position.y);
+        writer.f64(data.velocity.x);
+        writer.f64(data.velocity.y);
+        writer.f64(data.rotation);
+        writer.f64(data.rotationSpeed);
+        writer.f64(data.thrust);
+        writer.f64(data.controls.thrustLevel);
+        writer.f64(data.controls.rotationDirection);
+        writer.u8(data.boosting ? 1 : 0);
+        writer.u32(data.lastProcessedInput);
+        writer.f64(optionalNumber(data.lastUpdate));
+        writer.u8(data.connected ? 1 : 0);
+    }
+
+    static readPlayerState(reader) {
+        return {
+            id: reader.string(),
+            sectorId: reader.string() || undefined,
+            position: { x: reader.f64(), y: reader.f64() },
+            velocity: { x: reader.f64(), y: reader.f64() },
+            rotation: reader.f64(),
+            rotationSpeed: reader.f64(),
+            thrust: reader.f64(),
+            controls: { thrustLevel: reader.f64(), rotationDirection: reader.f64() },
+            boosting: reader.u8() === 1,
+            lastProcessedInput: reader.u32(),
+            lastUpdate: fromOptional(reader.f64()),
+            connected: reader.u8() === 1
+        };
+    }
+
+    // Keyframe records are already quantized, so fixed-point integers are exact
+    static writeRecord(writer, record, mask = null) {
+        const position = fixedPoint(NETWORK.POSITION_PRECISION);
+        const velocity = fixedPoint(NETWORK.VELOCITY_PRECISION);
+        const rotation = fixedPoint(NETWORK.ROTATION_PRECISION);
+        const has = (field) => mask === null || (mask & DELTA_FIELDS[field]) !== 0;
+
+        writer.string(record.id);
+        if (has('s')) writer.string(record.s || '');
+        if (has('x')) writer.i32(Math.round(record.x * position));
+        if (has('y')) writer.i32(Math.round(record.y * position));
+        if (has('vx')) writer.i32(Math.round(record.vx * velocity));
+        if (has('vy')) writer.i32(Math.round(record.vy * velocity));
+        if (has('r')) writer.i16(Math.round(record.r * rotation));
+        if (has('b')) writer.u8(record.b);
+    }
+
+    static readRecord(reader, mask = null) {
+        const position = fixedPoint(NETWORK.POSITION_PRECISION);
+        const velocity = fixedPoint(NETWORK.VELOCITY_PRECISION);
+        const rotation = fixedPoint(NETWORK.ROTATION_PRECISION);
+        const has = (field) => mask === null || (mask & DELTA_FIELDS[field]) !== 0;
+
+        const record = { id: reader.string() };
+        if (has('s')) record.s = reader.string();
+        if (has('x')) record.x = reader.i32() / position;
+        if (has('y')) record.y = reader.i32() / position;
+        if (has('vx')) record.vx = reader.i32() / velocity;
+        if (has('vy')) record.vy = reader.i32() / velocity;
+        if (has('r')) record.r = reader.i16() / rotation;
+        if (has('b')) record.b = reader.u8();
+        return record;
+    }
+
+    static writeKeyframe(writer, data) {
+        writer.u32(data.keyframeId);
+        writer.f64(optionalNumber(data.timestamp));
+        writer.u16(data.players.length);
+        data.players.forEach(record => MessageCodec.writeRecord(writer, record));
+    }
+
+    static readKeyframe(reader) {
+        const keyframeId = reader.u32();
+        const timestamp = fromOptional(reader.f64());
+        const players = [];
+        for (let count = reader.u16(); count > 0; count--) {
+            players.push(MessageCodec.readRecord(reader));
+        }
+        return { keyframeId, players, timestamp };
+    }
+
+    static writeDelta(writer, data) {
+        writer.u32(data.baseKeyframeId);
+        writer.f64(optionalNumber(data.timestamp));
+
+        writer.u16(data.changed.length);
+        data.changed.forEach(fields => {
+            const mask = Object.keys(DELTA_FIELDS)
+                .filter(field => field in fields)
+                .reduce((bits, field) => bits | DELTA_FIELDS[field], 0);
+            writer.u8(mask);
+            MessageCodec.writeRecord(writer, fields, mask);
+        });
+
+        writer.u16(data.removed.length);
+        data.removed.forEach(id => writer.string(id));
+    }
+
+    static readDelta(reader) {
+        const baseKeyframeId = reader.u32();
+        const timestamp = fromOptional(reader.f64());
+
+        const changed = [];
+        for (let count = reader.u16(); count > 0; count--) {
+            const mask = reader.u8();
+            changed.push(MessageCodec.readRecord(reader, mask));
+        }
+
+        const removed = [];
+        for (let count = reader.u16(); count > 0; count--) {
+            removed.push(reader.string());
+        }
+
+        return { baseKeyframeId, changed, removed, timestamp };
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Message Validator for Max-Pixels
+ * Schemas for every message a client may send, checked by the game server
+ * before any handler sees the message
+ */
+
+import { NETWORK } from '../constants.js';
+
+const types = NETWORK.MESSAGE_TYPES;
+
+// Field checks return an error description, or null when the value is fine
+const optional = (check) => (value, path) => (value === undefined || value === null ? null : check(value, path));
+
+const string = (maxLength, minLength = 0) => (value, path) =>
+    (typeof value === 'string' && value.length >= minLength && value.length <= maxLength
+        ? null
+        : `${path} must be a string of ${minLength}-${maxLength} characters`);
+
+const number = () => (value, path) => (Number.isFinite(value) ? null : `${path} must be a finite number`);
+
+const integer = () => (value, path) =>
+    (Number.isSafeInteger(value) && value >= 0 ? null : `${path} must be a non-negative integer`);
+
+const boolean = () => (value, path) => (typeof value === 'boolean' ? null : `${path} must be a boolean`);
+
+const object = (fields) => (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return `${path} must be an object`;
+    }
+
+    for (const [key, check] of Object.entries(fields)) {
+        const error = check(value[key], `${path}.${key}`);
+        if (error) return error;
+    }
+    return null;
+};
+
+const array = (maxItems, item) => (value, path) => {
+    if (!Array.isArray(value) || value.length > maxItems) {
+        return `${path} must be an array of at most ${maxItems} items`;
+    }
+
+    for (let i = 0; i < value.length; i++) {
+        const error = item(value[i], `${path}[${i}]`);
+        if (error) return error;
+    }
+    return null;
+};
+
+// Objects used as maps: any identifier keys, every value passing one check
+const record = (maxEntries, value) => (map, path) => {
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        return `${path} must be an object`;
+    }
+
+    const entries = Object.entries(map);
+    if (entries.length > maxEntries) {
+        return `${path} must have at most ${maxEntries} entries`;
+    }
+
+    for (const [key, item] of entries) {
+        if (key.length > NETWORK.MAX_IDENTIFIER_LENGTH) {
+            return `${path} keys must be at most ${NETWORK.MAX_IDENTIFIER_LENGTH} characters`;
+        }
+        const error = value(item, `${path}.${key}`);
+        if (error) return error;
+    }
+    return null;
+};
+
+const identifier = () => string(NETWORK.MAX_IDENTIFIER_LENGTH, 1);
+const timestamp = () => optional(number());
+
+const ENVELOPE = object({
+    type: identifier(),
+    playerId: optional(identifier()),
+    timestamp: timestamp()
+});
+
+const SCHEMAS = {
+    [types.CODEC_SELECT]: object({
+        codec: identifier()
+    }),
+    [types.PLAYER_JOIN]: object({
+        playerId: identifier(),
+        // Left optional so an outdated client hears about the protocol mismatch
+        protocolVersion: optional(integer()),
+        clientBuild: optional(identifier()),
+        features: optional(array(NETWORK.MAX_FEATURES, identifier())),
+        resumeToken: optional(identifier()),
+        authToken: optional(string(NETWORK.MAX_AUTH_TOKEN_LENGTH, 1)),
+        timestamp: timestamp()
+    }),
+    [types.PLAYER_LEAVE]: object({
+        playerId: optional(identifier()),
+        timestamp: timestamp()
+    }),
+    [types.PLAYER_MOVE]: object({
+        inputs: array(NETWORK.MAX_QUEUED_INPUTS, object({
+            seq: integer(),
+            thrust: number(),
+            rotation: number(),
+            boost: optional(boolean())
+        })),
+        sectorId: optional(identifier()),
+        timestamp: timestamp()
+    }),
+    [types.PLAYER_FIRE]: object({
+        position: object({ x: number(), y: number() }),
+        rotation: number(),
+        weaponType: optional(string(NETWORK.MAX_IDENTIFIER_LENGTH)),
+        viewTime: timestamp(),
+        timestamp: timestamp()
+    }),
+    [types.PLAYER_RESPAWN]: object({
+        timestamp: timestamp()
+    }),
+    [types.CHAT_MESSAGE]: object({
+        message: string(NETWORK.MAX_CHAT_MESSAGE_LENGTH, 1),
+        timestamp: timestamp()
+    }),
+    [types.PLAYER_PROGRESS]: object({
+        credits: number(),
+        cargo: record(NETWORK.MAX_CARGO_ENTRIES, number()),
+        timestamp: timestamp()
+    }),
+    [types.ADMIN_COMMAND]: object({
+        command: string(NETWORK.MAX_ADMIN_COMMAND_LENGTH, 1),
+        timestamp: timestamp()
+    }),
+    [types.HEARTBEAT]: object({
+        timestamp: timestamp()
+    }),
+    [types.STATE_ACK]: object({
+        keyframeId: integer()
+    })
+};
+
+export class MessageValidator {
+    /**
+     * Check a decoded client message against its schema.
+     * Extra fields are allowed so newer clients stay readable.
+     * @param {Object} message - Decoded message {type, playerId, timestamp, data}
+     * @returns {string|null} - What is wrong with the message, or null when valid
+     */
+    static validate(message) {
+        const envelopeError = ENVELOPE(message, 'message');
+        if (envelopeError) {
+            return envelopeError;
+        }
+
+        const schema = SCHEMAS[message.type];
+        if (!schema) {
+            return `message.type ${message.type} cannot be sent by clients`;
+        }
+
+        return schema(message.data === undefined ? {} : message.data, 'data');
+    }
+}
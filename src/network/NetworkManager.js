@@ -3,7 +3,11 @@
  * Handles WebSocket connections and real-time multiplayer communication
  */
 
-import { NETWORK } from '../constants.js';
+import { NETWORK, PLAYER } from '../constants.js';
+import { ShipPhysics } from '../movement/ShipPhysics.js';
+import { StateDelta } from './StateDelta.js';
+import { MessageCodec } from './MessageCodec.js';
+import { ClockSync } from './ClockSync.js';
 
 export class NetworkManager {
     constructor() {
@@ -18,6 +22,33 @@ export class NetworkManager {
         this.heartbeatInterval = null;
         this.lastHeartbeat = null;
         
+        // Server clock and latency, measured over heartbeats
+        this.clock = new ClockSync();
+        
+        // Client-side prediction: inputs the server has not acknowledged yet
+        this.inputSequence = 0;
+        this.lastSentSequence = 0;
+        this.predictionResetSequence = 0;
+        this.unacknowledgedInputs = [];
+        
+        // Delta-compressed world state: keyframes deltas can be applied to
+        this.stateKeyframes = new Map();
+        
+        // Agreed with the server in the welcome handshake
+        this.codec = MessageCodec.JSON;
+        this.serverInfo = null;
+        this.features = new Set();
+        
+        // Lets a reconnect pick up the same ship while the server still holds it
+        this.resumeToken = null;
+        
+        // Milliseconds a restarting server asked us to stay away, until the reconnect uses it
+        this.restartDelay = null;
+        
+        // Account players prove who they are with an access token; guests play without saves
+        this.authTokenProvider = null; // async () => access token or null, asked before every join
+        this.authenticated = false;
+        
         // Message types - use constants from NETWORK
         this.MessageTypes = NETWORK.MESSAGE_TYPES;
         
@@ -36,23 +67,39 @@ export class NetworkManager {
             return true;
         }
         
+        // Asked on every (re)connect so an expired token is refreshed first
+        const authToken = this.authTokenProvider ? await this.authTokenProvider() : null;
+        this.authenticated = Boolean(authToken);
+        
         return new Promise((resolve, reject) => {
             try {
                 this.playerId = playerId || this.generatePlayerId();
                 this.socket = new WebSocket(serverUrl);
+                this.socket.binaryType = 'arraybuffer';
+                this.codec = MessageCodec.JSON;
+                this.serverInfo = null;
+                this.features = new Set();
                 
                 this.socket.onopen = (event) => {
                     console.log('Connected to game server');
                     this.isConnected = true;
                     this.reconnectAttempts = 0;
                     this.reconnectDelay = NETWORK.INITIAL_RECONNECT_DELAY;
+                    this.resetPrediction();
+                    this.stateKeyframes.clear();
+                    this.clock.reset();
                     
                     // Start heartbeat
                     this.startHeartbeat();
                     
-                    // Send initial join message
+                    // Send initial join message; the server checks our protocol before admitting us
                     this.sendMessage(this.MessageTypes.PLAYER_JOIN, {
                         playerId: this.playerId,
+                        protocolVersion: NETWORK.PROTOCOL_VERSION,
+                        clientBuild: NETWORK.CLIENT_BUILD,
+                        features: Object.values(NETWORK.FEATURES),
+                        resumeToken: this.resumeToken,
+                        authToken: authToken,
                         timestamp: Date.now()
                     });
                     
@@ -73,8 +120,17 @@ export class NetworkManager {
                     // Trigger disconnect callbacks
                     this.triggerConnectionCallback('disconnected', event);
                     
-                    // Attempt reconnection if not a clean close
-                    if (event.code !== WEBSOCKET_NORMAL_CLOSE && this.reconnectAttempts < this.maxReconnectAttempts) {
+                    // A restarting server keeps our session; come back once it said it would be up
+                    if (event.code === NETWORK.SERVICE_RESTART_CLOSE_CODE) {
+                        this.reconnectAttempts = 0;
+                        this.reconnectDelay = Math.max(this.restartDelay ?? 0, NETWORK.INITIAL_RECONNECT_DELAY);
+                        this.restartDelay = null;
+                    }
+                    
+                    // Attempt reconnection if not a clean close or a refused session
+                    const retryable = event.code !== NETWORK.WEBSOCKET_NORMAL_CLOSE_CODE &&
+                        event.code !== NETWORK.CONNECTION_REJECTED_CLOSE_CODE;
+                    if (retryable && this.reconnectAttempts < this.maxReconnectAttempts) {
                         this.attemptReconnect(serverUrl);
                     }
                 };
@@ -106,11 +162,12 @@ export class NetworkManager {
                 timestamp: Date.now()
             });
             
-            this.socket.close(WEBSOCKET_NORMAL_CLOSE, 'Client disconnect');
+            this.socket.close(NETWORK.WEBSOCKET_NORMAL_CLOSE_CODE, 'Client disconnect');
         }
         
         this.isConnected = false;
         this.playerId = null;
+        this.resumeToken = null;
         this.stopHeartbeat();
     }
     
@@ -133,7 +190,7 @@ export class NetworkManager {
         };
         
         try {
-            this.socket.send(JSON.stringify(message));
+            this.socket.send(MessageCodec.encode(message, this.codec));
             return true;
         } catch (error) {
             console.error('Failed to send message:', error);
@@ -143,40 +200,158 @@ export class NetworkManager {
     
     /**
      * Handle incoming messages from server
-     * @param {string} messageData - Raw message data
+     * @param {string|ArrayBuffer} messageData - Raw message data, JSON text or binary
      */
     handleMessage(messageData) {
         try {
-            const message = JSON.parse(messageData);
+            const message = MessageCodec.decode(messageData);
             
-            // Update last heartbeat time for heartbeat messages
+            // Heartbeat answers keep the connection alive and time the round trip
             if (message.type === this.MessageTypes.HEARTBEAT) {
                 this.lastHeartbeat = Date.now();
+                if (message.data) {
+                    this.clock.addSample(message.data.clientTime, message.data.serverTime, this.lastHeartbeat);
+                }
+                
+                // Only passed on when asked for, e.g. by the load-test bots timing every round trip
+                if (this.messageHandlers.has(message.type)) {
+                    this.dispatchMessage(message.type, message.data, message);
+                }
                 return;
             }
             
-            // Trigger registered handlers
-            if (this.messageHandlers.has(message.type)) {
-                const handlers = this.messageHandlers.get(message.type);
-                handlers.forEach(handler => {
-                    try {
-                        handler(message.data, message);
-                    } catch (error) {
-                        console.error('Error in message handler:', error);
-                    }
-                });
+            if (message.type === this.MessageTypes.WELCOME) {
+                this.handleWelcome(message.data || {});
             }
             
-            // Log unhandled messages for debugging
-            if (!this.messageHandlers.has(message.type)) {
-                console.log('Unhandled message type:', message.type, message.data);
+            if (message.type === this.MessageTypes.SESSION) {
+                this.resumeToken = message.data.resumeToken;
             }
             
+            if (message.type === this.MessageTypes.SERVER_SHUTDOWN) {
+                this.restartDelay = message.data?.expectedDowntime ?? null;
+            }
+            if (message.type === this.MessageTypes.ERROR && message.data?.code === NETWORK.ERROR_CODES.SERVER_RESTARTING) {
+                this.restartDelay = message.data.retryAfter ?? null;
+            }
+            
+            // World state arrives compressed; handlers receive it as a full game state
+            if (message.type === this.MessageTypes.STATE_KEYFRAME || message.type === this.MessageTypes.STATE_DELTA) {
+                this.handleWorldState(message);
+                return;
+            }
+            
+            this.dispatchMessage(message.type, message.data, message);
+            
         } catch (error) {
             console.error('Failed to parse message:', error);
         }
     }
     
+    /**
+     * Record what the server speaks and settle the features and codec both sides support
+     * @param {Object} data - Welcome data {protocolVersion, minProtocolVersion, serverBuild, features, codecs}
+     */
+    handleWelcome(data) {
+        this.serverInfo = {
+            protocolVersion: data.protocolVersion,
+            minProtocolVersion: data.minProtocolVersion,
+            serverBuild: data.serverBuild
+        };
+        
+        const offered = Array.isArray(data.features) ? data.features : [];
+        this.features = new Set(Object.values(NETWORK.FEATURES).filter(feature => offered.includes(feature)));
+        
+        if (data.protocolVersion !== NETWORK.PROTOCOL_VERSION) {
+            console.warn(`Server speaks protocol ${data.protocolVersion} (build ${data.serverBuild}), client speaks ${NETWORK.PROTOCOL_VERSION}`);
+        }
+        
+        this.selectCodec(data.codecs);
+    }
+    
+    /**
+     * Check whether a feature was negotiated with the server
+     * @param {string} feature - One of NETWORK.FEATURES
+     * @returns {boolean} - True when both sides support it
+     */
+    hasFeature(feature) {
+        return this.features.has(feature);
+    }
+    
+    /**
+     * Pick the wire codec from those the server offers and tell the server.
+     * Messages already in flight still decode, whichever codec they used.
+     * @param {Array<string>} offered - Codecs listed in the welcome message
+     */
+    selectCodec(offered) {
+        const codec = MessageCodec.negotiate(offered);
+        if (this.sendMessage(this.MessageTypes.CODEC_SELECT, { codec: codec })) {
+            this.codec = codec;
+        }
+    }
+    
+    /**
+     * Trigger the handlers registered for a message type
+     * @param {string} type - Message type
+     * @param {Object} data - Message data
+     * @param {Object} message - Full message
+     */
+    dispatchMessage(type, data, message) {
+        // Log unhandled messages for debugging
+        if (!this.messageHandlers.has(type)) {
+            console.log('Unhandled message type:', type, data);
+            return;
+        }
+        
+        this.messageHandlers.get(type).forEach(handler => {
+            try {
+                handler(data, message);
+            } catch (error) {
+                console.error('Error in message handler:', error);
+            }
+        });
+    }
+    
+    /**
+     * Rebuild the world state from a keyframe or a delta against an
+     * acknowledged keyframe, then pass it on as a GAME_STATE message
+     * @param {Object} message - STATE_KEYFRAME or STATE_DELTA message
+     */
+    handleWorldState(message) {
+        const data = message.data || {};
+        let state;
+        
+        if (message.type === this.MessageTypes.STATE_KEYFRAME) {
+            state = new Map((data.players || []).map(record => [record.id, record]));
+            this.stateKeyframes.set(data.keyframeId, state);
+            if (this.stateKeyframes.size > NETWORK.MAX_PENDING_KEYFRAMES) {
+                this.stateKeyframes.delete(this.stateKeyframes.keys().next().value);
+            }
+            
+            this.sendMessage(this.MessageTypes.STATE_ACK, { keyframeId: data.keyframeId });
+        } else {
+            const baseline = this.stateKeyframes.get(data.baseKeyframeId);
+            if (!baseline) {
+                // Deltas against a keyframe we never got are useless until the next keyframe
+                return;
+            }
+            
+            // The server has our ack, so older keyframes will not be referenced again
+            for (const keyframeId of this.stateKeyframes.keys()) {
+                if (keyframeId < data.baseKeyframeId) {
+                    this.stateKeyframes.delete(keyframeId);
+                }
+            }
+            
+            state = StateDelta.apply(baseline, data);
+        }
+        
+        this.dispatchMessage(this.MessageTypes.GAME_STATE, {
+            players: Array.from(state.values()).map(record => StateDelta.decodePlayer(record)),
+            timestamp: data.timestamp
+        }, message);
+    }
+    
     /**
      * Register a message handler
      * @param {string} messageType - Type of message to handle
@@ -217,16 +392,103 @@ export class NetworkManager {
     }
     
     /**
-     * Send player movement update
-     * @param {Object} position - Player position {x, y}
-     * @param {Object} velocity - Player velocity {x, y}
-     * @param {number} rotation - Player rotation in degrees
+     * Record the input used for one local physics step
+     * @param {Object} input - Input intent {thrust, rotation, boost}
+     * @returns {number} - Sequence number assigned to the input
      */
-    sendPlayerMovement(position, velocity, rotation) {
-        return this.sendMessage(this.MessageTypes.PLAYER_MOVE, {
-            position: position,
-            velocity: velocity,
-            rotation: rotation,
+    recordInput(input) {
+        const sequencedInput = {
+            seq: ++this.inputSequence,
+            thrust: input.thrust,
+            rotation: input.rotation,
+            boost: input.boost
+        };
+        
+        this.unacknowledgedInputs.push(sequencedInput);
+        if (this.unacknowledgedInputs.length > NETWORK.SNAPSHOT_BUFFER_SIZE) {
+            this.unacknowledgedInputs.shift();
+        }
+        
+        return sequencedInput.seq;
+    }
+    
+    /**
+     * Send recorded inputs that have not been sent yet
+     * @param {string} sectorId - Sector the ship is flying in
+     */
+    sendPlayerInput(sectorId) {
+        const inputs = this.unacknowledgedInputs.filter(input => input.seq > this.lastSentSequence);
+        const sent = this.sendMessage(this.MessageTypes.PLAYER_MOVE, {
+            inputs: inputs,
+            sectorId: sectorId,
+            timestamp: Date.now()
+        });
+        
+        if (sent) {
+            this.lastSentSequence = this.inputSequence;
+        }
+        return sent;
+    }
+    
+    /**
+     * Drop inputs the server has already simulated
+     * @param {number} sequence - Last input sequence processed by the server
+     */
+    acknowledgeInputs(sequence) {
+        this.unacknowledgedInputs = this.unacknowledgedInputs.filter(input => input.seq > sequence);
+    }
+    
+    /**
+     * Forget pending inputs after the ship was teleported. Server states
+     * from before the teleport are ignored from now on.
+     */
+    resetPrediction() {
+        this.unacknowledgedInputs = [];
+        this.lastSentSequence = this.inputSequence;
+        this.predictionResetSequence = this.inputSequence;
+    }
+    
+    /**
+     * Rebase a predicted ship on an authoritative server state and replay
+     * the inputs the server has not processed yet
+     * @param {Object} serverState - Server ship state with lastProcessedInput
+     * @param {Object} ship - Local ship simulation state, updated in place
+     * @param {Object} bounds - Sector bounds {width, height}
+     * @returns {boolean} - Whether the ship was reconciled
+     */
+    reconcile(serverState, ship, bounds = null) {
+        if (!serverState.position || serverState.lastProcessedInput < this.predictionResetSequence) {
+            return false;
+        }
+        
+        this.acknowledgeInputs(serverState.lastProcessedInput);
+        
+        ship.position.x = serverState.position.x;
+        ship.position.y = serverState.position.y;
+        ship.velocity.x = serverState.velocity.x;
+        ship.velocity.y = serverState.velocity.y;
+        ship.rotation = serverState.rotation;
+        ship.rotationSpeed = serverState.rotationSpeed;
+        ship.thrust = serverState.thrust;
+        ship.boosting = serverState.boosting;
+        ship.controls.thrustLevel = serverState.controls.thrustLevel;
+        ship.controls.rotationDirection = serverState.controls.rotationDirection;
+        
+        // Energy is also spent by weapons, which the server does not see yet
+        const energy = ship.energy;
+        this.unacknowledgedInputs.forEach(input => {
+            ShipPhysics.step(ship, input, PLAYER.DELTA_TIME, bounds);
+        });
+        ship.energy = energy;
+        
+        return true;
+    }
+    
+    /**
+     * Tell the server the local ship respawned
+     */
+    sendPlayerRespawn() {
+        return this.sendMessage(this.MessageTypes.PLAYER_RESPAWN, {
             timestamp: Date.now()
         });
     }
@@ -236,12 +498,38 @@ export class NetworkManager {
      * @param {Object} position - Fire position {x, y}
      * @param {number} rotation - Fire direction in degrees
      * @param {string} weaponType - Type of weapon fired
+     * @param {number} viewTime - Server time of the world the player aimed at
      */
-    sendPlayerFire(position, rotation, weaponType = 'laser') {
+    sendPlayerFire(position, rotation, weaponType = 'laser', viewTime = this.getViewTime()) {
         return this.sendMessage(this.MessageTypes.PLAYER_FIRE, {
             position: position,
             rotation: rotation,
             weaponType: weaponType,
+            viewTime: viewTime,
+            timestamp: Date.now()
+        });
+    }
+    
+    /**
+     * Report credits and cargo for the server to save
+     * @param {number} credits - Current credits
+     * @param {Object} cargo - Item ID -> quantity
+     */
+    sendPlayerProgress(credits, cargo) {
+        return this.sendMessage(this.MessageTypes.PLAYER_PROGRESS, {
+            credits: credits,
+            cargo: cargo,
+            timestamp: Date.now()
+        });
+    }
+    
+    /**
+     * Run a server admin command; needs an admin account
+     * @param {string} command - Command line, e.g. 'players' or 'kick someone'
+     */
+    sendAdminCommand(command) {
+        return this.sendMessage(this.MessageTypes.ADMIN_COMMAND, {
+            command: command,
             timestamp: Date.now()
         });
     }
@@ -262,11 +550,13 @@ export class NetworkManager {
      */
     startHeartbeat() {
         this.lastHeartbeat = Date.now();
+        
+        // Time a round trip right away so latency is known before the first interval
+        this.sendHeartbeat();
+        
         this.heartbeatInterval = setInterval(() => {
             if (this.isConnected) {
-                this.sendMessage(this.MessageTypes.HEARTBEAT, {
-                    timestamp: Date.now()
-                });
+                this.sendHeartbeat();
                 
                 // Check if we haven't received a heartbeat response in too long
                 const timeSinceLastHeartbeat = Date.now() - this.lastHeartbeat;
@@ -277,6 +567,45 @@ export class NetworkManager {
         }, NETWORK.HEARTBEAT_INTERVAL);
     }
     
+    sendHeartbeat() {
+        return this.sendMessage(this.MessageTypes.HEARTBEAT, {
+            timestamp: Date.now()
+        });
+    }
+    
+    /**
+     * Estimate the server clock, for comparing server timestamps
+     * @returns {number} - Server time in milliseconds
+     */
+    getServerTime() {
+        return this.clock.getServerTime();
+    }
+    
+    /**
+     * Server time remote ships are rendered at: INTERPOLATION_DELAY behind
+     * the newest snapshot, which is itself half a round trip old
+     * @returns {number} - Server time in milliseconds
+     */
+    getViewTime() {
+        return this.getServerTime() - (this.getRTT() || 0) / 2 - NETWORK.INTERPOLATION_DELAY;
+    }
+    
+    /**
+     * Median round-trip time over recent heartbeats
+     * @returns {number|null} - Milliseconds, or null before the first answer
+     */
+    getRTT() {
+        return this.clock.rtt;
+    }
+    
+    /**
+     * Variation in round-trip time between heartbeats
+     * @returns {number} - Milliseconds
+     */
+    getJitter() {
+        return this.clock.jitter;
+    }
+    
     /**
      * Stop heartbeat
      */
@@ -364,7 +693,15 @@ export class NetworkManager {
             playerId: this.playerId,
             reconnectAttempts: this.reconnectAttempts,
             maxReconnectAttempts: this.maxReconnectAttempts,
+            pendingInputs: this.unacknowledgedInputs.length,
+            codec: this.codec,
+            protocolVersion: NETWORK.PROTOCOL_VERSION,
+            serverBuild: this.serverInfo ? this.serverInfo.serverBuild : null,
+            features: Array.from(this.features),
             lastHeartbeat: this.lastHeartbeat,
+            rtt: this.getRTT(),
+            jitter: this.getJitter(),
+            clockOffset: this.clock.offset,
             handlerCount: this.messageHandlers.size,
             socketState: this.socket ? this.socket.readyState : null,
             socketUrl: this.socket ? this.socket.url : null
@@ -0,0 +1,94 @@
+/**
+ * Snapshot Buffer for Max-Pixels
+ * Keeps recent server states of one remote entity and samples them in the past
+ * so the entity moves smoothly between network updates
+ */
+
+import { NETWORK } from '../constants.js';
+
+const FULL_TURN = Math.PI * 2;
+const MILLISECONDS_PER_SECOND = 1000;
+
+export class SnapshotBuffer {
+    constructor(capacity = NETWORK.SNAPSHOT_BUFFER_SIZE) {
+        this.capacity = capacity;
+        this.snapshots = [];
+    }
+
+    /**
+     * Add a received state
+     * @param {Object} snapshot - {time, x, y, rotation, velocity: {x, y}}, rotation in radians
+     * @returns {boolean} - False when the snapshot is older than the newest one
+     */
+    push(snapshot) {
+        const newest = this.snapshots[this.snapshots.length - 1];
+        if (newest && snapshot.time <= newest.time) {
+            return false;
+        }
+
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > this.capacity) {
+            this.snapshots.shift();
+        }
+        return true;
+    }
+
+    /**
+     * Get the entity's state at a given time
+     * Interpolates between the two surrounding snapshots and extrapolates
+     * along the last velocity when no newer snapshot has arrived yet
+     * @param {number} time - Render time in milliseconds
+     * @returns {Object|null} - {x, y, rotation} or null when empty
+     */
+    sample(time) {
+        if (this.snapshots.length === 0) {
+            return null;
+        }
+
+        // Snapshots older than the one before the render time are no longer needed
+        while (this.snapshots.length > 2 && this.snapshots[1].time <= time) {
+            this.snapshots.shift();
+        }
+
+        const [from, to] = this.snapshots;
+        if (time <= from.time) {
+            return { x: from.x, y: from.y, rotation: from.rotation };
+        }
+
+        if (to && time <= to.time) {
+            const t = (time - from.time) / (to.time - from.time);
+            return {
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t,
+                rotation: SnapshotBuffer.lerpAngle(from.rotation, to.rotation, t)
+            };
+        }
+
+        // Packets are late: keep moving along the last known velocity for a while
+        const last = to || from;
+        const elapsed = Math.min(time - last.time, NETWORK.MAX_EXTRAPOLATION_TIME) / MILLISECONDS_PER_SECOND;
+        return {
+            x: last.x + last.velocity.x * elapsed,
+            y: last.y + last.velocity.y * elapsed,
+            rotation: last.rotation
+        };
+    }
+
+    /**
+     * Interpolate between two angles along the shorter arc
+     * @param {number} from - Start angle in radians
+     * @param {number} to - End angle in radians
+     * @param {number} t - Interpolation factor 0-1
+     * @returns {number} - Interpolated angle in radians
+     */
+    static lerpAngle(from, to, t) {
+        let difference = (to - from) % FULL_TURN;
+        if (difference > Math.PI) difference -= FULL_TURN;
+        if (difference < -Math.PI) difference += FULL_TURN;
+        return from + difference * t;
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+}
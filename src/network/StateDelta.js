@@ -0,0 +1,121 @@
+/**
+ * State Delta for Max-Pixels
+ * Compact, quantized player records and the deltas between them,
+ * shared by the game server and NetworkManager for world state sync
+ */
+
+import { NETWORK, GRAPHICS } from '../constants.js';
+
+const FULL_TURN_DEGREES = 360;
+const HALF_TURN_DEGREES = 180;
+const DECIMAL_BASE = 10;
+
+export class StateDelta {
+    /**
+     * Round a value to a number of decimal places
+     * @param {number} value - Value to round
+     * @param {number} precision - Decimal places to keep
+     * @returns {number} - Rounded value
+     */
+    static quantize(value, precision) {
+        const factor = Math.pow(DECIMAL_BASE, precision);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Build the compact record sent over the wire for a player
+     * @param {Object} player - Server player state
+     * @returns {Object} - Record {id, s, x, y, vx, vy, r, b}, rotation in degrees
+     */
+    static encodePlayer(player) {
+        // Headings keep growing while a ship spins; wrap them to -180..180
+        let degrees = (player.rotation * GRAPHICS.RADIANS_TO_DEGREES) % FULL_TURN_DEGREES;
+        if (degrees > HALF_TURN_DEGREES) degrees -= FULL_TURN_DEGREES;
+        if (degrees <= -HALF_TURN_DEGREES) degrees += FULL_TURN_DEGREES;
+
+        return {
+            id: player.id,
+            s: player.sectorId,
+            x: StateDelta.quantize(player.position.x, NETWORK.POSITION_PRECISION),
+            y: StateDelta.quantize(player.position.y, NETWORK.POSITION_PRECISION),
+            vx: StateDelta.quantize(player.velocity.x, NETWORK.VELOCITY_PRECISION),
+            vy: StateDelta.quantize(player.velocity.y, NETWORK.VELOCITY_PRECISION),
+            r: StateDelta.quantize(degrees, NETWORK.ROTATION_PRECISION),
+            b: player.boosting ? 1 : 0
+        };
+    }
+
+    /**
+     * Expand a compact record back into the player shape used by the game
+     * @param {Object} record - Record from encodePlayer
+     * @returns {Object} - Player {id, sectorId, position, velocity, rotation, boosting}
+     */
+    static decodePlayer(record) {
+        return {
+            id: record.id,
+            sectorId: record.s,
+            position: { x: record.x, y: record.y },
+            velocity: { x: record.vx, y: record.vy },
+            rotation: record.r / GRAPHICS.RADIANS_TO_DEGREES,
+            boosting: record.b === 1
+        };
+    }
+
+    /**
+     * Describe how a state differs from a baseline
+     * @param {Map<string, Object>} baseline - Records by player id
+     * @param {Map<string, Object>} current - Records by player id
+     * @returns {Object} - Delta {changed, removed}; changed records hold only differing fields
+     */
+    static diff(baseline, current) {
+        const changed = [];
+        const removed = [];
+
+        current.forEach((record, id) => {
+            const base = baseline.get(id);
+            if (!base) {
+                changed.push(record);
+                return;
+            }
+
+            const fields = { id };
+            let hasChanges = false;
+            Object.keys(record).forEach(key => {
+                if (record[key] !== base[key]) {
+                    fields[key] = record[key];
+                    hasChanges = true;
+                }
+            });
+
+            if (hasChanges) {
+                changed.push(fields);
+            }
+        });
+
+        baseline.forEach((record, id) => {
+            if (!current.has(id)) {
+                removed.push(id);
+            }
+        });
+
+        return { changed, removed };
+    }
+
+    /**
+     * Rebuild a state from a baseline and a delta against it
+     * @param {Map<string, Object>} baseline - Records by player id
+     * @param {Object} delta - Delta {changed, removed}
+     * @returns {Map<string, Object>} - New state; the baseline is left untouched
+     */
+    static apply(baseline, delta) {
+        const state = new Map();
+        baseline.forEach((record, id) => state.set(id, { ...record }));
+
+        (delta.changed || []).forEach(fields => {
+            state.set(fields.id, { ...state.get(fields.id), ...fields });
+        });
+        (delta.removed || []).forEach(id => state.delete(id));
+
+        return state;
+    }
+}
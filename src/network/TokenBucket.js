@@ -0,0 +1,43 @@
+/**
+ * Token Bucket for Max-Pixels
+ * Rate limiter that allows short bursts up to its capacity and
+ * refills at a steady rate, used by the game server per connection
+ */
+
+const MILLISECONDS_PER_SECOND = 1000;
+
+export class TokenBucket {
+    /**
+     * @param {number} rate - Tokens added per second
+     * @param {number} capacity - Most tokens the bucket holds (burst size)
+     * @param {number} now - Creation time in milliseconds
+     */
+    constructor(rate, capacity = rate, now = Date.now()) {
+        this.rate = rate;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.lastRefill = now;
+    }
+
+    /**
+     * Try to spend tokens
+     * @param {number} count - Tokens needed
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} - False when the bucket does not hold enough tokens
+     */
+    take(count = 1, now = Date.now()) {
+        this.refill(now);
+        if (this.tokens < count) {
+            return false;
+        }
+
+        this.tokens -= count;
+        return true;
+    }
+
+    refill(now = Date.now()) {
+        const elapsed = Math.max(0, now - this.lastRefill) / MILLISECONDS_PER_SECOND;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+        this.lastRefill = now;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Cargo Hold for Max-Pixels
+ * The one record of what a ship carries, shared by trading, mining and
+ * saves. Every unit takes up volume and adds mass; the hold is full when
+ * the volume of its contents reaches capacity.
+ */
+
+import { PLAYER, CARGO } from '../constants.js';
+
+export class CargoHold {
+    /**
+     * @param {number} capacity - Cubic metres the hold can take
+     */
+    constructor(capacity = PLAYER.CARGO_CAPACITY) {
+        this.capacity = capacity;
+        this.items = new Map(); // itemId -> quantity
+    }
+    
+    /**
+     * @returns {Object} - {volume, mass} of one unit of the item
+     */
+    static getItemSpec(itemId) {
+        return CARGO.ITEMS[itemId] || CARGO.DEFAULT_ITEM;
+    }
+    
+    getQuantity(itemId) {
+        return this.items.get(itemId) || 0;
+    }
+    
+    getVolumeUsed() {
+        let volume = 0;
+        for (const [itemId, quantity] of this.items) {
+            volume += CargoHold.getItemSpec(itemId).volume * quantity;
+        }
+        return volume;
+    }
+    
+    getMass() {
+        let mass = 0;
+        for (const [itemId, quantity] of this.items) {
+            mass += CargoHold.getItemSpec(itemId).mass * quantity;
+        }
+        return mass;
+    }
+    
+    getSpaceRemaining() {
+        return Math.max(0, this.capacity - this.getVolumeUsed());
+    }
+    
+    /**
+     * @returns {number} - Whole units of the item that still fit
+     */
+    getRoomFor(itemId) {
+        return Math.floor(this.getSpaceRemaining() / CargoHold.getItemSpec(itemId).volume);
+    }
+    
+    canFit(itemId, quantity) {
+        return quantity <= this.getRoomFor(itemId);
+    }
+    
+    /**
+     * True when the contents take more room than the hold has, as after
+     * loading a save into a smaller ship
+     */
+    isOverloaded() {
+        return this.getVolumeUsed() > this.capacity;
+    }
+    
+    /**
+     * @returns {string} - Space used and mass, e.g. "42/100 m³, 61.5 t"
+     */
+    describeLoad() {
+        const mass = Math.round(this.getMass() * CARGO.MASS_PRECISION) / CARGO.MASS_PRECISION;
+        return `${this.getVolumeUsed()}/${this.capacity} m³, ${mass} t`;
+    }
+    
+    /**
+     * Load as much of the item as fits
+     * @returns {number} - Units loaded; the rest is left behind
+     */
+    add(itemId, quantity) {
+        const loaded = Math.max(0, Math.min(quantity, this.getRoomFor(itemId)));
+        if (loaded > 0) {
+            this.items.set(itemId, this.getQuantity(itemId) + loaded);
+        }
+        return loaded;
+    }
+    
+    /**
+     * Take out an exact amount, or nothing if the hold has less
+     * @returns {boolean} - Whether the units were removed
+     */
+    remove(itemId, quantity) {
+        const current = this.getQuantity(itemId);
+        if (quantity <= 0 || current < quantity) return false;
+        
+        if (current === quantity) {
+            this.items.delete(itemId);
+        } else {
+            this.items.set(itemId, current - quantity);
+        }
+        return true;
+    }
+    
+    /**
+     * Dump cargo into space to make room
+     * @returns {number} - Units dumped, at most what the hold had
+     */
+    jettison(itemId, quantity = this.getQuantity(itemId)) {
+        const dumped = Math.min(quantity, this.getQuantity(itemId));
+        this.remove(itemId, dumped);
+        return dumped;
+    }
+    
+    /**
+     * Replace the contents from saved cargo. Everything saved is kept, even
+     * past capacity, so nothing is lost before the player picks what to jettison
+     * @param {Object} contents - itemId -> quantity
+     */
+    load(contents) {
+        this.items = new Map(Object.entries(contents));
+    }
+    
+    /**
+     * @returns {Object} - itemId -> quantity, for saves and progress reports
+     */
+    getContents() {
+        return Object.fromEntries(this.items);
+    }
+}
@@ -4,10 +4,16 @@
  */
 
 import { IDGenerator } from '../utils/IDGenerator.js';
-import { PLAYER, WEAPONS } from '../constants.js';
+import { PLAYER, WEAPONS, NETWORK } from '../constants.js';
+import { ShipPhysics } from '../movement/ShipPhysics.js';
+import { CargoHold } from './CargoHold.js';
+import { Wallet } from './Wallet.js';
 
 export class Player {
-    constructor(username, spawnPosition = { x: PLAYER.SPAWN_X, y: PLAYER.SPAWN_Y }) {
+    /**
+     * @param {Object} shared - {cargo, wallet} the game already keeps; a new ship gets its own
+     */
+    constructor(username, spawnPosition = { x: PLAYER.SPAWN_X, y: PLAYER.SPAWN_Y }, { cargo = new CargoHold(), wallet = new Wallet() } = {}) {
         // Player identity
         this.id = IDGenerator.generate();
         this.username = username;
@@ -43,10 +49,8 @@ export class Player {
         this.lastThrustTime = 0;
         
         // Trading and resources
-        this.credits = 1000; // Starting credits
-        this.inventory = new Map(); // resource_type -> quantity
-        this.cargoCapacity = 100;
-        this.currentCargo = 0;
+        this.wallet = wallet;
+        this.cargo = cargo; // sized by cargoCapacity, so upgrades and saves resize a shared hold too
         
         // Ship upgrades and properties
         this.shipType = 'basic_fighter';
@@ -58,6 +62,7 @@ export class Player {
         
         // Current system and location
         this.currentSystem = null;
+        this.lastSector = null; // Sector restored from a save, before a system is loaded
         this.lastKnownPosition = { ...spawnPosition };
         this.nearestStation = null;
         this.nearestJumpGate = null;
@@ -116,40 +121,21 @@ export class Player {
     }
     
     updateMovement(deltaTime) {
-        // Apply rotation
-        this.rotation += this.rotationSpeed * deltaTime;
+        this.lastKnownPosition = { ...this.position };
+        
+        // Rotation, thrust, boost and drag are shared with the game server
+        ShipPhysics.integrate(this, deltaTime);
         
-        // Apply thrust
         if (this.thrust > 0) {
-            const thrustForce = this.thrust * this.speed * this.thrusterEfficiency * deltaTime;
-            const thrustX = Math.cos(this.rotation) * thrustForce;
-            const thrustY = Math.sin(this.rotation) * thrustForce;
-            
-            this.velocity.x += thrustX;
-            this.velocity.y += thrustY;
-            
             this.lastThrustTime = Date.now();
         }
         
-        // Apply boost multiplier if boosting
-        const speedMultiplier = this.boosting ? PLAYER.BOOST_MULTIPLIER : 1;
-        
-        // Update position
-        this.lastKnownPosition = { ...this.position };
-        this.position.x += this.velocity.x * speedMultiplier * deltaTime;
-        this.position.y += this.velocity.y * speedMultiplier * deltaTime;
-        
         // Calculate distance traveled
         const distance = Math.sqrt(
             Math.pow(this.position.x - this.lastKnownPosition.x, 2) +
             Math.pow(this.position.y - this.lastKnownPosition.y, 2)
         );
         this.stats.totalDistanceTraveled += distance;
-        
-        // Apply drag (space friction for gameplay)
-        const drag = 0.98;
-        this.velocity.x *= drag;
-        this.velocity.y *= drag;
     }
     
     setThrust(level) {
@@ -170,45 +156,84 @@ export class Player {
     // === Combat and Health ===
     
     takeDamage(amount, ignoreShields = false) {
-        if (!this.isAlive || this.isInvincible()) {
+        if (!Player.applyDamage(this, amount, ignoreShields)) {
             return false;
         }
         
+        // Check for death
+        if (this.health <= 0) {
+            this.die();
+        }
+        
+        this.dirtyState = true;
+        return true;
+    }
+    
+    /**
+     * Damage rules shared with the game server, which keeps the same
+     * health, shield and armor fields on its plain ship objects
+     * @param {Object} ship - Player or server ship
+     * @param {number} amount - Incoming damage
+     * @param {boolean} ignoreShields - Skip shield absorption
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object|null} - Damage split {shieldDamage, healthDamage}, or null when the ship cannot be hurt
+     */
+    static applyDamage(ship, amount, ignoreShields = false, now = Date.now()) {
+        if (!ship.isAlive || now < ship.invincibilityEndTime) {
+            return null;
+        }
+        
         let actualDamage = amount;
+        let shieldDamage = 0;
         
         // Shield absorption
-        if (!ignoreShields && this.shield > 0) {
+        if (!ignoreShields && ship.shield > 0) {
             const shieldAbsorption = actualDamage * PLAYER.SHIELD_DAMAGE_REDUCTION;
-            const shieldDamage = Math.min(this.shield, shieldAbsorption);
+            shieldDamage = Math.min(ship.shield, shieldAbsorption);
             
-            this.shield -= shieldDamage;
+            ship.shield -= shieldDamage;
             actualDamage -= shieldDamage;
             
-            if (this.shield <= 0) {
-                this.shield = 0;
-                this.shieldsActive = false;
+            if (ship.shield <= 0) {
+                ship.shield = 0;
+                ship.shieldsActive = false;
             }
         }
         
         // Apply remaining damage to health
         if (actualDamage > 0) {
-            actualDamage *= (1 / this.armorRating); // Armor reduces damage
-            this.health -= actualDamage;
-            this.lastDamageTime = Date.now();
+            actualDamage *= (1 / ship.armorRating); // Armor reduces damage
+            ship.health -= actualDamage;
+            ship.lastDamageTime = now;
             
             // Auto-activate shields if available
-            if (PLAYER.SHIELD_AUTO_ACTIVATE && this.shield > 0) {
-                this.shieldsActive = true;
+            if (PLAYER.SHIELD_AUTO_ACTIVATE && ship.shield > 0) {
+                ship.shieldsActive = true;
             }
         }
         
-        // Check for death
-        if (this.health <= 0) {
-            this.die();
-        }
-        
-        this.dirtyState = true;
-        return true;
+        return { shieldDamage, healthDamage: Math.max(0, actualDamage) };
+    }
+    
+    /**
+     * Health, shields and armor of a fresh ship, for the game server
+     * @param {Object} upgrades - Saved ship upgrades, see toSaveData
+     * @returns {Object} - Defense fields used by applyDamage, restoreHealth and restoreShield
+     */
+    static createDefenses(upgrades = {}) {
+        const maxHealth = upgrades.maxHealth ?? PLAYER.MAX_HEALTH;
+        const maxShield = upgrades.maxShield ?? PLAYER.MAX_SHIELD;
+        return {
+            health: maxHealth,
+            maxHealth: maxHealth,
+            shield: maxShield,
+            maxShield: maxShield,
+            shieldsActive: false,
+            armorRating: upgrades.armorRating ?? 1.0,
+            isAlive: true,
+            lastDamageTime: 0,
+            invincibilityEndTime: 0
+        };
     }
     
     die() {
@@ -248,27 +273,47 @@ export class Player {
     }
     
     regenerateHealth(deltaTime) {
-        if (!this.isAlive) return;
-        
-        const timeSinceLastDamage = Date.now() - this.lastDamageTime;
-        if (timeSinceLastDamage >= PLAYER.HEALTH_REGEN_DELAY && this.health < this.maxHealth) {
-            const regenAmount = PLAYER.HEALTH_REGEN_RATE * deltaTime;
-            this.health = Math.min(this.maxHealth, this.health + regenAmount);
+        if (Player.restoreHealth(this, deltaTime)) {
             this.dirtyState = true;
         }
     }
     
     regenerateShields(deltaTime) {
-        if (!this.isAlive || this.shield >= this.maxShield) return;
-        
-        const timeSinceShieldBreak = Date.now() - this.lastDamageTime;
-        if (timeSinceShieldBreak >= PLAYER.SHIELD_REGEN_DELAY) {
-            const regenAmount = PLAYER.SHIELD_REGEN_RATE * deltaTime;
-            this.shield = Math.min(this.maxShield, this.shield + regenAmount);
+        if (Player.restoreShield(this, deltaTime)) {
             this.dirtyState = true;
         }
     }
     
+    /**
+     * Health regeneration rule shared with the game server
+     * @param {Object} ship - Player or server ship
+     * @param {number} deltaTime - Seconds elapsed
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} - True when health was restored
+     */
+    static restoreHealth(ship, deltaTime, now = Date.now()) {
+        if (!ship.isAlive || ship.health >= ship.maxHealth) return false;
+        if (now - ship.lastDamageTime < PLAYER.HEALTH_REGEN_DELAY) return false;
+        
+        ship.health = Math.min(ship.maxHealth, ship.health + PLAYER.HEALTH_REGEN_RATE * deltaTime);
+        return true;
+    }
+    
+    /**
+     * Shield regeneration rule shared with the game server
+     * @param {Object} ship - Player or server ship
+     * @param {number} deltaTime - Seconds elapsed
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} - True when shield was restored
+     */
+    static restoreShield(ship, deltaTime, now = Date.now()) {
+        if (!ship.isAlive || ship.shield >= ship.maxShield) return false;
+        if (now - ship.lastDamageTime < PLAYER.SHIELD_REGEN_DELAY) return false;
+        
+        ship.shield = Math.min(ship.maxShield, ship.shield + PLAYER.SHIELD_REGEN_RATE * deltaTime);
+        return true;
+    }
+    
     toggleShields() {
         if (this.shield > 0) {
             this.shieldsActive = !this.shieldsActive;
@@ -333,14 +378,13 @@ export class Player {
     // === Trading and Inventory ===
     
     addCredits(amount) {
-        this.credits += amount;
+        this.wallet.deposit(amount);
         this.stats.totalCreditsEarned += Math.max(0, amount);
         this.dirtyState = true;
     }
     
     spendCredits(amount) {
-        if (this.credits >= amount) {
-            this.credits -= amount;
+        if (this.wallet.spend(amount)) {
             this.dirtyState = true;
             return true;
         }
@@ -348,27 +392,17 @@ export class Player {
     }
     
     addResource(resourceType, quantity) {
-        if (this.getCurrentCargoUsed() + quantity > this.cargoCapacity) {
+        if (!this.cargo.canFit(resourceType, quantity)) {
             return false; // Not enough cargo space
         }
         
-        const current = this.inventory.get(resourceType) || 0;
-        this.inventory.set(resourceType, current + quantity);
-        this.currentCargo = this.getCurrentCargoUsed();
+        this.cargo.add(resourceType, quantity);
         this.dirtyState = true;
         return true;
     }
     
     removeResource(resourceType, quantity) {
-        const current = this.inventory.get(resourceType) || 0;
-        if (current >= quantity) {
-            const newAmount = current - quantity;
-            if (newAmount === 0) {
-                this.inventory.delete(resourceType);
-            } else {
-                this.inventory.set(resourceType, newAmount);
-            }
-            this.currentCargo = this.getCurrentCargoUsed();
+        if (this.cargo.remove(resourceType, quantity)) {
             this.dirtyState = true;
             return true;
         }
@@ -376,19 +410,28 @@ export class Player {
     }
     
     getResource(resourceType) {
-        return this.inventory.get(resourceType) || 0;
+        return this.cargo.getQuantity(resourceType);
+    }
+    
+    // Cargo is measured by volume, so bulky goods fill the hold sooner
+    get cargoCapacity() {
+        return this.cargo.capacity;
+    }
+    
+    set cargoCapacity(capacity) {
+        this.cargo.capacity = capacity;
+    }
+    
+    get currentCargo() {
+        return this.cargo.getVolumeUsed();
     }
     
     getCurrentCargoUsed() {
-        let total = 0;
-        for (const quantity of this.inventory.values()) {
-            total += quantity;
-        }
-        return total;
+        return this.cargo.getVolumeUsed();
     }
     
     getCargoSpaceRemaining() {
-        return this.cargoCapacity - this.getCurrentCargoUsed();
+        return this.cargo.getSpaceRemaining();
     }
     
     // === System Navigation ===
@@ -492,7 +535,7 @@ export class Player {
             maxShield: this.maxShield,
             energy: this.energy,
             maxEnergy: this.maxEnergy,
-            credits: this.credits,
+            credits: this.wallet.credits,
             isAlive: this.isAlive,
             shipType: this.shipType,
             currentSystem: this.currentSystem?.id || null
@@ -502,8 +545,9 @@ export class Player {
     getDetailedStats() {
         return {
             ...this.getPlayerInfo(),
-            inventory: Object.fromEntries(this.inventory),
+            inventory: this.cargo.getContents(),
             cargoUsed: this.getCurrentCargoUsed(),
+            cargoMass: this.cargo.getMass(),
             cargoCapacity: this.cargoCapacity,
             stats: {
                 ...this.stats,
@@ -564,4 +608,101 @@ export class Player {
     markSynced() {
         this.dirtyState = false;
     }
-}
\ No newline at end of file
+    
+    // === Serialization for Persistence ===
+    
+    /**
+     * Everything that outlives a session, as stored by the game server
+     * @returns {Object} - Save data {version, credits, cargo, upgrades, lastSector, stats}
+     */
+    toSaveData() {
+        return {
+            version: Player.SAVE_VERSION,
+            credits: this.wallet.credits,
+            cargo: this.cargo.getContents(),
+            upgrades: {
+                shipType: this.shipType,
+                speed: this.speed,
+                thrusterEfficiency: this.thrusterEfficiency,
+                weaponDamage: this.weaponDamage,
+                armorRating: this.armorRating,
+                maxHealth: this.maxHealth,
+                maxShield: this.maxShield,
+                maxEnergy: this.maxEnergy,
+                cargoCapacity: this.cargoCapacity
+            },
+            lastSector: this.currentSystem?.id || this.lastSector,
+            stats: {
+                ...this.stats,
+                systemsVisited: Array.from(this.stats.systemsVisited)
+            }
+        };
+    }
+    
+    loadSaveData(data) {
+        const save = Player.normalizeSaveData(data);
+        
+        this.wallet.set(save.credits);
+        this.cargo.load(save.cargo);
+        
+        const { shipType, ...upgrades } = save.upgrades;
+        this.shipType = shipType;
+        Object.assign(this, upgrades);
+        this.health = Math.min(this.health, this.maxHealth);
+        this.shield = Math.min(this.shield, this.maxShield);
+        this.energy = Math.min(this.energy, this.maxEnergy);
+        
+        this.lastSector = save.lastSector;
+        this.stats = {
+            ...save.stats,
+            systemsVisited: new Set(save.stats.systemsVisited)
+        };
+        
+        this.dirtyState = true;
+    }
+    
+    /**
+     * Check save data from disk or the network field by field. Anything
+     * missing or malformed falls back to what a new player starts with.
+     * @param {Object} data - Untrusted save data
+     * @returns {Object} - Complete save data
+     */
+    static normalizeSaveData(data) {
+        const save = new Player(null).toSaveData();
+        if (!data || typeof data !== 'object') return save;
+        
+        const isAmount = (value) => Number.isFinite(value) && value >= 0;
+        
+        if (isAmount(data.credits)) save.credits = data.credits;
+        
+        if (data.cargo && typeof data.cargo === 'object') {
+            Object.entries(data.cargo)
+                .filter(([itemId, quantity]) => itemId.length <= NETWORK.MAX_IDENTIFIER_LENGTH && isAmount(quantity) && quantity > 0)
+                .forEach(([itemId, quantity]) => {
+                    save.cargo[itemId] = quantity;
+                });
+        }
+        
+        const upgrades = data.upgrades || {};
+        Object.keys(save.upgrades).forEach(key => {
+            const valid = key === 'shipType' ? typeof upgrades[key] === 'string' : isAmount(upgrades[key]);
+            if (valid) save.upgrades[key] = upgrades[key];
+        });
+        
+        if (typeof data.lastSector === 'string') save.lastSector = data.lastSector;
+        
+        const stats = data.stats || {};
+        Object.keys(save.stats).forEach(key => {
+            if (key === 'systemsVisited') {
+                if (Array.isArray(stats[key])) save.stats[key] = stats[key].filter(id => typeof id === 'string');
+            } else if (isAmount(stats[key])) {
+                save.stats[key] = stats[key];
+            }
+        });
+        
+        return save;
+    }
+}
+
+// Bump when the save layout changes incompatibly
+Player.SAVE_VERSION = 1;
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Wallet for Max-Pixels
+ * The one record of a pilot's credits, shared by trading, the HUD and
+ * saves. The balance never goes below zero.
+ */
+
+import { TRADING } from '../constants.js';
+
+export class Wallet {
+    /**
+     * @param {number} credits - Starting balance
+     */
+    constructor(credits = TRADING.DEFAULT_PLAYER_CREDITS) {
+        this.credits = Math.max(0, credits);
+    }
+    
+    canAfford(amount) {
+        return this.credits >= amount;
+    }
+    
+    /**
+     * Pay an exact amount, or nothing if the balance is short
+     * @returns {boolean} - Whether the credits were taken
+     */
+    spend(amount) {
+        if (amount < 0 || !this.canAfford(amount)) return false;
+        
+        this.credits -= amount;
+        return true;
+    }
+    
+    deposit(amount) {
+        this.credits += Math.max(0, amount);
+    }
+    
+    /**
+     * Replace the balance, as when the server reports a saved profile
+     */
+    set(credits) {
+        this.credits = Math.max(0, credits);
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Trade Route Planner for Max-Pixels
+ * Suggests buy-here/sell-there runs between stations from the prices the
+ * player last saw at each one, ranked by profit per jump
+ */
+
+import { TRADING } from '../constants.js';
+import { TradingSystem } from './TradingSystem.js';
+import { CargoHold } from '../player/CargoHold.js';
+
+export class TradeRoutePlanner {
+    /**
+     * @param {TradingSystem} tradingSystem - Markets and the prices the player has seen
+     * @param {SpaceNavigation} navigation - Sectors, their stations and the jump gates between them
+     */
+    constructor(tradingSystem, navigation) {
+        this.trading = tradingSystem;
+        this.navigation = navigation;
+    }
+    
+    /**
+     * Where each market's station is
+     * @returns {Map} - stationId -> {station, sectorId}
+     */
+    getStationLocations() {
+        const locations = new Map();
+        this.navigation.getAllSectors().forEach(sector => {
+            (sector.stations || []).forEach(station => {
+                locations.set(TradingSystem.getMarketId(station), { station, sectorId: sector.id });
+            });
+        });
+        return locations;
+    }
+    
+    /**
+     * The most profitable runs the player knows of: fly from the current
+     * sector to a station, fill the hold, and sell it all at another
+     * @param {string} fromSectorId - Where the player is now
+     * @param {Object} options - {cargoCapacity in cubic metres, credits, limit}
+     * @returns {Array} - Routes, best first: {itemId, itemName, from, to, quantity, profit, jumps, profitPerJump}
+     */
+    planRoutes(fromSectorId, { cargoCapacity, credits = Infinity, limit = TRADING.ROUTE_SUGGESTIONS } = {}) {
+        const locations = this.getStationLocations();
+        const known = Array.from(locations.entries())
+            .map(([stationId, location]) => ({ stationId, ...location, market: this.trading.getKnownPrices(stationId) }))
+            .filter(entry => entry.market);
+        
+        const routes = [];
+        known.forEach(source => {
+            known.forEach(target => {
+                if (source === target) return;
+                
+                const jumps = this.countJumps(fromSectorId, source.sectorId, target.sectorId);
+                if (jumps === null) return;
+                
+                source.market.items.forEach((offer, itemId) => {
+                    const bid = target.market.items.get(itemId);
+                    if (!bid || bid.buyPrice <= offer.sellPrice) return;
+                    
+                    // As much as the hold, the stock, the player's wallet and the buyer's can cover
+                    const quantity = Math.floor(Math.min(
+                        cargoCapacity / CargoHold.getItemSpec(itemId).volume,
+                        offer.quantity,
+                        credits / offer.sellPrice,
+                        target.market.credits / bid.buyPrice
+                    ));
+                    if (quantity <= 0) return;
+                    
+                    const profit = (bid.buyPrice - offer.sellPrice) * quantity;
+                    routes.push({
+                        itemId,
+                        itemName: this.trading.getItem(itemId)?.name || itemId,
+                        from: this.describeStop(source, offer.sellPrice),
+                        to: this.describeStop(target, bid.buyPrice),
+                        quantity,
+                        profit,
+                        jumps,
+                        profitPerJump: profit / Math.max(1, jumps)
+                    });
+                });
+            });
+        });
+        
+        return routes
+            .sort((a, b) => b.profitPerJump - a.profitPerJump || b.profit - a.profit)
+            .slice(0, limit);
+    }
+    
+    describeStop(entry, price) {
+        return {
+            stationId: entry.stationId,
+            sectorId: entry.sectorId,
+            name: entry.station.name,
+            position: { x: entry.station.x, y: entry.station.y },
+            price,
+            seenAt: entry.market.seenAt
+        };
+    }
+    
+    /**
+     * Jumps to reach the buying station and then the selling one
+     * @returns {number|null} - Null when either leg is unreachable
+     */
+    countJumps(fromSectorId, buySectorId, sellSectorId) {
+        const approach = this.navigation.findJumpPath(fromSectorId, buySectorId);
+        const haul = this.navigation.findJumpPath(buySectorId, sellSectorId);
+        if (!approach || !haul) return null;
+        return approach.length - 1 + haul.length - 1;
+    }
+    
+    /**
+     * The parts of a route to draw in one sector, as straight legs between
+     * stations and jump gates
+     * @param {Object} route - Route from planRoutes
+     * @param {string} sectorId - Sector being shown
+     * @param {Object} origin - {x, y} to start the way to the first station from: where the route was plotted or the ship arrived
+     * @returns {Array} - Legs {start: {x, y}, end: {x, y}, routeType}
+     */
+    getRouteLegs(route, sectorId, origin) {
+        const haul = this.navigation.findJumpPath(route.from.sectorId, route.to.sectorId) || [];
+        const index = haul.indexOf(sectorId);
+        
+        // Off the haul: point the way toward the station to buy at
+        if (index === -1) {
+            const approach = this.navigation.findJumpPath(sectorId, route.from.sectorId);
+            const gate = approach && this.navigation.getGateTo(sectorId, approach[1]);
+            return gate ? [{ start: origin, end: { x: gate.x, y: gate.y }, routeType: 'active' }] : [];
+        }
+        
+        const legs = [];
+        let start;
+        if (index === 0) {
+            legs.push({ start: origin, end: route.from.position, routeType: 'active' });
+            start = route.from.position;
+        } else {
+            const arrival = this.navigation.getGateTo(sectorId, haul[index - 1]);
+            start = { x: arrival.x, y: arrival.y };
+        }
+        
+        const exit = index < haul.length - 1 ? this.navigation.getGateTo(sectorId, haul[index + 1]) : null;
+        const end = exit ? { x: exit.x, y: exit.y } : route.to.position;
+        legs.push({ start, end, routeType: route.profit > 0 ? 'profitable' : 'loss' });
+        return legs;
+    }
+}
@@ -4,17 +4,126 @@
  */
 
 import { TRADING } from '../constants.js';
+import { SpaceNavigation } from '../navigation/SpaceNavigation.js';
+import { CargoHold } from '../player/CargoHold.js';
+import { Wallet } from '../player/Wallet.js';
+
+/**
+ * What each type of station trades. Stock is what the station starts with
+ * and the level its supply chain restores; listed items it has none of are
+ * still bought. Demand above 1 means the station pays (and charges) more
+ * than the item's base price. Production and consumption are units per
+ * economy tick.
+ */
+const STATION_MARKETS = {
+    trading: {
+        credits: 10000,
+        stock: {
+            'ore-iron': 150,
+            'ore-copper': 80,
+            'fuel-hydrogen': 50,
+            'food-rations': 200
+        },
+        demandMultipliers: {
+            'ore-iron': 0.9,
+            'ore-copper': 1.1,
+            'fuel-hydrogen': 1.2,
+            'food-rations': 0.8
+        },
+        production: {},
+        consumption: {
+            'food-rations': 3,
+            'fuel-hydrogen': 1
+        }
+    },
+    // Ore straight from the asteroids is cheap; crews far from farms pay for food
+    mining: {
+        credits: 6000,
+        stock: {
+            'ore-iron': 400,
+            'ore-copper': 250,
+            'fuel-hydrogen': 60,
+            'food-rations': 0,
+            'med-supplies': 0
+        },
+        demandMultipliers: {
+            'ore-iron': 0.6,
+            'ore-copper': 0.65,
+            'fuel-hydrogen': 1.1,
+            'food-rations': 1.5,
+            'med-supplies': 1.3
+        },
+        production: {
+            'ore-iron': 8,
+            'ore-copper': 4
+        },
+        consumption: {
+            'food-rations': 3,
+            'med-supplies': 1,
+            'fuel-hydrogen': 1
+        }
+    },
+    // Labs pay a premium for processors and make medicine
+    research: {
+        credits: 15000,
+        stock: {
+            'tech-processors': 10,
+            'med-supplies': 120,
+            'fuel-hydrogen': 40,
+            'ore-copper': 0,
+            'food-rations': 0
+        },
+        demandMultipliers: {
+            'tech-processors': 1.6,
+            'med-supplies': 0.85,
+            'fuel-hydrogen': 1.0,
+            'ore-copper': 1.25,
+            'food-rations': 1.2
+        },
+        production: {
+            'med-supplies': 2
+        },
+        consumption: {
+            'tech-processors': 1,
+            'ore-copper': 2,
+            'food-rations': 2,
+            'fuel-hydrogen': 1
+        }
+    }
+};
 
 export class TradingSystem {
-    constructor() {
+    /**
+     * @param {Array} stations - Stations to open markets at; every sector station by default
+     * @param {CargoHold} cargo - The player's hold, which trades load and unload
+     * @param {Wallet} wallet - The player's credits, which trades pay from and into
+     */
+    constructor(stations = TradingSystem.getSectorStations(), cargo = new CargoHold(), wallet = new Wallet()) {
         this.items = new Map();
-        this.playerInventory = new Map();
+        this.cargo = cargo;
+        this.wallet = wallet;
         this.stationInventories = new Map();
-        this.priceHistory = new Map();
-        this.playerCredits = 1000;
+        this.priceHistory = new Map(); // stationId -> itemId -> [{time, buyPrice, sellPrice, quantity}]
+        this.lastPurchasePrices = new Map(); // itemId -> unit price the player last paid
+        this.knownPrices = new Map(); // stationId -> market as the player last saw it
+        this.lastEconomyTick = Date.now();
         
         this.initializeItems();
-        this.initializeStationInventories();
+        this.initializeStationInventories(stations);
+    }
+    
+    static getSectorStations() {
+        return new SpaceNavigation().getAllSectors().flatMap(sector => sector.stations || []);
+    }
+    
+    /**
+     * Markets are keyed by the station's id from the sector layout, which
+     * stays the same however the station's object ID is generated
+     * @param {Object} station - Station from SpaceNavigation
+     * @returns {string} - Key for the station's market
+     */
+    static getMarketId(station) {
+        return station.stationType || station.id;
     }
     
     initializeItems() {
@@ -77,31 +186,218 @@ export class TradingSystem {
         });
     }
     
-    initializeStationInventories() {
-        // Trading Outpost Alpha - mixed inventory
-        this.stationInventories.set('tradingStation', {
-            inventory: new Map([
-                ['ore-iron', { quantity: 150, buyPrice: 12, sellPrice: 18 }],
-                ['ore-copper', { quantity: 80, buyPrice: 22, sellPrice: 28 }],
-                ['fuel-hydrogen', { quantity: 50, buyPrice: 40, sellPrice: 50 }],
-                ['food-rations', { quantity: 200, buyPrice: 25, sellPrice: 35 }]
-            ]),
-            credits: 10000,
-            demandMultipliers: {
-                'ore-iron': 0.9,
-                'ore-copper': 1.1,
-                'fuel-hydrogen': 1.2,
-                'food-rations': 0.8
-            }
+    initializeStationInventories(stations) {
+        stations.forEach(station => {
+            const market = STATION_MARKETS[station.type] || STATION_MARKETS.trading;
+            this.stationInventories.set(TradingSystem.getMarketId(station), this.createMarket(market));
+        });
+    }
+    
+    /**
+     * A station's own copy of its type's market, priced around the
+     * demand-adjusted base price with the station keeping a spread
+     */
+    createMarket(market) {
+        const inventory = new Map();
+        Object.entries(market.stock).forEach(([itemId, quantity]) => {
+            const price = this.getItem(itemId).basePrice * (market.demandMultipliers[itemId] || 1);
+            inventory.set(itemId, {
+                quantity,
+                targetStock: quantity,
+                buyPrice: Math.round(price * (1 - TRADING.MARKET_SPREAD)),
+                sellPrice: Math.round(price * (1 + TRADING.MARKET_SPREAD))
+            });
+        });
+        
+        return {
+            inventory,
+            credits: market.credits,
+            demandMultipliers: { ...market.demandMultipliers },
+            production: { ...market.production },
+            consumption: { ...market.consumption }
+        };
+    }
+    
+    /**
+     * Run the economy ticks due since the last update, so markets keep
+     * moving while nobody is trading (up to MAX_ECONOMY_CATCH_UP at once)
+     * @param {number} now - Current time in milliseconds
+     * @param {Function} random - Random source returning [0, 1)
+     * @returns {number} - Ticks run
+     */
+    updateEconomy(now = Date.now(), random = Math.random) {
+        const due = Math.floor((now - this.lastEconomyTick) / TRADING.ECONOMY_TICK_INTERVAL);
+        if (due <= 0) return 0;
+        
+        const ticks = Math.min(due, TRADING.MAX_ECONOMY_CATCH_UP);
+        const firstTick = this.lastEconomyTick + (due - ticks + 1) * TRADING.ECONOMY_TICK_INTERVAL;
+        for (let i = 0; i < ticks; i++) {
+            this.tickEconomy(firstTick + i * TRADING.ECONOMY_TICK_INTERVAL, random);
+        }
+        
+        this.lastEconomyTick += due * TRADING.ECONOMY_TICK_INTERVAL;
+        return ticks;
+    }
+    
+    /**
+     * One economy step at every station: produce and consume, restock
+     * toward the target, then move prices part of the way to equilibrium
+     */
+    tickEconomy(time = Date.now(), random = Math.random) {
+        this.stationInventories.forEach((stationData, stationId) => {
+            stationData.inventory.forEach((stationItem, itemId) => {
+                const item = this.getItem(itemId);
+                const produced = stationData.production[itemId] || 0;
+                const consumed = stationData.consumption[itemId] || 0;
+                
+                const quantity = Math.max(0, stationItem.quantity + produced - consumed);
+                stationItem.quantity = Math.round(quantity + (stationItem.targetStock - quantity) * TRADING.STOCK_RECOVERY);
+                
+                // Volatile goods close more of the gap each tick, and wobble more on the way
+                const equilibrium = this.getEquilibriumPrices(stationData, itemId);
+                const jitter = 1 + (random() * 2 - 1) * item.volatility * TRADING.PRICE_JITTER;
+                stationItem.buyPrice += (equilibrium.buyPrice * jitter - stationItem.buyPrice) * item.volatility;
+                stationItem.sellPrice += (equilibrium.sellPrice * jitter - stationItem.sellPrice) * item.volatility;
+                this.clampPrices(stationItem, item);
+                stationItem.buyPrice = Math.round(stationItem.buyPrice * TRADING.PRICE_PRECISION) / TRADING.PRICE_PRECISION;
+                stationItem.sellPrice = Math.round(stationItem.sellPrice * TRADING.PRICE_PRECISION) / TRADING.PRICE_PRECISION;
+                
+                this.recordPrice(stationId, itemId, stationItem, time);
+            });
+        });
+    }
+    
+    /**
+     * Where a station's prices settle: the demand-adjusted base price,
+     * raised while stock is short of the target and lowered by a glut
+     */
+    getEquilibriumPrices(stationData, itemId) {
+        const stationItem = stationData.inventory.get(itemId);
+        const price = this.getItem(itemId).basePrice * (stationData.demandMultipliers[itemId] || 1);
+        const shortage = (stationItem.targetStock - stationItem.quantity) /
+            Math.max(stationItem.targetStock, TRADING.MIN_REFERENCE_STOCK);
+        const scarcity = Math.max(TRADING.MIN_SCARCITY, 1 + shortage * TRADING.SCARCITY_WEIGHT);
+        
+        return {
+            buyPrice: price * scarcity * (1 - TRADING.MARKET_SPREAD),
+            sellPrice: price * scarcity * (1 + TRADING.MARKET_SPREAD)
+        };
+    }
+    
+    recordPrice(stationId, itemId, stationItem, time) {
+        if (!this.priceHistory.has(stationId)) {
+            this.priceHistory.set(stationId, new Map());
+        }
+        
+        const stationHistory = this.priceHistory.get(stationId);
+        const history = stationHistory.get(itemId) || [];
+        history.push({
+            time,
+            buyPrice: stationItem.buyPrice,
+            sellPrice: stationItem.sellPrice,
+            quantity: stationItem.quantity
+        });
+        if (history.length > TRADING.PRICE_HISTORY_LENGTH) {
+            history.shift();
+        }
+        stationHistory.set(itemId, history);
+    }
+    
+    /**
+     * @returns {Array} - Recorded {time, buyPrice, sellPrice, quantity}, oldest first
+     */
+    getPriceHistory(stationId, itemId) {
+        return [...(this.priceHistory.get(stationId)?.get(itemId) || [])];
+    }
+    
+    /**
+     * One of a station's prices over its most recent ticks
+     * @param {string} priceKey - 'sellPrice' (what the player pays) or 'buyPrice' (what the station pays)
+     * @param {number} ticks - How many of the latest ticks to cover
+     * @returns {Object|null} - {prices, min, max, average}, null before the first tick
+     */
+    getPriceStats(stationId, itemId, priceKey = 'sellPrice', ticks = TRADING.PRICE_CHART_TICKS) {
+        const prices = this.getPriceHistory(stationId, itemId).slice(-ticks).map(entry => entry[priceKey]);
+        if (prices.length === 0) return null;
+        
+        return {
+            prices,
+            min: Math.min(...prices),
+            max: Math.max(...prices),
+            average: prices.reduce((sum, price) => sum + price, 0) / prices.length
+        };
+    }
+    
+    /**
+     * Remember a station's market as the player sees it now, for planning
+     * trades from elsewhere; prices keep moving after the player leaves
+     * @param {string} stationId - Station being viewed
+     * @param {number} now - Current time in milliseconds
+     */
+    recordSeenPrices(stationId, now = Date.now()) {
+        const stationData = this.stationInventories.get(stationId);
+        if (!stationData) return;
+        
+        this.knownPrices.set(stationId, {
+            seenAt: now,
+            credits: stationData.credits,
+            items: new Map(Array.from(stationData.inventory.entries()).map(([itemId, stationItem]) => [itemId, {
+                quantity: stationItem.quantity,
+                buyPrice: stationItem.buyPrice,
+                sellPrice: stationItem.sellPrice
+            }]))
         });
     }
     
+    /**
+     * @returns {Object|null} - {seenAt, credits, items: Map of itemId -> {quantity, buyPrice, sellPrice}}
+     */
+    getKnownPrices(stationId) {
+        return this.knownPrices.get(stationId) || null;
+    }
+    
+    /**
+     * @returns {number|null} - Unit price of the player's latest purchase of the item
+     */
+    getLastPurchasePrice(itemId) {
+        return this.lastPurchasePrices.get(itemId) ?? null;
+    }
+    
+    /**
+     * What selling everything the player holds of an item here would make
+     * against what they last paid for it
+     * @returns {Object|null} - {quantity, purchasePrice, salePrice, profit}, null without a purchase or a buyer
+     */
+    getProfitIfSold(stationId, itemId) {
+        const quantity = this.getPlayerItemQuantity(itemId);
+        const purchasePrice = this.getLastPurchasePrice(itemId);
+        const stationItem = this.stationInventories.get(stationId)?.inventory.get(itemId);
+        if (quantity === 0 || purchasePrice === null || !stationItem) return null;
+        
+        return {
+            quantity,
+            purchasePrice,
+            salePrice: stationItem.buyPrice,
+            profit: (stationItem.buyPrice - purchasePrice) * quantity
+        };
+    }
+    
     getItem(itemId) {
         return this.items.get(itemId);
     }
     
+    /**
+     * The most any station can pay for one unit, however its economy moves
+     * @returns {number} - Credits; 0 for unknown items
+     */
+    getHighestBuyPrice(itemId) {
+        const item = this.getItem(itemId);
+        if (!item) return 0;
+        return Math.ceil(item.basePrice * TRADING.PRICE_BOUNDS_MAX_BUY * TRADING.PRICE_PRECISION) / TRADING.PRICE_PRECISION;
+    }
+    
     getPlayerInventory() {
-        return Array.from(this.playerInventory.entries()).map(([itemId, quantity]) => ({
+        return Array.from(this.cargo.items.entries()).map(([itemId, quantity]) => ({
             item: this.getItem(itemId),
             quantity
         }));
@@ -123,6 +419,10 @@ export class TradingSystem {
     }
     
     canBuyFromStation(stationId, itemId, quantity) {
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { success: false, error: 'Invalid quantity' };
+        }
+        
         const stationData = this.stationInventories.get(stationId);
         if (!stationData) return { success: false, error: 'Station not found' };
         
@@ -133,18 +433,26 @@ export class TradingSystem {
             return { success: false, error: 'Insufficient stock' };
         }
         
+        if (!this.cargo.canFit(itemId, quantity)) {
+            return { success: false, error: 'Insufficient cargo space' };
+        }
+        
         const totalCost = stationItem.sellPrice * quantity;
         return { success: true, cost: totalCost };
     }
     
-    canSellToStation(stationId, itemId, quantity, _playerCredits) {
+    canSellToStation(stationId, itemId, quantity) {
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { success: false, error: 'Invalid quantity' };
+        }
+        
         const stationData = this.stationInventories.get(stationId);
         if (!stationData) return { success: false, error: 'Station not found' };
         
         const stationItem = stationData.inventory.get(itemId);
         if (!stationItem) return { success: false, error: 'Station does not buy this item' };
         
-        const playerQuantity = this.playerInventory.get(itemId) || 0;
+        const playerQuantity = this.getPlayerItemQuantity(itemId);
         if (playerQuantity < quantity) {
             return { success: false, error: 'Insufficient inventory' };
         }
@@ -157,11 +465,11 @@ export class TradingSystem {
         return { success: true, value: totalValue };
     }
     
-    buyFromStation(stationId, itemId, quantity, playerCredits) {
+    buyFromStation(stationId, itemId, quantity) {
         const canBuy = this.canBuyFromStation(stationId, itemId, quantity);
         if (!canBuy.success) return canBuy;
         
-        if (playerCredits < canBuy.cost) {
+        if (!this.wallet.spend(canBuy.cost)) {
             return { success: false, error: 'Insufficient credits' };
         }
         
@@ -174,8 +482,8 @@ export class TradingSystem {
         stationData.credits += canBuy.cost;
         
         // Update player inventory
-        const currentPlayerQuantity = this.playerInventory.get(itemId) || 0;
-        this.playerInventory.set(itemId, currentPlayerQuantity + quantity);
+        this.cargo.add(itemId, quantity);
+        this.lastPurchasePrices.set(itemId, stationItem.sellPrice);
         
         // Update prices based on supply/demand
         this.updatePrices(stationId, itemId, 'buy', quantity);
@@ -183,13 +491,13 @@ export class TradingSystem {
         return {
             success: true,
             cost: canBuy.cost,
-            newPlayerQuantity: currentPlayerQuantity + quantity,
+            newPlayerQuantity: this.getPlayerItemQuantity(itemId),
             newStationQuantity: stationItem.quantity
         };
     }
     
     sellToStation(stationId, itemId, quantity) {
-        const canSell = this.canSellToStation(stationId, itemId, quantity, 0);
+        const canSell = this.canSellToStation(stationId, itemId, quantity);
         if (!canSell.success) return canSell;
         
         // Execute transaction
@@ -201,11 +509,8 @@ export class TradingSystem {
         stationData.credits -= canSell.value;
         
         // Update player inventory
-        const currentPlayerQuantity = this.playerInventory.get(itemId);
-        this.playerInventory.set(itemId, currentPlayerQuantity - quantity);
-        if (this.playerInventory.get(itemId) === 0) {
-            this.playerInventory.delete(itemId);
-        }
+        this.cargo.remove(itemId, quantity);
+        this.wallet.deposit(canSell.value);
         
         // Update prices based on supply/demand
         this.updatePrices(stationId, itemId, 'sell', quantity);
@@ -213,7 +518,7 @@ export class TradingSystem {
         return {
             success: true,
             value: canSell.value,
-            newPlayerQuantity: Math.max(0, currentPlayerQuantity - quantity),
+            newPlayerQuantity: this.getPlayerItemQuantity(itemId),
             newStationQuantity: stationItem.quantity
         };
     }
@@ -257,27 +562,35 @@ export class TradingSystem {
             stationItem.buyPrice -= priceChange * TRADING.PRICE_VARIANCE_HIGH;
         }
         
-        // Keep prices within reasonable bounds
-        const item = this.getItem(itemId);
+        this.clampPrices(stationItem, this.getItem(itemId));
+    }
+    
+    /**
+     * Keep prices within reasonable bounds
+     */
+    clampPrices(stationItem, item) {
         stationItem.sellPrice = Math.max(item.basePrice * TRADING.PRICE_BOUNDS_MIN_SELL, stationItem.sellPrice);
         stationItem.buyPrice = Math.max(item.basePrice * TRADING.PRICE_BOUNDS_MIN_BUY, stationItem.buyPrice);
         stationItem.sellPrice = Math.min(item.basePrice * TRADING.PRICE_BOUNDS_MAX_SELL, stationItem.sellPrice);
         stationItem.buyPrice = Math.min(item.basePrice * TRADING.PRICE_BOUNDS_MAX_BUY, stationItem.buyPrice);
     }
     
+    /**
+     * Put mined or looted goods in the hold, as much as fits
+     * @returns {number} - Units loaded; the rest did not fit
+     */
     addPlayerItem(itemId, quantity) {
-        const currentQuantity = this.playerInventory.get(itemId) || 0;
-        this.playerInventory.set(itemId, currentQuantity + quantity);
+        return this.cargo.add(itemId, quantity);
     }
     
     getPlayerItemQuantity(itemId) {
-        return this.playerInventory.get(itemId) || 0;
+        return this.cargo.getQuantity(itemId);
     }
     
     getTotalInventoryValue() {
         let totalValue = 0;
         
-        for (const [itemId, quantity] of this.playerInventory) {
+        for (const [itemId, quantity] of this.cargo.items) {
             const item = this.getItem(itemId);
             if (item) {
                 totalValue += item.basePrice * quantity;
@@ -289,7 +602,7 @@ export class TradingSystem {
     
     // Test compatibility methods
     getPlayerItems() {
-        return Array.from(this.playerInventory.entries()).map(([id, quantity]) => ({
+        return Array.from(this.cargo.items.entries()).map(([id, quantity]) => ({
             id,
             quantity,
             item: this.getItem(id)
@@ -297,21 +610,25 @@ export class TradingSystem {
     }
     
     getPlayerCredits() {
-        return this.playerCredits;
+        return this.wallet.credits;
     }
     
     setPlayerCredits(credits) {
-        this.playerCredits = Math.max(0, credits);
+        this.wallet.set(credits);
     }
     
     buyItem(station, itemId, quantity) {
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { success: false, error: 'Invalid quantity' };
+        }
+        
         const stationItem = station.market[itemId];
         if (!stationItem) {
             return { success: false, error: 'Item not available' };
         }
         
         const totalCost = stationItem.sellPrice * quantity;
-        if (this.playerCredits < totalCost) {
+        if (!this.wallet.canAfford(totalCost)) {
             return { success: false, error: 'Insufficient credits' };
         }
         
@@ -319,9 +636,14 @@ export class TradingSystem {
             return { success: false, error: 'Insufficient stock' };
         }
         
+        if (!this.cargo.canFit(itemId, quantity)) {
+            return { success: false, error: 'Insufficient cargo space' };
+        }
+        
         // Execute transaction
-        this.playerCredits -= totalCost;
+        this.wallet.spend(totalCost);
         this.addPlayerItem(itemId, quantity);
+        this.lastPurchasePrices.set(itemId, stationItem.sellPrice);
         stationItem.supply -= quantity;
         
         return {
@@ -332,6 +654,10 @@ export class TradingSystem {
     }
     
     sellItem(station, itemId, quantity) {
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { success: false, error: 'Invalid quantity' };
+        }
+        
         const stationItem = station.market[itemId];
         if (!stationItem) {
             return { success: false, error: 'Station does not buy this item' };
@@ -345,13 +671,8 @@ export class TradingSystem {
         const totalValue = stationItem.buyPrice * quantity;
         
         // Execute transaction
-        this.playerCredits += totalValue;
-        const currentQuantity = this.playerInventory.get(itemId);
-        this.playerInventory.set(itemId, currentQuantity - quantity);
-        
-        if (this.playerInventory.get(itemId) === 0) {
-            this.playerInventory.delete(itemId);
-        }
+        this.wallet.deposit(totalValue);
+        this.cargo.remove(itemId, quantity);
         
         return {
             success: true,
@@ -6,8 +6,14 @@
 import { TRADING } from '../constants.js';
 
 export class AuthUI {
-    constructor(authService, containerElement) {
+    /**
+     * @param {AuthService} authService - Session to log in and out of
+     * @param {HTMLElement} containerElement - Where the auth button goes
+     * @param {Wallet} wallet - The pilot's credits, shown on the profile
+     */
+    constructor(authService, containerElement, wallet) {
         this.auth = authService;
+        this.wallet = wallet;
         this.container = containerElement;
         this.currentModal = null;
         
@@ -152,7 +158,7 @@ export class AuthUI {
                 </div>
                 <div class="profile-stat">
                     <label>Credits:</label>
-                    <span>${user.credits.toLocaleString()}</span>
+                    <span>${this.wallet.credits.toLocaleString()}</span>
                 </div>
                 <div class="profile-stat">
                     <label>Member Since:</label>
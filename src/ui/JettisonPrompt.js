@@ -0,0 +1,302 @@
+/**
+ * Jettison Prompt for Max-Pixels
+ * Opens when cargo does not fit in the hold, so the player can dump
+ * something to make room; goods left waiting are loaded as space frees up
+ */
+
+import { CargoHold } from '../player/CargoHold.js';
+
+export class JettisonPrompt {
+    /**
+     * @param {CargoHold} cargo - The player's hold
+     * @param {TradingSystem} tradingSystem - Item details
+     */
+    constructor(cargo, tradingSystem) {
+        this.cargo = cargo;
+        this.trading = tradingSystem;
+        this.onCargoChanged = null; // called after the prompt jettisons or loads cargo
+        this.isOpen = false;
+        this.pending = new Map(); // itemId -> units waiting for room
+        this.modalElement = null;
+        this.handleKeyPress = this.handleKeyPress.bind(this);
+    }
+    
+    /**
+     * Ask the player to make room for goods that did not fit, or to
+     * lighten a hold that is already over capacity
+     * @param {string|null} itemId - Item left out of the hold
+     * @param {number} quantity - Units left out
+     */
+    open(itemId = null, quantity = 0) {
+        if (itemId && quantity > 0) {
+            this.pending.set(itemId, (this.pending.get(itemId) || 0) + quantity);
+        }
+        
+        if (!this.isOpen) {
+            this.isOpen = true;
+            this.createModal();
+        }
+        this.refresh();
+    }
+    
+    /**
+     * Close the prompt; goods still waiting for room are left behind
+     */
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.pending.clear();
+        document.removeEventListener('keydown', this.handleKeyPress);
+        
+        if (this.modalElement) {
+            this.modalElement.remove();
+            this.modalElement = null;
+        }
+    }
+    
+    handleKeyPress(e) {
+        if (e.key === 'Escape') {
+            this.close();
+        }
+    }
+    
+    jettison(itemId, quantity) {
+        if (this.cargo.jettison(itemId, quantity) === 0) return;
+        
+        this.loadPending();
+        this.onCargoChanged?.();
+        
+        if (this.pending.size === 0 && !this.cargo.isOverloaded()) {
+            this.close();
+        } else {
+            this.refresh();
+        }
+    }
+    
+    /**
+     * Load whatever waiting goods now fit
+     */
+    loadPending() {
+        this.pending.forEach((quantity, itemId) => {
+            const remaining = quantity - this.cargo.add(itemId, quantity);
+            if (remaining > 0) {
+                this.pending.set(itemId, remaining);
+            } else {
+                this.pending.delete(itemId);
+            }
+        });
+    }
+    
+    getItemName(itemId) {
+        return this.trading.getItem(itemId)?.name || itemId;
+    }
+    
+    createModal() {
+        const modalHTML = `
+            <div class="jettison-overlay" id="jettisonModal">
+                <div class="jettison-modal">
+                    <div class="jettison-header">
+                        <h2>Cargo Hold Full</h2>
+                        <button class="jettison-close" id="closeJettisonBtn">&times;</button>
+                    </div>
+                    <div class="jettison-content">
+                        <div class="jettison-reason" id="jettisonReason"></div>
+                        <div class="jettison-load">Cargo: <span id="jettisonLoad">0</span></div>
+                        <div class="jettison-list" id="jettisonItemsList"></div>
+                        <button class="leave-btn" id="leaveCargoBtn">Leave It Behind</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.modalElement = document.getElementById('jettisonModal');
+        
+        document.getElementById('closeJettisonBtn').addEventListener('click', () => this.close());
+        document.getElementById('leaveCargoBtn').addEventListener('click', () => this.close());
+        document.addEventListener('keydown', this.handleKeyPress);
+        
+        this.addJettisonStyles();
+    }
+    
+    refresh() {
+        if (!this.isOpen) return;
+        
+        const waiting = Array.from(this.pending.entries())
+            .map(([itemId, quantity]) => `${quantity} ${this.getItemName(itemId)}`);
+        document.getElementById('jettisonReason').textContent = waiting.length > 0
+            ? `No room for ${waiting.join(' and ')}. Jettison cargo to make space.`
+            : 'Your hold is over capacity. Jettison cargo to lighten it.';
+        document.getElementById('jettisonLoad').textContent = this.cargo.describeLoad();
+        document.getElementById('leaveCargoBtn').style.display = waiting.length > 0 ? '' : 'none';
+        
+        // Dumping the goods that are waiting would only make room for themselves
+        const list = document.getElementById('jettisonItemsList');
+        list.innerHTML = '';
+        this.cargo.items.forEach((quantity, itemId) => {
+            if (!this.pending.has(itemId)) {
+                list.appendChild(this.createItemElement(itemId, quantity));
+            }
+        });
+    }
+    
+    createItemElement(itemId, quantity) {
+        const div = document.createElement('div');
+        div.className = 'jettison-item';
+        
+        const volume = CargoHold.getItemSpec(itemId).volume;
+        div.innerHTML = `
+            <div class="jettison-item-info">
+                <div class="jettison-item-name">${this.getItemName(itemId)}</div>
+                <div>Held: ${quantity}, ${volume} m³ each</div>
+            </div>
+            <input type="number" class="jettison-qty" value="${quantity}" min="1" max="${quantity}">
+            <button class="jettison-btn">Jettison</button>
+        `;
+        
+        const qtyInput = div.querySelector('.jettison-qty');
+        div.querySelector('.jettison-btn').addEventListener('click', () => {
+            const amount = parseInt(qtyInput.value);
+            if (amount > 0) {
+                this.jettison(itemId, amount);
+            }
+        });
+        
+        return div;
+    }
+    
+    addJettisonStyles() {
+        if (document.getElementById('jettisonStyles')) return;
+        
+        const styles = document.createElement('style');
+        styles.id = 'jettisonStyles';
+        styles.textContent = `
+            .jettison-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.8);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 1001;
+            }
+            
+            .jettison-modal {
+                background: #1a1a2e;
+                border: 2px solid #e74c3c;
+                border-radius: 10px;
+                width: 90%;
+                max-width: 420px;
+                color: white;
+            }
+            
+            .jettison-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 15px 20px;
+                border-bottom: 1px solid #333;
+            }
+            
+            .jettison-header h2 {
+                margin: 0;
+                color: #e74c3c;
+            }
+            
+            .jettison-close {
+                background: none;
+                border: none;
+                color: #fff;
+                font-size: 24px;
+                cursor: pointer;
+            }
+            
+            .jettison-content {
+                padding: 20px;
+            }
+            
+            .jettison-list {
+                max-height: 300px;
+                overflow-y: auto;
+                margin-bottom: 10px;
+            }
+            
+            .jettison-item {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                border: 1px solid #333;
+                border-radius: 5px;
+                padding: 10px;
+                margin-bottom: 10px;
+                background: #0f0f23;
+                font-size: 14px;
+            }
+            
+            .jettison-item-info {
+                flex: 1;
+            }
+            
+            .jettison-item-name {
+                font-weight: bold;
+                color: #4a90e2;
+            }
+            
+            .jettison-qty {
+                width: 50px;
+                text-align: center;
+                background: #16213e;
+                border: 1px solid #333;
+                color: white;
+                border-radius: 3px;
+                padding: 3px;
+            }
+            
+            .jettison-btn {
+                background: #e74c3c;
+                border: none;
+                color: white;
+                padding: 8px 15px;
+                border-radius: 5px;
+                cursor: pointer;
+                font-weight: bold;
+            }
+            
+            .jettison-btn:hover {
+                background: #c0392b;
+            }
+            
+            .jettison-close:hover {
+                color: #e74c3c;
+            }
+            
+            .jettison-reason, .jettison-load {
+                margin-bottom: 10px;
+            }
+            
+            .jettison-load {
+                font-weight: bold;
+            }
+            
+            .leave-btn {
+                width: 100%;
+                background: #333;
+                border: none;
+                color: white;
+                padding: 8px 15px;
+                border-radius: 5px;
+                cursor: pointer;
+            }
+            
+            .leave-btn:hover {
+                background: #444;
+            }
+        `;
+        
+        document.head.appendChild(styles);
+    }
+}
@@ -3,21 +3,28 @@
  * Interactive interface for buying and selling items at stations
  */
 
-import { TRADING } from '../constants.js';
+import { TRADING, GRAPHICS } from '../constants.js';
+import { TradingSystem } from '../trading/TradingSystem.js';
 
 export class TradingUI {
-    constructor(tradingSystem, authService) {
+    constructor(tradingSystem, routePlanner = null, graphics = null) {
         this.trading = tradingSystem;
-        this.auth = authService;
+        this.routePlanner = routePlanner;
+        this.graphics = graphics; // the game's engine: one <defs> and unique ids for every chart
+        this.onRoutePlotted = null; // called with the route the player picks, or null to clear it
+        this.onTrade = null; // called after each purchase or sale goes through
         this.isOpen = false;
         this.currentStation = null;
+        this.stationId = null; // market of the current station
         this.modalElement = null;
+        this.openCharts = new Set(); // rows showing their price chart, kept across refreshes
     }
     
     openTradingInterface(station) {
         if (this.isOpen) return;
         
         this.currentStation = station;
+        this.stationId = TradingSystem.getMarketId(station);
         this.isOpen = true;
         this.createTradingModal();
         this.refreshInterface();
@@ -28,6 +35,8 @@ export class TradingUI {
         
         this.isOpen = false;
         this.currentStation = null;
+        this.stationId = null;
+        this.openCharts.clear();
         
         if (this.modalElement) {
             this.modalElement.remove();
@@ -46,6 +55,7 @@ export class TradingUI {
                     <div class="trading-content">
                         <div class="credits-display">
                             <div class="player-credits">Your Credits: <span id="playerCredits">0</span></div>
+                            <div class="player-cargo">Cargo: <span id="playerCargo">0</span></div>
                             <div class="station-credits">Station Credits: <span id="stationCredits">0</span></div>
                         </div>
                         <div class="trading-panels">
@@ -58,6 +68,10 @@ export class TradingUI {
                                 <div class="items-list" id="sellItemsList"></div>
                             </div>
                         </div>
+                        <div class="routes-panel">
+                            <h3>Trade Routes <button class="qty-btn clear-route-btn" id="clearRouteBtn" title="Clear plotted route">&times;</button></h3>
+                            <div class="items-list" id="routesList"></div>
+                        </div>
                     </div>
                 </div>
             </div>
@@ -71,6 +85,11 @@ export class TradingUI {
             this.closeTradingInterface();
         });
         
+        document.getElementById('clearRouteBtn').addEventListener('click', () => {
+            this.onRoutePlotted?.(null);
+            this.showMessage('Route cleared', 'success');
+        });
+        
         this.modalElement.addEventListener('click', (e) => {
             if (e.target === this.modalElement) {
                 this.closeTradingInterface();
@@ -93,13 +112,17 @@ export class TradingUI {
     refreshInterface() {
         if (!this.isOpen || !this.currentStation) return;
         
-        const stationInventory = this.trading.getStationInventory(this.currentStation.id);
+        // Docked here, so these are the prices the player now knows for this station
+        this.trading.recordSeenPrices(this.stationId);
+        
+        const stationInventory = this.trading.getStationInventory(this.stationId);
         const playerInventory = this.trading.getPlayerInventory();
-        const playerCredits = this.auth.currentUser?.credits || TRADING.DEFAULT_PLAYER_CREDITS;
+        const playerCredits = this.trading.getPlayerCredits();
         
         // Update header
         document.getElementById('stationName').textContent = this.currentStation.name;
         document.getElementById('playerCredits').textContent = playerCredits;
+        document.getElementById('playerCargo').textContent = this.trading.cargo.describeLoad();
         document.getElementById('stationCredits').textContent = stationInventory?.credits || 0;
         
         // Update buy panel
@@ -107,6 +130,101 @@ export class TradingUI {
         
         // Update sell panel
         this.updateSellPanel(stationInventory, playerInventory);
+        
+        this.updateRoutesPanel(playerCredits);
+    }
+    
+    /**
+     * Show prices and stock after an economy tick by editing the rows in
+     * place, so quantities being typed and the focused field survive. Rows
+     * only come and go when items sell out or restock; then it rebuilds.
+     */
+    updateMarketPrices() {
+        if (!this.isOpen || !this.currentStation) return;
+        
+        const stationInventory = this.trading.getStationInventory(this.stationId);
+        const buyRows = this.getItemRows('buyItemsList');
+        const availableItems = stationInventory?.items.filter(item => item.quantity > 0) || [];
+        if (buyRows.size !== availableItems.length || !availableItems.every(stationItem => buyRows.has(stationItem.item.id))) {
+            this.refreshInterface();
+            return;
+        }
+        
+        this.trading.recordSeenPrices(this.stationId);
+        document.getElementById('stationCredits').textContent = stationInventory.credits || 0;
+        
+        availableItems.forEach(stationItem => {
+            const row = buyRows.get(stationItem.item.id);
+            row.querySelector('.price').textContent = `${stationItem.sellPrice} credits`;
+            row.querySelector('.station-stock').textContent = `Stock: ${stationItem.quantity}`;
+            row.querySelector('.qty-input').max = stationItem.quantity;
+            this.redrawPriceChart(row, stationItem.item.id, 'sellPrice');
+        });
+        
+        this.getItemRows('sellItemsList').forEach((row, itemId) => {
+            const stationItem = stationInventory.items.find(si => si.item.id === itemId);
+            if (!stationItem) return;
+            row.querySelector('.price').textContent = `${stationItem.buyPrice} credits `;
+            this.redrawPriceChart(row, itemId, 'buyPrice');
+        });
+        
+        this.updateRoutesPanel(this.trading.getPlayerCredits());
+    }
+    
+    /**
+     * @returns {Map} - itemId -> row element of the given list
+     */
+    getItemRows(listId) {
+        const rows = document.getElementById(listId).querySelectorAll('.trading-item');
+        return new Map(Array.from(rows, row => [row.dataset.itemId, row]));
+    }
+    
+    updateRoutesPanel(playerCredits) {
+        const routesList = document.getElementById('routesList');
+        routesList.innerHTML = '';
+        if (!this.routePlanner) return;
+        
+        const sectorId = this.routePlanner.getStationLocations().get(this.stationId)?.sectorId;
+        const routes = this.routePlanner.planRoutes(sectorId, {
+            cargoCapacity: this.trading.cargo.capacity,
+            credits: playerCredits
+        });
+        
+        if (routes.length === 0) {
+            const message = this.trading.knownPrices.size < 2 ? 'Visit more stations to find trade routes' : 'No profitable routes at the prices you have seen';
+            routesList.innerHTML = `<div class="no-items">${message}</div>`;
+            return;
+        }
+        
+        routes.forEach(route => {
+            routesList.appendChild(this.createRouteElement(route));
+        });
+    }
+    
+    createRouteElement(route) {
+        const div = document.createElement('div');
+        div.className = 'trading-item';
+        
+        div.innerHTML = `
+            <div class="item-info">
+                <div class="item-name">${route.itemName}: +${Math.round(route.profit)} credits</div>
+                <div class="item-description">Buy ${route.quantity} at ${route.from.name} for ${route.from.price} and sell at ${route.to.name} for ${route.to.price}</div>
+                <div class="item-details">
+                    <span class="stock">${route.jumps} ${route.jumps === 1 ? 'jump' : 'jumps'}</span>
+                    <span class="price">${Math.round(route.profitPerJump)} credits per jump</span>
+                </div>
+            </div>
+            <div class="item-actions">
+                <button class="buy-btn plot-btn">Plot Route</button>
+            </div>
+        `;
+        
+        div.querySelector('.plot-btn').addEventListener('click', () => {
+            this.onRoutePlotted?.(route);
+            this.showMessage(`Route plotted to ${route.from.name}`, 'success');
+        });
+        
+        return div;
     }
     
     updateBuyPanel(stationInventory) {
@@ -150,6 +268,7 @@ export class TradingUI {
     createBuyItemElement(stationItem) {
         const div = document.createElement('div');
         div.className = 'trading-item';
+        div.dataset.itemId = stationItem.item.id;
         
         div.innerHTML = `
             <div class="item-info">
@@ -157,7 +276,9 @@ export class TradingUI {
                 <div class="item-description">${stationItem.item.description}</div>
                 <div class="item-details">
                     <span class="price">${stationItem.sellPrice} credits</span>
-                    <span class="stock">Stock: ${stationItem.quantity}</span>
+                    <span class="stock station-stock">Stock: ${stationItem.quantity}</span>
+                    <span class="stock">Room: ${this.trading.cargo.getRoomFor(stationItem.item.id)}</span>
+                    <button class="chart-btn" title="Price history">📈</button>
                 </div>
             </div>
             <div class="item-actions">
@@ -168,8 +289,11 @@ export class TradingUI {
                 </div>
                 <button class="buy-btn" data-item-id="${stationItem.item.id}">Buy</button>
             </div>
+            <div class="price-chart-panel"></div>
         `;
         
+        this.attachPriceChart(div, stationItem.item.id, 'sellPrice');
+        
         // Add event listeners
         const qtyInput = div.querySelector('.qty-input');
         const decreaseBtn = div.querySelector('[data-action="decrease"]');
@@ -198,6 +322,7 @@ export class TradingUI {
     createSellItemElement(playerItem, stationItem) {
         const div = document.createElement('div');
         div.className = 'trading-item';
+        div.dataset.itemId = playerItem.item.id;
         
         const canSell = stationItem !== undefined;
         const buyPrice = canSell ? stationItem.buyPrice : 'N/A';
@@ -209,6 +334,7 @@ export class TradingUI {
                 <div class="item-details">
                     <span class="price">${buyPrice} credits ${canSell ? '' : '(Not accepted)'}</span>
                     <span class="owned">Owned: ${playerItem.quantity}</span>
+                    ${canSell ? '<button class="chart-btn" title="Price history">📈</button>' : ''}
                 </div>
             </div>
             <div class="item-actions">
@@ -221,9 +347,12 @@ export class TradingUI {
                 <button class="sell-btn" data-item-id="${playerItem.item.id}">Sell</button>
                 ` : '<span class="not-accepted">Station doesn\'t buy this item</span>'}
             </div>
+            <div class="price-chart-panel"></div>
         `;
         
         if (canSell) {
+            this.attachPriceChart(div, playerItem.item.id, 'buyPrice');
+            
             // Add event listeners for sellable items
             const qtyInput = div.querySelector('.qty-input');
             const decreaseBtn = div.querySelector('[data-action="decrease"]');
@@ -250,16 +379,69 @@ export class TradingUI {
         return div;
     }
     
+    /**
+     * Wire a row's chart button to show or hide its price history
+     * @param {string} priceKey - The price the row trades at: 'sellPrice' to buy, 'buyPrice' to sell
+     */
+    attachPriceChart(row, itemId, priceKey) {
+        const chartKey = `${priceKey}:${itemId}`;
+        const panel = row.querySelector('.price-chart-panel');
+        
+        row.querySelector('.chart-btn').addEventListener('click', () => {
+            if (this.openCharts.has(chartKey)) {
+                this.openCharts.delete(chartKey);
+                panel.innerHTML = '';
+            } else {
+                this.openCharts.add(chartKey);
+                this.renderPriceChart(panel, itemId, priceKey);
+            }
+        });
+        
+        this.redrawPriceChart(row, itemId, priceKey);
+    }
+    
+    redrawPriceChart(row, itemId, priceKey) {
+        if (this.openCharts.has(`${priceKey}:${itemId}`)) {
+            this.renderPriceChart(row.querySelector('.price-chart-panel'), itemId, priceKey);
+        }
+    }
+    
+    renderPriceChart(panel, itemId, priceKey) {
+        const stats = this.trading.getPriceStats(this.stationId, itemId, priceKey);
+        if (!stats) {
+            panel.innerHTML = '<div class="no-items">No price history yet</div>';
+            return;
+        }
+        
+        const purchasePrice = this.trading.getLastPurchasePrice(itemId);
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('class', 'price-chart-svg');
+        svg.setAttribute('viewBox', `0 0 ${GRAPHICS.PRICE_CHART_WIDTH} ${GRAPHICS.PRICE_CHART_HEIGHT}`);
+        svg.appendChild(this.graphics.createPriceChart(stats.prices, GRAPHICS.PRICE_CHART_WIDTH, GRAPHICS.PRICE_CHART_HEIGHT, {
+            referencePrice: purchasePrice
+        }));
+        
+        const sale = this.trading.getProfitIfSold(this.stationId, itemId);
+        const profitText = sale
+            ? `<span class="${sale.profit >= 0 ? 'profit' : 'loss'}">If sold here now: ${sale.profit >= 0 ? '+' : ''}${sale.profit.toFixed(2)} credits (${sale.quantity} units)</span>`
+            : '';
+        
+        panel.innerHTML = '';
+        panel.appendChild(svg);
+        panel.insertAdjacentHTML('beforeend', `
+            <div class="price-chart-stats">
+                <span>Last ${stats.prices.length} ticks: min ${stats.min.toFixed(2)} / avg ${stats.average.toFixed(2)} / max ${stats.max.toFixed(2)}</span>
+                <span class="purchase-price">${purchasePrice === null ? 'Not bought yet' : `Last bought at ${purchasePrice.toFixed(2)}`}</span>
+                ${profitText}
+            </div>
+        `);
+    }
+    
     handleBuyItem(itemId, quantity) {
-        const playerCredits = this.auth.currentUser?.credits || TRADING.DEFAULT_PLAYER_CREDITS;
-        const result = this.trading.buyFromStation(this.currentStation.id, itemId, quantity, playerCredits);
+        const result = this.trading.buyFromStation(this.stationId, itemId, quantity);
         
         if (result.success) {
-            // Update player credits (in a real game this would be handled by the auth system)
-            if (this.auth.currentUser) {
-                this.auth.currentUser.credits = playerCredits - result.cost;
-            }
-            
+            this.onTrade?.();
             this.showMessage(`Purchased ${quantity} units for ${result.cost} credits!`, 'success');
             this.refreshInterface();
         } else {
@@ -268,14 +450,10 @@ export class TradingUI {
     }
     
     handleSellItem(itemId, quantity) {
-        const result = this.trading.sellToStation(this.currentStation.id, itemId, quantity);
+        const result = this.trading.sellToStation(this.stationId, itemId, quantity);
         
         if (result.success) {
-            // Update player credits (in a real game this would be handled by the auth system)
-            if (this.auth.currentUser) {
-                this.auth.currentUser.credits = (this.auth.currentUser.credits || TRADING.DEFAULT_PLAYER_CREDITS) + result.value;
-            }
-            
+            this.onTrade?.();
             this.showMessage(`Sold ${quantity} units for ${result.value} credits!`, 'success');
             this.refreshInterface();
         } else {
@@ -375,7 +553,7 @@ export class TradingUI {
                 border-radius: 5px;
             }
             
-            .player-credits, .station-credits {
+            .player-credits, .player-cargo, .station-credits {
                 font-weight: bold;
             }
             
@@ -512,6 +690,62 @@ export class TradingUI {
                 font-size: 12px;
             }
             
+            .routes-panel {
+                border: 1px solid #333;
+                border-radius: 5px;
+                padding: 15px;
+                margin-top: 20px;
+            }
+            
+            .routes-panel h3 {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                margin-top: 0;
+                color: #4a90e2;
+                border-bottom: 1px solid #333;
+                padding-bottom: 10px;
+            }
+            
+            .chart-btn {
+                background: none;
+                border: 1px solid #333;
+                border-radius: 3px;
+                cursor: pointer;
+                padding: 0 4px;
+            }
+            
+            .chart-btn:hover {
+                border-color: #4a90e2;
+            }
+            
+            .price-chart-svg {
+                display: block;
+                width: 100%;
+                margin-top: 10px;
+            }
+            
+            .price-chart-stats {
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+                font-size: 12px;
+                color: #aaa;
+                margin-top: 5px;
+            }
+            
+            .price-chart-stats .purchase-price {
+                color: #ffff00;
+            }
+            
+            .price-chart-stats .profit {
+                color: #27ae60;
+            }
+            
+            .price-chart-stats .loss {
+                color: #e74c3c;
+            }
+            
             .trading-message {
                 position: absolute;
                 top: 70px;
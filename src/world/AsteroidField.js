@@ -0,0 +1,50 @@
+/**
+ * Asteroid Field for Max-Pixels
+ * Asteroids owned by the game server, one field per sector. IDs come from
+ * the shared IDGenerator, so every client agrees on which rock is which.
+ */
+
+import { GRAPHICS, ASTEROID_FIELD } from '../constants.js';
+import { gameIDGenerator } from '../utils/IDGenerator.js';
+
+export class AsteroidField {
+    /**
+     * Create a sector's asteroids
+     * @param {string} sectorId - Sector identifier
+     * @param {number} count - Number of asteroids
+     * @param {Object} bounds - Sector bounds {width, height}
+     * @param {Function} random - Random source returning [0, 1)
+     * @returns {Array} - Asteroid game objects
+     */
+    static generate(sectorId, count, bounds, random = Math.random) {
+        return gameIDGenerator.generateAsteroidIds(sectorId, count)
+            .map(id => AsteroidField.respawn({ id, type: 'asteroid', sectorId }, bounds, random));
+    }
+
+    /**
+     * Give an asteroid a new place, size and full health. The ID stays.
+     * @param {Object} asteroid - Asteroid game object
+     * @param {Object} bounds - Sector bounds {width, height}
+     * @param {Function} random - Random source returning [0, 1)
+     * @returns {Object} - The same asteroid
+     */
+    static respawn(asteroid, bounds, random = Math.random) {
+        asteroid.x = random() * bounds.width;
+        asteroid.y = random() * bounds.height;
+        asteroid.size = random() * GRAPHICS.ASTEROID_SIZE_RANGE + GRAPHICS.ASTEROID_SIZE_MIN;
+        asteroid.maxHealth = Math.round(asteroid.size * ASTEROID_FIELD.HEALTH_PER_SIZE);
+        asteroid.health = asteroid.maxHealth;
+        return asteroid;
+    }
+
+    /**
+     * Chip away at an asteroid
+     * @param {Object} asteroid - Asteroid game object
+     * @param {number} amount - Damage dealt
+     * @returns {boolean} - True when the asteroid broke apart
+     */
+    static damage(asteroid, amount) {
+        asteroid.health = Math.max(0, asteroid.health - amount);
+        return asteroid.health === 0;
+    }
+}
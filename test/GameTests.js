@@ -10,10 +10,25 @@ import { Camera } from '../src/graphics/Camera.js';
 import { InputManager } from '../src/input/InputManager.js';
 import { SpaceNavigation } from '../src/navigation/SpaceNavigation.js';
 import { TradingSystem } from '../src/trading/TradingSystem.js';
+import { TradeRoutePlanner } from '../src/trading/TradeRoutePlanner.js';
+import { TradingUI } from '../src/ui/TradingUI.js';
 import { AuthService } from '../src/auth/AuthService.js';
 import { AudioManager } from '../src/audio/AudioManager.js';
 import { Player } from '../src/player/Player.js';
+import { CargoHold } from '../src/player/CargoHold.js';
+import { Wallet } from '../src/player/Wallet.js';
 import { ShipMovement } from '../src/movement/ShipMovement.js';
+import { ShipPhysics } from '../src/movement/ShipPhysics.js';
+import { NetworkManager } from '../src/network/NetworkManager.js';
+import { SnapshotBuffer } from '../src/network/SnapshotBuffer.js';
+import { StateDelta } from '../src/network/StateDelta.js';
+import { MessageCodec } from '../src/network/MessageCodec.js';
+import { MessageValidator } from '../src/network/MessageValidator.js';
+import { TokenBucket } from '../src/network/TokenBucket.js';
+import { ClockSync } from '../src/network/ClockSync.js';
+import { LagCompensation } from '../src/network/LagCompensation.js';
+import { AsteroidField } from '../src/world/AsteroidField.js';
+import { NETWORK, PLAYER, WEAPONS, ASTEROID_FIELD, AUTH, TRADING, GRAPHICS } from '../src/constants.js';
 
 /**
  * Graphics Engine Tests
@@ -1128,6 +1143,59 @@ describe('Graphics Engine', function() {
         
         TestRunner.cleanupTestDOM();
     });
+    
+    test('should draw price charts as sparklines', function() {
+        const testContainer = TestRunner.setupTestDOM();
+        const canvas = testContainer.querySelector('#gameCanvas');
+        const graphics = new GraphicsEngine(canvas);
+        
+        const chart = graphics.createPriceChart([10, 20, 15], 120, 50, { id: 'chart', referencePrice: 30 });
+        assertEqual(chart.getAttribute('class'), 'price-chart', 'Should have correct class');
+        
+        const line = chart.querySelector('#chart_line');
+        assert(line !== null, 'Should draw the price line');
+        assertEqual(line.getAttribute('d').split('L').length, 3, 'Should plot every price');
+        
+        // The reference is the highest value, so it sits at the top of the plot
+        const reference = chart.querySelector('#chart_reference');
+        assertEqual(reference.getAttribute('y1'), String(GRAPHICS.PRICE_CHART_PADDING), 'Reference price should be in view');
+        assert(chart.querySelector('#chart_average') !== null, 'Should mark the average');
+        
+        const plain = graphics.createPriceChart([5], 120, 50, { id: 'plain' });
+        assertEqual(plain.querySelector('#plain_reference'), null, 'No reference line without a reference price');
+        
+        assertThrows(() => graphics.createPriceChart([], 120, 50), 'Should throw for no prices');
+        assertThrows(() => graphics.createPriceChart([1, NaN], 120, 50), 'Should throw for invalid prices');
+        assertThrows(() => graphics.createPriceChart([1], 0, 50), 'Should throw for zero width');
+        assertThrows(() => graphics.createPriceChart([1], 120, 50, null), 'Should throw for null options');
+        
+        TestRunner.cleanupTestDOM();
+    });
+    
+    test('should draw every market chart with the game graphics engine', function() {
+        const testContainer = TestRunner.setupTestDOM();
+        const graphics = new GraphicsEngine(testContainer.querySelector('#gameCanvas'));
+        const trading = new TradingSystem([{ id: 'hub', type: 'trading' }]);
+        trading.recordPrice('hub', 'ore-iron', { buyPrice: 8, sellPrice: 10, quantity: 100 }, 0);
+        const tradingUI = new TradingUI(trading, null, graphics);
+        tradingUI.stationId = 'hub';
+        
+        const ids = [];
+        const createPriceChart = graphics.createPriceChart.bind(graphics);
+        graphics.createPriceChart = (...args) => {
+            const chart = createPriceChart(...args);
+            ids.push(chart.getAttribute('id'));
+            return chart;
+        };
+        const panel = { innerHTML: '', appendChild() {}, insertAdjacentHTML() {} };
+        tradingUI.renderPriceChart(panel, 'ore-iron', 'sellPrice');
+        tradingUI.renderPriceChart(panel, 'ore-iron', 'buyPrice');
+        
+        assertEqual(ids.length, 2, 'Charts should be drawn by the game engine');
+        assert(ids[0] !== ids[1], 'Each chart should get its own ids');
+        
+        TestRunner.cleanupTestDOM();
+    });
 });
 
 /**
@@ -1684,11 +1752,12 @@ describe('Trading System', function() {
     
     test('should buy from station successfully', function() {
         const trading = new TradingSystem();
-        const playerCredits = 500;
+        trading.setPlayerCredits(500);
         
-        const result = trading.buyFromStation('tradingStation', 'ore-iron', 2, playerCredits);
+        const result = trading.buyFromStation('tradingStation', 'ore-iron', 2);
         
         assert(result.success, 'Buy should succeed');
+        assertEqual(trading.getPlayerCredits(), 500 - result.cost, 'The cost should come out of the wallet');
         assertEqual(typeof result.cost, 'number', 'Should return cost');
         assertEqual(typeof result.newPlayerQuantity, 'number', 'Should return new player quantity');
         assertEqual(typeof result.newStationQuantity, 'number', 'Should return new station quantity');
@@ -1700,11 +1769,12 @@ describe('Trading System', function() {
     
     test('should reject buy with insufficient credits', function() {
         const trading = new TradingSystem();
-        const playerCredits = 1; // Very low credits
+        trading.setPlayerCredits(1); // Very low credits
         
-        const result = trading.buyFromStation('tradingStation', 'ore-iron', 10, playerCredits);
+        const result = trading.buyFromStation('tradingStation', 'ore-iron', 10);
         
         assert(!result.success, 'Should fail with insufficient credits');
+        assertEqual(trading.getPlayerCredits(), 1, 'A refused purchase should cost nothing');
         assertEqual(result.error, 'Insufficient credits', 'Should return correct error');
     });
     
@@ -1744,6 +1814,23 @@ describe('Trading System', function() {
         assertEqual(playerQuantity, 7, 'Player should have remaining items');
     });
     
+    test('should refuse quantities that are not whole positive numbers', function() {
+        const trading = new TradingSystem();
+        trading.addPlayerItem('ore-iron', 10);
+        const credits = trading.getPlayerCredits();
+        const station = { id: 'test-station', market: { 'ore-iron': { sellPrice: 10, buyPrice: 8, supply: 100 } } };
+        
+        [0, -5, 1.5, NaN, Infinity, '3'].forEach(quantity => {
+            assertEqual(trading.buyFromStation('tradingStation', 'ore-iron', quantity).error, 'Invalid quantity', `Station purchases of ${quantity} should be refused`);
+            assertEqual(trading.sellToStation('tradingStation', 'ore-iron', quantity).error, 'Invalid quantity', `Station sales of ${quantity} should be refused`);
+            assertEqual(trading.buyItem(station, 'ore-iron', quantity).error, 'Invalid quantity', `Market purchases of ${quantity} should be refused`);
+            assertEqual(trading.sellItem(station, 'ore-iron', quantity).error, 'Invalid quantity', `Market sales of ${quantity} should be refused`);
+        });
+        
+        assertEqual(trading.getPlayerCredits(), credits, 'Refused trades should not move credits');
+        assertEqual(trading.getPlayerItemQuantity('ore-iron'), 10, 'Refused trades should not move cargo');
+    });
+    
     test('should get station inventory', function() {
         const trading = new TradingSystem();
         
@@ -1777,7 +1864,7 @@ describe('Trading System', function() {
         const originalSellPrice = ironItem.sellPrice;
         
         // Buy some items (should increase price)
-        trading.buyFromStation('tradingStation', 'ore-iron', 5, 1000);
+        trading.buyFromStation('tradingStation', 'ore-iron', 5);
         
         const updatedInventory = trading.getStationInventory('tradingStation');
         const updatedIronItem = updatedInventory.items.find(item => item.item.id === 'ore-iron');
@@ -1887,6 +1974,338 @@ describe('Trading System', function() {
             assert(false, `Valid parameters should not throw errors: ${error.message}`);
         }
     });
+    
+    test('should open a market at every sector station', function() {
+        const trading = new TradingSystem();
+        const stations = new SpaceNavigation().getAllSectors().flatMap(sector => sector.stations);
+        
+        stations.forEach(station => {
+            const marketId = TradingSystem.getMarketId(station);
+            assert(trading.getStationInventory(marketId) !== null, `${station.name} should have a market`);
+        });
+        assert(trading.canBuyFromStation('miningStation', 'ore-iron', 1).success, 'Mining posts should sell ore');
+        assert(trading.getStationInventory('researchStation') !== null, 'Research stations should have a market');
+    });
+    
+    test('should price station markets by station type', function() {
+        const trading = new TradingSystem();
+        const priceAt = (stationId, itemId) => trading.getStationInventory(stationId).items.find(entry => entry.item.id === itemId);
+        
+        assert(priceAt('miningStation', 'ore-iron').sellPrice < priceAt('tradingStation', 'ore-iron').sellPrice, 'Mining posts should sell ore cheaply');
+        assert(priceAt('miningStation', 'food-rations').buyPrice > priceAt('tradingStation', 'food-rations').buyPrice, 'Mining posts should pay well for food');
+        assert(priceAt('researchStation', 'tech-processors').buyPrice > trading.getItem('tech-processors').basePrice, 'Research stations should pay a premium for tech');
+        
+        trading.addPlayerItem('food-rations', 5);
+        assert(trading.sellToStation('miningStation', 'food-rations', 5).success, 'Stations should buy goods they have none of');
+        assertEqual(priceAt('miningStation', 'food-rations').quantity, 5, 'Sold goods should join the station stock');
+    });
+    
+    test('should keep each station market separate', function() {
+        const trading = new TradingSystem([
+            { id: 'outpost-a', type: 'mining' },
+            { id: 'outpost-b', type: 'mining' }
+        ]);
+        const before = trading.getStationInventory('outpost-b');
+        
+        trading.buyFromStation('outpost-a', 'ore-iron', 10);
+        trading.stationInventories.get('outpost-a').demandMultipliers['ore-iron'] = 2;
+        
+        const after = trading.getStationInventory('outpost-b');
+        assertEqual(after.credits, before.credits, 'Other stations should keep their credits');
+        assertEqual(after.items[0].quantity, before.items[0].quantity, 'Other stations should keep their stock');
+        assertEqual(trading.stationInventories.get('outpost-b').demandMultipliers['ore-iron'], 0.6, 'Demand should be per station');
+        assertEqual(trading.getStationInventory('tradingStation'), null, 'Only the given stations should have markets');
+    });
+    
+    test('should produce and consume goods on economy ticks', function() {
+        const trading = new TradingSystem();
+        const quantityAt = (stationId, itemId) => trading.stationInventories.get(stationId).inventory.get(itemId).quantity;
+        const ironBefore = quantityAt('miningStation', 'ore-iron');
+        const foodBefore = quantityAt('tradingStation', 'food-rations');
+        
+        trading.tickEconomy(1000, () => 0.5);
+        
+        assert(quantityAt('miningStation', 'ore-iron') > ironBefore, 'Mining posts should produce ore');
+        assert(quantityAt('tradingStation', 'food-rations') < foodBefore, 'Trading hubs should eat into their food');
+        
+        const history = trading.getPriceHistory('miningStation', 'ore-iron');
+        assertEqual(history.length, 1, 'Each tick should be recorded');
+        assertEqual(history[0].time, 1000, 'History should carry the tick time');
+        assertEqual(history[0].quantity, quantityAt('miningStation', 'ore-iron'), 'History should record stock');
+    });
+    
+    test('should drift prices back toward equilibrium by item volatility', function() {
+        const trading = new TradingSystem([{ id: 'hub', type: 'trading' }]);
+        const market = trading.stationInventories.get('hub');
+        const gapAfterTick = (itemId) => {
+            const stationItem = market.inventory.get(itemId);
+            stationItem.sellPrice = trading.getItem(itemId).basePrice * TRADING.PRICE_BOUNDS_MAX_SELL;
+            const gapBefore = stationItem.sellPrice - trading.getEquilibriumPrices(market, itemId).sellPrice;
+            trading.tickEconomy(Date.now(), () => 0.5);
+            return (stationItem.sellPrice - trading.getEquilibriumPrices(market, itemId).sellPrice) / gapBefore;
+        };
+        
+        const ironGap = gapAfterTick('ore-iron');
+        const fuelGap = gapAfterTick('fuel-hydrogen');
+        assert(ironGap > 0 && ironGap < 1, 'Inflated prices should fall toward equilibrium');
+        assert(fuelGap < ironGap, 'More volatile goods should recover faster');
+    });
+    
+    test('should never pay more than the highest buy price', function() {
+        const trading = new TradingSystem([{ id: 'hub', type: 'trading' }]);
+        const market = trading.stationInventories.get('hub');
+        market.inventory.get('ore-iron').quantity = 0;
+        for (let tick = 0; tick < 50; tick++) {
+            trading.tickEconomy(tick, () => 1);
+        }
+        
+        const highest = trading.getHighestBuyPrice('ore-iron');
+        assert(market.inventory.get('ore-iron').buyPrice <= highest, 'Station prices should stay under the bound');
+        assertEqual(trading.getHighestBuyPrice('no-such-item'), 0, 'Unknown items should be worth nothing');
+    });
+    
+    test('should raise equilibrium prices while stock is short', function() {
+        const trading = new TradingSystem([{ id: 'hub', type: 'trading' }]);
+        const market = trading.stationInventories.get('hub');
+        const stocked = trading.getEquilibriumPrices(market, 'ore-iron').sellPrice;
+        
+        market.inventory.get('ore-iron').quantity = 0;
+        assert(trading.getEquilibriumPrices(market, 'ore-iron').sellPrice > stocked, 'Empty shelves should push prices up');
+        
+        market.inventory.get('ore-iron').quantity = 1000;
+        assert(trading.getEquilibriumPrices(market, 'ore-iron').sellPrice < stocked, 'A glut should push prices down');
+    });
+    
+    test('should catch up on economy ticks missed while away', function() {
+        const trading = new TradingSystem([{ id: 'hub', type: 'trading' }]);
+        const start = trading.lastEconomyTick;
+        
+        assertEqual(trading.updateEconomy(start + TRADING.ECONOMY_TICK_INTERVAL / 2), 0, 'No tick should run early');
+        assertEqual(trading.updateEconomy(start + TRADING.ECONOMY_TICK_INTERVAL * 5.5), 5, 'Every missed tick should run');
+        assertEqual(trading.lastEconomyTick, start + TRADING.ECONOMY_TICK_INTERVAL * 5, 'Partial ticks should carry over');
+        assertEqual(trading.getPriceHistory('hub', 'ore-iron').length, 5, 'Every tick should be recorded');
+        
+        const ticks = trading.updateEconomy(start + TRADING.ECONOMY_TICK_INTERVAL * (TRADING.MAX_ECONOMY_CATCH_UP + 100));
+        assertEqual(ticks, TRADING.MAX_ECONOMY_CATCH_UP, 'Long absences should be capped');
+        assertEqual(trading.getPriceHistory('hub', 'ore-iron').length, TRADING.PRICE_HISTORY_LENGTH, 'History should be bounded');
+    });
+    
+    test('should summarize recent prices for charts', function() {
+        const trading = new TradingSystem([{ id: 'hub', type: 'trading' }]);
+        assertEqual(trading.getPriceStats('hub', 'ore-iron'), null, 'No stats before the first tick');
+        
+        [10, 14, 12].forEach((price, tick) => {
+            trading.recordPrice('hub', 'ore-iron', { buyPrice: price - 2, sellPrice: price, quantity: 100 }, tick);
+        });
+        
+        const stats = trading.getPriceStats('hub', 'ore-iron', 'sellPrice', 2);
+        assertEqual(stats.prices.length, 2, 'Only the latest ticks should be covered');
+        assertEqual(stats.min, 12, 'Should find the lowest price');
+        assertEqual(stats.max, 14, 'Should find the highest price');
+        assertEqual(stats.average, 13, 'Should average the prices');
+        assertEqual(trading.getPriceStats('hub', 'ore-iron', 'buyPrice').min, 8, 'Should chart either price');
+    });
+    
+    test('should value held goods against their last purchase price', function() {
+        const trading = new TradingSystem();
+        assertEqual(trading.getLastPurchasePrice('ore-iron'), null, 'Nothing bought yet');
+        
+        const paid = trading.stationInventories.get('miningStation').inventory.get('ore-iron').sellPrice;
+        trading.buyFromStation('miningStation', 'ore-iron', 10);
+        assertEqual(trading.getLastPurchasePrice('ore-iron'), paid, 'Should remember the unit price paid');
+        
+        const sale = trading.getProfitIfSold('tradingStation', 'ore-iron');
+        const bid = trading.stationInventories.get('tradingStation').inventory.get('ore-iron').buyPrice;
+        assertEqual(sale.quantity, 10, 'Should value everything held');
+        assertApproxEqual(sale.profit, (bid - paid) * 10, 0.001, 'Profit should compare the sale price to the purchase');
+        assertEqual(trading.getProfitIfSold('researchStation', 'ore-iron'), null, 'Stations that do not buy give no sale');
+    });
+});
+
+/**
+ * Trade Route Planner Tests
+ */
+describe('Trade Route Planner', function() {
+    // Known markets as if the player had docked: iron is cheap at the mining post and dear at the hub
+    const seeMarkets = (trading) => {
+        trading.stationInventories.get('miningStation').inventory.get('ore-iron').sellPrice = 8;
+        trading.stationInventories.get('tradingStation').inventory.get('ore-iron').buyPrice = 14;
+        ['tradingStation', 'miningStation', 'researchStation'].forEach(stationId => trading.recordSeenPrices(stationId, 1000));
+    };
+    
+    test('should find the shortest chain of jump gates', function() {
+        const navigation = new SpaceNavigation();
+        
+        assertEqual(navigation.findJumpPath('alpha-sector', 'gamma-sector').join(','), 'alpha-sector,beta-sector,gamma-sector', 'Alpha reaches gamma through beta');
+        assertEqual(navigation.findJumpPath('beta-sector', 'beta-sector').length, 1, 'Staying put takes no jumps');
+        assertEqual(navigation.findJumpPath('alpha-sector', 'nowhere'), null, 'Unknown sectors cannot be reached');
+        assertEqual(navigation.getGateTo('beta-sector', 'gamma-sector').destination, 'gamma-sector', 'Should find the gate toward a neighbour');
+    });
+    
+    test('should remember prices only where the player has docked', function() {
+        const trading = new TradingSystem();
+        assertEqual(trading.getKnownPrices('miningStation'), null, 'Unvisited stations have no known prices');
+        
+        trading.recordSeenPrices('miningStation', 1000);
+        const seen = trading.getKnownPrices('miningStation');
+        const price = seen.items.get('ore-iron').sellPrice;
+        trading.stationInventories.get('miningStation').inventory.get('ore-iron').sellPrice = price + 5;
+        
+        assertEqual(seen.seenAt, 1000, 'Should record when the prices were seen');
+        assertEqual(trading.getKnownPrices('miningStation').items.get('ore-iron').sellPrice, price, 'Known prices should not follow the live market');
+    });
+    
+    test('should rank buy-here/sell-there routes by profit per jump', function() {
+        const trading = new TradingSystem();
+        seeMarkets(trading);
+        const planner = new TradeRoutePlanner(trading, new SpaceNavigation());
+        
+        const routes = planner.planRoutes('beta-sector', { cargoCapacity: 50, credits: 10000 });
+        assert(routes.length > 0, 'Should find profitable routes');
+        routes.forEach((route, index) => {
+            assert(route.to.price > route.from.price, 'Every route should sell dearer than it buys');
+            if (index > 0) {
+                assert(route.profitPerJump <= routes[index - 1].profitPerJump, 'Routes should be ranked by profit per jump');
+            }
+        });
+        
+        const iron = routes.find(route => route.itemId === 'ore-iron' && route.from.stationId === 'miningStation' && route.to.stationId === 'tradingStation');
+        assertEqual(iron.quantity, 50, 'The hold should limit how much is carried');
+        assertEqual(iron.jumps, 1, 'From beta the run is one jump to alpha');
+        assertEqual(iron.profit, (14 - 8) * 50, 'Profit should be the margin on the whole load');
+        
+        const broke = planner.planRoutes('beta-sector', { cargoCapacity: 50, credits: 80 }).find(route => route.itemId === 'ore-iron' && route.to.stationId === 'tradingStation');
+        assertEqual(broke.quantity, 10, 'Credits should limit how much can be bought');
+        assertEqual(planner.planRoutes('beta-sector', { cargoCapacity: 50, limit: 2 }).length, 2, 'Should list at most the limit');
+    });
+    
+    test('should not plan routes through stations the player has not seen', function() {
+        const trading = new TradingSystem();
+        trading.recordSeenPrices('miningStation');
+        const planner = new TradeRoutePlanner(trading, new SpaceNavigation());
+        
+        assertEqual(planner.planRoutes('beta-sector', { cargoCapacity: 50 }).length, 0, 'One known market makes no route');
+    });
+    
+    test('should split a route into legs for each sector', function() {
+        const trading = new TradingSystem();
+        seeMarkets(trading);
+        const navigation = new SpaceNavigation();
+        const planner = new TradeRoutePlanner(trading, navigation);
+        const route = planner.planRoutes('gamma-sector', { cargoCapacity: 50 })
+            .find(candidate => candidate.from.stationId === 'miningStation' && candidate.to.stationId === 'tradingStation');
+        const origin = { x: 10, y: 20 };
+        
+        const approach = planner.getRouteLegs(route, 'gamma-sector', origin);
+        assertEqual(approach.length, 1, 'Away from the route, one leg points the way');
+        assertEqual(approach[0].end.x, navigation.getGateTo('gamma-sector', 'beta-sector').x, 'The way should lead to the gate toward the buying station');
+        
+        const pickup = planner.getRouteLegs(route, 'beta-sector', origin);
+        assertEqual(pickup.length, 2, 'The buying sector shows the way in and the haul out');
+        assertEqual(pickup[1].start.x, route.from.position.x, 'The haul should start at the buying station');
+        assertEqual(pickup[1].end.x, navigation.getGateTo('beta-sector', 'alpha-sector').x, 'The haul should leave by the gate toward the buyer');
+        assertEqual(pickup[1].routeType, 'profitable', 'The haul should be drawn as profitable');
+        
+        const delivery = planner.getRouteLegs(route, 'alpha-sector', origin);
+        assertEqual(delivery[0].start.x, navigation.getGateTo('alpha-sector', 'beta-sector').x, 'Delivery should start at the arrival gate');
+        assertEqual(delivery[0].end.x, route.to.position.x, 'Delivery should end at the selling station');
+    });
+});
+
+/**
+ * Cargo Hold Tests
+ */
+describe('Cargo Hold', function() {
+    test('should fill the hold by volume and weigh its contents', function() {
+        const cargo = new CargoHold(10);
+        cargo.add('fuel-hydrogen', 3);
+        cargo.add('tech-processors', 4);
+        
+        assertEqual(cargo.getVolumeUsed(), 8, 'Fuel takes two cubic metres a unit, processors half of one');
+        assertApproxEqual(cargo.getMass(), 1.9, 0.001, 'Mass should add up per unit');
+        assertEqual(cargo.getRoomFor('fuel-hydrogen'), 1, 'Room should count whole units of bulky goods');
+        assertEqual(cargo.getRoomFor('tech-processors'), 4, 'Compact goods should fit more units in the same space');
+        assertEqual(cargo.describeLoad(), '8/10 m³, 1.9 t', 'Should describe space used and mass');
+    });
+    
+    test('should load what fits and jettison what is held', function() {
+        const cargo = new CargoHold(10);
+        
+        assertEqual(cargo.add('ore-iron', 15), 10, 'Only what fits should be loaded');
+        assertEqual(cargo.getSpaceRemaining(), 0, 'The hold should be full');
+        assert(!cargo.remove('ore-iron', 11), 'Removing more than is held should fail');
+        assertEqual(cargo.jettison('ore-iron', 4), 4, 'Should jettison the amount asked for');
+        assertEqual(cargo.jettison('ore-iron', 100), 6, 'Should jettison no more than is held');
+        assertEqual(cargo.items.size, 0, 'Emptied items should leave the hold');
+    });
+    
+    test('should keep saved cargo past capacity until it is jettisoned', function() {
+        const cargo = new CargoHold(5);
+        cargo.load({ 'ore-iron': 8 });
+        
+        assert(cargo.isOverloaded(), 'A save bigger than the hold should overload it');
+        assertEqual(cargo.add('ore-copper', 1), 0, 'Nothing more should fit while overloaded');
+        
+        cargo.jettison('ore-iron', 3);
+        assert(!cargo.isOverloaded(), 'Jettisoning should bring the hold back within capacity');
+        assertEqual(JSON.stringify(cargo.getContents()), JSON.stringify({ 'ore-iron': 5 }), 'Contents should be saved as a plain object');
+    });
+    
+    test('should refuse trades and mining that do not fit in the hold', function() {
+        const trading = new TradingSystem(TradingSystem.getSectorStations(), new CargoHold(10), new Wallet(10000));
+        const stock = trading.getStationInventory('tradingStation').items.find(entry => entry.item.id === 'fuel-hydrogen').quantity;
+        
+        const refused = trading.buyFromStation('tradingStation', 'fuel-hydrogen', 6);
+        assertEqual(refused.error, 'Insufficient cargo space', 'Six units of fuel should not fit in ten cubic metres');
+        assertEqual(trading.getPlayerItemQuantity('fuel-hydrogen'), 0, 'A refused purchase should load nothing');
+        assertEqual(trading.getStationInventory('tradingStation').items.find(entry => entry.item.id === 'fuel-hydrogen').quantity, stock, 'A refused purchase should leave the stock');
+        
+        assert(trading.buyFromStation('tradingStation', 'fuel-hydrogen', 5).success, 'Five units of fuel should fit exactly');
+        
+        const station = { id: 'test-station', market: { 'ore-iron': { sellPrice: 1, buyPrice: 1, supply: 100 } } };
+        assertEqual(trading.buyItem(station, 'ore-iron', 1).error, 'Insufficient cargo space', 'A full hold should refuse market purchases');
+        assertEqual(trading.addPlayerItem('ore-iron', 3), 0, 'Mined ore should not load into a full hold');
+    });
+    
+    test('should share one hold and wallet between the player and trading', function() {
+        const player = new Player('TestPilot');
+        player.cargoCapacity = 4;
+        const trading = new TradingSystem([], player.cargo, player.wallet);
+        
+        assert(!player.addResource('fuel-hydrogen', 3), 'Cargo beyond the hold volume should be refused');
+        assert(player.addResource('fuel-hydrogen', 2), 'Cargo that fits should be loaded');
+        assertEqual(player.currentCargo, 4, 'Cargo use should be counted in volume');
+        assertEqual(trading.getPlayerItemQuantity('fuel-hydrogen'), 2, 'Trading should see what the player loaded');
+        
+        player.upgradeShip('cargo', 0);
+        assert(player.getCargoSpaceRemaining() > 0, 'A cargo upgrade should enlarge the shared hold');
+        assertEqual(trading.cargo.capacity, player.cargoCapacity, 'Trading should see the upgraded capacity');
+        
+        const station = { id: 'test-station', market: { 'fuel-hydrogen': { sellPrice: 10, buyPrice: 8, supply: 100 } } };
+        const credits = player.wallet.credits;
+        assert(trading.sellItem(station, 'fuel-hydrogen', 2).success, 'Selling held fuel should succeed');
+        assertEqual(player.toSaveData().credits, credits + 16, 'Saves should see what trading paid');
+        assert(player.spendCredits(6), 'The player should be able to spend trading income');
+        assertEqual(trading.getPlayerCredits(), credits + 10, 'Trading should see what the player spent');
+    });
+    
+    test('should size a shared hold from the saved cargo upgrade', function() {
+        const cargo = new CargoHold();
+        const wallet = new Wallet();
+        const player = new Player('TestPilot', undefined, { cargo, wallet });
+        assert(player.cargo === cargo && player.wallet === wallet, 'The player should use the hold and wallet it is given');
+        assertEqual(cargo.capacity, PLAYER.CARGO_CAPACITY, 'A new hold should start at the base capacity');
+        
+        const save = player.toSaveData();
+        save.credits = 500;
+        save.upgrades.cargoCapacity = PLAYER.CARGO_CAPACITY * 2;
+        player.loadSaveData(save);
+        assertEqual(cargo.capacity, PLAYER.CARGO_CAPACITY * 2, 'Loading a save should resize the shared hold');
+        assertEqual(wallet.credits, 500, 'Loading a save should fill the shared wallet');
+        
+        player.upgradeShip('cargo', 0);
+        assertEqual(cargo.capacity, Math.floor(PLAYER.CARGO_CAPACITY * 2 * PLAYER.CARGO_UPGRADE_MULTIPLIER), 'Buying an upgrade should resize the shared hold');
+    });
 });
 
 /**
@@ -1940,6 +2359,38 @@ describe('Authentication Service', function() {
         assert(!auth.isLoggedIn(), 'Should be logged out');
         assertEqual(auth.getCurrentUser(), null, 'Should have no current user');
     });
+    
+    test('should validate registrations before sending them', function() {
+        assertThrows(() => AuthService.validateRegistrationData('ab', 'pilot@example.com', 'secret1'), 'Short usernames should be refused');
+        assertThrows(() => AuthService.validateRegistrationData('bad name', 'pilot@example.com', 'secret1'), 'Spaces should be refused');
+        assertThrows(() => AuthService.validateRegistrationData('pilot', 'not-an-email', 'secret1'), 'Bad emails should be refused');
+        assertThrows(() => AuthService.validateRegistrationData('pilot', 'pilot@example.com', '123'), 'Short passwords should be refused');
+        AuthService.validateRegistrationData('pilot_1', 'pilot@example.com', 'secret1');
+    });
+    
+    test('should hand out server access tokens only while they are fresh', async function() {
+        const auth = new AuthService();
+        const now = Date.now();
+        
+        auth.startSession({
+            user: { id: 'pilot', username: 'pilot', email: 'pilot@example.com', createdAt: now },
+            accessToken: 'access-token',
+            accessTokenExpiresAt: now + AUTH.ACCESS_TOKEN_DURATION,
+            refreshToken: 'refresh-token',
+            refreshTokenExpiresAt: now + AUTH.REFRESH_TOKEN_DURATION
+        });
+        
+        assert(auth.isLoggedIn() && !auth.isGuest(), 'A server session should log the player in');
+        assert(!('credits' in auth.getCurrentUser()), 'Credits belong to the wallet, not the session');
+        assertEqual(await auth.getValidAccessToken(), 'access-token', 'A fresh token should be used as is');
+        
+        auth.session.refreshTokenExpiresAt = now - 1;
+        assert(!auth.validateToken(), 'An expired refresh token should end the session');
+        assert(!auth.isLoggedIn(), 'Expired sessions should log the player out');
+        
+        await auth.loginAsGuest('Drifter');
+        assertEqual(await auth.getValidAccessToken(), null, 'Guests should have no token');
+    });
 });
 
 /**
@@ -2338,5 +2789,1454 @@ describe('Ship Movement System', function() {
     });
 });
 
+/**
+ * Ship Physics Tests
+ */
+describe('Ship Physics', function() {
+    test('should sanitize untrusted input', function() {
+        const input = ShipPhysics.normalizeInput({ thrust: 5, rotation: 'left', boost: 'yes' });
+        
+        assertEqual(input.thrust, 1, 'Thrust should be clamped to 1');
+        assertEqual(input.rotation, 0, 'Non-numeric rotation should be ignored');
+        assertEqual(input.boost, false, 'Boost should only accept true');
+    });
+    
+    test('should thrust along the ship heading', function() {
+        const state = ShipPhysics.createState(500, 500, 0);
+        
+        for (let i = 0; i < 30; i++) {
+            ShipPhysics.step(state, { thrust: 1, rotation: 0, boost: false });
+        }
+        
+        assert(state.position.x > 500, 'Ship should move along +x at heading 0');
+        assertApproxEqual(state.position.y, 500, 0.001, 'Ship should not drift sideways');
+    });
+    
+    test('should be deterministic for the same inputs', function() {
+        const inputs = [
+            { thrust: 1, rotation: 1, boost: false },
+            { thrust: 1, rotation: 0, boost: true },
+            { thrust: -1, rotation: -1, boost: false }
+        ];
+        const a = ShipPhysics.createState();
+        const b = ShipPhysics.createState();
+        
+        inputs.forEach(input => {
+            ShipPhysics.step(a, input);
+            ShipPhysics.step(b, input);
+        });
+        
+        assertEqual(a.position.x, b.position.x, 'X positions should match');
+        assertEqual(a.position.y, b.position.y, 'Y positions should match');
+        assertEqual(a.rotation, b.rotation, 'Headings should match');
+    });
+    
+    test('should stop the ship at sector bounds', function() {
+        const state = ShipPhysics.createState(10, 500, 0);
+        state.velocity.x = -100;
+        
+        ShipPhysics.clampToBounds(state, { width: 1000, height: 1000 });
+        
+        assertEqual(state.position.x, 25, 'Ship should be kept inside the margin');
+        assertEqual(state.velocity.x, 0, 'Velocity into the edge should be cancelled');
+    });
+    
+    test('should spend energy while boosting', function() {
+        const state = ShipPhysics.createState();
+        const startEnergy = state.energy;
+        
+        ShipPhysics.step(state, { thrust: 1, rotation: 0, boost: true });
+        
+        assert(state.boosting, 'Ship should be boosting');
+        assert(state.energy < startEnergy, 'Boosting should cost energy');
+    });
+    
+    test('should reset momentum when placed', function() {
+        const state = ShipPhysics.createState();
+        ShipPhysics.step(state, { thrust: 1, rotation: 1, boost: false });
+        
+        ShipPhysics.reset(state, 100, 200);
+        
+        assertEqual(state.position.x, 100, 'X should be moved');
+        assertEqual(state.velocity.x, 0, 'Velocity should be cleared');
+        assertEqual(state.controls.thrustLevel, 0, 'Control smoothing should be cleared');
+        assertEqual(state.rotation, ShipPhysics.SPAWN_HEADING, 'Heading should face up');
+    });
+});
+
+/**
+ * Client Prediction Tests
+ */
+describe('Client Prediction', function() {
+    const serverStateOf = (ship, lastProcessedInput) => ({
+        position: { ...ship.position },
+        velocity: { ...ship.velocity },
+        rotation: ship.rotation,
+        rotationSpeed: ship.rotationSpeed,
+        thrust: ship.thrust,
+        boosting: ship.boosting,
+        controls: { ...ship.controls },
+        lastProcessedInput: lastProcessedInput
+    });
+    
+    test('should number inputs and bound the buffer', function() {
+        const network = new NetworkManager();
+        
+        assertEqual(network.recordInput({ thrust: 1, rotation: 0, boost: false }), 1, 'First input should be seq 1');
+        assertEqual(network.recordInput({ thrust: 1, rotation: 0, boost: false }), 2, 'Sequence should increase');
+        
+        for (let i = 0; i < NETWORK.SNAPSHOT_BUFFER_SIZE * 2; i++) {
+            network.recordInput({ thrust: 0, rotation: 1, boost: false });
+        }
+        assertEqual(network.unacknowledgedInputs.length, NETWORK.SNAPSHOT_BUFFER_SIZE, 'Buffer should be capped');
+    });
+    
+    test('should replay unacknowledged inputs on server state', function() {
+        const network = new NetworkManager();
+        const server = ShipPhysics.createState(500, 500);
+        const client = ShipPhysics.createState(500, 500);
+        const inputs = [
+            { thrust: 1, rotation: 0, boost: false },
+            { thrust: 1, rotation: 1, boost: false },
+            { thrust: 1, rotation: 1, boost: false },
+            { thrust: 0, rotation: -1, boost: false },
+            { thrust: -1, rotation: 0, boost: false }
+        ];
+        
+        inputs.forEach(input => {
+            ShipPhysics.step(client, input);
+            network.recordInput(input);
+        });
+        ShipPhysics.step(server, inputs[0]);
+        ShipPhysics.step(server, inputs[1]);
+        
+        const predicted = ShipPhysics.createState(0, 0);
+        assert(network.reconcile(serverStateOf(server, 2), predicted), 'State should be accepted');
+        
+        assertEqual(network.unacknowledgedInputs.length, 3, 'Acknowledged inputs should be dropped');
+        assertApproxEqual(predicted.position.x, client.position.x, 0.0001, 'Replayed X should match prediction');
+        assertApproxEqual(predicted.position.y, client.position.y, 0.0001, 'Replayed Y should match prediction');
+        assertApproxEqual(predicted.rotation, client.rotation, 0.0001, 'Replayed heading should match prediction');
+    });
+    
+    test('should ignore server states from before a teleport', function() {
+        const network = new NetworkManager();
+        const ship = ShipPhysics.createState(100, 100);
+        
+        network.recordInput({ thrust: 1, rotation: 0, boost: false });
+        network.recordInput({ thrust: 1, rotation: 0, boost: false });
+        network.resetPrediction();
+        
+        const stale = serverStateOf(ShipPhysics.createState(900, 900), 1);
+        assert(!network.reconcile(stale, ship), 'Stale state should be rejected');
+        assertEqual(ship.position.x, 100, 'Ship should not move');
+    });
+});
+
+/**
+ * Snapshot Interpolation Tests
+ */
+describe('Snapshot Interpolation', function() {
+    const snapshot = (time, x, y, rotation = 0, velocity = { x: 0, y: 0 }) => ({ time, x, y, rotation, velocity });
+    
+    test('should interpolate between surrounding snapshots', function() {
+        const buffer = new SnapshotBuffer();
+        buffer.push(snapshot(1000, 0, 0));
+        buffer.push(snapshot(1100, 100, 50));
+        
+        const state = buffer.sample(1025);
+        assertApproxEqual(state.x, 25, 0.001, 'X should be a quarter of the way');
+        assertApproxEqual(state.y, 12.5, 0.001, 'Y should be a quarter of the way');
+    });
+    
+    test('should rotate along the shorter arc', function() {
+        const angle = SnapshotBuffer.lerpAngle(Math.PI - 0.1, -Math.PI + 0.1, 0.5);
+        
+        assertApproxEqual(Math.abs(Math.cos(angle)), 1, 0.001, 'Halfway should point along -x, not +x');
+    });
+    
+    test('should extrapolate along velocity when packets are late', function() {
+        const buffer = new SnapshotBuffer();
+        buffer.push(snapshot(1000, 0, 0, 0, { x: 100, y: 0 }));
+        
+        assertApproxEqual(buffer.sample(1100).x, 10, 0.001, 'Should move with velocity for 100ms');
+        
+        const capped = buffer.sample(1000 + NETWORK.MAX_EXTRAPOLATION_TIME * 10).x;
+        assertApproxEqual(capped, NETWORK.MAX_EXTRAPOLATION_TIME / 10, 0.001, 'Extrapolation should be capped');
+    });
+    
+    test('should reject out-of-order snapshots', function() {
+        const buffer = new SnapshotBuffer();
+        buffer.push(snapshot(1000, 0, 0));
+        
+        assert(!buffer.push(snapshot(900, 50, 50)), 'Older snapshot should be rejected');
+        assertEqual(buffer.snapshots.length, 1, 'Buffer should keep one snapshot');
+    });
+});
+
+/**
+ * Delta State Sync Tests
+ */
+describe('Delta State Sync', function() {
+    const player = (id, x, y) => ({
+        id,
+        sectorId: 'alpha-sector',
+        position: { x, y },
+        velocity: { x: 12.345, y: 0 },
+        rotation: Math.PI / 3,
+        boosting: false
+    });
+    const stateOf = (...players) => new Map(players.map(p => [p.id, StateDelta.encodePlayer(p)]));
+    
+    test('should quantize records to network precision', function() {
+        const record = StateDelta.encodePlayer(player('a', 100.123456, 200.987654));
+        
+        assertEqual(record.x, 100.12, 'Position should keep POSITION_PRECISION decimals');
+        assertEqual(record.vx, 12.3, 'Velocity should keep VELOCITY_PRECISION decimals');
+        assertEqual(record.r, 60, 'Rotation should be sent in degrees');
+        assertApproxEqual(StateDelta.decodePlayer(record).rotation, Math.PI / 3, 0.001, 'Rotation should decode to radians');
+    });
+    
+    test('should only include changed fields', function() {
+        const baseline = stateOf(player('a', 100, 100), player('b', 300, 300));
+        const current = stateOf(player('a', 150, 100), player('c', 500, 500));
+        
+        const delta = StateDelta.diff(baseline, current);
+        
+        assertEqual(delta.changed.length, 2, 'Moved and new players should be listed');
+        assertEqual(Object.keys(delta.changed[0]).sort().join(','), 'id,x', 'Only X changed for player a');
+        assertEqual(delta.removed[0], 'b', 'Missing player should be removed');
+    });
+    
+    test('should rebuild state from baseline and delta', function() {
+        const baseline = stateOf(player('a', 100, 100), player('b', 300, 300));
+        const current = stateOf(player('a', 150, 120), player('c', 500, 500));
+        
+        const rebuilt = StateDelta.apply(baseline, StateDelta.diff(baseline, current));
+        
+        assertEqual(JSON.stringify(Array.from(rebuilt.entries())), JSON.stringify(Array.from(current.entries())), 'Rebuilt state should match');
+        assertEqual(baseline.get('a').x, 100, 'Baseline should not be modified');
+    });
+    
+    test('should ignore deltas without a known keyframe', function() {
+        const network = new NetworkManager();
+        const states = [];
+        network.on(NETWORK.MESSAGE_TYPES.GAME_STATE, data => states.push(data));
+        
+        network.handleWorldState({
+            type: NETWORK.MESSAGE_TYPES.STATE_DELTA,
+            data: { baseKeyframeId: 7, changed: [], removed: [] }
+        });
+        assertEqual(states.length, 0, 'Delta against unknown keyframe should be dropped');
+        
+        network.handleWorldState({
+            type: NETWORK.MESSAGE_TYPES.STATE_KEYFRAME,
+            data: { keyframeId: 7, players: [StateDelta.encodePlayer(player('a', 100, 100))] }
+        });
+        network.handleWorldState({
+            type: NETWORK.MESSAGE_TYPES.STATE_DELTA,
+            data: { baseKeyframeId: 7, changed: [{ id: 'a', x: 140 }], removed: [] }
+        });
+        
+        assertEqual(states.length, 2, 'Keyframe and delta should both produce game state');
+        assertEqual(states[1].players[0].position.x, 140, 'Delta should apply on top of the keyframe');
+    });
+});
+
+/**
+ * Message Codec Tests
+ */
+describe('Message Codec', function() {
+    const types = NETWORK.MESSAGE_TYPES;
+    const roundTrip = (message) => MessageCodec.decode(MessageCodec.encode(message, MessageCodec.BINARY));
+    
+    test('should round-trip input batches exactly', function() {
+        const inputs = [
+            { seq: 41, thrust: 1, rotation: -1, boost: false },
+            { seq: 42, thrust: 0.5, rotation: 0, boost: true }
+        ];
+        const encoded = MessageCodec.encode({
+            type: types.PLAYER_MOVE,
+            playerId: 'player_1',
+            timestamp: 1000,
+            data: { inputs, sectorId: 'alpha-sector', timestamp: 999 }
+        }, MessageCodec.BINARY);
+        
+        assert(encoded instanceof ArrayBuffer, 'Hot messages should encode to binary');
+        
+        const message = MessageCodec.decode(encoded);
+        assertEqual(message.type, types.PLAYER_MOVE, 'Type should survive');
+        assertEqual(message.playerId, 'player_1', 'Player ID should survive');
+        assertEqual(message.data.sectorId, 'alpha-sector', 'Sector should survive');
+        assertEqual(JSON.stringify(message.data.inputs), JSON.stringify(inputs), 'Inputs should replay exactly');
+    });
+    
+    test('should round-trip world state records exactly', function() {
+        const record = StateDelta.encodePlayer({
+            id: 'a',
+            sectorId: 'alpha-sector',
+            position: { x: 812.4712, y: -40.3333 },
+            velocity: { x: -12.345, y: 3.21 },
+            rotation: -2.5,
+            boosting: true
+        });
+        
+        const keyframe = roundTrip({ type: types.STATE_KEYFRAME, timestamp: 5, data: { keyframeId: 3, players: [record], timestamp: 5 } });
+        assertEqual(keyframe.data.keyframeId, 3, 'Keyframe ID should survive');
+        assertEqual(JSON.stringify(keyframe.data.players[0]), JSON.stringify(record), 'Quantized record should be exact');
+        
+        const delta = roundTrip({
+            type: types.STATE_DELTA,
+            data: { baseKeyframeId: 3, changed: [{ id: 'a', x: 815.5 }], removed: ['b'] }
+        });
+        assertEqual(JSON.stringify(delta.data.changed), JSON.stringify([{ id: 'a', x: 815.5 }]), 'Only changed fields should be present');
+        assertEqual(delta.data.removed[0], 'b', 'Removed IDs should survive');
+    });
+    
+    test('should keep own ship state at full precision', function() {
+        const state = {
+            id: 'player_1',
+            sectorId: 'alpha-sector',
+            position: { x: 960.123456789, y: 540.987654321 },
+            velocity: { x: 1 / 3, y: -2 / 3 },
+            rotation: Math.PI / 7,
+            rotationSpeed: 0.3,
+            thrust: 0.8,
+            controls: { thrustLevel: 0.79, rotationDirection: 0.1 },
+            boosting: false,
+            lastProcessedInput: 120,
+            lastUpdate: 1700000000000,
+            connected: true
+        };
+        
+        const message = roundTrip({ type: types.PLAYER_STATE, data: state });
+        
+        assertEqual(JSON.stringify(message.data), JSON.stringify(state), 'Reconciliation state should be lossless');
+    });
+    
+    test('should fall back to JSON for cold messages and JSON peers', function() {
+        const chat = { type: types.CHAT_MESSAGE, data: { message: 'hi' } };
+        const fire = { type: types.PLAYER_FIRE, data: { position: { x: 1, y: 2 }, rotation: 90, weaponType: 'laser' } };
+        
+        assertEqual(typeof MessageCodec.encode(chat, MessageCodec.BINARY), 'string', 'Cold messages stay JSON');
+        assertEqual(typeof MessageCodec.encode(fire, MessageCodec.JSON), 'string', 'JSON peers get JSON');
+        assertEqual(roundTrip(fire).data.weaponType, 'laser', 'Fire events should encode to binary');
+        assertEqual(roundTrip({ ...fire, data: { ...fire.data, viewTime: 12345 } }).data.viewTime, 12345, 'Shots should keep their view time');
+        assertEqual(MessageCodec.negotiate(['json']), MessageCodec.JSON, 'Old servers negotiate JSON');
+        assertEqual(MessageCodec.negotiate(MessageCodec.SUPPORTED), MessageCodec.BINARY, 'Binary is preferred');
+    });
+    
+    test('should reject unknown binary versions', function() {
+        const encoded = MessageCodec.encode({ type: types.PLAYER_FIRE, data: { position: { x: 0, y: 0 }, rotation: 0 } }, MessageCodec.BINARY);
+        new DataView(encoded).setUint8(0, 99);
+        
+        assertThrows(() => MessageCodec.decode(encoded), 'Future versions should not be misread');
+    });
+});
+
+/**
+ * Protocol Handshake Tests
+ */
+describe('Protocol Handshake', function() {
+    const connectedNetwork = () => {
+        const network = new NetworkManager();
+        const sent = [];
+        network.isConnected = true;
+        network.socket = { send: payload => sent.push(MessageCodec.decode(payload)) };
+        return { network, sent };
+    };
+    
+    test('should settle features and codec from the welcome', function() {
+        const { network, sent } = connectedNetwork();
+        
+        network.handleWelcome({
+            protocolVersion: NETWORK.PROTOCOL_VERSION,
+            serverBuild: '9.9.9',
+            features: [NETWORK.FEATURES.DELTA_STATE, 'teleporters'],
+            codecs: MessageCodec.SUPPORTED
+        });
+        
+        assert(network.hasFeature(NETWORK.FEATURES.DELTA_STATE), 'Shared feature should be enabled');
+        assert(!network.hasFeature('teleporters'), 'Features the client lacks should not be enabled');
+        assertEqual(network.getNetworkStats().serverBuild, '9.9.9', 'Server build should be recorded');
+        assertEqual(sent[0].type, NETWORK.MESSAGE_TYPES.CODEC_SELECT, 'Client should confirm its codec');
+        assertEqual(network.codec, MessageCodec.BINARY, 'Binary codec should be selected');
+    });
+    
+    test('should keep the resume token until a deliberate disconnect', function() {
+        const { network, sent } = connectedNetwork();
+        network.playerId = 'player_1';
+        network.socket.close = () => {};
+        
+        network.handleMessage(JSON.stringify({
+            type: NETWORK.MESSAGE_TYPES.SESSION,
+            data: { playerId: 'player_1', resumeToken: 'abc123', resumed: false }
+        }));
+        assertEqual(network.resumeToken, 'abc123', 'Token from the session message should be kept');
+        
+        network.disconnect();
+        assertEqual(network.resumeToken, null, 'Leaving on purpose should forget the session');
+        assertEqual(MessageValidator.validate(sent[0]), null, 'Leave message should be valid');
+    });
+    
+    test('should remember how long a restarting server will be away', function() {
+        const { network } = connectedNetwork();
+        network.resumeToken = 'abc123';
+        
+        network.handleMessage(JSON.stringify({
+            type: NETWORK.MESSAGE_TYPES.SERVER_SHUTDOWN,
+            data: { message: 'Server is restarting', expectedDowntime: 17000 }
+        }));
+        assertEqual(network.restartDelay, 17000, 'Announced downtime should be kept for the reconnect');
+        assertEqual(network.resumeToken, 'abc123', 'A restart should not forget the session');
+        
+        network.handleMessage(JSON.stringify({
+            type: NETWORK.MESSAGE_TYPES.ERROR,
+            data: { code: NETWORK.ERROR_CODES.SERVER_RESTARTING, error: 'Server is restarting', retryAfter: 4000 }
+        }));
+        assertEqual(network.restartDelay, 4000, 'A join refused during a restart should say when to retry');
+    });
+    
+    test('should leave features off when an old server offers none', function() {
+        const { network } = connectedNetwork();
+        
+        network.handleWelcome({ message: 'Connected to Max-Pixels Game Server' });
+        
+        assert(!network.hasFeature(NETWORK.FEATURES.DELTA_STATE), 'Unadvertised features should stay off');
+        assertEqual(network.codec, MessageCodec.JSON, 'Old servers should keep JSON');
+    });
+});
+
+/**
+ * Message Validation Tests
+ */
+describe('Message Validation', function() {
+    const types = NETWORK.MESSAGE_TYPES;
+    const message = (type, data) => ({ type, playerId: 'player_1', timestamp: 1000, data });
+    
+    test('should accept everything NetworkManager sends', function() {
+        const network = new NetworkManager();
+        const sent = [];
+        network.isConnected = true;
+        network.playerId = 'player_1';
+        network.socket = { send: payload => sent.push(MessageCodec.decode(payload)), close: () => {} };
+        
+        network.selectCodec(MessageCodec.SUPPORTED);
+        network.recordInput({ thrust: 1, rotation: -1, boost: false });
+        network.sendPlayerInput('alpha-sector');
+        network.sendPlayerFire({ x: 10, y: 20 }, 90, 'laser');
+        network.sendPlayerRespawn();
+        network.sendChatMessage('hello');
+        network.disconnect();
+        
+        assertEqual(sent.length, 6, 'Every message should have been sent');
+        sent.forEach(sentMessage => {
+            assertEqual(MessageValidator.validate(sentMessage), null, `${sentMessage.type} should be valid`);
+        });
+    });
+    
+    test('should reject malformed messages', function() {
+        const longChat = 'x'.repeat(NETWORK.MAX_CHAT_MESSAGE_LENGTH + 1);
+        const tooManyInputs = Array.from({ length: NETWORK.MAX_QUEUED_INPUTS + 1 }, (_, i) => ({ seq: i + 1, thrust: 0, rotation: 0 }));
+        
+        assert(MessageValidator.validate(null), 'Non-objects should be rejected');
+        assert(MessageValidator.validate(message(types.GAME_STATE, {})), 'Server-only types should be rejected');
+        assert(MessageValidator.validate(message(types.CHAT_MESSAGE, { message: longChat })), 'Oversized chat should be rejected');
+        assert(MessageValidator.validate(message(types.PLAYER_MOVE, { inputs: tooManyInputs })), 'Oversized input batches should be rejected');
+        assert(MessageValidator.validate(message(types.STATE_ACK, { keyframeId: -1 })), 'Negative keyframe IDs should be rejected');
+        
+        const badInput = MessageValidator.validate(message(types.PLAYER_MOVE, { inputs: [{ seq: 1, thrust: 'full', rotation: 0 }] }));
+        assertEqual(badInput, 'data.inputs[0].thrust must be a finite number', 'Errors should name the field');
+    });
+});
+
+/**
+ * Token Bucket Tests
+ */
+describe('Token Bucket', function() {
+    test('should allow a burst up to capacity', function() {
+        const bucket = new TokenBucket(5, 5, 0);
+        
+        for (let i = 0; i < 5; i++) {
+            assert(bucket.take(1, 0), `Message ${i + 1} should fit in the burst`);
+        }
+        assert(!bucket.take(1, 0), 'Sixth message should be limited');
+    });
+    
+    test('should refill at its rate without exceeding capacity', function() {
+        const bucket = new TokenBucket(5, 5, 0);
+        for (let i = 0; i < 5; i++) bucket.take(1, 0);
+        
+        assert(bucket.take(1, 200), 'One token should refill after 200ms');
+        assert(!bucket.take(1, 200), 'Only one token should have refilled');
+        
+        bucket.refill(60000);
+        assertEqual(bucket.tokens, 5, 'Tokens should cap at capacity');
+    });
+});
+
+/**
+ * Clock Sync Tests
+ */
+describe('Clock Sync', function() {
+    test('should estimate offset and round trip from heartbeats', function() {
+        const clock = new ClockSync();
+        
+        // Server runs 5000ms ahead; 40ms round trip, answered halfway
+        clock.addSample(1000, 6020, 1040);
+        
+        assertEqual(clock.offset, 5000, 'Offset should be the server lead');
+        assertEqual(clock.rtt, 40, 'Round trip should be measured');
+        assertEqual(clock.getServerTime(2000), 7000, 'Server time should apply the offset');
+    });
+    
+    test('should trust the quickest round trip for the offset', function() {
+        const clock = new ClockSync();
+        
+        clock.addSample(0, 5090, 200);     // queued on the way back: offset looks like 4990
+        clock.addSample(1000, 6020, 1040); // clean: offset 5000
+        clock.addSample(2000, 7150, 2160); // queued on the way out: offset looks like 5070
+        
+        assertEqual(clock.offset, 5000, 'Offset should come from the 40ms sample');
+        assertEqual(clock.rtt, 160, 'Round trip should be the median');
+        assert(clock.jitter > 0, 'Varying round trips should show jitter');
+        assert(!clock.addSample(3000, 8000, 2990), 'Answers from before the request should be ignored');
+    });
+    
+    test('should time heartbeat answers in NetworkManager', function() {
+        const network = new NetworkManager();
+        const sentAt = Date.now() - 30;
+        
+        assertEqual(network.getRTT(), null, 'No round trip is known before a heartbeat');
+        
+        network.handleMessage(JSON.stringify({
+            type: NETWORK.MESSAGE_TYPES.HEARTBEAT,
+            data: { clientTime: sentAt, serverTime: sentAt + 15 }
+        }));
+        
+        assert(network.getRTT() >= 30, 'Round trip should cover the time since sending');
+        assertApproxEqual(network.getServerTime(), Date.now(), 50, 'Clocks on one machine should agree');
+    });
+    
+    test('should pass heartbeat answers on only to registered handlers', function() {
+        const network = new NetworkManager();
+        const answer = JSON.stringify({
+            type: NETWORK.MESSAGE_TYPES.HEARTBEAT,
+            data: { clientTime: Date.now() - 20, serverTime: Date.now() }
+        });
+        let unhandled = 0;
+        network.dispatchMessage = () => unhandled++;
+        network.handleMessage(answer);
+        assertEqual(unhandled, 0, 'Heartbeats should not reach the unhandled message log');
+        
+        delete network.dispatchMessage;
+        const received = [];
+        network.on(NETWORK.MESSAGE_TYPES.HEARTBEAT, (data) => received.push(data));
+        network.handleMessage(answer);
+        assertEqual(received.length, 1, 'A heartbeat handler should see every answer');
+        assert(Number.isFinite(received[0].clientTime), 'The handler should get the echoed send time');
+    });
+});
+
+describe('Lag Compensation', function() {
+    test('should rewind ships to the time the shooter saw', function() {
+        const history = new LagCompensation();
+        history.record('ship', { x: 0, y: 0 }, 1000);
+        history.record('ship', { x: 100, y: 0 }, 1100);
+        
+        assertEqual(history.getPosition('ship', 1050).x, 50, 'Positions between samples should interpolate');
+        assertEqual(history.getPosition('ship', 900).x, 0, 'Older times should use the oldest sample');
+        assertEqual(history.getPosition('ship', 1200).x, 100, 'Newer times should use the newest sample');
+        assertEqual(history.getPosition('unknown', 1000), null, 'Unknown ships have no history');
+    });
+    
+    test('should only rewind within the compensation threshold', function() {
+        const now = 10000;
+        
+        assertEqual(LagCompensation.getRewindTime(now - 50, now), now - 50, 'Recent view times are honoured');
+        assertEqual(LagCompensation.getRewindTime(0, now), now - NETWORK.LAG_COMPENSATION_THRESHOLD, 'Old view times are clamped');
+        assertEqual(LagCompensation.getRewindTime(now + 500, now), now, 'Future view times are clamped to now');
+        assertEqual(LagCompensation.getRewindTime(undefined, now), now, 'Shots without a view time use the present');
+    });
+    
+    test('should hit the first target along the laser', function() {
+        // Facing right: display rotation 90 degrees
+        const segment = LagCompensation.getLaserSegment({ x: 0, y: 0 }, 90);
+        assertApproxEqual(segment.startX, PLAYER.RADIUS, 0.001, 'Beam should start at the nose');
+        assertApproxEqual(segment.endX, WEAPONS.LASER_RANGE, 0.001, 'Beam should reach laser range');
+        
+        const far = { id: 'far', x: 300, y: 0, radius: 20 };
+        const near = { id: 'near', x: 150, y: 10, radius: 20 };
+        const aside = { id: 'aside', x: 100, y: 100, radius: 20 };
+        
+        assertEqual(LagCompensation.findFirstHit(segment, [far, aside, near]).id, 'near', 'Nearest target should block the beam');
+        assertEqual(LagCompensation.findFirstHit(segment, [aside]), null, 'Targets off the beam should be missed');
+    });
+});
+
+describe('PvP Combat', function() {
+    test('should apply shield and armor rules to server ships', function() {
+        const ship = Player.createDefenses();
+        ship.armorRating = 2;
+        
+        const result = Player.applyDamage(ship, 40, false, 1000);
+        
+        assertEqual(result.shieldDamage, 40 * PLAYER.SHIELD_DAMAGE_REDUCTION, 'Shields should absorb their share');
+        assertEqual(result.healthDamage, 10, 'Armor should halve the rest');
+        assertEqual(ship.health, PLAYER.MAX_HEALTH - 10, 'Health should drop by the armored damage');
+        assertEqual(ship.lastDamageTime, 1000, 'Damage time should use the given clock');
+    });
+    
+    test('should ignore damage to invincible or dead ships', function() {
+        const ship = Player.createDefenses();
+        ship.invincibilityEndTime = 2000;
+        
+        assertEqual(Player.applyDamage(ship, 50, false, 1000), null, 'Freshly respawned ships are invincible');
+        assertEqual(ship.health, PLAYER.MAX_HEALTH, 'Invincible ships keep their health');
+        
+        ship.isAlive = false;
+        assertEqual(Player.applyDamage(ship, 50, false, 3000), null, 'Dead ships cannot be hit again');
+    });
+    
+    test('should regenerate after the damage delay', function() {
+        const ship = Player.createDefenses();
+        Player.applyDamage(ship, 40, true, 0);
+        
+        assert(!Player.restoreHealth(ship, 1, PLAYER.HEALTH_REGEN_DELAY - 1), 'Health waits for the regen delay');
+        assert(Player.restoreHealth(ship, 1, PLAYER.HEALTH_REGEN_DELAY), 'Health regenerates after the delay');
+        assertEqual(ship.health, PLAYER.MAX_HEALTH - 40 + PLAYER.HEALTH_REGEN_RATE, 'Regen should follow the regen rate');
+    });
+    
+    test('should keep the starting sector safe', function() {
+        const navigation = new SpaceNavigation();
+        
+        assert(!navigation.isPvpEnabled('alpha-sector'), 'Alpha is a safe sector');
+        assert(navigation.isPvpEnabled('beta-sector'), 'Beta allows PvP');
+        assert(!navigation.isPvpEnabled('unknown-sector'), 'Unknown sectors are treated as safe');
+    });
+});
+
+describe('Asteroid Field', function() {
+    test('should give every server the same asteroid IDs', function() {
+        const bounds = { width: 1000, height: 500 };
+        const first = AsteroidField.generate('beta-sector', 5, bounds);
+        const second = AsteroidField.generate('beta-sector', 5, bounds);
+        
+        assertEqual(first.length, 5, 'Field should have the requested asteroids');
+        assertEqual(first.map(asteroid => asteroid.id).join(), second.map(asteroid => asteroid.id).join(), 'IDs should be stable');
+        assert(first.every(asteroid => asteroid.type === 'asteroid' && asteroid.sectorId === 'beta-sector'), 'Asteroids should be tagged with their sector');
+        assert(first.every(asteroid => asteroid.x >= 0 && asteroid.x < bounds.width && asteroid.y < bounds.height), 'Asteroids should lie inside the sector');
+    });
+    
+    test('should break asteroids after enough damage and respawn them in place of the old', function() {
+        const [asteroid] = AsteroidField.generate('alpha-sector', 1, { width: 100, height: 100 }, () => 0.5);
+        const id = asteroid.id;
+        
+        assertEqual(asteroid.maxHealth, Math.round(asteroid.size * ASTEROID_FIELD.HEALTH_PER_SIZE), 'Bigger rocks should take more hits');
+        assert(!AsteroidField.damage(asteroid, 1), 'A scratch should not break the asteroid');
+        assert(AsteroidField.damage(asteroid, asteroid.maxHealth), 'Enough damage should break it');
+        assertEqual(asteroid.health, 0, 'Health should not go negative');
+        
+        AsteroidField.respawn(asteroid, { width: 100, height: 100 }, () => 0.25);
+        assertEqual(asteroid.id, id, 'Respawned asteroids keep their ID');
+        assertEqual(asteroid.health, asteroid.maxHealth, 'Respawned asteroids are whole again');
+        assertEqual(asteroid.x, 25, 'Respawned asteroids move');
+    });
+});
+
+/**
+ * Persistence Tests
+ */
+describe('Persistence', function() {
+    test('should restore a player from their save data', function() {
+        const player = new Player('TestPilot');
+        player.wallet.set(2500);
+        player.addResource('ore-iron', 12);
+        player.maxShield = 150;
+        player.stats.systemsVisited.add('beta-sector');
+        player.stats.asteroidsDestroyed = 7;
+        player.lastSector = 'beta-sector';
+        
+        const save = JSON.parse(JSON.stringify(player.toSaveData()));
+        const restored = new Player('TestPilot');
+        restored.loadSaveData(save);
+        
+        assertEqual(restored.wallet.credits, 2500, 'Credits should survive a save');
+        assertEqual(restored.getResource('ore-iron'), 12, 'Cargo should survive a save');
+        assertEqual(restored.currentCargo, 12, 'Cargo use should be recounted');
+        assertEqual(restored.maxShield, 150, 'Upgrades should survive a save');
+        assertEqual(restored.lastSector, 'beta-sector', 'Last sector should survive a save');
+        assert(restored.stats.systemsVisited.has('beta-sector'), 'Visited systems should come back as a set');
+        assertEqual(restored.stats.asteroidsDestroyed, 7, 'Statistics should survive a save');
+    });
+    
+    test('should replace malformed save fields with new player defaults', function() {
+        const defaults = new Player(null).toSaveData();
+        const save = Player.normalizeSaveData({
+            credits: -50,
+            cargo: { 'ore-iron': 3, 'ore-copper': 'lots', 'food-rations': 0 },
+            upgrades: { maxHealth: Infinity, shipType: 'heavy_hauler' },
+            stats: { deathCount: 2, systemsVisited: ['alpha-sector', 42] }
+        });
+        
+        assertEqual(save.version, Player.SAVE_VERSION, 'Save should carry the current version');
+        assertEqual(save.credits, defaults.credits, 'Negative credits should fall back to the default');
+        assertEqual(JSON.stringify(save.cargo), JSON.stringify({ 'ore-iron': 3 }), 'Only positive quantities should be kept');
+        assertEqual(save.upgrades.maxHealth, defaults.upgrades.maxHealth, 'Non-finite upgrades should fall back');
+        assertEqual(save.upgrades.shipType, 'heavy_hauler', 'Valid upgrades should be kept');
+        assertEqual(save.stats.deathCount, 2, 'Valid statistics should be kept');
+        assertEqual(save.stats.systemsVisited.join(), 'alpha-sector', 'Only sector IDs should be kept');
+        assertEqual(save.lastSector, null, 'A missing sector should stay unset');
+        assertEqual(JSON.stringify(Player.normalizeSaveData(null)), JSON.stringify(defaults), 'No save should mean a new player');
+    });
+    
+    test('should build server defenses from saved upgrades', function() {
+        const ship = Player.createDefenses({ maxHealth: 150, maxShield: 80, armorRating: 1.5 });
+        
+        assertEqual(ship.health, 150, 'Upgraded hulls should start full');
+        assertEqual(ship.shield, 80, 'Upgraded shields should start full');
+        assertEqual(ship.armorRating, 1.5, 'Armor upgrades should apply');
+        assertEqual(Player.createDefenses().maxHealth, PLAYER.MAX_HEALTH, 'No upgrades should mean a stock ship');
+    });
+    
+    test('should only accept well-formed progress reports', function() {
+        const report = (data) => MessageValidator.validate({ type: NETWORK.MESSAGE_TYPES.PLAYER_PROGRESS, data });
+        
+        assertEqual(report({ credits: 1200, cargo: { 'ore-iron': 4 } }), null, 'A normal report should pass');
+        assert(report({ credits: 1200, cargo: { 'ore-iron': 'four' } }) !== null, 'Quantities should be numbers');
+        assert(report({ credits: 1200, cargo: [] }) !== null, 'Cargo should be a map');
+        
+        const crowded = {};
+        for (let i = 0; i <= NETWORK.MAX_CARGO_ENTRIES; i++) crowded[`item-${i}`] = 1;
+        assert(report({ credits: 1200, cargo: crowded }) !== null, 'Oversized cargo should be refused');
+    });
+});
+
+/**
+ * Game Server Tests
+ * The server only runs on Node, so these suites are left out in the browser
+ */
+const isNode = typeof process !== 'undefined' && Boolean(process.versions?.node);
+
+async function createTestServer() {
+    const { GameServer } = await import('../server/gameServer.js');
+    const { logger } = await import('../server/logging/Logger.js');
+    logger.setLevel('error');
+    return new GameServer();
+}
+
+/**
+ * Stand-in for a ws socket that records what the server sends it
+ */
+function createTestSocket() {
+    return {
+        readyState: 1,
+        sent: [],
+        closeCode: null,
+        send(data) {
+            this.sent.push(MessageCodec.decode(data));
+        },
+        close(code) {
+            this.readyState = 3;
+            this.closeCode = code;
+        },
+        on() {},
+        received(type) {
+            return this.sent.filter(message => message.type === type);
+        }
+    };
+}
+
+function joinTestPlayer(server, playerId, data = {}) {
+    const ws = createTestSocket();
+    server.acceptConnection(ws, '127.0.0.1');
+    server.handlePlayerJoin(ws, {
+        type: NETWORK.MESSAGE_TYPES.PLAYER_JOIN,
+        data: { playerId, protocolVersion: NETWORK.PROTOCOL_VERSION, ...data }
+    });
+    return ws;
+}
+
+/**
+ * Join with an account's access token, so the player's progress is kept
+ */
+function joinTestAccount(server, username) {
+    const account = { id: username, username, passwordHash: 'scrypt$00$00' };
+    server.store.set('accounts', username, account);
+    return joinTestPlayer(server, username, { authToken: server.accounts.createSession(account).accessToken });
+}
+
+/**
+ * @returns {Promise<string|null>} - Code of the error the action failed with, null if it succeeded
+ */
+async function errorCodeOf(action) {
+    try {
+        await action();
+        return null;
+    } catch (error) {
+        return error.code;
+    }
+}
+
+if (isNode) {
+    describe('Game Server Sessions', function() {
+        test('should refuse a second socket claiming a connected player', async function() {
+            const server = await createTestServer();
+            const first = joinTestPlayer(server, 'Pilot');
+            const second = joinTestPlayer(server, 'Pilot');
+            
+            const [error] = second.received(NETWORK.MESSAGE_TYPES.ERROR);
+            assertEqual(error?.data.code, NETWORK.ERROR_CODES.ALREADY_CONNECTED, 'The newcomer should be told the pilot is connected');
+            assertEqual(second.closeCode, NETWORK.CONNECTION_REJECTED_CLOSE_CODE, 'The newcomer should be hung up on');
+            assertEqual(first.closeCode, null, 'The live connection should stay open');
+            assertEqual(server.clients.get('Pilot'), first, 'The live connection should keep the player');
+        });
+        
+        test('should hand a connected player over to a socket with their resume token', async function() {
+            const server = await createTestServer();
+            const first = joinTestPlayer(server, 'Pilot');
+            const [session] = first.received(NETWORK.MESSAGE_TYPES.SESSION);
+            const second = joinTestPlayer(server, 'Pilot', { resumeToken: session.data.resumeToken });
+            
+            assertEqual(first.closeCode, NETWORK.CONNECTION_REJECTED_CLOSE_CODE, 'The old connection should be closed');
+            assertEqual(server.clients.get('Pilot'), second, 'The new connection should own the player');
+            assert(second.received(NETWORK.MESSAGE_TYPES.SESSION)[0].data.resumed, 'The ship should be resumed, not replaced');
+        });
+    });
+    
+    describe('Game Server Sectors', function() {
+        const sendMove = (server, ws, sectorId) => server.handlePlayerMove(ws, {
+            type: NETWORK.MESSAGE_TYPES.PLAYER_MOVE,
+            data: { inputs: [], sectorId }
+        });
+        
+        test('should refuse a jump made away from any gate', async function() {
+            const server = await createTestServer();
+            const ws = joinTestPlayer(server, 'Pilot');
+            const player = server.gameState.players.get('Pilot');
+            player.position = { x: 0, y: 0 };
+            
+            sendMove(server, ws, 'beta-sector');
+            
+            assertEqual(player.sectorId, 'alpha-sector', 'The ship should stay in its sector');
+            assertEqual(ws.received(NETWORK.MESSAGE_TYPES.ERROR)[0]?.data.code, NETWORK.ERROR_CODES.INVALID_JUMP, 'The client should be told why');
+            assertEqual(ws.received(NETWORK.MESSAGE_TYPES.ROOM_JOIN).pop().data.roomId, 'alpha-sector', 'The client should be sent back to its room');
+        });
+        
+        test('should let a ship at the gate jump to where it leads', async function() {
+            const server = await createTestServer();
+            const ws = joinTestPlayer(server, 'Pilot');
+            const player = server.gameState.players.get('Pilot');
+            const gate = server.navigation.getGateTo('alpha-sector', 'beta-sector');
+            player.position = { x: gate.x, y: gate.y };
+            
+            sendMove(server, ws, 'gamma-sector');
+            assertEqual(player.sectorId, 'alpha-sector', 'A gate only leads to its own destination');
+            
+            sendMove(server, ws, 'beta-sector');
+            assertEqual(player.sectorId, 'beta-sector', 'The jump through the gate should be accepted');
+            assertEqual(ws.received(NETWORK.MESSAGE_TYPES.ROOM_JOIN).pop().data.roomId, 'beta-sector', 'The client should join the new room');
+        });
+        
+        test('should only send updates to players in the same sector', async function() {
+            const server = await createTestServer();
+            const pilot = joinTestPlayer(server, 'Pilot');
+            const wingman = joinTestPlayer(server, 'Wingman');
+            const stranger = joinTestPlayer(server, 'Stranger');
+            server.changePlayerSector(stranger, server.gameState.players.get('Stranger'), 'beta-sector');
+            [pilot, wingman, stranger].forEach(ws => { ws.sent = []; });
+            
+            sendMove(server, pilot, 'alpha-sector');
+            server.syncWorldState();
+            
+            assertEqual(wingman.received(NETWORK.MESSAGE_TYPES.PLAYER_MOVE)[0]?.data.playerId, 'Pilot', 'Sector mates should see the ship move');
+            assertEqual(stranger.received(NETWORK.MESSAGE_TYPES.PLAYER_MOVE).length, 0, 'Other sectors should not hear about it');
+            
+            const seenBy = (ws) => ws.received(NETWORK.MESSAGE_TYPES.GAME_STATE)[0].data.players.map(player => player.id).sort().join();
+            assertEqual(seenBy(wingman), 'Pilot,Wingman', 'World state should hold the sector\'s ships');
+            assertEqual(seenBy(stranger), 'Stranger', 'World state should leave out other sectors');
+        });
+        
+        test('should move a jumping player from the old room to the new one', async function() {
+            const server = await createTestServer();
+            const pilot = joinTestPlayer(server, 'Pilot');
+            const wingman = joinTestPlayer(server, 'Wingman');
+            const stranger = joinTestPlayer(server, 'Stranger');
+            server.changePlayerSector(stranger, server.gameState.players.get('Stranger'), 'beta-sector');
+            [pilot, wingman, stranger].forEach(ws => { ws.sent = []; });
+            
+            const gate = server.navigation.getGateTo('alpha-sector', 'beta-sector');
+            server.gameState.players.get('Pilot').position = { x: gate.x, y: gate.y };
+            sendMove(server, pilot, 'beta-sector');
+            
+            assert(!server.rooms.get('alpha-sector').has('Pilot'), 'The old room should lose the player');
+            assert(server.rooms.get('beta-sector').has('Pilot'), 'The new room should gain the player');
+            assertEqual(wingman.received(NETWORK.MESSAGE_TYPES.PLAYER_LEAVE)[0]?.data.playerId, 'Pilot', 'The old room should see the player leave');
+            assertEqual(stranger.received(NETWORK.MESSAGE_TYPES.PLAYER_JOIN)[0]?.data.playerId, 'Pilot', 'The new room should see the player arrive');
+            
+            const [room] = pilot.received(NETWORK.MESSAGE_TYPES.ROOM_JOIN);
+            assertEqual(room.data.players.map(player => player.id).sort().join(), 'Pilot,Stranger', 'The jumper should be sent the new room');
+        });
+    });
+    
+    describe('Game Server Combat', function() {
+        const sendFire = (server, ws, player) => server.handlePlayerFire(ws, {
+            type: NETWORK.MESSAGE_TYPES.PLAYER_FIRE,
+            data: { position: { ...player.position }, rotation: 0, viewTime: Date.now(), timestamp: Date.now() }
+        });
+        
+        test('should charge energy for each shot and drop shots it cannot pay for', async function() {
+            const server = await createTestServer();
+            const pilot = joinTestPlayer(server, 'Pilot');
+            const wingman = joinTestPlayer(server, 'Wingman');
+            const player = server.gameState.players.get('Pilot');
+            
+            player.energy = WEAPONS.ENERGY_COST - 1;
+            sendFire(server, pilot, player);
+            assertEqual(wingman.received(NETWORK.MESSAGE_TYPES.PLAYER_FIRE).length, 0, 'A shot without energy should be dropped');
+            assertEqual(player.energy, WEAPONS.ENERGY_COST - 1, 'A dropped shot should cost nothing');
+            
+            player.energy = WEAPONS.MAX_ENERGY;
+            sendFire(server, pilot, player);
+            assertEqual(wingman.received(NETWORK.MESSAGE_TYPES.PLAYER_FIRE).length, 1, 'A paid shot should be fired');
+            assertEqual(player.energy, WEAPONS.MAX_ENERGY - WEAPONS.ENERGY_COST, 'The shot should cost its energy');
+        });
+        
+        test('should only respawn dead ships', async function() {
+            const server = await createTestServer();
+            const pilot = joinTestPlayer(server, 'Pilot');
+            const player = server.gameState.players.get('Pilot');
+            const respawn = () => server.handlePlayerRespawn(pilot, {
+                type: NETWORK.MESSAGE_TYPES.PLAYER_RESPAWN,
+                data: { timestamp: Date.now() }
+            });
+            
+            player.health = 10;
+            player.position = { x: 500, y: 400 };
+            respawn();
+            assertEqual(player.health, 10, 'A living ship should not be repaired');
+            assertEqual(player.position.x, 500, 'A living ship should not be moved');
+            
+            player.isAlive = false;
+            player.health = 0;
+            respawn();
+            assert(player.isAlive, 'A dead ship should come back');
+            assertEqual(player.health, player.maxHealth, 'A respawned ship should be whole');
+            assertEqual(player.position.x, PLAYER.SPAWN_X, 'A respawned ship should start at the spawn point');
+        });
+    });
+    
+    describe('Game Server Progress', function() {
+        const report = (server, ws, credits, cargo) => server.handlePlayerProgress(ws, {
+            type: NETWORK.MESSAGE_TYPES.PLAYER_PROGRESS,
+            data: { credits, cargo, timestamp: Date.now() }
+        });
+        
+        test('should clamp reported credits and keep only known goods in whole units', async function() {
+            const server = await createTestServer();
+            const ws = joinTestAccount(server, 'Trader');
+            const profile = server.gameState.players.get('Trader').profile;
+            
+            report(server, ws, -50, { 'ore-iron': 10, 'gold-bars': 5, 'food-rations': 2.5 });
+            assertEqual(profile.credits, 0, 'Credits should not go below zero');
+            assertEqual(JSON.stringify(profile.cargo), JSON.stringify({ 'ore-iron': 10 }), 'Unknown goods and fractions should be dropped');
+            
+            profile.credits = TRADING.MAX_PLAYER_CREDITS - 10;
+            report(server, ws, TRADING.MAX_PLAYER_CREDITS * 10, { 'ore-iron': 9 });
+            assertEqual(profile.credits, TRADING.MAX_PLAYER_CREDITS, 'Credits should be capped');
+            assertEqual(server.store.get('players', 'Trader').credits, TRADING.MAX_PLAYER_CREDITS, 'The checked report should be saved');
+        });
+        
+        test('should refuse credits that no sale explains', async function() {
+            const server = await createTestServer();
+            const ws = joinTestAccount(server, 'Trader');
+            const profile = server.gameState.players.get('Trader').profile;
+            const start = profile.credits;
+            const bestPrice = server.trading.getHighestBuyPrice('ore-iron');
+            
+            report(server, ws, start, { 'ore-iron': 10 });
+            report(server, ws, start + 100000, { 'ore-iron': 10 });
+            assertEqual(profile.credits, start, 'Credits without a sale should be refused');
+            assertEqual(server.store.get('players', 'Trader').credits, start, 'The refused balance should not be saved');
+            const [, answer] = ws.received(NETWORK.MESSAGE_TYPES.PLAYER_PROFILE);
+            assertEqual(answer?.data.profile.credits, start, 'The client should be sent back to the saved balance');
+            
+            report(server, ws, start + 5 * bestPrice, { 'ore-iron': 5 });
+            assertEqual(profile.credits, start + 5 * bestPrice, 'Selling at the best price should be accepted');
+            assertEqual(profile.cargo['ore-iron'], 5, 'The sold goods should leave the saved hold');
+            
+            report(server, ws, profile.credits + bestPrice + 1, { 'ore-iron': 4 });
+            assertEqual(profile.credits, start + 5 * bestPrice, 'Selling above any station\'s price should be refused');
+            assertEqual(profile.cargo['ore-iron'], 5, 'A refused report should keep the saved cargo');
+            
+            report(server, ws, profile.credits - 40, { 'ore-iron': 7 });
+            assertEqual(profile.credits, start + 5 * bestPrice - 40, 'Spending should always be accepted');
+        });
+        
+        test('should refuse reported cargo that overfills the hold', async function() {
+            const server = await createTestServer();
+            const ws = joinTestAccount(server, 'Trader');
+            const profile = server.gameState.players.get('Trader').profile;
+            
+            report(server, ws, 500, { 'ore-iron': 10 });
+            report(server, ws, 500, { 'ore-iron': profile.upgrades.cargoCapacity + 1 });
+            
+            assertEqual(JSON.stringify(profile.cargo), JSON.stringify({ 'ore-iron': 10 }), 'The last cargo that fit should be kept');
+            assertEqual(profile.credits, 500, 'Credits in the same report should still count');
+        });
+    });
+    
+    describe('Account Service', function() {
+        async function createAccounts() {
+            const { AccountService } = await import('../server/auth/AccountService.js');
+            const { MemoryStore } = await import('../server/storage/MemoryStore.js');
+            const { logger } = await import('../server/logging/Logger.js');
+            logger.setLevel('error');
+            return new AccountService(new MemoryStore(), 'test-secret');
+        }
+        
+        test('should hash passwords with a fresh salt and verify them', async function() {
+            const { AccountService } = await import('../server/auth/AccountService.js');
+            const first = await AccountService.hashPassword('hunter22');
+            const second = await AccountService.hashPassword('hunter22');
+            
+            assert(first.startsWith('scrypt$'), 'Hashes should name their scheme');
+            assert(first !== second, 'The same password should hash differently each time');
+            assert(await AccountService.verifyPassword('hunter22', first), 'The right password should verify');
+            assert(!await AccountService.verifyPassword('hunter23', first), 'A wrong password should not verify');
+            assert(!await AccountService.verifyPassword('hunter22', 'plain$text'), 'Unknown schemes should not verify');
+        });
+        
+        test('should sign access tokens and refuse forged, expired or orphaned ones', async function() {
+            const accounts = await createAccounts();
+            accounts.store.set('accounts', 'Pilot', { username: 'Pilot', passwordHash: 'scrypt$00$00' });
+            const now = Date.now();
+            const token = accounts.signToken({ sub: 'Pilot', iat: now, exp: now + 1000 });
+            
+            assertEqual(accounts.verifyAccessToken(token), 'Pilot', 'A valid token should name its user');
+            assertEqual(accounts.verifyAccessToken(`${token.split('.')[0]}.forged`), null, 'A bad signature should be refused');
+            
+            const { AccountService } = await import('../server/auth/AccountService.js');
+            const otherServer = new AccountService(accounts.store, 'other-secret');
+            assertEqual(otherServer.verifyAccessToken(token), null, 'Tokens should only verify with the key that signed them');
+            
+            assertEqual(accounts.verifyAccessToken(accounts.signToken({ sub: 'Pilot', iat: now, exp: now - 1 })), null, 'An expired token should be refused');
+            assertEqual(accounts.verifyAccessToken(accounts.signToken({ sub: 'Ghost', iat: now, exp: now + 1000 })), null, 'A token for an unknown account should be refused');
+        });
+        
+        test('should rotate refresh tokens and refuse spent or revoked ones', async function() {
+            const accounts = await createAccounts();
+            const session = await accounts.register('Pilot', 'pilot@example.com', 'hunter22');
+            
+            const refreshed = accounts.refresh(session.refreshToken);
+            assertEqual(accounts.verifyAccessToken(refreshed.accessToken), 'Pilot', 'A refresh should issue a working access token');
+            assert(refreshed.refreshToken !== session.refreshToken, 'A refresh should issue a new refresh token');
+            assertEqual(await errorCodeOf(() => accounts.refresh(session.refreshToken)), AUTH.ERROR_CODES.INVALID_TOKEN, 'A spent refresh token should be refused');
+            
+            accounts.logout(refreshed.refreshToken);
+            assertEqual(await errorCodeOf(() => accounts.refresh(refreshed.refreshToken)), AUTH.ERROR_CODES.INVALID_TOKEN, 'A revoked refresh token should be refused');
+        });
+        
+        test('should lock an account after too many failed logins, even when they arrive together', async function() {
+            const accounts = await createAccounts();
+            await accounts.register('Pilot', 'pilot@example.com', 'hunter22');
+            
+            const attempts = Array.from({ length: AUTH.MAX_LOGIN_ATTEMPTS + 1 }, () => errorCodeOf(() => accounts.login('Pilot', 'wrong-password')));
+            const codes = await Promise.all(attempts);
+            
+            assertEqual(codes.filter(code => code === AUTH.ERROR_CODES.INVALID_CREDENTIALS).length, AUTH.MAX_LOGIN_ATTEMPTS, 'Only the allowed attempts should be checked');
+            assertEqual(codes.pop(), AUTH.ERROR_CODES.ACCOUNT_LOCKED, 'The attempt past the limit should find the account locked');
+            assertEqual(await errorCodeOf(() => accounts.login('Pilot', 'hunter22')), AUTH.ERROR_CODES.ACCOUNT_LOCKED, 'The right password should wait out the lock');
+            
+            accounts.store.get('accounts', 'Pilot').lockedUntil = Date.now() - 1;
+            assertEqual(await errorCodeOf(() => accounts.login('Pilot', 'hunter22')), null, 'The right password should work once the lock expires');
+            assertEqual(accounts.store.get('accounts', 'Pilot').failedLogins, 0, 'A successful login should clear the failures');
+        });
+        
+        test('should let only one of two simultaneous registrations take a name', async function() {
+            const accounts = await createAccounts();
+            const codes = await Promise.all([
+                errorCodeOf(() => accounts.register('Pilot', 'first@example.com', 'hunter22')),
+                errorCodeOf(() => accounts.register('Pilot', 'second@example.com', 'hunter22'))
+            ]);
+            
+            assertEqual(codes.filter(code => code === null).length, 1, 'One registration should succeed');
+            assertEqual(codes.filter(code => code === AUTH.ERROR_CODES.ACCOUNT_EXISTS).length, 1, 'The other should find the name taken');
+            
+            const winner = codes[0] === null ? 'first@example.com' : 'second@example.com';
+            assertEqual(accounts.store.get('accounts', 'Pilot').email, winner, 'The account should be the one that succeeded');
+        });
+    });
+    
+    describe('Admin Commands', function() {
+        const lastError = (ws) => ws.received(NETWORK.MESSAGE_TYPES.ERROR).pop()?.data;
+        
+        test('should parse command lines and explain what is wrong with them', async function() {
+            const server = await createTestServer();
+            const commands = server.adminCommands;
+            
+            assertEqual(commands.execute('   ').output, '', 'An empty line should do nothing');
+            assert(commands.execute('HELP').ok, 'Command names should ignore case');
+            assertEqual(commands.execute('warp Pilot').output, 'Unknown command "warp", try help', 'Unknown commands should be named');
+            assertEqual(commands.execute('  kick  ').output, 'Usage: kick <playerId> [reason]', 'Missing arguments should show the usage');
+            assertEqual(commands.execute('mute Pilot soon').output, '"soon" is not a number of minutes', 'Durations should be numbers');
+            assertEqual(commands.execute('teleport Pilot x 5').output, '"x" is not a coordinate', 'Coordinates should be numbers');
+            
+            commands.execute('ban Pilot 30 spamming the chat');
+            const ban = server.bans.find('Pilot', null);
+            assertEqual(ban.reason, 'spamming the chat', 'Words after the duration should be the reason');
+            assertApproxEqual(ban.expiresAt - ban.createdAt, 30 * 60000, 0, 'A number after the target should be minutes');
+            
+            commands.execute('ban Griefer forever');
+            assertEqual(server.bans.find('Griefer', null).expiresAt, null, 'A ban without minutes should be permanent');
+        });
+        
+        test('should only take commands from admins, and console commands from the console', async function() {
+            const server = await createTestServer();
+            const send = (ws, command) => server.handleAdminCommand(ws, {
+                type: NETWORK.MESSAGE_TYPES.ADMIN_COMMAND,
+                data: { command, timestamp: Date.now() }
+            });
+            
+            const guest = joinTestPlayer(server, 'Guest');
+            send(guest, 'kick Guest');
+            assertEqual(lastError(guest)?.code, NETWORK.ERROR_CODES.FORBIDDEN, 'Guests should be refused');
+            
+            const player = joinTestAccount(server, 'Player');
+            send(player, 'kick Guest');
+            assertEqual(lastError(player)?.code, NETWORK.ERROR_CODES.FORBIDDEN, 'Accounts without admin rights should be refused');
+            assert(server.gameState.players.has('Guest'), 'A refused command should not run');
+            
+            server.accounts.setAdmin('Player', true);
+            send(player, 'admin revoke Player');
+            const [refused] = player.received(NETWORK.MESSAGE_TYPES.ADMIN_RESULT);
+            assert(!refused.data.ok, 'Console-only commands should be refused to players');
+            assert(server.accounts.isAdmin('Player'), 'A refused command should change nothing');
+            
+            send(player, 'kick Guest');
+            assert(player.received(NETWORK.MESSAGE_TYPES.ADMIN_RESULT).pop().data.ok, 'Admins should be able to kick');
+            assert(!server.gameState.players.has('Guest'), 'The kicked player should be gone');
+        });
+        
+        test('should kick, ban and unban players and addresses', async function() {
+            const server = await createTestServer();
+            server.wss = { clients: new Set() };
+            const commands = server.adminCommands;
+            
+            const pilot = joinTestPlayer(server, 'Pilot');
+            assertEqual(commands.execute('kick Pilot afk').output, 'Kicked Pilot', 'A connected player should be kicked');
+            assertEqual(lastError(pilot)?.code, NETWORK.ERROR_CODES.KICKED, 'The player should be told they were kicked');
+            assertEqual(pilot.closeCode, NETWORK.CONNECTION_REJECTED_CLOSE_CODE, 'The kicked connection should be closed');
+            assert(!commands.execute('kick Nobody').ok, 'Kicking a missing player should fail');
+            
+            const banned = joinTestPlayer(server, 'Pilot');
+            commands.execute('ban Pilot');
+            assertEqual(lastError(banned)?.code, NETWORK.ERROR_CODES.BANNED, 'A banned player should be thrown out');
+            assertEqual(lastError(joinTestPlayer(server, 'Pilot'))?.code, NETWORK.ERROR_CODES.BANNED, 'A banned player should not get back in');
+            
+            assertEqual(commands.execute('unban Pilot').output, 'Unbanned Pilot', 'The ban should be lifted');
+            assertEqual(joinTestPlayer(server, 'Pilot').received(NETWORK.MESSAGE_TYPES.SESSION).length, 1, 'An unbanned player should get back in');
+            assert(!commands.execute('unban Pilot').ok, 'Lifting a missing ban should fail');
+            
+            const visitor = createTestSocket();
+            server.acceptConnection(visitor, '10.0.0.5');
+            server.wss.clients.add(visitor);
+            commands.execute('ban 10.0.0.5');
+            assertEqual(lastError(visitor)?.code, NETWORK.ERROR_CODES.BANNED, 'Sockets from a banned address should be closed');
+            
+            const returning = createTestSocket();
+            server.acceptConnection(returning, '10.0.0.5');
+            assertEqual(lastError(returning)?.code, NETWORK.ERROR_CODES.BANNED, 'A banned address should not connect again');
+        });
+        
+        test('should let bans expire', async function() {
+            const { BanList } = await import('../server/admin/BanList.js');
+            const { MemoryStore } = await import('../server/storage/MemoryStore.js');
+            const bans = new BanList(new MemoryStore());
+            
+            const ban = bans.add('Pilot', { duration: 60000 });
+            bans.add('10.0.0.5');
+            assertEqual(bans.find('Pilot', null), ban, 'A fresh ban should apply');
+            assertEqual(bans.find(null, '10.0.0.5').type, 'ip', 'Addresses should be banned by type');
+            
+            ban.expiresAt = Date.now() - 1;
+            assertEqual(bans.list().length, 1, 'Expired bans should not be listed');
+            assertEqual(bans.find('Pilot', null), null, 'An expired ban should not apply');
+            assertEqual(bans.store.get('bans', BanList.keyOf('Pilot')), null, 'An expired ban should be dropped');
+        });
+        
+        test('should keep bans across restarts', async function() {
+            const { BanList } = await import('../server/admin/BanList.js');
+            const { JsonFileStore } = await import('../server/storage/JsonFileStore.js');
+            const { mkdtempSync, rmSync } = await import('fs');
+            const { tmpdir } = await import('os');
+            const { join } = await import('path');
+            
+            const directory = mkdtempSync(join(tmpdir(), 'max-pixels-bans-'));
+            try {
+                const file = join(directory, 'data.json');
+                const bans = new BanList(new JsonFileStore(file).load());
+                bans.add('Pilot', { reason: 'cheating', bannedBy: 'console' });
+                await bans.store.flush();
+                
+                const restored = new BanList(new JsonFileStore(file).load()).find('Pilot', null);
+                assertEqual(restored?.reason, 'cheating', 'The ban should be read back from disk');
+                assertEqual(restored.bannedBy, 'console', 'The ban should remember who made it');
+            } finally {
+                rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+    
+    describe('Server Monitoring', function() {
+        /**
+         * Stand-in for an http.ServerResponse
+         */
+        const createTestResponse = () => ({
+            status: null,
+            headers: {},
+            body: '',
+            writeHead(status, headers = {}) {
+                this.status = status;
+                this.headers = headers;
+            },
+            end(body = '') {
+                this.body = body;
+            }
+        });
+        
+        test('should count messages, bytes and tick durations', async function() {
+            const { ServerMetrics } = await import('../server/metrics/ServerMetrics.js');
+            const metrics = new ServerMetrics();
+            
+            for (let i = 0; i < 3; i++) metrics.recordMessageIn('player_move');
+            metrics.recordMessageOut('game_state', 100);
+            metrics.recordMessageOut('game_state', 50);
+            metrics.recordRejectedMessage(NETWORK.ERROR_CODES.RATE_LIMITED);
+            [0.5, 3, 100].forEach(duration => metrics.recordTick(duration));
+            
+            const stats = metrics.getStats();
+            assertEqual(stats.messagesIn.player_move, 3, 'Received messages should be counted by type');
+            assertEqual(stats.messagesOut.game_state, 2, 'Sent messages should be counted by type');
+            assertEqual(stats.bytesOut, 150, 'Sent bytes should add up');
+            assertEqual(stats.rejectedMessages.rate_limited, 1, 'Refusals should be counted by code');
+            assertApproxEqual(stats.tickDuration.average, 103.5 / 3, 0.0001, 'Tick time should average');
+            assertEqual(stats.tickDuration.max, 100, 'The slowest tick should be kept');
+            
+            const text = metrics.toPrometheus({ rooms: { 'alpha-sector': 2 }, suspendedSessions: 1, gameObjects: 5, uptime: 12 });
+            const lines = text.split('\n');
+            assert(lines.includes('max_pixels_messages_received_total{type="player_move"} 3'), 'Counters should be exported');
+            assert(lines.includes('max_pixels_connected_players{sector="alpha-sector"} 2'), 'Players should be a gauge per sector');
+            assert(lines.includes('max_pixels_tick_duration_seconds_bucket{le="0.001"} 1'), 'Histogram buckets should hold faster ticks');
+            assert(lines.includes('max_pixels_tick_duration_seconds_bucket{le="0.05"} 2'), 'Histogram buckets should be cumulative');
+            assert(lines.includes('max_pixels_tick_duration_seconds_bucket{le="+Inf"} 3'), 'The last bucket should hold every tick');
+            assert(lines.includes('max_pixels_tick_duration_seconds_sum 0.1035'), 'The histogram sum should be in seconds');
+        });
+        
+        test('should average message rates over the last full seconds', async function() {
+            const { ServerMetrics } = await import('../server/metrics/ServerMetrics.js');
+            const metrics = new ServerMetrics();
+            const start = 1000000 * 1000;
+            const record = (count, time) => {
+                for (let i = 0; i < count; i++) metrics.recordMessageIn('player_move', time);
+            };
+            
+            record(50, start - (NETWORK.METRICS_RATE_WINDOW + 5) * 1000);
+            record(20, start);
+            record(10, start + 1000);
+            record(99, start + 2000);
+            
+            const rates = metrics.getMessageRates(start + 2500);
+            assertApproxEqual(rates.in.player_move, 30 / NETWORK.METRICS_RATE_WINDOW, 0.0001, 'Only the finished seconds in the window should count');
+            assertEqual(metrics.getStats().messagesIn.player_move, 179, 'The counter should keep every message');
+        });
+        
+        test('should want the bearer token for stats and metrics', async function() {
+            const { MetricsApi } = await import('../server/metrics/MetricsApi.js');
+            const { ServerMetrics } = await import('../server/metrics/ServerMetrics.js');
+            const server = {
+                clients: new Map(),
+                metrics: new ServerMetrics(),
+                getServerStats: () => ({ connectedPlayers: 0, rooms: {}, suspendedSessions: 0, gameObjects: 0, uptime: 1 })
+            };
+            const api = new MetricsApi(server, 'letmein');
+            const request = (url, authorization, method = 'GET') => {
+                const res = createTestResponse();
+                const handled = api.handle({ url, method, headers: authorization ? { authorization } : {} }, res);
+                return handled ? res : null;
+            };
+            
+            const anonymous = request('/stats');
+            assertEqual(anonymous.status, 401, 'Stats without a token should be refused');
+            assertEqual(anonymous.headers['WWW-Authenticate'], 'Bearer', 'The refusal should ask for a bearer token');
+            assertEqual(anonymous.body, '', 'Nothing should leak without the token');
+            assertEqual(request('/stats', 'Bearer letmeout').status, 401, 'A wrong token should be refused');
+            assertEqual(request('/metrics', 'letmein').status, 401, 'The token should be sent as a bearer token');
+            
+            const authorized = request('/stats', 'Bearer letmein');
+            assertEqual(authorized.status, 200, 'The right token should be let in');
+            assertEqual(JSON.parse(authorized.body).connectedPlayers, 0, 'Stats should be JSON');
+            
+            assertEqual(request('/health').status, 200, 'Health checks should stay open');
+            assertEqual(request('/stats', 'Bearer letmein', 'POST').status, 405, 'Only reads should be allowed');
+            assertEqual(request('/api/auth/login'), null, 'Other paths should be left to other handlers');
+            assertEqual(new MetricsApi(server).handle({ url: '/stats', method: 'GET', headers: {} }, createTestResponse()), true, 'Without a token stats should be open');
+        });
+        
+        test('should write one structured JSON entry per line', async function() {
+            const { Logger } = await import('../server/logging/Logger.js');
+            const lines = [];
+            const output = { write: (line) => lines.push(line) };
+            const log = new Logger('game', { level: 'warn', output, fields: { node: 'eu-1' } });
+            
+            log.info('Ignored below the level');
+            log.warn('Player kicked', { playerId: 'Pilot', count: 2 });
+            assertEqual(lines.length, 1, 'Entries below the level should be skipped');
+            assert(lines[0].endsWith('\n'), 'Each entry should be a line');
+            
+            const entry = JSON.parse(lines[0]);
+            assertEqual(entry.level, 'warn', 'Entries should carry their level');
+            assertEqual(entry.component, 'game', 'Entries should carry their component');
+            assertEqual(entry.msg, 'Player kicked', 'Entries should carry their message');
+            assertEqual(entry.node, 'eu-1', 'Logger fields should be added');
+            assertEqual(entry.playerId, 'Pilot', 'Entry fields should be added');
+            assert(!Number.isNaN(Date.parse(entry.time)), 'Entries should be timestamped');
+            
+            const rooms = log.child('rooms', { sector: 'alpha-sector' });
+            log.setLevel('debug');
+            rooms.debug('Room changed', { error: new Error('full') });
+            const child = JSON.parse(lines[1]);
+            assertEqual(child.component, 'rooms', 'Children should name their own component');
+            assertEqual(child.node + child.sector, 'eu-1alpha-sector', 'Children should add to the parent\'s fields');
+            assertEqual(child.error.message, 'full', 'Errors should keep their message');
+            assert(child.error.stack.includes('Error: full'), 'Errors should keep their stack');
+            
+            assertThrows(() => log.setLevel('loud'), 'Unknown levels should be refused');
+        });
+        
+        test('should keep what players say out of the logs', async function() {
+            const { logger } = await import('../server/logging/Logger.js');
+            const server = await createTestServer();
+            const ws = joinTestPlayer(server, 'Pilot');
+            const lines = [];
+            const { output } = logger.settings;
+            logger.settings.output = { write: (line) => lines.push(line) };
+            logger.setLevel('debug');
+            try {
+                server.handleChatMessage(ws, { type: NETWORK.MESSAGE_TYPES.CHAT_MESSAGE, data: { message: 'meet me at the gate', timestamp: Date.now() } });
+            } finally {
+                logger.settings.output = output;
+                logger.setLevel('error');
+            }
+            
+            const entry = lines.map(line => JSON.parse(line)).find(line => line.msg === 'Chat message');
+            assertEqual(entry?.length, 19, 'The message length should be logged');
+            assert(!lines.some(line => line.includes('meet me')), 'The message text should not be logged');
+        });
+    });
+    
+    describe('Server Config', function() {
+        async function loadConfig() {
+            const { ServerConfig, ConfigError } = await import('../server/config/ServerConfig.js');
+            const load = ({ argv = [], env = {}, files = {} } = {}) => ServerConfig.load({
+                argv,
+                env,
+                readFile: (path) => {
+                    if (!(path in files)) throw new Error('no such file');
+                    return files[path];
+                }
+            });
+            const problemsOf = (sources) => {
+                try {
+                    load(sources);
+                    return [];
+                } catch (error) {
+                    if (!(error instanceof ConfigError)) throw error;
+                    return error.problems;
+                }
+            };
+            return { load, problemsOf, ServerConfig, ConfigError };
+        }
+        
+        test('should start from the defaults and freeze the result', async function() {
+            const { load, ServerConfig } = await loadConfig();
+            const config = load();
+            
+            assertEqual(JSON.stringify(config), JSON.stringify(ServerConfig.defaults()), 'No settings should mean the defaults');
+            assertEqual(config.tickRate, NETWORK.SERVER_TICK_RATE, 'Defaults should follow the shared constants');
+            assert(Object.isFrozen(config), 'Settings should not change after startup');
+        });
+        
+        test('should convert values to their types and check their ranges', async function() {
+            const { load, problemsOf } = await loadConfig();
+            const config = load({ env: { MAX_PIXELS_TICK_RATE: '30.5', MAX_PIXELS_SECTORS: 'beta-sector, alpha-sector,beta-sector', LOG_LEVEL: 'warn' } });
+            
+            assertEqual(config.tickRate, 30.5, 'Numbers should be parsed from strings');
+            assertEqual(config.sectors.join(), 'beta-sector,alpha-sector', 'Lists should be split, trimmed and deduplicated');
+            assertEqual(config.logLevel, 'warn', 'Options may have their own environment name');
+            
+            assertEqual(problemsOf({ env: { MAX_PIXELS_PORT: '70000' } })[0], 'port from MAX_PIXELS_PORT must be an integer between 1 and 65535, got "70000"', 'Ports should be in range');
+            assertEqual(problemsOf({ argv: ['--max-players', '1.5'] })[0], 'maxPlayers from --max-players must be an integer at least 1, got "1.5"', 'Integers should be whole');
+            assertEqual(problemsOf({ argv: ['--pvp=sometimes'] })[0], 'pvp from --pvp must be one of sector, all, none, got "sometimes"', 'Enums should be one of their values');
+            assertEqual(problemsOf({ argv: ['--sectors', 'delta-sector'] })[0], 'sectors from --sectors has unknown entries delta-sector; known: alpha-sector, beta-sector, gamma-sector', 'Lists should only hold known entries');
+            assertEqual(problemsOf({ files: { 'server.json': '{"port": true}' }, argv: ['--config', 'server.json'] })[0], 'port from server.json must be an integer between 1 and 65535, got true', 'File values should be checked too');
+            assertEqual(load({ files: { 'server.json': '{"maxPlayers": null}' }, env: { MAX_PIXELS_CONFIG: 'server.json', MAX_PIXELS_MAX_PLAYERS: '4' }, argv: [] }).maxPlayers, 4, 'Unset options should take values');
+        });
+        
+        test('should refuse unknown options, flags and arguments', async function() {
+            const { problemsOf } = await loadConfig();
+            
+            assertEqual(problemsOf({ argv: ['--config', 'server.json'], files: { 'server.json': '{"colour": "red"}' } })[0], 'Unknown option "colour" in server.json', 'Unknown file keys should be named');
+            assertEqual(problemsOf({ argv: ['--colour', 'red'] })[0], 'Unknown flag --colour', 'Unknown flags should be named');
+            assertEqual(problemsOf({ argv: ['8080'] })[0], 'Unexpected argument "8080"', 'Bare arguments should be refused');
+            assertEqual(problemsOf({ argv: ['--port'] })[0], '--port needs a value', 'Flags should have values');
+            assertEqual(problemsOf({ argv: ['--config', 'server.json'], files: { 'server.json': '[8080]' } })[0], 'Config file server.json must hold a JSON object', 'Config files should hold objects');
+            assert(problemsOf({ argv: ['--config', 'missing.json'] })[0].startsWith('Could not read config file missing.json'), 'Unreadable files should be reported');
+            assertEqual(problemsOf({ env: { MAX_PIXELS_COLOUR: 'red' } }).length, 0, 'Unrelated environment variables should be ignored');
+        });
+        
+        test('should let flags override the environment, and the environment the file', async function() {
+            const { load } = await loadConfig();
+            const files = { 'server.json': '{"port": 9000, "pvp": "none"}' };
+            const env = { MAX_PIXELS_CONFIG: 'server.json', MAX_PIXELS_PORT: '9001' };
+            
+            assertEqual(load({ files, env: { MAX_PIXELS_CONFIG: 'server.json' } }).port, 9000, 'The file should override the defaults');
+            assertEqual(load({ files, env }).port, 9001, 'The environment should override the file');
+            assertEqual(load({ files, env, argv: ['--port', '9002'] }).port, 9002, 'Flags should override the environment');
+            assertEqual(load({ files, env, argv: ['--port', '9002'] }).pvp, 'none', 'Options set only in the file should keep its value');
+            assertEqual(load({ files: { 'other.json': '{"port": 9003}' }, env, argv: ['--config=other.json'] }).port, 9001, 'The config flag should pick the file');
+        });
+        
+        test('should read data file paths in the config file from the file\'s directory', async function() {
+            const { load, ServerConfig } = await loadConfig();
+            const { resolve } = await import('path');
+            const { fileURLToPath } = await import('url');
+            const files = { '/etc/max-pixels/server.json': '{"dataFile": "data/world.json"}', '/etc/max-pixels/absolute.json': '{"dataFile": "/var/lib/world.json"}' };
+            
+            assertEqual(load({ files, argv: ['--config', '/etc/max-pixels/server.json'] }).dataFile, resolve('/etc/max-pixels/data/world.json'), 'A relative path should start from the config file');
+            assertEqual(load({ files, argv: ['--config', '/etc/max-pixels/absolute.json'] }).dataFile, '/var/lib/world.json', 'An absolute path should be kept');
+            assertEqual(load({ env: { MAX_PIXELS_DATA_FILE: 'world.json' } }).dataFile, 'world.json', 'Paths from the environment should be left to the working directory');
+            
+            const example = fileURLToPath(new URL('../server/config.example.json', import.meta.url));
+            assertEqual(ServerConfig.load({ argv: ['--config', example], env: {} }).dataFile, ServerConfig.defaults().dataFile, 'The example should keep data where the default does');
+        });
+        
+        test('should report every problem at once', async function() {
+            const { problemsOf, load, ConfigError } = await loadConfig();
+            const sources = { argv: ['--port', '0', '--colour', 'red'], env: { MAX_PIXELS_TICK_RATE: 'fast' } };
+            
+            assertEqual(problemsOf(sources).length, 3, 'Each problem should be listed');
+            try {
+                load(sources);
+                assert(false, 'A bad configuration should throw');
+            } catch (error) {
+                assert(error instanceof ConfigError, 'Problems should raise a ConfigError');
+                assertEqual(error.message.split('\n')[0], 'Invalid server configuration:', 'The message should say what failed');
+                assert(error.message.includes('\n  tickRate from MAX_PIXELS_TICK_RATE must be a number between 1 and 240, got "fast"'), 'The message should list each problem on its own line');
+            }
+        });
+    });
+}
+
 // Export the test runner for use in browser
 export { TestRunner };
\ No newline at end of file